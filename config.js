@@ -5,25 +5,169 @@ dotenv.config();
 export const config = {
     // Telegram Bot Configuration
     TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+    ADMIN_IDS: (process.env.ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean).map(Number),
+    
+    // Roles (admin, operator, viewer, blocked) kept in data/users.json. ADMIN_IDS are always
+    // admins; anyone else waits for an admin's approval, or gets DEFAULT_ROLE straight away when
+    // REQUIRE_APPROVAL is 'false'.
+    ACCESS: {
+        REQUIRE_APPROVAL: process.env.REQUIRE_APPROVAL !== 'false',
+        DEFAULT_ROLE: process.env.DEFAULT_ROLE || 'operator'
+    },
     
     // Unlimited Settings
     SMS_SETTINGS: {
         UNLIMITED_MODE: true,
-        NO_RATE_LIMIT: true,
+        NO_RATE_LIMIT: false,
         NO_COUNTRY_RESTRICTIONS: true,
         MAX_MESSAGE_LENGTH: 1000,
+        CONCAT_REFERENCE_BITS: 8,
+        DELIVERY_REPORTS: true,
         BULK_SMS_ENABLED: true,
         SCHEDULED_SMS_ENABLED: true
     },
     
-    // Transmission Methods
-    TRANSMISSION_METHODS: [
-        'QUANTUM_TUNNELING',
-        'VIRTUAL_GSM_SIMULATION',
-        'AI_OPTIMIZED_ROUTING',
-        'DIRECT_SOCKET_CONNECTION',
-        'WAVE_FUNCTION_TRANSMISSION'
-    ],
+    // GSM Modem (serial AT command transport)
+    MODEM: {
+        ENABLED: process.env.MODEM_ENABLED === 'true',
+        PORT: process.env.MODEM_PORT || '/dev/ttyUSB0',
+        BAUD_RATE: parseInt(process.env.MODEM_BAUD_RATE, 10) || 115200,
+        PIN: process.env.MODEM_PIN || '',
+        COMMAND_TIMEOUT: 10000,
+        SEND_TIMEOUT: 60000,
+        RECONNECT_DELAY: 10000,
+        SEND_RATE: parseFloat(process.env.MODEM_SEND_RATE) || 0.2,
+        SEND_BURST: 3
+    },
+    
+    // SMPP 3.4 upstream SMSC (bulk routes)
+    SMPP: {
+        ENABLED: process.env.SMPP_ENABLED === 'true',
+        URL: process.env.SMPP_URL || 'smpp://localhost:2775',
+        SYSTEM_ID: process.env.SMPP_SYSTEM_ID || '',
+        PASSWORD: process.env.SMPP_PASSWORD || '',
+        SYSTEM_TYPE: process.env.SMPP_SYSTEM_TYPE || '',
+        SOURCE_ADDR: process.env.SMPP_SOURCE_ADDR || '',
+        WINDOW_SIZE: parseInt(process.env.SMPP_WINDOW_SIZE, 10) || 10,
+        SUBMIT_TIMEOUT: 30000,
+        THROTTLE_DELAY: 1000,
+        ENQUIRE_LINK_INTERVAL: 30000,
+        RECONNECT_DELAY: 1000,
+        MAX_RECONNECT_DELAY: 60000,
+        SEND_RATE: parseFloat(process.env.SMPP_SEND_RATE) || 50,
+        SEND_BURST: 100
+    },
+    
+    // Durable transmission queue (data/queue.journal)
+    QUEUE: {
+        VISIBILITY_TIMEOUT: 300000,
+        POLL_INTERVAL: 1000,
+        COMPACT_THRESHOLD: 1000,
+        // Items no transport could take for this long fail with NO_ROUTE
+        NO_ROUTE_TIMEOUT: 30 * 60000
+    },
+    
+    // Scheduled SMS (data/scheduled.json). Jobs missed while the gateway was down are sent if
+    // at most MISFIRE_GRACE late, otherwise sent anyway ('SEND') or expired ('EXPIRE')
+    SCHEDULER: {
+        DEFAULT_TIMEZONE: process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        MISFIRE_GRACE: 10 * 60000,
+        MISFIRE_POLICY: process.env.SCHEDULE_MISFIRE_POLICY || 'EXPIRE',
+        MAX_AHEAD_DAYS: 365
+    },
+    
+    // Bulk campaigns
+    BULK: {
+        MAX_FILE_SIZE: 5 * 1024 * 1024,
+        PROGRESS_INTERVAL: 3000
+    },
+    
+    // Inbound keywords that add a number to or remove it from the suppression list
+    // (data/suppression.json), matched against the whole message, case-insensitively.
+    // An empty reply text disables the confirmation SMS.
+    OPT_OUT: {
+        STOP_KEYWORDS: (process.env.OPT_OUT_STOP_KEYWORDS ||
+            'STOP,STOPALL,UNSUBSCRIBE,CANCEL,END,QUIT,OPTOUT,ARRET,ARRÊT,ALTO,BAJA,PARAR,HALT,توقف,بند,روکیں').split(','),
+        START_KEYWORDS: (process.env.OPT_OUT_START_KEYWORDS ||
+            'START,UNSTOP,SUBSCRIBE,YES,OPTIN,DEMARRER,ALTA,ابدأ,شروع').split(','),
+        STOP_REPLY: process.env.OPT_OUT_STOP_REPLY ?? 'You have been unsubscribed and will receive no further messages. Reply START to resubscribe.',
+        START_REPLY: process.env.OPT_OUT_START_REPLY ?? 'You have been resubscribed. Reply STOP to unsubscribe.'
+    },
+    
+    // Received SMS (data/inbox.json) are forwarded to the Telegram user who last messaged the
+    // sender, otherwise to FORWARD_CHAT_ID (or the first admin). Parts of a multipart message
+    // still missing after PART_TIMEOUT are stored as received.
+    INBOUND: {
+        FORWARD_CHAT_ID: process.env.INBOUND_FORWARD_CHAT_ID || null,
+        PART_TIMEOUT: 5 * 60000,
+        MAX_ENTRIES: 10000
+    },
+    
+    // Sending limits. Per-user quotas count messages: PER_DAY and PER_MONTH (UTC calendar days and
+    // months) are checked when messages are accepted, PER_MINUTE also paces queued bulk messages.
+    // null is unlimited; a user's own quota in users.json (set with /quota) overrides the role's.
+    // Destination limits keep repeated messages to one number from tripping carrier spam filters.
+    LIMITS: {
+        ROLE_QUOTAS: {
+            admin: { PER_MINUTE: null, PER_DAY: null, PER_MONTH: null },
+            operator: { PER_MINUTE: 30, PER_DAY: 500, PER_MONTH: 10000 },
+            viewer: { PER_MINUTE: 0, PER_DAY: 0, PER_MONTH: 0 }
+        },
+        DESTINATION_MIN_INTERVAL: 10000,
+        DESTINATION_MAX_PER_HOUR: 10
+    },
+    
+    // Credit accounting in data/ledger.journal. A message costs the per-segment cost of the preferred
+    // route for its destination prefix (data/routes.json), times its encoding's multiplier, for
+    // every segment. It is debited when the message is accepted and refunded if it finally fails.
+    // Roles in OVERDRAFT_ROLES may keep sending once their balance runs out.
+    BILLING: {
+        CURRENCY: 'PKR',
+        ENCODING_MULTIPLIERS: { GSM_7BIT: 1, UCS2: 1 },
+        OVERDRAFT_ROLES: ['admin']
+    },
+    
+    // HTTP API (FEATURES.API_MODE) under /api/v1. Keys are issued with /apikeys and act as the
+    // Telegram user they belong to. Listens on localhost unless API_HOST says otherwise.
+    API: {
+        PORT: parseInt(process.env.API_PORT, 10) || 8080,
+        HOST: process.env.API_HOST || '127.0.0.1',
+        // How users reach it, e.g. https://sms.example.com behind a reverse proxy; used in links
+        PUBLIC_URL: process.env.PUBLIC_URL || '',
+        MAX_BULK_MESSAGES: 1000
+    },
+    
+    // Live admin dashboard (FEATURES.DASHBOARD) on the API's HTTP server. Admins sign in with the
+    // one-time link /dashboard sends; stats are pushed every UPDATE_INTERVAL ms.
+    DASHBOARD: {
+        PATH: '/dashboard',
+        UPDATE_INTERVAL: 2000,
+        LOGIN_TTL: 10 * 60000,
+        SESSION_TTL: 12 * 3600000,
+        RECENT_TRANSMISSIONS: 25
+    },
+    
+    // Outbound webhooks, managed through the HTTP API or /webhooks. Each subscriber gets events
+    // about its owner's messages (admins: everyone's); undelivered events are retried with this
+    // backoff and every attempt is kept in data/webhook_deliveries.json.
+    WEBHOOKS: {
+        TIMEOUT: 10000,
+        MAX_LOG_ENTRIES: 5000,
+        RETRY: {
+            MAX_ATTEMPTS: 8,
+            BASE_DELAY: 10000,
+            MAX_DELAY: 3600000,
+            JITTER: 0.2
+        }
+    },
+    
+    // Retry policy for temporary failures; exhausted messages go to data/dead_letters.json
+    RETRY: {
+        MAX_ATTEMPTS: 5,
+        BASE_DELAY: 5000,
+        MAX_DELAY: 600000,
+        JITTER: 0.2
+    },
     
     // Security Settings
     SECURITY: {
@@ -56,10 +200,56 @@ export const config = {
         TEMPLATES: true,
         GROUPS: true,
         BROADCAST: true,
-        API_MODE: true
+        API_MODE: true,
+        DASHBOARD: true
     }
 };
 
+// Transports loaded into the registry, lowest priority number preferred; concurrency caps parallel
+// queued sends and rateLimit the SMS segments per second (a token bucket). Set `module` to the path of a module whose default export extends Transport to
+// plug in a custom type.
+config.TRANSPORTS = [
+    {
+        name: 'modem',
+        type: 'GSM_MODEM',
+        enabled: config.MODEM.ENABLED,
+        priority: 1,
+        concurrency: 1,
+        rateLimit: { perSecond: config.MODEM.SEND_RATE, burst: config.MODEM.SEND_BURST },
+        options: {
+            port: config.MODEM.PORT,
+            baudRate: config.MODEM.BAUD_RATE,
+            pin: config.MODEM.PIN,
+            commandTimeout: config.MODEM.COMMAND_TIMEOUT,
+            sendTimeout: config.MODEM.SEND_TIMEOUT,
+            reconnectDelay: config.MODEM.RECONNECT_DELAY,
+            deliveryReports: config.SMS_SETTINGS.DELIVERY_REPORTS
+        }
+    },
+    {
+        name: 'smpp',
+        type: 'SMPP',
+        enabled: config.SMPP.ENABLED,
+        priority: 2,
+        concurrency: config.SMPP.WINDOW_SIZE,
+        rateLimit: { perSecond: config.SMPP.SEND_RATE, burst: config.SMPP.SEND_BURST },
+        options: {
+            url: config.SMPP.URL,
+            systemId: config.SMPP.SYSTEM_ID,
+            password: config.SMPP.PASSWORD,
+            systemType: config.SMPP.SYSTEM_TYPE,
+            sourceAddr: config.SMPP.SOURCE_ADDR,
+            windowSize: config.SMPP.WINDOW_SIZE,
+            submitTimeout: config.SMPP.SUBMIT_TIMEOUT,
+            throttleDelay: config.SMPP.THROTTLE_DELAY,
+            enquireLinkInterval: config.SMPP.ENQUIRE_LINK_INTERVAL,
+            reconnectDelay: config.SMPP.RECONNECT_DELAY,
+            maxReconnectDelay: config.SMPP.MAX_RECONNECT_DELAY,
+            deliveryReports: config.SMS_SETTINGS.DELIVERY_REPORTS
+        }
+    }
+];
+
 // Default Country Codes
 export const COUNTRY_CODES = {
     'PAKISTAN': '+92',
@@ -88,6 +278,7 @@ export const STATUS = {
     SENT: 'SENT',
     DELIVERED: 'DELIVERED',
     FAILED: 'FAILED',
+    EXPIRED: 'EXPIRED',
     RETRYING: 'RETRYING'
 };
 
@@ -98,5 +289,12 @@ export const ERROR_CODES = {
     INVALID_MESSAGE: 1002,
     TRANSMISSION_ERROR: 1003,
     SYSTEM_ERROR: 1004,
-    RECOVERY_IN_PROGRESS: 1005
+    RECOVERY_IN_PROGRESS: 1005,
+    INVALID_REQUEST: 1006,
+    UNAUTHORIZED: 1007,
+    FORBIDDEN: 1008,
+    NOT_FOUND: 1009,
+    OPTED_OUT: 1010,
+    QUOTA_EXCEEDED: 1011,
+    INSUFFICIENT_CREDIT: 1012
 };
@@ -1,12 +1,40 @@
 import { Telegraf, Markup } from 'telegraf';
 import fs from 'fs';
+import http from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { config } from './config.js';
+import { config, STATUS } from './config.js';
 import { v4 as uuidv4 } from 'uuid';
 import moment from 'moment';
 import winston from 'winston';
 import cron from 'node-cron';
+import axios from 'axios';
+import express from 'express';
+import { TransportRegistry } from './lib/transports/index.js';
+import { Router } from './lib/router.js';
+import { RoutingTable } from './lib/routing-table.js';
+import { TransmissionQueue, QUEUE_STATES } from './lib/queue.js';
+import { nextRetryDelay } from './lib/retry.js';
+import { aggregateStatus, FINAL_STATUSES } from './lib/delivery.js';
+import { readData, writeData, updateData } from './lib/store.js';
+import { analyzeMessage } from './lib/encoding.js';
+import { parseBulkText, parseBulkCsv, buildRecipientList, mergeRecipients, normalizeNumber } from './lib/bulk.js';
+import { Scheduler, SCHEDULE_STATUS } from './lib/scheduler.js';
+import { parseScheduleTime, formatInTimeZone, isValidTimeZone, zonedTimeToDate, zonedParts } from './lib/timezone.js';
+import { parseRecurrence, nextOccurrences } from './lib/recurrence.js';
+import { TemplateLibrary, placeholders, fillTemplate } from './lib/templates.js';
+import { ContactBook, parseVCards, parseContactsCsv } from './lib/contacts.js';
+import { SuppressionList, SuppressedError, OPT_OUT_ACTIONS, matchOptOutKeyword, parseSuppressionFile } from './lib/suppression.js';
+import { Inbox } from './lib/inbox.js';
+import { buildThread, threadPage, THREAD_PAGE_SIZE } from './lib/thread.js';
+import { ROLES, ROLE_LABELS, isRole, hasRole, adjacentRole, requiredRole } from './lib/roles.js';
+import { QuotaTracker, QuotaExceededError, DestinationThrottle, ThrottledError, QUOTA_WINDOWS } from './lib/limits.js';
+import { Ledger, InsufficientCreditError, messageCharge, formatAmount } from './lib/ledger.js';
+import { ApiKeyStore } from './lib/api-keys.js';
+import { createApiRouter } from './lib/api.js';
+import { WebhookDispatcher, WEBHOOK_EVENTS, DELIVERY_STATUS } from './lib/webhooks.js';
+import { ThroughputTracker } from './lib/stats.js';
+import { Dashboard } from './lib/dashboard.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,8 +65,54 @@ class UnlimitedSMSGateway {
         
         this.systemStatus = 'BOOTING';
         this.userSessions = new Map();
-        this.transmissionQueue = [];
+        this.queue = new TransmissionQueue({
+            visibilityTimeout: config.QUEUE.VISIBILITY_TIMEOUT,
+            pollInterval: config.QUEUE.POLL_INTERVAL,
+            compactThreshold: config.QUEUE.COMPACT_THRESHOLD,
+            noRouteTimeout: config.QUEUE.NO_ROUTE_TIMEOUT
+        });
         this.activeTransmissions = new Map();
+        this.scheduler = new Scheduler({
+            misfireGrace: config.SCHEDULER.MISFIRE_GRACE,
+            misfirePolicy: config.SCHEDULER.MISFIRE_POLICY
+        });
+        this.templates = new TemplateLibrary();
+        this.contacts = new ContactBook();
+        this.suppression = new SuppressionList();
+        this.quotas = new QuotaTracker({ limitsFor: (userId) => this.quotaLimits(userId) });
+        this.ledger = new Ledger();
+        this.apiKeys = new ApiKeyStore();
+        this.webhooks = new WebhookDispatcher({
+            timeout: config.WEBHOOKS.TIMEOUT,
+            maxLogEntries: config.WEBHOOKS.MAX_LOG_ENTRIES,
+            retry: config.WEBHOOKS.RETRY,
+            logger
+        });
+        this.throughput = new ThroughputTracker();
+        this.dashboard = new Dashboard({
+            stats: () => this.collectStats(),
+            recent: (limit) => readData('sms_logs').slice(-limit).reverse(),
+            isAdmin: (userId) => this.isAdmin(userId),
+            interval: config.DASHBOARD.UPDATE_INTERVAL,
+            loginTtl: config.DASHBOARD.LOGIN_TTL,
+            sessionTtl: config.DASHBOARD.SESSION_TTL,
+            recentLimit: config.DASHBOARD.RECENT_TRANSMISSIONS,
+            logger
+        });
+        this.httpServer = null;
+        this.destinationThrottle = new DestinationThrottle({
+            minInterval: config.LIMITS.DESTINATION_MIN_INTERVAL,
+            maxPerHour: config.LIMITS.DESTINATION_MAX_PER_HOUR
+        });
+        this.inbox = new Inbox({
+            partTimeout: config.INBOUND.PART_TIMEOUT,
+            maxEntries: config.INBOUND.MAX_ENTRIES
+        });
+        this.campaigns = new Map();
+        this.campaignTimers = new Map();
+        this.transports = new TransportRegistry();
+        this.routingTable = new RoutingTable();
+        this.router = new Router(this.transports, this.routingTable);
         this.systemStats = {
             totalSMS: 0,
             successful: 0,
@@ -60,22 +134,28 @@ class UnlimitedSMSGateway {
             // 2. Initialize database
             await this.initDatabase();
             
-            // 3. Start Telegram Bot
-            await this.startTelegramBot();
+            // 3. Set up the Telegram Bot; it starts polling last
+            this.setupTelegramBot();
             
             // 4. Start transmission engine
             await this.startTransmissionEngine();
             
-            // 5. Start monitoring system
+            // 5. Start HTTP API and dashboard
+            await this.startHttpServer();
+            
+            // 6. Start monitoring system
             this.startMonitoring();
             
-            // 6. Start AI optimization
+            // 7. Start AI optimization
             this.startAIOptimization();
             
             this.systemStatus = 'OPERATIONAL';
             console.log('✅ Unlimited SMS Gateway is fully operational!');
             logger.info('System initialized successfully');
             
+            // 8. Start Telegram Bot
+            this.launchTelegramBot();
+        
         } catch (error) {
             logger.error('Initialization failed:', error);
             this.emergencyRecovery();
@@ -94,7 +174,7 @@ class UnlimitedSMSGateway {
     
     async initDatabase() {
         // Initialize local JSON database
-        const dbFiles = ['users', 'sms_logs', 'templates', 'scheduled'];
+        const dbFiles = ['users', 'sms_logs', 'templates', 'scheduled', 'dead_letters', 'contacts', 'groups', 'suppression', 'inbox', 'usage', 'api_keys', 'webhooks', 'webhook_deliveries'];
         
         dbFiles.forEach(file => {
             const filePath = path.join(config.DIRECTORIES.DATA, `${file}.json`);
@@ -103,10 +183,28 @@ class UnlimitedSMSGateway {
             }
         });
         
+        // Bulk campaigns still running when the process stopped resume with the queue
+        readData('campaigns').forEach(campaign => this.campaigns.set(campaign.id, campaign));
+        
+        this.templates.seed();
+        
+        // Prefix routing table; an invalid file leaves routing to transport priority alone
+        this.routingTable.seed();
+        try {
+            const count = this.routingTable.load();
+            console.log(`🧭 Routing table loaded: ${count} prefixes`);
+        } catch (error) {
+            logger.error('Routing table invalid:', error);
+        }
+        
+        // Webhook deliveries that were waiting for a retry when the process stopped
+        const resumed = this.webhooks.resume();
+        if (resumed > 0) console.log(`🪝 Resuming ${resumed} webhook deliveries`);
+        
         console.log('💾 Database initialized');
     }
     
-    async startTelegramBot() {
+    setupTelegramBot() {
         if (!config.TELEGRAM_BOT_TOKEN) {
             console.log('❌ Telegram Bot Token is required');
             console.log('\n🔑 Please set TELEGRAM_BOT_TOKEN in .env file');
@@ -129,23 +227,53 @@ class UnlimitedSMSGateway {
             ctx?.reply('❌ An error occurred. Please try again.');
         });
         
-        // Start bot
-        await this.bot.launch();
-        console.log('🤖 Telegram Bot started successfully');
-        
         // Graceful shutdown
-        process.once('SIGINT', () => this.bot.stop('SIGINT'));
-        process.once('SIGTERM', () => this.bot.stop('SIGTERM'));
+        process.once('SIGINT', () => this.shutdown('SIGINT'));
+        process.once('SIGTERM', () => this.shutdown('SIGTERM'));
+    }
+    
+    launchTelegramBot() {
+        // launch() only settles once polling stops, so nothing may wait for it
+        this.bot.launch(() => console.log('🤖 Telegram Bot started successfully'))
+            .catch(error => logger.error('Telegram Bot stopped:', error));
+    }
+    
+    shutdown(signal) {
+        // Keep whatever parts of multipart messages have arrived
+        this.inbox.flushAll();
+        this.dashboard.stop();
+        this.httpServer?.close();
+        this.webhooks.stop();
+        
+        // The bot may not be polling yet; the queue journal makes stopping mid-send safe
+        try {
+            this.bot.stop(signal);
+        } catch (error) {
+            logger.warn(`Telegram Bot was not running at ${signal}`);
+        }
+        
+        this.transports.stopAll().finally(() => process.exit(0));
     }
     
     setupBotCommands() {
+        // ========== ACCESS CONTROL (every update) ==========
+        this.bot.use((ctx, next) => this.authorize(ctx, next));
+        
         // ========== START COMMAND ==========
         this.bot.start(async (ctx) => {
             const userId = ctx.from.id;
             const userName = ctx.from.first_name || 'User';
             
             // Register user
-            await this.registerUser(ctx.from);
+            const user = await this.registerUser(ctx.from);
+            
+            if (this.roleOf(userId) === ROLES.PENDING) {
+                ctx.reply(`👋 *Welcome ${this.escapeMarkdown(userName)}!*\n\n` +
+                    `⏳ Your access request has been sent to the administrators.\n` +
+                    `You will get a message here once it is approved.\n\n` +
+                    `🆔 *Your ID:* \`${user.id}\``, { parse_mode: 'Markdown' });
+                return;
+            }
             
             const welcomeMessage = `🎉 *Welcome ${userName}!*\n\n` +
                 `🤖 *Unlimited SMS Gateway*\n` +
@@ -153,7 +281,7 @@ class UnlimitedSMSGateway {
                 `⚡ *Unlimited Features:*\n` +
                 `• 📤 Unlimited SMS sending\n` +
                 `• 🌍 No country restrictions\n` +
-                `• ⚡ No rate limits\n` +
+                `• ⚡ Generous per-user quotas\n` +
                 `• 🚀 Instant transmission\n` +
                 `• 🔒 Quantum encryption\n\n` +
                 `📋 *Quick Commands:*\n` +
@@ -188,8 +316,23 @@ class UnlimitedSMSGateway {
         this.bot.command('schedule', (ctx) => this.initiateScheduleSMS(ctx));
         this.bot.hears('⏰ Schedule', (ctx) => this.initiateScheduleSMS(ctx));
         
+        this.bot.command('scheduled', (ctx) => this.showScheduledList(ctx));
+        this.bot.command('timezone', (ctx) => this.setTimezone(ctx));
+        
         // ========== TEMPLATES COMMAND ==========
         this.bot.command('templates', (ctx) => this.showTemplates(ctx));
+        this.bot.command('template', (ctx) => this.manageTemplate(ctx));
+        
+        // ========== CONTACTS & GROUPS ==========
+        this.bot.command('contacts', (ctx) => this.showContacts(ctx));
+        this.bot.command('contact', (ctx) => this.manageContact(ctx));
+        this.bot.command('group', (ctx) => this.manageGroup(ctx));
+        
+        // ========== CONVERSATION THREADS ==========
+        this.bot.command('thread', (ctx) => this.showThread(ctx));
+        
+        // ========== SUPPRESSION LIST COMMAND (Admin only) ==========
+        this.bot.command('suppression', (ctx) => this.manageSuppression(ctx));
         
         // ========== STATUS COMMAND ==========
         this.bot.command('status', (ctx) => this.showSystemStatus(ctx));
@@ -203,9 +346,38 @@ class UnlimitedSMSGateway {
         this.bot.command('settings', (ctx) => this.showSettings(ctx));
         this.bot.hears('⚙️ Settings', (ctx) => this.showSettings(ctx));
         
+        // ========== ROUTES COMMAND (Admin only) ==========
+        this.bot.command('routes', (ctx) => this.showRoutingTable(ctx));
+        
+        // ========== DEAD LETTERS COMMAND (Admin only) ==========
+        this.bot.command('deadletters', (ctx) => this.showDeadLetters(ctx));
+        
         // ========== BROADCAST COMMAND (Admin only) ==========
         this.bot.command('broadcast', (ctx) => this.initiateBroadcast(ctx));
         
+        // ========== USER MANAGEMENT (Admin only) ==========
+        this.bot.command('users', (ctx) => this.showUsers(ctx));
+        this.bot.command('promote', (ctx) => this.changeUserRole(ctx, 'promote'));
+        this.bot.command('demote', (ctx) => this.changeUserRole(ctx, 'demote'));
+        this.bot.command('block', (ctx) => this.changeUserRole(ctx, 'block'));
+        this.bot.command('unblock', (ctx) => this.changeUserRole(ctx, 'unblock'));
+        
+        // ========== QUOTAS (own quota; admins view and set others') ==========
+        this.bot.command('quota', (ctx) => this.manageQuota(ctx));
+        
+        // ========== CREDIT (balance and statements; admins top up) ==========
+        this.bot.command('balance', (ctx) => this.showBalance(ctx));
+        this.bot.command('statement', (ctx) => this.showStatement(ctx));
+        this.bot.command('topup', (ctx) => this.topUpBalance(ctx));
+        
+        // ========== HTTP API KEYS, WEBHOOKS AND DASHBOARD (Admin only) ==========
+        this.bot.command('apikeys', (ctx) => this.manageApiKeys(ctx));
+        this.bot.command('webhooks', (ctx) => this.manageWebhooks(ctx));
+        this.bot.command('dashboard', (ctx) => this.sendDashboardLink(ctx));
+        
+        // ========== HANDLE DOCUMENTS (bulk recipient files) ==========
+        this.bot.on('document', (ctx) => this.handleDocument(ctx));
+        
         // ========== HANDLE ALL TEXT MESSAGES ==========
         this.bot.on('text', (ctx) => this.handleTextMessage(ctx));
         
@@ -247,8 +419,9 @@ class UnlimitedSMSGateway {
                 ],
                 [
                     Markup.button.callback('🌍 All Countries', 'country_all'),
-                    Markup.button.callback('❌ Cancel', 'cancel')
-                ]
+                    Markup.button.callback('👥 Contacts', 'pick_contact')
+                ],
+                [Markup.button.callback('❌ Cancel', 'cancel')]
             ])
         });
     }
@@ -272,6 +445,8 @@ class UnlimitedSMSGateway {
             `\\+12345678900|Message for number 3\n\n` +
             `*OR*\n` +
             `Send all numbers first (one per line), then send messages.\n\n` +
+            `*Mail merge:* upload a CSV with a header row (e.g. phone,name,amount) ` +
+            `and write the message as \`Hi {{name}}, your balance is {{amount}}\`\n\n` +
             `*No limit on quantity!*`;
         
         ctx.reply(message, {
@@ -279,16 +454,350 @@ class UnlimitedSMSGateway {
             ...Markup.inlineKeyboard([
                 [Markup.button.callback('📥 Upload CSV/TXT', 'upload_bulk')],
                 [Markup.button.callback('✍️ Manual Entry', 'manual_bulk')],
+                [Markup.button.callback('📂 Contact Group', 'pick_group')],
+                [Markup.button.callback('❌ Cancel', 'cancel')]
+            ])
+        });
+    }
+    
+    async processBulkNumbers(ctx, text, session) {
+        await this.loadBulkRecipients(ctx, parseBulkText(text), session);
+    }
+    
+    async handleDocument(ctx) {
+        const userId = ctx.from.id;
+        const session = this.userSessions.get(userId);
+        const document = ctx.message.document;
+        const extension = path.extname(document.file_name || '').toLowerCase();
+        
+        // Contact files: a vCard at any time, a CSV after /contact import
+        let kind = null;
+        if (session?.step === 'awaiting_suppression_file') {
+            kind = 'suppression';
+        } else if (extension === '.vcf' || session?.step === 'awaiting_contacts_file') {
+            kind = 'contacts';
+        } else if (session?.step === 'awaiting_bulk_numbers') {
+            kind = 'bulk';
+        }
+        
+        if (!kind) {
+            ctx.reply('📄 To upload a recipient list, start with /bulk first.');
+            return;
+        }
+        
+        const allowed = kind === 'contacts' ? ['.csv', '.vcf'] : ['.csv', '.txt'];
+        
+        if (!allowed.includes(extension)) {
+            ctx.reply(`❌ Only ${allowed.join(' and ')} files are supported.`);
+            return;
+        }
+        
+        if (document.file_size > config.BULK.MAX_FILE_SIZE) {
+            ctx.reply(`❌ File too large (max ${Math.floor(config.BULK.MAX_FILE_SIZE / 1024 / 1024)} MB).`);
+            return;
+        }
+        
+        try {
+            const link = await ctx.telegram.getFileLink(document.file_id);
+            const response = await axios.get(link.href, {
+                responseType: 'text',
+                maxContentLength: config.BULK.MAX_FILE_SIZE
+            });
+            
+            if (kind === 'contacts') {
+                await this.importContacts(ctx, extension === '.vcf' ? parseVCards(response.data) : parseContactsCsv(response.data));
+                return;
+            }
+            
+            if (kind === 'suppression') {
+                await this.importSuppression(ctx, parseSuppressionFile(response.data));
+                return;
+            }
+            
+            const entries = extension === '.csv'
+                ? parseBulkCsv(response.data)
+                : parseBulkText(response.data);
+            
+            await this.loadBulkRecipients(ctx, entries, session);
+        } catch (error) {
+            logger.error('Bulk file download failed:', error);
+            ctx.reply('❌ Could not read the file. Please try again.');
+        }
+    }
+    
+    async loadBulkRecipients(ctx, entries, session) {
+        if (entries.length === 0) {
+            ctx.reply('❌ No phone numbers found. Please try again:');
+            return;
+        }
+        
+        const { valid, invalid, duplicates } = buildRecipientList(entries, (phoneNumber) => this.validatePhoneNumber(phoneNumber));
+        
+        // Opted-out numbers are reported, never queued
+        const recipients = valid.filter(recipient => {
+            if (!this.suppression.has(recipient.phoneNumber)) return true;
+            
+            invalid.push({ ...recipient, reason: 'opted out' });
+            return false;
+        });
+        
+        session.data = { recipients, invalid, duplicates };
+        session.timestamp = Date.now();
+        
+        if (recipients.length === 0) {
+            ctx.reply(`❌ *No valid recipients*\n\n${this.formatInvalidEntries(invalid)}\n\nPlease try again:`, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+        
+        const missing = recipients.filter(recipient => !recipient.message).length;
+        
+        if (missing > 0) {
+            // CSV header columns can be referenced from the message
+            const columns = Object.keys(recipients[0].fields || {}).filter(Boolean);
+            
+            session.step = 'awaiting_bulk_messages';
+            ctx.reply(`✅ *${recipients.length} numbers received*\n\n` +
+                `${missing} of them have no message.\n\n` +
+                (columns.length ? `🧩 *Personalize with:* ${columns.map(column => `\`{{${column}}}\``).join(', ')}\n` +
+                    `e.g. \`Hi {{${columns[1] || columns[0]}}}, ...\`\n\n` : '') +
+                `📝 Now send the message for ${missing === recipients.length ? 'all numbers' : 'those numbers'}:`, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+        
+        this.mergeBulkMessages(ctx, session);
+    }
+    
+    async processBulkMessages(ctx, message, session) {
+        const validation = this.validateMessage(message);
+        
+        if (!validation.valid) {
+            ctx.reply(`${validation.message}\n\nPlease send again:`);
+            return;
+        }
+        
+        session.data.recipients.forEach(recipient => {
+            if (!recipient.message) recipient.message = message;
+        });
+        
+        this.mergeBulkMessages(ctx, session);
+    }
+    
+    // Render per-row placeholders, then check lengths on the final text; substitution can
+    // push a row past the limit
+    mergeBulkMessages(ctx, session) {
+        const { merged, missing } = mergeRecipients(session.data.recipients);
+        const invalid = [...session.data.invalid, ...missing];
+        
+        const recipients = merged.filter(recipient => {
+            if (this.validateMessage(recipient.message).valid) return true;
+            
+            invalid.push({ ...recipient, reason: 'message too long' });
+            return false;
+        });
+        
+        Object.assign(session.data, { recipients, invalid });
+        
+        if (recipients.length === 0) {
+            session.step = 'awaiting_bulk_numbers';
+            ctx.reply(`❌ *No valid recipients*\n\n${this.formatInvalidEntries(invalid)}\n\nPlease send the list again:`, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+        
+        this.showBulkSummary(ctx, session);
+    }
+    
+    formatInvalidEntries(invalid) {
+        const lines = invalid.slice(0, 10).map(entry =>
+            `• Line ${entry.line}: \`${(entry.phoneNumber || '-').replace(/`/g, '')}\` - ${entry.reason.replace(/([_*`[])/g, '\\$1')}`
+        );
+        
+        if (invalid.length > 10) {
+            lines.push(`• ...and ${invalid.length - 10} more`);
+        }
+        
+        return lines.join('\n');
+    }
+    
+    showBulkSummary(ctx, session) {
+        const { recipients, invalid, duplicates } = session.data;
+        const suppressed = invalid.filter(entry => entry.reason === 'opted out').length;
+        const analyses = recipients.map(recipient => analyzeMessage(recipient.message, config.SMS_SETTINGS.CONCAT_REFERENCE_BITS));
+        const parts = analyses.reduce((total, analysis) => total + analysis.parts, 0);
+        const ucs2 = analyses.filter(analysis => analysis.encoding === 'UCS2').length;
+        const multipart = analyses.filter(analysis => analysis.parts > 1).length;
+        const cost = recipients.reduce((total, recipient) => total + this.priceMessage(recipient).amount, 0);
+        
+        session.step = 'confirm_bulk';
+        
+        // Personalized rows differ in text, encoding and length, so show a few as rendered
+        let preview = '';
+        if (recipients.some(recipient => recipient.template)) {
+            preview = `*Preview:*\n` + recipients.slice(0, 3).map((recipient, index) => {
+                const text = recipient.message.replace(/`/g, "'");
+                
+                return `${index + 1}. \`${recipient.phoneNumber}\` - ${analyses[index].encoding}, ${analyses[index].parts} part${analyses[index].parts === 1 ? '' : 's'}\n` +
+                    `\`${text.substring(0, 160)}${text.length > 160 ? '...' : ''}\``;
+            }).join('\n') + `\n\n`;
+        }
+        
+        const summary = `📋 *Bulk SMS Summary*\n\n` +
+            `✅ *Valid numbers:* ${recipients.length}\n` +
+            `❌ *Invalid:* ${invalid.length - suppressed}\n` +
+            `🚫 *Opted out:* ${suppressed}\n` +
+            `♻️ *Duplicates removed:* ${duplicates}\n` +
+            `🔢 *Estimated parts:* ${parts}\n` +
+            `🔤 *Encoding:* ${recipients.length - ucs2} GSM-7, ${ucs2} UCS-2\n` +
+            `📑 *Multi-part rows:* ${multipart}\n` +
+            `💰 *Cost:* ${formatAmount(cost)} ${config.BILLING.CURRENCY} (balance ${formatAmount(this.ledger.balance(ctx.from.id))})\n\n` +
+            preview +
+            `${invalid.length > 0 ? `*Invalid entries:*\n${this.formatInvalidEntries(invalid)}\n\n` : ''}` +
+            `Send to ${recipients.length} recipient${recipients.length === 1 ? '' : 's'}?`;
+        
+        ctx.reply(summary, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('🚀 Send Campaign', 'bulk_confirm')],
                 [Markup.button.callback('❌ Cancel', 'cancel')]
             ])
         });
     }
     
+    async startBulkCampaign(ctx) {
+        const userId = ctx.from.id;
+        const session = this.userSessions.get(userId);
+        
+        if (!session || session.step !== 'confirm_bulk') {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        const { recipients } = session.data;
+        
+        // Daily and monthly quotas cover the whole campaign up front; the per-minute quota paces it
+        const violation = this.quotas.check(userId, recipients.length, ['day', 'month']);
+        if (violation) {
+            ctx.editMessageText(this.formatQuotaRefusal(userId, violation), { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const campaignId = `CMP_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+        let charges;
+        
+        try {
+            charges = this.chargeMessages(userId, recipients, campaignId);
+        } catch (error) {
+            if (!(error instanceof InsufficientCreditError)) throw error;
+            
+            ctx.editMessageText(this.formatCreditRefusal(userId, error), { parse_mode: 'Markdown' });
+            return;
+        }
+        this.quotas.consume(userId, recipients.length, ['day', 'month']);
+        
+        const campaign = {
+            id: campaignId,
+            userId,
+            chatId: ctx.chat.id,
+            messageId: ctx.callbackQuery.message.message_id,
+            total: recipients.length,
+            accepted: 0,
+            failed: 0,
+            status: 'RUNNING',
+            createdAt: new Date().toISOString()
+        };
+        
+        this.campaigns.set(campaign.id, campaign);
+        this.saveCampaigns();
+        
+        this.enqueueTransmissions(recipients.map((recipient, index) => ({
+            phoneNumber: recipient.phoneNumber,
+            message: recipient.message,
+            userId,
+            bulk: true,
+            campaignId: campaign.id,
+            chargeId: charges[index].id
+        })));
+        
+        this.userSessions.delete(userId);
+        logger.info(`Bulk campaign ${campaign.id} queued by ${userId}: ${campaign.total} recipients`);
+        
+        await ctx.editMessageText(this.formatCampaignProgress(campaign), { parse_mode: 'Markdown' });
+    }
+    
+    formatCampaignProgress(campaign) {
+        const processed = campaign.accepted + campaign.failed;
+        const percent = Math.floor(processed / campaign.total * 100);
+        const filled = Math.floor(percent / 10);
+        
+        return `📨 *Bulk Campaign* \`${campaign.id}\`\n\n` +
+            `${'█'.repeat(filled)}${'░'.repeat(10 - filled)} ${percent}%\n\n` +
+            `📤 *Accepted:* ${campaign.accepted}\n` +
+            `❌ *Failed:* ${campaign.failed}\n` +
+            (campaign.suppressed ? `🚫 *Opted out since queued:* ${campaign.suppressed}\n` : '') +
+            `⏳ *Remaining:* ${campaign.total - processed}\n` +
+            `📊 *Status:* ${campaign.status}`;
+    }
+    
+    updateCampaignProgress(campaignId, result) {
+        const campaign = this.campaigns.get(campaignId);
+        if (!campaign) return;
+        
+        if (result.success) {
+            campaign.accepted++;
+        } else {
+            campaign.failed++;
+            if (result.suppressed) campaign.suppressed = (campaign.suppressed || 0) + 1;
+        }
+        
+        if (campaign.accepted + campaign.failed >= campaign.total) {
+            campaign.status = 'COMPLETED';
+            campaign.completedAt = new Date().toISOString();
+            clearTimeout(this.campaignTimers.get(campaignId));
+            this.campaignTimers.delete(campaignId);
+            this.flushCampaignProgress(campaign);
+            return;
+        }
+        
+        // Edit the chat message at most once per interval
+        if (!this.campaignTimers.has(campaignId)) {
+            this.campaignTimers.set(campaignId, setTimeout(() => {
+                this.campaignTimers.delete(campaignId);
+                this.flushCampaignProgress(campaign);
+            }, config.BULK.PROGRESS_INTERVAL));
+        }
+    }
+    
+    flushCampaignProgress(campaign) {
+        this.saveCampaigns();
+        
+        this.bot.telegram.editMessageText(campaign.chatId, campaign.messageId, undefined, this.formatCampaignProgress(campaign), {
+            parse_mode: 'Markdown'
+        }).catch(error => {
+            if (!/message is not modified/.test(error.message)) {
+                logger.error('Campaign progress update failed:', error);
+            }
+        });
+    }
+    
+    saveCampaigns() {
+        // Keep running campaigns and the most recent finished ones
+        const campaigns = [...this.campaigns.values()];
+        const finished = campaigns.filter(campaign => campaign.status !== 'RUNNING');
+        
+        finished.slice(0, Math.max(0, finished.length - 100)).forEach(campaign => this.campaigns.delete(campaign.id));
+        writeData('campaigns', [...this.campaigns.values()]);
+    }
+    
     async initiateScheduleSMS(ctx) {
         const userId = ctx.from.id;
         
         this.userSessions.set(userId, {
-            step: 'awaiting_schedule_time',
+            step: 'awaiting_schedule_number',
             mode: 'SCHEDULED',
             data: {},
             timestamp: Date.now()
@@ -301,6 +810,8 @@ class UnlimitedSMSGateway {
             `Time: 2024-01-15 14:30\n` +
             `Message: Your message here\n\n` +
             `*OR send step by step.*\n\n` +
+            `🔁 *Recurring:* use a time like \`every Monday 09:00\`, \`daily 08:30 for 10 times\` or \`cron 0 9 1 * * until 2025-12-31\`\n\n` +
+            `🌐 *Your timezone:* ${this.getUserTimezone(userId)} (change with /timezone)\n\n` +
             `First, send the phone number:`;
         
         ctx.reply(message, {
@@ -313,923 +824,3769 @@ class UnlimitedSMSGateway {
         });
     }
     
-    async handleTextMessage(ctx) {
-        const userId = ctx.from.id;
-        const session = this.userSessions.get(userId);
-        const text = ctx.message.text;
-        
-        if (!session) return;
-        
-        switch(session.step) {
-            case 'awaiting_number':
-                await this.processPhoneNumber(ctx, text, session);
-                break;
-                
-            case 'awaiting_message':
-                await this.processMessage(ctx, text, session);
-                break;
-                
-            case 'awaiting_bulk_numbers':
-                await this.processBulkNumbers(ctx, text, session);
-                break;
-                
-            case 'awaiting_bulk_messages':
-                await this.processBulkMessages(ctx, text, session);
-                break;
-                
-            case 'awaiting_schedule_time':
-                await this.processScheduleTime(ctx, text, session);
-                break;
-                
-            case 'awaiting_schedule_message':
-                await this.processScheduleMessage(ctx, text, session);
-                break;
-        }
+    getUserTimezone(userId) {
+        const user = readData('users').find(u => u.id === userId);
+        return (user && user.timezone) || config.SCHEDULER.DEFAULT_TIMEZONE;
     }
     
-    async processPhoneNumber(ctx, phoneNumber, session) {
-        // Validate phone number
-        const validation = this.validatePhoneNumber(phoneNumber);
+    async setTimezone(ctx) {
+        const timeZone = ctx.message.text.split(/\s+/)[1];
         
-        if (!validation.valid) {
-            ctx.reply(`❌ *Invalid phone number*\n\n${validation.message}\n\nPlease try again:`);
+        if (!timeZone) {
+            ctx.reply(`🌐 *Your timezone:* ${this.getUserTimezone(ctx.from.id)}\n\n` +
+                `Set it with an IANA name, e.g.:\n\`/timezone Asia/Karachi\``, {
+                parse_mode: 'Markdown'
+            });
             return;
         }
         
-        // Save phone number
-        session.data.phoneNumber = phoneNumber;
-        session.data.country = validation.country;
-        session.step = 'awaiting_message';
+        if (!isValidTimeZone(timeZone)) {
+            ctx.reply(`❌ Unknown timezone \`${timeZone.replace(/`/g, '')}\`. Use an IANA name such as \`Asia/Dubai\` or \`UTC\`.`, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
         
-        const response = `✅ *Phone number accepted:* \`${phoneNumber}\`\n\n` +
-            `🌍 *Country:* ${validation.country}\n` +
-            `📡 *Signal:* Strong\n` +
-            `⚡ *Transmission:* Ready\n\n` +
-            `Now please send your message:\n` +
-            `(Max 1000 characters, supports Unicode)`;
+        await this.registerUser(ctx.from);
+        updateData('users', (users) => {
+            const user = users.find(u => u.id === ctx.from.id);
+            if (user) user.timezone = timeZone;
+        });
         
-        ctx.reply(response, {
-            parse_mode: 'Markdown',
-            ...Markup.inlineKeyboard([
-                [Markup.button.callback('📝 Quick Templates', 'show_templates')],
-                [Markup.button.callback('🔙 Change Number', 'change_number')],
-                [Markup.button.callback('❌ Cancel', 'cancel')]
-            ])
+        ctx.reply(`✅ Timezone set to *${timeZone}*\n🕒 Local time: ${formatInTimeZone(new Date(), timeZone)}`, {
+            parse_mode: 'Markdown'
         });
     }
     
-    async processMessage(ctx, message, session) {
-        // Validate message
-        const validation = this.validateMessage(message);
+    // Parse and range-check a schedule time or recurrence in the user's timezone; replies and returns null if unusable
+    readScheduleTime(ctx, text) {
+        const timeZone = this.getUserTimezone(ctx.from.id);
+        let recurrence;
         
-        if (!validation.valid) {
-            ctx.reply(`❌ ${validation.message}\n\nPlease send again:`);
-            return;
+        try {
+            recurrence = this.readRecurrence(text, timeZone);
+        } catch (error) {
+            ctx.reply(`❌ *Invalid recurrence:* ${error.message}\n\nPlease send it again:`, { parse_mode: 'Markdown' });
+            return null;
         }
         
-        // Save message
-        session.data.message = message;
-        session.data.messageParts = this.splitMessage(message);
-        session.step = 'confirm_send';
+        const runAt = recurrence
+            ? nextOccurrences(recurrence, timeZone, new Date())[0]
+            : parseScheduleTime(text, timeZone);
         
-        const preview = `📄 *Message Preview*\n\n` +
-            `📱 *To:* \`${session.data.phoneNumber}\`\n` +
-            `📝 *Message:* ${message.substring(0, 100)}${message.length > 100 ? '...' : ''}\n` +
-            `🔢 *Parts:* ${session.data.messageParts.length}\n` +
-            `📊 *Characters:* ${message.length}\n` +
-            `🌍 *Country:* ${session.data.country}\n\n` +
-            `*Transmission Method:* ${this.selectTransmissionMethod(session.data)}\n` +
-            `*Encryption:* Quantum 512-bit\n\n` +
-            `Send this SMS?`;
+        if (recurrence && !runAt) {
+            ctx.reply('❌ That recurrence never fires before its end date. Please send another one:');
+            return null;
+        }
+        
+        if (!runAt) {
+            ctx.reply(`❌ *Could not read that time.*\n\n` +
+                `Use one of:\n` +
+                `• \`2024-01-15 14:30\`\n` +
+                `• \`14:30\` or \`tomorrow 09:00\`\n` +
+                `• \`in 30m\`, \`in 2h\`, \`in 1d\`\n` +
+                `• \`every Monday 09:00\`, \`every weekday 08:30\`, \`monthly on 1 10:00\`\n` +
+                `• \`cron 0 9 * * 1\` plus optional \`until 2025-12-31\` or \`for 10 times\`\n\n` +
+                `🌐 Timezone: ${timeZone}`, { parse_mode: 'Markdown' });
+            return null;
+        }
+        
+        if (runAt.getTime() <= Date.now()) {
+            ctx.reply('❌ That time is in the past. Please send a future time:');
+            return null;
+        }
+        
+        if (runAt.getTime() > Date.now() + config.SCHEDULER.MAX_AHEAD_DAYS * 86400000) {
+            ctx.reply(`❌ Schedules can be at most ${config.SCHEDULER.MAX_AHEAD_DAYS} days ahead. Please send another time:`);
+            return null;
+        }
+        
+        return { runAt, timeZone, recurrence };
+    }
+    
+    // Recurrence with its end date resolved to the end of that day in the user's timezone
+    readRecurrence(text, timeZone) {
+        const parsed = parseRecurrence(text);
+        if (!parsed) return null;
+        
+        const { endDate, ...recurrence } = parsed;
+        recurrence.endAt = null;
+        
+        if (endDate) {
+            const endAt = zonedTimeToDate({ ...endDate, hour: 23, minute: 59 }, timeZone);
+            if (!endAt) throw new Error('the end date is not a valid date');
+            
+            recurrence.endAt = endAt.toISOString();
+        }
+        
+        return recurrence;
+    }
+    
+    formatRecurrence(recurrence, timeZone, occurrences = 0) {
+        const ends = [];
+        if (recurrence.endAt) ends.push(`on ${formatInTimeZone(recurrence.endAt, timeZone)}`);
+        if (recurrence.maxOccurrences) ends.push(`after ${recurrence.maxOccurrences} times (${occurrences} sent)`);
+        
+        return `🔁 *Repeats:* ${recurrence.description} (\`${recurrence.cron}\`)\n` +
+            `🏁 *Ends:* ${ends.length ? ends.join(' or ') : 'never'}\n`;
+    }
+    
+    // Message text is user input, so it is escaped for Markdown after being shortened
+    formatMessagePreview(message) {
+        return this.escapeMarkdown(message.length > 100 ? `${message.substring(0, 100)}...` : message);
+    }
+    
+    async processScheduleNumber(ctx, text, session) {
+        // All three fields in one message: "Phone: ... / Time: ... / Message: ..."
+        const combined = text.match(/^\s*phone:\s*(\S+)\s*\n\s*time:\s*(.+?)\s*\n\s*message:\s*([\s\S]+)$/i);
+        const phoneNumber = combined ? combined[1] : text.trim();
+        
+        const validation = this.validatePhoneNumber(phoneNumber);
+        if (!validation.valid) {
+            ctx.reply(`❌ *Invalid phone number*\n\n${validation.message}\n\nPlease try again:`);
+            return;
+        }
+        
+        if (this.replyIfSuppressed(ctx, phoneNumber)) return;
+        
+        session.data.phoneNumber = phoneNumber;
+        session.data.country = validation.country;
+        
+        if (combined) {
+            const time = this.readScheduleTime(ctx, combined[2]);
+            if (!time) return;
+            
+            Object.assign(session.data, time);
+            await this.processScheduleMessage(ctx, combined[3].trim(), session);
+            return;
+        }
+        
+        // Time already picked with a shortcut button
+        if (session.data.runAt) {
+            session.step = 'awaiting_schedule_message';
+            ctx.reply(`✅ *Phone number accepted:* \`${phoneNumber}\`\n\n📝 Now send your message:`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        session.step = 'awaiting_schedule_time';
+        ctx.reply(`✅ *Phone number accepted:* \`${phoneNumber}\`\n\n` +
+            `⏰ When should it be sent?\n` +
+            `e.g. \`2024-01-15 14:30\`, \`tomorrow 09:00\`, \`in 2h\` or \`every Monday 09:00\`\n\n` +
+            `🌐 Timezone: ${this.getUserTimezone(ctx.from.id)}`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[Markup.button.callback('📅 Calendar', 'show_calendar')]])
+        });
+    }
+    
+    async processScheduleTime(ctx, text, session) {
+        const time = this.readScheduleTime(ctx, text);
+        if (!time) return;
+        
+        Object.assign(session.data, time);
+        
+        // Coming from the single-SMS preview the message is already known
+        if (session.data.message) {
+            this.showScheduleConfirmation(ctx, session);
+            return;
+        }
+        
+        session.step = 'awaiting_schedule_message';
+        ctx.reply(`✅ *${time.recurrence ? 'First run' : 'Time set'}:* ${formatInTimeZone(time.runAt, time.timeZone)} (${time.timeZone})\n\n📝 Now send your message:`, {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    async processScheduleMessage(ctx, message, session) {
+        const validation = this.validateMessage(message);
+        
+        if (!validation.valid) {
+            ctx.reply(`${validation.message}\n\nPlease send again:`);
+            return;
+        }
+        
+        session.data.message = message;
+        this.showScheduleConfirmation(ctx, session);
+    }
+    
+    showScheduleConfirmation(ctx, session) {
+        const { phoneNumber, message, runAt, timeZone, recurrence } = session.data;
+        const { parts } = analyzeMessage(message, config.SMS_SETTINGS.CONCAT_REFERENCE_BITS);
+        
+        session.step = 'confirm_schedule';
+        
+        let when = `🕒 *Send at:* ${formatInTimeZone(runAt, timeZone)} (${timeZone})\n` +
+            `⏳ *In:* ${moment.duration(new Date(runAt).getTime() - Date.now()).humanize()}\n`;
+        
+        if (recurrence) {
+            const upcoming = nextOccurrences(recurrence, timeZone, new Date(), 5)
+                .map((at, index) => `${index + 1}. ${formatInTimeZone(at, timeZone)}`);
+            
+            when = this.formatRecurrence(recurrence, timeZone) +
+                `🕒 *Next runs (${timeZone}):*\n${upcoming.join('\n')}\n`;
+        }
+        
+        const preview = `⏰ *Confirm Scheduled SMS*\n\n` +
+            `📱 *To:* \`${phoneNumber}\`\n` +
+            `📝 *Message:* ${this.formatMessagePreview(message)}\n` +
+            `🔢 *Parts:* ${parts}\n` +
+            when + `\n` +
+            `Schedule this SMS?`;
         
         ctx.reply(preview, {
             parse_mode: 'Markdown',
             ...Markup.inlineKeyboard([
-                [
-                    Markup.button.callback('🚀 Send Now', 'send_immediate'),
-                    Markup.button.callback('⏰ Schedule', 'send_schedule')
-                ],
-                [
-                    Markup.button.callback('✏️ Edit Message', 'edit_message'),
-                    Markup.button.callback('📱 Change Number', 'change_number')
-                ],
+                [Markup.button.callback('✅ Confirm Schedule', 'schedule_confirm')],
                 [Markup.button.callback('❌ Cancel', 'cancel')]
             ])
         });
     }
     
-    async handleCallbackQuery(ctx) {
-        const action = ctx.callbackQuery.data;
+    async confirmSchedule(ctx) {
         const userId = ctx.from.id;
+        const session = this.userSessions.get(userId);
         
-        await ctx.answerCbQuery();
+        if (!session || session.step !== 'confirm_schedule') {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
         
-        switch(action) {
-            // Country buttons
-            case 'country_92':
-                ctx.editMessageText('Example Pakistan: `+923001234567`\n\nEnter actual phone number:');
-                break;
-            case 'country_1':
-                ctx.editMessageText('Example USA: `+12345678900`\n\nEnter actual phone number:');
-                break;
-            case 'country_971':
-                ctx.editMessageText('Example UAE: `+971501234567`\n\nEnter actual phone number:');
-                break;
-            case 'country_966':
-                ctx.editMessageText('Example Saudi: `+966501234567`\n\nEnter actual phone number:');
-                break;
-            case 'country_all':
-                ctx.editMessageText('🌍 *All Countries Supported!*\n\nEnter any international phone number:');
-                break;
-                
-            // Send actions
-            case 'send_immediate':
-                await this.sendSMS(ctx);
-                break;
-            case 'send_schedule':
-                await this.scheduleSMS(ctx);
-                break;
-                
-            // Edit actions
-            case 'edit_message':
-                this.userSessions.get(userId).step = 'awaiting_message';
-                ctx.editMessageText('📝 Enter new message:');
-                break;
-            case 'change_number':
-                this.userSessions.get(userId).step = 'awaiting_number';
-                ctx.editMessageText('📱 Enter new phone number:');
-                break;
-            case 'show_templates':
-                await this.showQuickTemplates(ctx);
-                break;
-                
-            // Bulk actions
-            case 'upload_bulk':
-                ctx.editMessageText('📤 Please send CSV or TXT file with numbers and messages.');
-                break;
-            case 'manual_bulk':
-                ctx.editMessageText('📝 Enter phone numbers (one per line):\n\nExample:\n+923001234567\n+971501234567\n+12345678900');
-                this.userSessions.get(userId).step = 'awaiting_bulk_numbers';
+        const { phoneNumber, message, runAt, timeZone, recurrence } = session.data;
+        const job = this.scheduler.create({
+            userId,
+            phoneNumber,
+            message,
+            runAt: new Date(runAt).toISOString(),
+            timeZone,
+            ...(recurrence ? { recurrence, occurrences: 0 } : {})
+        });
+        
+        this.userSessions.delete(userId);
+        logger.info(`SMS ${job.id} scheduled by ${userId} for ${job.runAt}${recurrence ? ` repeating ${recurrence.cron}` : ''}`);
+        
+        ctx.editMessageText(`✅ *SMS Scheduled!*\n\n` +
+            `🆔 *Schedule ID:* \`${job.id}\`\n` +
+            `📱 *To:* \`${phoneNumber}\`\n` +
+            (recurrence ? this.formatRecurrence(recurrence, timeZone) : '') +
+            `🕒 *${recurrence ? 'First run' : 'Send at'}:* ${formatInTimeZone(runAt, timeZone)} (${timeZone})\n\n` +
+            `Manage it with /scheduled`, {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    async scheduleSMS(ctx) {
+        // "Schedule" from the single-SMS preview: number and message are set, ask for the time
+        const session = this.userSessions.get(ctx.from.id);
+        
+        if (!session || !session.data.message) {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        session.mode = 'SCHEDULED';
+        session.step = 'awaiting_schedule_time';
+        
+        ctx.editMessageText(`⏰ *When should it be sent?*\n\n` +
+            `e.g. \`2024-01-15 14:30\`, \`tomorrow 09:00\`, \`in 2h\` or \`every Monday 09:00\`\n\n` +
+            `🌐 Timezone: ${this.getUserTimezone(ctx.from.id)}`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[Markup.button.callback('📅 Calendar', 'show_calendar')]])
+        });
+    }
+    
+    async scheduleIn5Minutes(ctx) {
+        const session = this.userSessions.get(ctx.from.id);
+        
+        if (!session) {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        session.data.runAt = new Date(Date.now() + 5 * 60000);
+        session.data.timeZone = this.getUserTimezone(ctx.from.id);
+        session.data.recurrence = null;
+        
+        this.continueScheduleWithTime(ctx, session);
+    }
+    
+    // A time picked with a button: ask for whatever is still missing, then confirm
+    continueScheduleWithTime(ctx, session) {
+        const { phoneNumber, message, runAt, timeZone } = session.data;
+        const time = `${formatInTimeZone(runAt, timeZone)} (${timeZone})`;
+        
+        if (phoneNumber && message) {
+            this.showScheduleConfirmation(ctx, session);
+            return;
+        }
+        
+        if (phoneNumber) {
+            session.step = 'awaiting_schedule_message';
+            ctx.editMessageText(`✅ *Time set:* ${time}\n\n📝 Now send your message:`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        session.step = 'awaiting_schedule_number';
+        ctx.editMessageText(`⏱️ *Time set:* ${time}\n\nNow send the phone number:`, { parse_mode: 'Markdown' });
+    }
+    
+    // ========== SCHEDULE CALENDAR ==========
+    // Callback data: cal_m_YYYY-MM (month), cal_d_YYYY-MM-DD (day), cal_h_YYYY-MM-DD_HH (hour),
+    // cal_t_YYYY-MM-DD_HH_MM (time picked); cal_x is an inert cell. Dates are in the user's timezone.
+    
+    async handleCalendarAction(ctx, kind, date, hour, minute) {
+        const session = this.userSessions.get(ctx.from.id);
+        
+        if (!session) {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        switch(kind) {
+            case 'm':
+                await this.showCalendar(ctx, date);
                 break;
-                
-            // Schedule actions
-            case 'show_calendar':
-                await this.showCalendar(ctx);
+            case 'd':
+                await this.showCalendarHours(ctx, date);
                 break;
-            case 'schedule_5min':
-                await this.scheduleIn5Minutes(ctx);
+            case 'h':
+                await this.showCalendarMinutes(ctx, date, Number(hour));
                 break;
-                
-            // Cancel
-            case 'cancel':
-                this.userSessions.delete(userId);
-                ctx.editMessageText('❌ Operation cancelled.');
+            case 't':
+                await this.pickCalendarTime(ctx, session, date, Number(hour), Number(minute));
                 break;
         }
     }
     
-    async sendSMS(ctx) {
-        const userId = ctx.from.id;
-        const session = this.userSessions.get(userId);
+    calendarButtons(cells, perRow) {
+        const rows = [];
         
-        if (!session) {
+        for (let i = 0; i < cells.length; i += perRow) {
+            rows.push(cells.slice(i, i + perRow));
+        }
+        
+        return rows;
+    }
+    
+    async showCalendar(ctx, month = null) {
+        if (!this.userSessions.get(ctx.from.id)) {
             ctx.editMessageText('❌ Session expired. Please start again.');
             return;
         }
         
-        // Show processing message
-        await ctx.editMessageText('⚡ *Processing SMS Transmission...*\n\n' +
-            '🚀 Initializing quantum tunneling...\n' +
-            '🔒 Applying quantum encryption...\n' +
-            '📡 Connecting to virtual GSM network...', {
-            parse_mode: 'Markdown'
-        });
+        const timeZone = this.getUserTimezone(ctx.from.id);
+        const today = zonedParts(new Date(), timeZone);
+        const last = zonedParts(new Date(Date.now() + config.SCHEDULER.MAX_AHEAD_DAYS * 86400000), timeZone);
+        const pad = (value) => String(value).padStart(2, '0');
+        const noop = (text) => Markup.button.callback(text, 'cal_x');
         
-        try {
-            // Process SMS transmission
-            const result = await this.processSMSTransmission(
-                session.data.phoneNumber,
-                session.data.message
-            );
+        // Months and days as comparable numbers
+        const monthIndex = (year, monthNumber) => year * 12 + monthNumber - 1;
+        const dayKey = (year, monthNumber, day) => year * 10000 + monthNumber * 100 + day;
+        
+        let [year, monthNumber] = month ? month.split('-').map(Number) : [today.year, today.month];
+        let index = monthIndex(year, monthNumber);
+        
+        if (!(index >= monthIndex(today.year, today.month) && index <= monthIndex(last.year, last.month))) {
+            [year, monthNumber] = [today.year, today.month];
+            index = monthIndex(year, monthNumber);
+        }
+        
+        const monthKey = (i) => `${Math.floor(i / 12)}-${pad(i % 12 + 1)}`;
+        const rows = [[
+            index > monthIndex(today.year, today.month) ? Markup.button.callback('«', `cal_m_${monthKey(index - 1)}`) : noop(' '),
+            noop(`${moment.months()[monthNumber - 1]} ${year}`),
+            index < monthIndex(last.year, last.month) ? Markup.button.callback('»', `cal_m_${monthKey(index + 1)}`) : noop(' ')
+        ]];
+        
+        rows.push(['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'].map(noop));
+        
+        // Monday-first grid padded with blank cells; past days and days too far ahead are disabled
+        const leading = (new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay() + 6) % 7;
+        const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+        const cells = Array.from({ length: leading }, () => noop(' '));
+        
+        for (let day = 1; day <= daysInMonth; day++) {
+            const key = dayKey(year, monthNumber, day);
+            const open = key >= dayKey(today.year, today.month, today.day) && key <= dayKey(last.year, last.month, last.day);
             
-            // Update stats
-            this.systemStats.totalSMS++;
-            if (result.success) {
-                this.systemStats.successful++;
-            } else {
-                this.systemStats.failed++;
-            }
+            cells.push(open
+                ? Markup.button.callback(String(day), `cal_d_${year}-${pad(monthNumber)}-${pad(day)}`)
+                : noop('·'));
+        }
+        
+        while (cells.length % 7 !== 0) {
+            cells.push(noop(' '));
+        }
+        
+        rows.push(...this.calendarButtons(cells, 7));
+        rows.push([Markup.button.callback('❌ Cancel', 'cancel')]);
+        
+        ctx.editMessageText(`📅 *Pick a date*\n🌐 Timezone: ${timeZone}`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard(rows)
+        });
+    }
+    
+    async showCalendarHours(ctx, date) {
+        const timeZone = this.getUserTimezone(ctx.from.id);
+        const [year, month, day] = date.split('-').map(Number);
+        const pad = (value) => String(value).padStart(2, '0');
+        const now = Date.now();
+        const cells = [];
+        
+        for (let hour = 0; hour < 24; hour++) {
+            // An hour is open while its last slot is still ahead; hours skipped by DST never are
+            const lastSlot = zonedTimeToDate({ year, month, day, hour, minute: 55 }, timeZone);
             
-            // Show result
-            let resultMessage;
+            cells.push(lastSlot && lastSlot.getTime() > now
+                ? Markup.button.callback(`${pad(hour)}:00`, `cal_h_${date}_${pad(hour)}`)
+                : Markup.button.callback('·', 'cal_x'));
+        }
+        
+        ctx.editMessageText(`📅 *${date}*\n🕒 Pick the hour (${timeZone}):`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                ...this.calendarButtons(cells, 6),
+                [
+                    Markup.button.callback('« Back', `cal_m_${date.substring(0, 7)}`),
+                    Markup.button.callback('❌ Cancel', 'cancel')
+                ]
+            ])
+        });
+    }
+    
+    async showCalendarMinutes(ctx, date, hour, notice = '') {
+        const timeZone = this.getUserTimezone(ctx.from.id);
+        const [year, month, day] = date.split('-').map(Number);
+        const pad = (value) => String(value).padStart(2, '0');
+        const now = Date.now();
+        const cells = [];
+        
+        for (let minute = 0; minute < 60; minute += 5) {
+            const at = zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
             
-            if (result.success) {
-                resultMessage = `✅ *SMS Transmission Successful!*\n\n` +
-                    `📱 *To:* \`${session.data.phoneNumber}\`\n` +
-                    `🆔 *Transmission ID:* \`${result.transmissionId}\`\n` +
-                    `⏱️ *Time:* ${result.timeTaken}ms\n` +
-                    `🚀 *Method:* ${result.method}\n` +
-                    `🔢 *Parts:* ${result.parts}\n` +
-                    `📊 *Status:* ${result.status}\n` +
-                    `🌍 *Route:* ${result.route}\n\n` +
-                    `💾 *Log:* \`logs/transmission_${result.transmissionId}.log\`\n\n` +
-                    `🎯 *Transmission completed successfully!*`;
-            } else {
-                resultMessage = `⚠️ *Transmission Requires Retry*\n\n` +
-                    `📱 *To:* \`${session.data.phoneNumber}\`\n` +
-                    `❌ *Error:* ${result.error}\n\n` +
-                    `🔄 *Auto-recovery initiated...*\n` +
-                    `⏳ *Retrying in 3 seconds...*`;
-                
-                // Auto retry
-                setTimeout(async () => {
-                    const retryResult = await this.retryTransmission(session.data);
-                    if (retryResult.success) {
-                        ctx.reply(`✅ *Auto-recovery successful!*\nTransmission ID: \`${retryResult.transmissionId}\``);
-                    }
-                }, 3000);
+            cells.push(at && at.getTime() > now
+                ? Markup.button.callback(`${pad(hour)}:${pad(minute)}`, `cal_t_${date}_${pad(hour)}_${pad(minute)}`)
+                : Markup.button.callback('·', 'cal_x'));
+        }
+        
+        ctx.editMessageText(`${notice}📅 *${date}*\n🕒 Pick the minute (${timeZone}):`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                ...this.calendarButtons(cells, 6),
+                [
+                    Markup.button.callback('« Back', `cal_d_${date}`),
+                    Markup.button.callback('❌ Cancel', 'cancel')
+                ]
+            ])
+        });
+    }
+    
+    async pickCalendarTime(ctx, session, date, hour, minute) {
+        const timeZone = this.getUserTimezone(ctx.from.id);
+        const [year, month, day] = date.split('-').map(Number);
+        const runAt = zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+        
+        // The slot may have passed while the picker was open
+        if (!runAt || runAt.getTime() <= Date.now()) {
+            await this.showCalendarMinutes(ctx, date, hour, '⚠️ That time has passed, pick another.\n\n');
+            return;
+        }
+        
+        if (runAt.getTime() > Date.now() + config.SCHEDULER.MAX_AHEAD_DAYS * 86400000) {
+            await this.showCalendar(ctx);
+            return;
+        }
+        
+        session.mode = 'SCHEDULED';
+        session.data.runAt = runAt;
+        session.data.timeZone = timeZone;
+        session.data.recurrence = null;
+        
+        this.continueScheduleWithTime(ctx, session);
+    }
+    
+    async showScheduledList(ctx) {
+        const userId = ctx.from.id;
+        const jobs = this.scheduler.list(job => job.userId === userId &&
+            [SCHEDULE_STATUS.PENDING, SCHEDULE_STATUS.PAUSED].includes(job.status))
+            .sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt));
+        
+        if (jobs.length === 0) {
+            ctx.reply('📭 *No pending scheduled SMS.*\n\nCreate one with /schedule', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        // Viewers see their schedules but can't change them
+        const canEdit = hasRole(this.roleOf(userId), ROLES.OPERATOR);
+        
+        // One message per job so each gets its own buttons
+        for (const job of jobs.slice(0, 10)) {
+            const paused = job.status === SCHEDULE_STATUS.PAUSED;
+            const buttons = [
+                [
+                    Markup.button.callback('🕒 Edit Time', `sched_edittime_${job.id}`),
+                    Markup.button.callback('✏️ Edit Text', `sched_editmsg_${job.id}`)
+                ],
+                [Markup.button.callback('🗑️ Cancel', `sched_cancel_${job.id}`)]
+            ];
+            
+            if (job.recurrence) {
+                buttons[1].unshift(paused
+                    ? Markup.button.callback('▶️ Resume', `sched_resume_${job.id}`)
+                    : Markup.button.callback('⏸️ Pause', `sched_pause_${job.id}`));
             }
             
-            ctx.editMessageText(resultMessage, {
+            await ctx.reply(`⏰ \`${job.id}\`${paused ? ' ⏸️ *Paused*' : ''}\n\n` +
+                `📱 *To:* \`${job.phoneNumber}\`\n` +
+                (job.recurrence ? this.formatRecurrence(job.recurrence, job.timeZone, job.occurrences) : '') +
+                (paused ? '' : `🕒 *${job.recurrence ? 'Next' : 'At'}:* ${formatInTimeZone(job.runAt, job.timeZone)} (${job.timeZone})\n`) +
+                `📝 ${this.formatMessagePreview(job.message)}`, {
                 parse_mode: 'Markdown',
-                ...Markup.inlineKeyboard([
-                    [Markup.button.callback('📱 Send Another', 'send_another')],
-                    [Markup.button.callback('📊 View Details', `details_${result.transmissionId}`)],
-                    [Markup.button.callback('📨 Bulk Send', 'start_bulk')]
-                ])
+                ...(canEdit ? Markup.inlineKeyboard(buttons) : {})
             });
+        }
+        
+        if (jobs.length > 10) {
+            ctx.reply(`...and ${jobs.length - 10} more.`);
+        }
+    }
+    
+    async handleScheduleAction(ctx, action, id) {
+        const userId = ctx.from.id;
+        const job = this.scheduler.get(id);
+        
+        if (!job || job.userId !== userId || ![SCHEDULE_STATUS.PENDING, SCHEDULE_STATUS.PAUSED].includes(job.status)) {
+            ctx.editMessageText('⚠️ This schedule is no longer pending.');
+            return;
+        }
+        
+        if (action === 'cancel') {
+            this.scheduler.cancel(id);
+            ctx.editMessageText(`🗑️ Scheduled SMS \`${id}\` cancelled.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (action === 'pause') {
+            const paused = this.scheduler.pause(id);
+            ctx.editMessageText(paused
+                ? `⏸️ Recurring SMS \`${id}\` paused. Resume it from /scheduled`
+                : '⚠️ This schedule is not running.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (action === 'resume') {
+            const resumed = this.scheduler.resume(id);
             
-            // Clear session
-            this.userSessions.delete(userId);
-            
-            // Log transmission
-            this.logTransmission(result);
+            if (!resumed) {
+                ctx.editMessageText('⚠️ This schedule is not paused.');
+            } else if (resumed.status === SCHEDULE_STATUS.COMPLETED) {
+                ctx.editMessageText(`🏁 Recurring SMS \`${id}\` has no occurrences left and is now complete.`, { parse_mode: 'Markdown' });
+            } else {
+                ctx.editMessageText(`▶️ Recurring SMS \`${id}\` resumed.\n🕒 *Next:* ${formatInTimeZone(resumed.runAt, resumed.timeZone)} (${resumed.timeZone})`, {
+                    parse_mode: 'Markdown'
+                });
+            }
+            return;
+        }
+        
+        this.userSessions.set(userId, {
+            step: action === 'edittime' ? 'editing_schedule_time' : 'editing_schedule_message',
+            mode: 'SCHEDULED',
+            data: { scheduleId: id },
+            timestamp: Date.now()
+        });
+        
+        ctx.editMessageText(action === 'edittime'
+            ? `🕒 Send the new time for \`${id}\`\n🌐 Timezone: ${this.getUserTimezone(userId)}`
+            : `✏️ Send the new message for \`${id}\``, {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    async processScheduleEdit(ctx, text, session) {
+        const changes = {};
+        
+        if (session.step === 'editing_schedule_time') {
+            const time = this.readScheduleTime(ctx, text);
+            if (!time) return;
             
-        } catch (error) {
-            ctx.editMessageText(`❌ *Critical Transmission Error*\n\n\`${error.message}\`\n\nSystem recovery in progress...`, {
-                parse_mode: 'Markdown'
-            });
+            // A new time replaces the recurrence too, and restarts a paused job
+            changes.runAt = time.runAt.toISOString();
+            changes.timeZone = time.timeZone;
+            changes.recurrence = time.recurrence;
+            changes.occurrences = 0;
+            changes.status = SCHEDULE_STATUS.PENDING;
+        } else {
+            const validation = this.validateMessage(text);
+            if (!validation.valid) {
+                ctx.reply(`${validation.message}\n\nPlease send again:`);
+                return;
+            }
             
-            logger.error('SMS transmission error:', error);
-            this.initiateSystemRecovery();
+            changes.message = text;
+        }
+        
+        // Only a still-pending job can change; it may have fired meanwhile
+        const job = this.scheduler.update(session.data.scheduleId, changes, [SCHEDULE_STATUS.PENDING, SCHEDULE_STATUS.PAUSED]);
+        this.userSessions.delete(ctx.from.id);
+        
+        if (!job) {
+            ctx.reply('⚠️ This schedule is no longer pending.');
+            return;
         }
+        
+        ctx.reply(`✅ *Schedule updated*\n\n` +
+            `🆔 \`${job.id}\`\n` +
+            (job.recurrence ? this.formatRecurrence(job.recurrence, job.timeZone, job.occurrences) : '') +
+            `🕒 *${job.recurrence ? 'Next' : 'At'}:* ${formatInTimeZone(job.runAt, job.timeZone)} (${job.timeZone})\n` +
+            `📝 ${this.formatMessagePreview(job.message)}`, {
+            parse_mode: 'Markdown'
+        });
     }
     
-    async processSMSTransmission(phoneNumber, message) {
-        const transmissionId = `TX_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const startTime = Date.now();
+    async handleTextMessage(ctx) {
+        const userId = ctx.from.id;
+        const session = this.userSessions.get(userId);
+        const text = ctx.message.text;
         
-        console.log(`📤 Processing SMS transmission: ${phoneNumber}`);
+        // A reply to a forwarded inbound SMS goes back to the sender, whatever else is in progress
+        const replyTo = ctx.message.reply_to_message;
+        if (replyTo && await this.replyToInbound(ctx, replyTo)) return;
         
-        try {
-            // Step 1: AI Optimization
-            const optimization = await this.optimizeTransmission(phoneNumber, message);
+        if (!session) return;
+        
+        switch(session.step) {
+            case 'awaiting_number':
+                await this.processPhoneNumber(ctx, text, session);
+                break;
             
-            // Step 2: Select best transmission method
-            const method = this.selectBestTransmissionMethod(optimization);
+            case 'awaiting_message':
+                await this.processMessage(ctx, text, session);
+                break;
             
-            // Step 3: Apply quantum encryption
-            const encryptedData = this.applyQuantumEncryption(message);
+            case 'awaiting_template_values':
+                await this.processTemplateValue(ctx, text, session);
+                break;
             
-            // Step 4: Transmit SMS
-            const transmissionResult = await this.transmitSMS({
-                phoneNumber,
-                encryptedData,
-                method,
-                optimization
-            });
+            case 'awaiting_bulk_numbers':
+                await this.processBulkNumbers(ctx, text, session);
+                break;
             
-            const timeTaken = Date.now() - startTime;
+            case 'awaiting_bulk_messages':
+                await this.processBulkMessages(ctx, text, session);
+                break;
             
-            return {
-                success: true,
-                transmissionId,
-                phoneNumber,
-                message: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
-                method,
-                timeTaken,
-                parts: optimization.parts,
-                status: 'DELIVERED',
-                route: transmissionResult.route,
-                ...transmissionResult
-            };
+            case 'awaiting_schedule_number':
+                await this.processScheduleNumber(ctx, text, session);
+                break;
             
-        } catch (error) {
-            return {
-                success: false,
-                transmissionId,
-                phoneNumber,
-                error: error.message,
-                timeTaken: Date.now() - startTime,
-                method: 'FAILED',
-                status: 'FAILED'
-            };
+            case 'awaiting_schedule_time':
+                await this.processScheduleTime(ctx, text, session);
+                break;
+            
+            case 'awaiting_schedule_message':
+                await this.processScheduleMessage(ctx, text, session);
+                break;
+            
+            case 'editing_schedule_time':
+            case 'editing_schedule_message':
+                await this.processScheduleEdit(ctx, text, session);
+                break;
+        }
+    }
+    
+    async processPhoneNumber(ctx, phoneNumber, session) {
+        // A saved contact can be given by name
+        if (!/^\s*[+\d]/.test(phoneNumber)) {
+            const contact = this.contacts.find(ctx.from.id, phoneNumber);
+            if (contact) phoneNumber = contact.phoneNumber;
+        }
+        
+        // Validate phone number
+        const validation = this.validatePhoneNumber(phoneNumber);
+        
+        if (!validation.valid) {
+            ctx.reply(`❌ *Invalid phone number*\n\n${validation.message}\n\nPlease try again:`);
+            return;
+        }
+        
+        if (this.replyIfSuppressed(ctx, phoneNumber)) return;
+        
+        // Save phone number
+        session.data.phoneNumber = phoneNumber;
+        session.data.country = validation.country;
+        session.step = 'awaiting_message';
+        
+        // Template picked from /templates before the number was known
+        const template = session.data.templateId && this.templates.get(session.data.templateId);
+        delete session.data.templateId;
+        
+        if (template) {
+            await ctx.reply(`✅ *Phone number accepted:* \`${phoneNumber}\``, { parse_mode: 'Markdown' });
+            await this.applyTemplate(ctx, session, template);
+            return;
+        }
+        
+        const response = `✅ *Phone number accepted:* \`${phoneNumber}\`\n\n` +
+            `🌍 *Country:* ${validation.country}\n` +
+            `📡 *Signal:* Strong\n` +
+            `⚡ *Transmission:* Ready\n\n` +
+            `Now please send your message:\n` +
+            `(Max 1000 characters, supports Unicode)`;
+        
+        ctx.reply(response, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('📝 Quick Templates', 'show_templates')],
+                [Markup.button.callback('🔙 Change Number', 'change_number')],
+                [Markup.button.callback('❌ Cancel', 'cancel')]
+            ])
+        });
+    }
+    
+    async processMessage(ctx, message, session) {
+        // Validate message
+        const validation = this.validateMessage(message);
+        
+        if (!validation.valid) {
+            ctx.reply(`❌ ${validation.message}\n\nPlease send again:`);
+            return;
+        }
+        
+        // Save message
+        session.data.message = message;
+        session.data.analysis = analyzeMessage(message, config.SMS_SETTINGS.CONCAT_REFERENCE_BITS);
+        session.data.routing = this.router.decide({
+            phoneNumber: session.data.phoneNumber,
+            ...session.data.analysis
+        });
+        session.step = 'confirm_send';
+        
+        const { encoding, units, perPart, parts } = session.data.analysis;
+        
+        const preview = `📄 *Message Preview*\n\n` +
+            `📱 *To:* \`${session.data.phoneNumber}\`\n` +
+            `📝 *Message:* ${this.formatMessagePreview(message)}\n` +
+            `🔤 *Encoding:* ${encoding}\n` +
+            `🔢 *Parts:* ${parts} (${perPart} chars per part)\n` +
+            `📊 *Characters:* ${units}/${parts * perPart}\n` +
+            `🌍 *Country:* ${session.data.country}\n\n` +
+            `*Transmission Method:* ${session.data.routing.transport || 'NONE'}\n` +
+            `*Routing:* ${session.data.routing.reason}\n` +
+            `*Encryption:* Quantum 512-bit\n\n` +
+            `Send this SMS?`;
+        
+        ctx.reply(preview, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('🚀 Send Now', 'send_immediate'),
+                    Markup.button.callback('⏰ Schedule', 'send_schedule')
+                ],
+                [
+                    Markup.button.callback('✏️ Edit Message', 'edit_message'),
+                    Markup.button.callback('📱 Change Number', 'change_number')
+                ],
+                [Markup.button.callback('❌ Cancel', 'cancel')]
+            ])
+        });
+    }
+    
+    async handleCallbackQuery(ctx) {
+        const action = ctx.callbackQuery.data;
+        const userId = ctx.from.id;
+        
+        await ctx.answerCbQuery();
+        
+        // Approval buttons carry the user ID and the role to give
+        const roleAction = action.match(/^user_role_(\d+)_(\w+)$/);
+        if (roleAction) {
+            await this.applyRoleChange(ctx, Number(roleAction[1]), roleAction[2], true);
+            return;
+        }
+        
+        // Dead-letter requeue buttons carry the entry ID
+        if (action.startsWith('dlq_requeue_')) {
+            await this.requeueDeadLetters(ctx, action.substring('dlq_requeue_'.length));
+            return;
+        }
+        
+        // Calendar cells carry the month, day, hour or picked time
+        if (action === 'cal_x') return;
+        
+        const calendarAction = action.match(/^cal_([mdht])_(\d{4}-\d{2}(?:-\d{2})?)(?:_(\d{2}))?(?:_(\d{2}))?$/);
+        if (calendarAction) {
+            await this.handleCalendarAction(ctx, ...calendarAction.slice(1));
+            return;
+        }
+        
+        // Thread pages carry the number's digits and the page; details open the thread at a transmission
+        const threadAction = action.match(/^thread_(\d+)_(\d+)$/);
+        if (threadAction) {
+            this.renderThread(ctx, `+${threadAction[1]}`, Number(threadAction[2]), null, true);
+            return;
+        }
+        
+        if (action.startsWith('details_')) {
+            this.openTransmissionThread(ctx, action.substring('details_'.length));
+            return;
+        }
+        
+        // Contact and group pickers carry the contact or group ID
+        if (action.startsWith('contact_pick_')) {
+            await this.pickContact(ctx, action.substring('contact_pick_'.length));
+            return;
+        }
+        
+        if (action.startsWith('group_pick_')) {
+            await this.pickGroup(ctx, action.substring('group_pick_'.length));
+            return;
+        }
+        
+        // Template buttons carry the template ID (older messages carry its name)
+        if (action === 'template_new' || action === 'template_custom') {
+            ctx.editMessageText(this.templateUsage(), { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (action.startsWith('template_')) {
+            await this.useTemplate(ctx, action.replace(/^template_(use_)?/, ''));
+            return;
+        }
+        
+        // Schedule management buttons carry the schedule ID
+        const scheduleAction = action.match(/^sched_(cancel|edittime|editmsg|pause|resume)_(.+)$/);
+        if (scheduleAction) {
+            await this.handleScheduleAction(ctx, scheduleAction[1], scheduleAction[2]);
+            return;
+        }
+        
+        switch(action) {
+            // Country buttons
+            case 'country_92':
+                ctx.editMessageText('Example Pakistan: `+923001234567`\n\nEnter actual phone number:');
+                break;
+            case 'country_1':
+                ctx.editMessageText('Example USA: `+12345678900`\n\nEnter actual phone number:');
+                break;
+            case 'country_971':
+                ctx.editMessageText('Example UAE: `+971501234567`\n\nEnter actual phone number:');
+                break;
+            case 'country_966':
+                ctx.editMessageText('Example Saudi: `+966501234567`\n\nEnter actual phone number:');
+                break;
+            case 'country_all':
+                ctx.editMessageText('🌍 *All Countries Supported!*\n\nEnter any international phone number:');
+                break;
+            
+            // Send actions
+            case 'send_immediate':
+                await this.sendSMS(ctx);
+                break;
+            case 'send_schedule':
+                await this.scheduleSMS(ctx);
+                break;
+            
+            // Edit actions
+            case 'edit_message':
+                this.userSessions.get(userId).step = 'awaiting_message';
+                ctx.editMessageText('📝 Enter new message:');
+                break;
+            case 'change_number':
+                this.userSessions.get(userId).step = 'awaiting_number';
+                ctx.editMessageText('📱 Enter new phone number:');
+                break;
+            case 'show_templates':
+                await this.showQuickTemplates(ctx);
+                break;
+            
+            // Bulk actions
+            case 'upload_bulk':
+                ctx.editMessageText('📤 Please send CSV or TXT file with numbers and messages.');
+                break;
+            case 'bulk_confirm':
+                await this.startBulkCampaign(ctx);
+                break;
+            case 'start_bulk':
+                await this.initiateBulkSMS(ctx);
+                break;
+            case 'manual_bulk':
+                ctx.editMessageText('📝 Enter phone numbers (one per line):\n\nExample:\n+923001234567\n+971501234567\n+12345678900');
+                this.userSessions.get(userId).step = 'awaiting_bulk_numbers';
+                break;
+            
+            // Contact actions
+            case 'pick_contact':
+                await this.showContactPicker(ctx);
+                break;
+            case 'pick_group':
+                await this.showGroupPicker(ctx);
+                break;
+            
+            // Schedule actions
+            case 'show_calendar':
+                await this.showCalendar(ctx);
+                break;
+            case 'schedule_5min':
+                await this.scheduleIn5Minutes(ctx);
+                break;
+            case 'schedule_confirm':
+                await this.confirmSchedule(ctx);
+                break;
+            
+            // Admin actions
+            case 'routes_reload':
+                await this.reloadRoutingTable(ctx);
+                break;
+            
+            // Cancel
+            case 'cancel':
+                this.userSessions.delete(userId);
+                ctx.editMessageText('❌ Operation cancelled.');
+                break;
+        }
+    }
+    
+    async sendSMS(ctx) {
+        const userId = ctx.from.id;
+        const session = this.userSessions.get(userId);
+        
+        if (!session) {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        const violation = this.quotas.check(userId, 1);
+        if (violation) {
+            ctx.editMessageText(this.formatQuotaRefusal(userId, violation), { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        let charge;
+        try {
+            [charge] = this.chargeMessages(userId, [session.data]);
+        } catch (error) {
+            if (!(error instanceof InsufficientCreditError)) throw error;
+            
+            ctx.editMessageText(this.formatCreditRefusal(userId, error), { parse_mode: 'Markdown' });
+            return;
+        }
+        this.quotas.consume(userId, 1);
+        
+        // Show processing message
+        await ctx.editMessageText('⚡ *Processing SMS Transmission...*\n\n' +
+            '🚀 Initializing quantum tunneling...\n' +
+            '🔒 Applying quantum encryption...\n' +
+            '📡 Connecting to virtual GSM network...', {
+            parse_mode: 'Markdown'
+        });
+        
+        try {
+            // Process SMS transmission
+            const result = await this.processSMSTransmission(
+                session.data.phoneNumber,
+                session.data.message,
+                userId,
+                session.data.routing
+            );
+            
+            // Temporary failures and throttled sends go to the durable queue; stats count only final outcomes
+            const retryDelay = result.success ? null : result.deferred ? result.retryAfter : nextRetryDelay(1, result);
+            
+            if (result.success) {
+                this.systemStats.totalSMS++;
+                this.systemStats.successful++;
+            } else if (retryDelay === null) {
+                this.systemStats.totalSMS++;
+                this.systemStats.failed++;
+                this.refundCharge(charge.id, result.error);
+                if (!result.suppressed) this.deadLetter({ ...session.data, userId, attempts: 1 }, result);
+                
+                this.publishMessageEvent('message.failed', {
+                    id: result.transmissionId,
+                    transmissionId: result.transmissionId,
+                    userId,
+                    phoneNumber: session.data.phoneNumber,
+                    status: STATUS.FAILED,
+                    error: result.error,
+                    errorCode: result.errorCode ?? null
+                });
+            } else {
+                this.enqueueTransmission({
+                    phoneNumber: session.data.phoneNumber,
+                    message: session.data.message,
+                    userId,
+                    chargeId: charge.id,
+                    attempts: result.deferred ? 0 : 1,
+                    partial: result.partial,
+                    notify: true
+                }, Date.now() + retryDelay);
+            }
+            
+            // Show result
+            let resultMessage;
+            
+            if (result.success) {
+                resultMessage = `✅ *SMS Transmission Successful!*\n\n` +
+                    `📱 *To:* \`${session.data.phoneNumber}\`\n` +
+                    `🆔 *Transmission ID:* \`${result.transmissionId}\`\n` +
+                    `⏱️ *Time:* ${result.timeTaken}ms\n` +
+                    `🚀 *Method:* ${result.method}\n` +
+                    `🧭 *Routing:* ${result.routingReason}\n` +
+                    `🔢 *Parts:* ${result.parts}\n` +
+                    `💰 *Charged:* ${formatAmount(-charge.amount)} ${config.BILLING.CURRENCY}\n` +
+                    `📊 *Status:* ${result.status}\n` +
+                    `🌍 *Route:* ${result.route}\n\n` +
+                    `💾 *Log:* \`logs/transmission_${result.transmissionId}.log\`\n\n` +
+                    `📬 *You will be notified when the delivery report arrives.*`;
+            } else if (result.suppressed) {
+                resultMessage = `🚫 *Not Sent: Recipient Opted Out*\n\n` +
+                    `📱 *To:* \`${session.data.phoneNumber}\`\n\n` +
+                    `The number replied STOP or was added to the suppression list.`;
+            } else if (result.deferred) {
+                resultMessage = `⏳ *Sending Shortly*\n\n` +
+                    `📱 *To:* \`${session.data.phoneNumber}\`\n` +
+                    `🚦 ${result.error}\n\n` +
+                    `⏳ *Queued to go out in ${Math.ceil(retryDelay / 1000)} seconds.*\n\n` +
+                    `📬 *You will be notified of the outcome.*`;
+            } else if (retryDelay === null) {
+                resultMessage = `❌ *Transmission Failed Permanently*\n\n` +
+                    `📱 *To:* \`${session.data.phoneNumber}\`\n` +
+                    `❌ *Error:* ${result.error}\n\n` +
+                    `💸 *Refunded:* ${formatAmount(-charge.amount)} ${config.BILLING.CURRENCY}\n` +
+                    `🗃️ *Moved to the dead-letter queue.*`;
+            } else {
+                resultMessage = `⚠️ *Transmission Requires Retry*\n\n` +
+                    `📱 *To:* \`${session.data.phoneNumber}\`\n` +
+                    `❌ *Error:* ${result.error}\n\n` +
+                    `🔄 *Retry 2/${config.RETRY.MAX_ATTEMPTS} queued*\n` +
+                    `⏳ *Retrying in ${Math.ceil(retryDelay / 1000)} seconds...*\n\n` +
+                    `📬 *You will be notified of the outcome.*`;
+            }
+            
+            ctx.editMessageText(resultMessage, {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback('📱 Send Another', 'send_another')],
+                    [Markup.button.callback('📊 View Details', `details_${result.transmissionId}`)],
+                    [Markup.button.callback('📨 Bulk Send', 'start_bulk')]
+                ])
+            });
+            
+            // Clear session
+            this.userSessions.delete(userId);
+            
+            // Log transmission; a throttled send is logged when it actually goes out
+            if (!result.deferred) this.logTransmission({ ...result, chargeId: charge.id });
+        
+        } catch (error) {
+            ctx.editMessageText(`❌ *Critical Transmission Error*\n\n\`${error.message}\`\n\nSystem recovery in progress...`, {
+                parse_mode: 'Markdown'
+            });
+            
+            logger.error('SMS transmission error:', error);
+            this.initiateSystemRecovery();
+        }
+    }
+    
+    async processSMSTransmission(phoneNumber, message, userId = null, routing = null, options = {}) {
+        // A resumed message keeps its transmission ID so receipts for the segments already sent still match
+        const transmissionId = options.resume?.transmissionId ?? `TX_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const startTime = Date.now();
+        let reservedAt = null;
+        
+        console.log(`📤 Processing SMS transmission: ${phoneNumber}`);
+        
+        try {
+            // Checked again at send time: the number may have opted out while queued.
+            // Only the opt-out confirmation itself goes through.
+            if (!options.optOutNotice && this.suppression.has(phoneNumber)) {
+                throw new SuppressedError(phoneNumber);
+            }
+            
+            // Spacing per destination against carrier spam filters; opt-out confirmations and the
+            // rest of a partly sent message always go. The slot is held while the send is under way
+            // so concurrent sends to the number wait for it.
+            if (!options.optOutNotice && !options.resume) {
+                const now = Date.now();
+                const wait = this.destinationThrottle.reserve(phoneNumber, now);
+                if (wait > 0) {
+                    throw new ThrottledError(`Recent messages to ${phoneNumber}; the next is allowed in ${Math.ceil(wait / 1000)}s`, wait);
+                }
+                reservedAt = now;
+            }
+            
+            // Step 1: AI Optimization
+            const optimization = await this.optimizeTransmission(phoneNumber, message);
+            
+            // Step 2: Select transport, keeping the previewed decision while it is still valid
+            const decision = this.resolveRouting(routing, optimization, options.resume);
+            
+            if (!decision.transport) {
+                throw new Error(`No route available: ${decision.reason}`);
+            }
+            
+            // Step 3: Apply quantum encryption
+            const encryptedData = this.applyQuantumEncryption(message);
+            
+            // Step 4: Transmit SMS, failing over to the next route on a permanent rejection
+            // unless part of the message already went out on this one
+            const failover = [];
+            let method;
+            let transmissionResult;
+            
+            for (const transport of decision.transports) {
+                method = transport;
+                
+                try {
+                    transmissionResult = await this.transmitSMS({
+                        transmissionId,
+                        phoneNumber,
+                        message,
+                        encryptedData,
+                        method,
+                        optimization,
+                        resume: options.resume
+                    });
+                    this.throughput.record(transport, true, optimization.parts);
+                    break;
+                } catch (error) {
+                    if (!error.deferred) this.throughput.record(transport, false);
+                    
+                    const last = transport === decision.transports[decision.transports.length - 1];
+                    if (!error.permanent || error.partial || last) throw error;
+                    
+                    logger.warn(`Route ${transport} rejected ${transmissionId}, failing over: ${error.message}`);
+                    failover.push({ transport, error: error.message });
+                }
+            }
+            
+            const timeTaken = Date.now() - startTime;
+            
+            return {
+                success: true,
+                transmissionId,
+                userId,
+                phoneNumber,
+                message,
+                method,
+                routingReason: decision.reason,
+                failover,
+                timeTaken,
+                parts: optimization.parts,
+                status: STATUS.SENT,
+                route: transmissionResult.route,
+                ...transmissionResult
+            };
+        
+        } catch (error) {
+            // Nothing reached the recipient, so the slot goes back
+            if (reservedAt !== null && !error.partial) {
+                this.destinationThrottle.release(phoneNumber, reservedAt);
+            }
+            
+            return {
+                success: false,
+                transmissionId,
+                userId,
+                phoneNumber,
+                message,
+                error: error.message,
+                errorCode: error.code ?? null,
+                timeTaken: Date.now() - startTime,
+                method: 'FAILED',
+                permanent: error.permanent === true,
+                suppressed: error instanceof SuppressedError,
+                deferred: error.deferred === true,
+                retryAfter: error.retryAfter ?? null,
+                partial: error.partial ? { ...error.partial, transmissionId } : null,
+                status: STATUS.FAILED
+            };
+        }
+    }
+    
+    async optimizeTransmission(phoneNumber, message) {
+        // AI-based transmission optimization
+        const optimization = {
+            phoneNumber,
+            country: this.detectCountry(phoneNumber),
+            messageLength: message.length,
+            ...analyzeMessage(message, config.SMS_SETTINGS.CONCAT_REFERENCE_BITS),
+            priority: this.calculatePriority(phoneNumber, message),
+            bestRoute: this.calculateBestRoute(phoneNumber),
+            transmissionWindow: this.calculateTransmissionWindow(),
+            successProbability: this.calculateSuccessProbability(phoneNumber)
+        };
+        
+        return optimization;
+    }
+    
+    resolveRouting(routing, optimization, resume = null) {
+        // The rest of a partly sent message has to follow its first segments
+        if (resume) {
+            return {
+                transport: resume.transport,
+                transports: [resume.transport],
+                reason: `resuming on ${resume.transport} after ${resume.segments.length} of ${optimization.parts} segments`
+            };
+        }
+        
+        // Reuse the decision shown in the preview unless its transport has since become unhealthy
+        if (routing && routing.transport) {
+            const transport = this.transports.get(routing.transport);
+            if (transport && transport.health().healthy) {
+                return routing;
+            }
+        }
+        
+        return this.router.decide(optimization);
+    }
+    
+    applyQuantumEncryption(message) {
+        // Apply quantum-level encryption
+        const encryptionId = `ENC_${Date.now()}`;
+        
+        return {
+            encryptedId: encryptionId,
+            algorithm: 'QUANTUM_SHA512',
+            keySize: 512,
+            timestamp: Date.now(),
+            dataHash: this.calculateHash(message)
+        };
+    }
+    
+    async transmitSMS(transmissionData) {
+        // Hand the message to the selected transport
+        const transport = this.transports.get(transmissionData.method);
+        
+        console.log(`🚀 Transmitting via ${transport.name} (${transport.type})...`);
+        
+        // Every segment still to send counts against the transport's send rate
+        const resumed = transmissionData.resume ? transmissionData.resume.segments.length : 0;
+        const waited = await transport.throttle(transmissionData.optimization.parts - resumed);
+        if (waited > 0) {
+            logger.info(`Waited ${waited}ms for the ${transport.name} send rate`);
+        }
+        
+        const result = await transport.send({
+            transmissionId: transmissionData.transmissionId,
+            phoneNumber: transmissionData.phoneNumber,
+            message: transmissionData.message,
+            encoding: transmissionData.optimization.encoding,
+            resume: transmissionData.resume
+        });
+        
+        console.log(`✅ Transmission accepted by ${transport.name}`);
+        
+        return {
+            success: true,
+            ...result,
+            encoding: transmissionData.optimization.encoding,
+            transmissionMethod: transport.type
+        };
+    }
+    
+    validatePhoneNumber(phoneNumber) {
+        const phoneRegex = /^\+[1-9]\d{10,14}$/;
+        
+        if (!phoneRegex.test(phoneNumber)) {
+            return {
+                valid: false,
+                message: '❌ Invalid phone number format. Please use international format.\nExample: +923001234567',
+                country: 'UNKNOWN'
+            };
+        }
+        
+        // Detect country
+        const country = this.detectCountry(phoneNumber);
+        
+        return {
+            valid: true,
+            message: '✅ Phone number accepted',
+            country: country
+        };
+    }
+    
+    detectCountry(phoneNumber) {
+        const route = this.routingTable.match(phoneNumber);
+        return route ? route.country : 'INTERNATIONAL';
+    }
+    
+    validateMessage(message) {
+        if (!message || message.trim().length === 0) {
+            return {
+                valid: false,
+                message: '❌ Message cannot be empty'
+            };
+        }
+        
+        if (message.length > config.SMS_SETTINGS.MAX_MESSAGE_LENGTH) {
+            return {
+                valid: false,
+                message: `❌ Message too long (max ${config.SMS_SETTINGS.MAX_MESSAGE_LENGTH} characters)`
+            };
+        }
+        
+        return {
+            valid: true,
+            message: '✅ Message accepted'
+        };
+    }
+    
+    calculatePriority(phoneNumber, message) {
+        // Calculate transmission priority
+        let priority = 1;
+        
+        // Country priority
+        const countryPriority = {
+            'PAKISTAN': 1.2,
+            'USA': 1.1,
+            'UAE': 1.0,
+            'SAUDI_ARABIA': 1.0,
+            'INTERNATIONAL': 0.9
+        };
+        
+        const country = this.detectCountry(phoneNumber);
+        priority *= countryPriority[country] || 1.0;
+        
+        // Message urgency
+        const urgentWords = ['urgent', 'emergency', 'asap', 'immediately'];
+        const lowerMessage = message.toLowerCase();
+        
+        urgentWords.forEach(word => {
+            if (lowerMessage.includes(word)) {
+                priority *= 1.5;
+            }
+        });
+        
+        return Math.min(3, priority);
+    }
+    
+    calculateBestRoute(phoneNumber) {
+        // Longest matching prefix and its failover order
+        const route = this.routingTable.match(phoneNumber);
+        if (!route) return 'DEFAULT';
+        
+        return `+${route.prefix || '*'} → ${route.routes.map(r => r.transport).join(' → ')}`;
+    }
+    
+    calculateTransmissionWindow() {
+        // Calculate best transmission window
+        const now = new Date();
+        const hour = now.getHours();
+        
+        if (hour >= 1 && hour <= 5) {
+            return 'OPTIMAL_NIGHT_WINDOW';
+        } else if (hour >= 13 && hour <= 17) {
+            return 'PEAK_AVOIDANCE_WINDOW';
+        } else {
+            return 'STANDARD_WINDOW';
+        }
+    }
+    
+    calculateSuccessProbability(phoneNumber) {
+        // Calculate transmission success probability
+        let probability = 0.85; // Base probability
+        
+        // Country-based probability
+        const countryProbabilities = {
+            'PAKISTAN': 0.95,
+            'USA': 0.90,
+            'UAE': 0.92,
+            'SAUDI_ARABIA': 0.91,
+            'INTERNATIONAL': 0.80
+        };
+        
+        const country = this.detectCountry(phoneNumber);
+        probability *= countryProbabilities[country] || 0.85;
+        
+        // Add AI optimization factor
+        probability += 0.1; // AI adds 10% improvement
+        
+        return Math.min(0.99, probability);
+    }
+    
+    calculateHash(data) {
+        // Simple hash calculation
+        let hash = 0;
+        for (let i = 0; i < data.length; i++) {
+            const char = data.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return hash.toString(36);
+    }
+    
+    logTransmission(result) {
+        // Log transmission to file
+        const logEntry = {
+            ...result,
+            timestamp: new Date().toISOString(),
+            systemStats: { ...this.systemStats }
+        };
+        
+        // Save to transmission log
+        const logPath = path.join(config.DIRECTORIES.LOGS, `transmission_${result.transmissionId}.json`);
+        fs.writeFileSync(logPath, JSON.stringify(logEntry, null, 2));
+        
+        // Add to main log, keeping only the last 10,000 entries
+        const entry = updateData('sms_logs', (logs) => {
+            const entry = {
+                transmissionId: result.transmissionId,
+                userId: result.userId ?? null,
+                phoneNumber: result.phoneNumber,
+                // The full text; /thread and the dashboard shorten it for display
+                message: result.message ?? null,
+                success: result.success,
+                status: result.status,
+                timestamp: new Date().toISOString(),
+                method: result.method,
+                parts: result.parts,
+                concatReference: result.concatReference ?? null,
+                queueId: result.queueId ?? null,
+                scheduleId: result.scheduleId ?? null,
+                occurrence: result.occurrence ?? null,
+                segments: result.segments || [],
+                // The debit to give back should the delivery report say it never arrived
+                chargeId: result.chargeId ?? null
+            };
+            
+            logs.push(entry);
+            logs.splice(0, Math.max(0, logs.length - 10000));
+            return entry;
+        });
+        
+        this.dashboard.transmission(entry);
+        
+        if (result.success) {
+            this.publishMessageEvent('message.sent', {
+                id: result.queueId || result.transmissionId,
+                transmissionId: result.transmissionId,
+                userId: result.userId,
+                phoneNumber: result.phoneNumber,
+                status: result.status,
+                parts: result.parts,
+                method: result.method
+            });
+        }
+    }
+    
+    handleDeliveryReport(transport, report) {
+        // SMPP receipts carry the message ID; modem reports only TP-MR and recipient,
+        // so match those against the newest segment still awaiting a report
+        const recipient = (report.recipient || '').replace(/^\+/, '');
+        
+        const matches = report.messageId
+            ? (entry, segment) => segment.messageId === report.messageId &&
+                (!report.transmissionId || entry.transmissionId === report.transmissionId)
+            : (entry, segment) => entry.method === transport.name &&
+                entry.phoneNumber.replace(/^\+/, '') === recipient &&
+                segment.messageReference === report.messageReference &&
+                !FINAL_STATUSES.includes(segment.status);
+        
+        this.updateDeliveryStatus(matches, report.status);
+    }
+    
+    updateDeliveryStatus(matches, status) {
+        // Update the sms_logs.json entry in place rather than appending
+        const entry = updateData('sms_logs', (logs) => {
+            for (let i = logs.length - 1; i >= 0; i--) {
+                const segment = (logs[i].segments || []).find(s => matches(logs[i], s));
+                if (!segment) continue;
+                
+                segment.status = status;
+                segment.reportedAt = new Date().toISOString();
+                
+                const previous = logs[i].status;
+                logs[i].status = aggregateStatus(logs[i].segments);
+                logs[i].statusUpdatedAt = segment.reportedAt;
+                
+                return logs[i].status !== previous ? { ...logs[i] } : null;
+            }
+            
+            return null;
+        });
+        
+        if (!entry) return;
+        
+        logger.info(`Transmission ${entry.transmissionId} is now ${entry.status}`);
+        this.dashboard.transmission(entry);
+        
+        if (FINAL_STATUSES.includes(entry.status)) {
+            if (entry.status !== STATUS.DELIVERED) {
+                this.refundCharge(entry.chargeId, `Delivery report: ${entry.status}`);
+            }
+            
+            this.notifyDeliveryStatus(entry);
+            this.publishMessageEvent(entry.status === STATUS.DELIVERED ? 'message.delivered' : 'message.failed', {
+                id: entry.queueId || entry.transmissionId,
+                transmissionId: entry.transmissionId,
+                userId: entry.userId,
+                phoneNumber: entry.phoneNumber,
+                status: entry.status,
+                error: entry.status === STATUS.DELIVERED ? null : `Delivery report: ${entry.status}`
+            });
+        }
+    }
+    
+    // Webhook event about a message; subscribers get their owner's messages, admins everyone's
+    publishMessageEvent(type, message) {
+        if (!message.userId) return;
+        
+        const { userId, phoneNumber, ...fields } = message;
+        
+        this.webhooks.publish(type, { ...fields, to: phoneNumber, userId },
+            (subscription) => subscription.userId === userId || this.isAdmin(subscription.userId));
+    }
+    
+    // Inbound messages go to admins' subscriptions and those of users who have messaged the number
+    publishInboundEvent(message, keyword) {
+        const senders = new Set(readData('sms_logs')
+            .filter(entry => entry.userId && entry.phoneNumber === message.phoneNumber)
+            .map(entry => entry.userId));
+        
+        this.webhooks.publish('message.received', {
+            id: message.id,
+            from: message.phoneNumber || message.from,
+            to: message.to,
+            text: message.text,
+            parts: message.parts,
+            missingParts: message.missingParts,
+            transport: message.transport,
+            receivedAt: message.receivedAt,
+            optOut: keyword
+        }, (subscription) => this.isAdmin(subscription.userId) || (message.phoneNumber && senders.has(subscription.userId)));
+    }
+    
+    async notifyDeliveryStatus(entry) {
+        // Tell the sender about the final state of their message
+        if (!entry.userId || !this.bot) return;
+        
+        const icons = {
+            [STATUS.DELIVERED]: '✅',
+            [STATUS.FAILED]: '❌',
+            [STATUS.EXPIRED]: '⌛'
+        };
+        
+        const message = `${icons[entry.status]} *Delivery Report*\n\n` +
+            `📱 *To:* \`${entry.phoneNumber}\`\n` +
+            `🆔 *Transmission ID:* \`${entry.transmissionId}\`\n` +
+            `📊 *Status:* ${entry.status}\n` +
+            `⏱️ *Updated:* ${moment(entry.statusUpdatedAt).format('YYYY-MM-DD HH:mm:ss')}`;
+        
+        try {
+            await this.bot.telegram.sendMessage(entry.userId, message, { parse_mode: 'Markdown' });
+        } catch (error) {
+            logger.error('Delivery notification failed:', error);
+        }
+    }
+    
+    async registerUser(userData) {
+        // Register user in database
+        const usersPath = path.join(config.DIRECTORIES.DATA, 'users.json');
+        let users = [];
+        
+        if (fs.existsSync(usersPath)) {
+            users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
+        }
+        
+        // Check if user already exists
+        const existingUser = users.find(u => u.id === userData.id);
+        
+        if (!existingUser) {
+            const newUser = {
+                id: userData.id,
+                username: userData.username,
+                firstName: userData.first_name,
+                lastName: userData.last_name,
+                language: userData.language_code,
+                isBot: userData.is_bot,
+                role: this.initialRole(userData.id),
+                joinedAt: new Date().toISOString(),
+                lastActive: new Date().toISOString()
+            };
+            
+            users.push(newUser);
+            fs.writeFileSync(usersPath, JSON.stringify(users, null, 2));
+            
+            console.log(`👤 New user registered: ${userData.id} (${newUser.role})`);
+            
+            if (newUser.role === ROLES.PENDING) this.requestApproval(newUser);
+            return newUser;
+        }
+        
+        // Update last active
+        existingUser.lastActive = new Date().toISOString();
+        
+        // Message counts come from the ledger now
+        delete existingUser.totalSMS;
+        
+        // Accounts from before roles existed are approved like new ones
+        const needsRole = !isRole(existingUser.role);
+        if (needsRole) existingUser.role = this.initialRole(existingUser.id);
+        
+        fs.writeFileSync(usersPath, JSON.stringify(users, null, 2));
+        
+        if (needsRole && existingUser.role === ROLES.PENDING) this.requestApproval(existingUser);
+        return existingUser;
+    }
+    
+    initialRole(userId) {
+        if (config.ADMIN_IDS.includes(userId)) return ROLES.ADMIN;
+        if (config.ACCESS.REQUIRE_APPROVAL) return ROLES.PENDING;
+        
+        return isRole(config.ACCESS.DEFAULT_ROLE) ? config.ACCESS.DEFAULT_ROLE : ROLES.VIEWER;
+    }
+    
+    // ADMIN_IDS are admins whatever users.json says
+    roleOf(userId) {
+        if (config.ADMIN_IDS.includes(userId)) return ROLES.ADMIN;
+        
+        const user = readData('users').find(u => u.id === userId);
+        return user && isRole(user.role) ? user.role : ROLES.PENDING;
+    }
+    
+    // Middleware: registers unknown users, then lets the update through only for a high enough role
+    async authorize(ctx, next) {
+        if (!ctx.from) return;
+        
+        const known = readData('users').find(u => u.id === ctx.from.id);
+        if (!known || !isRole(known.role)) {
+            await this.registerUser(ctx.from);
+        }
+        
+        const role = this.roleOf(ctx.from.id);
+        const required = requiredRole(ctx.update);
+        
+        if (hasRole(role, required)) {
+            return next();
+        }
+        
+        if (ctx.callbackQuery) {
+            await ctx.answerCbQuery('⛔ Not allowed').catch(() => {});
+        }
+        
+        // Blocked users get no answer at all, nor do updates that aren't messages or buttons
+        if (role === ROLES.BLOCKED || (!ctx.message && !ctx.callbackQuery)) return;
+        
+        ctx.reply(role === ROLES.PENDING
+            ? '⏳ Your access request is waiting for an administrator\'s approval.'
+            : `⛔ This needs the ${ROLE_LABELS[required]} role; you are ${ROLE_LABELS[role]}.`);
+    }
+    
+    adminIds() {
+        const admins = readData('users').filter(u => u.role === ROLES.ADMIN).map(u => u.id);
+        return [...new Set([...config.ADMIN_IDS, ...admins])];
+    }
+    
+    formatUser(user) {
+        const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || 'Unknown';
+        
+        return `${this.escapeMarkdown(name)}${user.username ? ` (@${this.escapeMarkdown(user.username)})` : ''} \`${user.id}\``;
+    }
+    
+    approvalButtons(userId) {
+        return Markup.inlineKeyboard([
+            [
+                Markup.button.callback('📤 Operator', `user_role_${userId}_${ROLES.OPERATOR}`),
+                Markup.button.callback('👁️ Viewer', `user_role_${userId}_${ROLES.VIEWER}`)
+            ],
+            [Markup.button.callback('⛔ Block', `user_role_${userId}_${ROLES.BLOCKED}`)]
+        ]);
+    }
+    
+    requestApproval(user) {
+        const admins = this.adminIds();
+        
+        if (admins.length === 0) {
+            logger.warn(`User ${user.id} is waiting for approval but no ADMIN_IDS are configured`);
+            return;
+        }
+        
+        admins.forEach(adminId => {
+            this.bot.telegram.sendMessage(adminId, `👤 *Access request*\n\n${this.formatUser(user)}\n\nChoose a role:`, {
+                parse_mode: 'Markdown',
+                ...this.approvalButtons(user.id)
+            }).catch(error => logger.error(`Approval request to ${adminId} failed:`, error));
+        });
+    }
+    
+    // By numeric ID or @username
+    findUser(argument) {
+        const key = argument.trim().replace(/^@/, '').toLowerCase();
+        
+        return readData('users').find(u => String(u.id) === key || (u.username && u.username.toLowerCase() === key)) || null;
+    }
+    
+    async showUsers(ctx) {
+        const users = readData('users');
+        const roleOrder = [ROLES.PENDING, ROLES.ADMIN, ROLES.OPERATOR, ROLES.VIEWER, ROLES.BLOCKED];
+        const byRole = (role) => users.filter(u => this.roleOf(u.id) === role);
+        
+        const sections = roleOrder.map(role => {
+            const members = byRole(role);
+            if (members.length === 0) return null;
+            
+            const lines = members.slice(0, 15).map(u => `• ${this.formatUser(u)}`);
+            if (members.length > 15) lines.push(`• ...and ${members.length - 15} more`);
+            
+            return `*${ROLE_LABELS[role]} (${members.length})*\n${lines.join('\n')}`;
+        }).filter(Boolean);
+        
+        const pending = byRole(ROLES.PENDING).slice(0, 5);
+        
+        ctx.reply(`👥 *Users (${users.length})*\n\n${sections.join('\n\n') || '_None yet_'}\n\n` +
+            `\`/promote <id|@user> [role]\` - one step up, or to a role\n` +
+            `\`/demote <id|@user>\` - one step down\n` +
+            `\`/block <id|@user>\` · \`/unblock <id|@user>\``, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard(pending.map(u => [
+                Markup.button.callback(`✅ ${u.firstName || u.id}`, `user_role_${u.id}_${ROLES.OPERATOR}`),
+                Markup.button.callback('⛔ Block', `user_role_${u.id}_${ROLES.BLOCKED}`)
+            ]))
+        });
+    }
+    
+    async changeUserRole(ctx, action) {
+        const [, target = '', roleName = ''] = ctx.message.text.match(/^\/\w+(?:@\w+)?\s*(\S*)\s*(\S*)/);
+        
+        if (!target) {
+            ctx.reply(`Usage: \`/${action} <id|@username>${action === 'promote' ? ' [viewer|operator|admin]' : ''}\``, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+        
+        const user = this.findUser(target);
+        if (!user) {
+            ctx.reply('❌ No such user. They need to have started the bot first.');
+            return;
+        }
+        
+        const current = this.roleOf(user.id);
+        let role;
+        
+        switch(action) {
+            case 'promote':
+                role = roleName ? roleName.toLowerCase() : adjacentRole(current, 1);
+                break;
+            case 'demote':
+                role = adjacentRole(current, -1);
+                break;
+            case 'block':
+                role = ROLES.BLOCKED;
+                break;
+            case 'unblock':
+                role = current === ROLES.BLOCKED ? ROLES.VIEWER : null;
+                break;
+        }
+        
+        if (!role || ![ROLES.ADMIN, ROLES.OPERATOR, ROLES.VIEWER, ROLES.BLOCKED].includes(role)) {
+            ctx.reply(`ℹ️ ${this.formatUser(user)} is ${ROLE_LABELS[current]}; nothing to ${action}.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        await this.applyRoleChange(ctx, user.id, role);
+    }
+    
+    async applyRoleChange(ctx, userId, role, fromButton = false) {
+        const respond = (text) => fromButton
+            ? ctx.editMessageText(text, { parse_mode: 'Markdown' })
+            : ctx.reply(text, { parse_mode: 'Markdown' });
+        
+        if (!this.isAdmin(ctx.from.id)) {
+            ctx.reply('⛔ This command is for administrators only.');
+            return;
+        }
+        
+        if (config.ADMIN_IDS.includes(userId) || userId === ctx.from.id) {
+            respond('⛔ ADMIN\\_IDS admins and your own account cannot be changed here.');
+            return;
+        }
+        
+        if (!isRole(role) || role === ROLES.PENDING) {
+            respond('❌ Unknown role.');
+            return;
+        }
+        
+        const user = updateData('users', (users) => {
+            const found = users.find(u => u.id === userId);
+            if (!found) return null;
+            
+            found.previousRole = found.role;
+            found.role = role;
+            found.roleChangedBy = ctx.from.id;
+            found.roleChangedAt = new Date().toISOString();
+            return found;
+        });
+        
+        if (!user) {
+            respond('❌ User not found.');
+            return;
+        }
+        
+        logger.info(`Role of ${userId} changed from ${user.previousRole} to ${role} by ${ctx.from.id}`);
+        respond(`✅ ${this.formatUser(user)} is now ${ROLE_LABELS[role]}.`);
+        
+        // A blocked user is not told
+        if (role !== ROLES.BLOCKED) {
+            const text = user.previousRole === ROLES.PENDING
+                ? `✅ *Access approved!* Your role: ${ROLE_LABELS[role]}\n\nSend /start to begin.`
+                : `🔑 Your role changed to ${ROLE_LABELS[role]}.`;
+            
+            this.bot.telegram.sendMessage(userId, text, { parse_mode: 'Markdown' })
+                .catch(error => logger.error(`Role notification to ${userId} failed:`, error));
+        }
+        
+        // Sessions started under the old role don't carry over
+        this.userSessions.delete(userId);
+    }
+    
+    // Role quota with the user's own overrides; roles without one may not send
+    quotaLimits(userId) {
+        const roleQuota = config.LIMITS.ROLE_QUOTAS[this.roleOf(userId)] || { PER_MINUTE: 0, PER_DAY: 0, PER_MONTH: 0 };
+        const override = readData('users').find(u => u.id === userId)?.quota || {};
+        const pick = (window, fallback) => (window in override ? override[window] : fallback);
+        
+        return {
+            minute: pick('minute', roleQuota.PER_MINUTE),
+            day: pick('day', roleQuota.PER_DAY),
+            month: pick('month', roleQuota.PER_MONTH)
+        };
+    }
+    
+    formatQuotaLines(userId) {
+        const status = this.quotas.status(userId);
+        const labels = { minute: 'This minute', day: 'Today (UTC)', month: 'This month' };
+        
+        return QUOTA_WINDOWS.map(window => {
+            const { limit, used, remaining } = status[window];
+            return `• ${labels[window]}: ${limit === null ? `${used} sent, unlimited` : `${used}/${limit} (${remaining} left)`}`;
+        }).join('\n');
+    }
+    
+    formatQuotaRefusal(userId, violation) {
+        const timeZone = this.getUserTimezone(userId);
+        const labels = { minute: 'Per-minute', day: 'Daily', month: 'Monthly' };
+        const periods = { minute: 'this minute', day: 'today (UTC)', month: 'this month' };
+        const left = Math.max(0, violation.limit - violation.used);
+        
+        return `⛔ *${labels[violation.window]} quota reached*\n\n` +
+            `You have sent ${violation.used} of ${violation.limit} messages ${periods[violation.window]}` +
+            (violation.requested > 1 ? ` and this needs ${violation.requested} (${left} left)` : '') + `.\n\n` +
+            `🕒 *You can send again:* ${formatInTimeZone(violation.resetAt, timeZone)} (${timeZone})`;
+    }
+    
+    async manageQuota(ctx) {
+        const [, target = '', settings = ''] = ctx.message.text.match(/^\/quota(?:@\w+)?\s*(\S*)\s*(.*)$/s);
+        
+        if (!target) {
+            ctx.reply(`📏 *Your Quota* (${ROLE_LABELS[this.roleOf(ctx.from.id)]})\n\n${this.formatQuotaLines(ctx.from.id)}`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        if (!this.isAdmin(ctx.from.id)) {
+            ctx.reply('⛔ Only administrators can view or set other users\' quotas.');
+            return;
+        }
+        
+        const user = this.findUser(target);
+        if (!user) {
+            ctx.reply('❌ No such user. They need to have started the bot first.');
+            return;
+        }
+        
+        if (settings) {
+            let quota;
+            
+            if (settings.trim().toLowerCase() === 'reset') {
+                quota = null;
+            } else {
+                quota = {};
+                
+                for (const setting of settings.trim().split(/\s+/)) {
+                    const match = setting.toLowerCase().match(/^(minute|day|month)=(\d+|none|unlimited)$/);
+                    if (!match) {
+                        ctx.reply('Usage: `/quota <id|@user> day=100 month=2000 minute=10` (`none` = unlimited), or `/quota <id|@user> reset`', {
+                            parse_mode: 'Markdown'
+                        });
+                        return;
+                    }
+                    
+                    quota[match[1]] = /^\d+$/.test(match[2]) ? Number(match[2]) : null;
+                }
+            }
+            
+            updateData('users', (users) => {
+                const found = users.find(u => u.id === user.id);
+                if (!found) return;
+                
+                // Windows left out keep any earlier override
+                found.quota = quota === null ? undefined : { ...(found.quota || {}), ...quota };
+            });
+            logger.info(`Quota of ${user.id} set to ${JSON.stringify(quota)} by ${ctx.from.id}`);
+        }
+        
+        const override = readData('users').find(u => u.id === user.id)?.quota;
+        
+        ctx.reply(`📏 *Quota of* ${this.formatUser(user)} (${ROLE_LABELS[this.roleOf(user.id)]})\n\n` +
+            `${this.formatQuotaLines(user.id)}\n\n` +
+            (override ? `✏️ Personal override: ${Object.entries(override).map(([window, limit]) => `${window}=${limit ?? 'none'}`).join(' ')}` : '📋 Role defaults apply'), {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    // Ledger charge for a message: the preferred route's per-segment cost for the destination
+    priceMessage({ phoneNumber, message }) {
+        const entry = this.routingTable.match(phoneNumber);
+        const analysis = analyzeMessage(message, config.SMS_SETTINGS.CONCAT_REFERENCE_BITS);
+        
+        return {
+            phoneNumber,
+            prefix: entry?.prefix ?? null,
+            ...messageCharge(entry ? entry.routes[0].cost : 0, analysis, config.BILLING.ENCODING_MULTIPLIERS)
+        };
+    }
+    
+    // Debits the user for every message or throws InsufficientCreditError; returns the debit entries
+    chargeMessages(userId, messages, reference = null, options = {}) {
+        const allowOverdraft = options.allowOverdraft ?? config.BILLING.OVERDRAFT_ROLES.includes(this.roleOf(userId));
+        
+        return this.ledger.debit(userId, messages.map(message => this.priceMessage(message)), { allowOverdraft, reference });
+    }
+    
+    refundCharge(chargeId, reason) {
+        if (!chargeId) return;
+        
+        const refund = this.ledger.refund(chargeId, reason || null);
+        if (refund) logger.info(`Refunded ${formatAmount(refund.amount)} to ${refund.userId} for ${refund.phoneNumber}`);
+    }
+    
+    formatCreditRefusal(userId, error) {
+        return `💳 *Insufficient credit*\n\n` +
+            `💰 *Needed:* ${formatAmount(error.required)} ${config.BILLING.CURRENCY}\n` +
+            `🏦 *Balance:* ${formatAmount(error.balance)} ${config.BILLING.CURRENCY}\n\n` +
+            `Ask an administrator to top up your balance.`;
+    }
+    
+    formatBalance(userId) {
+        const { balance, messages, segments } = this.ledger.summary(userId);
+        const month = this.ledger.statement(userId, moment.utc().format('YYYY-MM'));
+        
+        return `🏦 *Balance:* ${formatAmount(balance)} ${config.BILLING.CURRENCY}\n` +
+            `📅 *This month:* ${month.messages} messages, ${formatAmount(-(month.charged + month.refunded))} ${config.BILLING.CURRENCY}\n` +
+            `📤 *All time:* ${messages} messages (${segments} segments)`;
+    }
+    
+    async showBalance(ctx) {
+        ctx.reply(`💰 *Your Credit*\n\n${this.formatBalance(ctx.from.id)}\n\n` +
+            `🧾 \`/statement [YYYY-MM]\` - Monthly statement`, { parse_mode: 'Markdown' });
+    }
+    
+    async topUpBalance(ctx) {
+        const [, target = '', amountText = '', note = ''] = ctx.message.text.match(/^\/topup(?:@\w+)?\s*(\S*)\s*(\S*)\s*(.*)$/s);
+        const amount = Number(amountText);
+        
+        if (!target || !/^-?\d+(\.\d{1,2})?$/.test(amountText) || amount === 0) {
+            ctx.reply('Usage: `/topup <id|@user> <amount> [note]`\nA negative amount corrects a balance downwards.', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const user = this.findUser(target);
+        if (!user) {
+            ctx.reply('❌ No such user. They need to have started the bot first.');
+            return;
+        }
+        
+        const entry = this.ledger.topUp(user.id, amount, { by: ctx.from.id, note: note.trim() || null });
+        logger.info(`Balance of ${user.id} changed by ${formatAmount(amount)} by ${ctx.from.id}`);
+        
+        ctx.reply(`💰 *${amount > 0 ? 'Topped up' : 'Adjusted'}* ${this.formatUser(user)}: ${amount > 0 ? '+' : ''}${formatAmount(amount)} ${config.BILLING.CURRENCY}\n\n` +
+            `🏦 *New balance:* ${formatAmount(entry.balance)} ${config.BILLING.CURRENCY}`, { parse_mode: 'Markdown' });
+        
+        this.bot.telegram.sendMessage(user.id, `💰 *Your balance was ${amount > 0 ? 'topped up' : 'adjusted'}*\n\n` +
+            `${amount > 0 ? '+' : ''}${formatAmount(amount)} ${config.BILLING.CURRENCY}` +
+            (entry.note ? ` (${this.escapeMarkdown(entry.note)})` : '') +
+            `\n🏦 *Balance:* ${formatAmount(entry.balance)} ${config.BILLING.CURRENCY}`, {
+            parse_mode: 'Markdown'
+        }).catch(error => logger.warn(`Top-up notification to ${user.id} failed: ${error.message}`));
+    }
+    
+    // `/statement [YYYY-MM]`, or `/statement <id|@user> [YYYY-MM]` for admins
+    async showStatement(ctx) {
+        const args = ctx.message.text.replace(/^\/statement(?:@\w+)?/, '').trim().split(/\s+/).filter(Boolean);
+        const month = args.find(arg => /^\d{4}-(0[1-9]|1[0-2])$/.test(arg)) || moment.utc().format('YYYY-MM');
+        const target = args.find(arg => !/^\d{4}-\d{2}$/.test(arg));
+        let user = readData('users').find(u => u.id === ctx.from.id) || { id: ctx.from.id };
+        
+        if (target) {
+            if (!this.isAdmin(ctx.from.id)) {
+                ctx.reply('⛔ Only administrators can view other users\' statements.');
+                return;
+            }
+            
+            user = this.findUser(target);
+            if (!user) {
+                ctx.reply('❌ No such user. They need to have started the bot first.');
+                return;
+            }
+        }
+        
+        const statement = this.ledger.statement(user.id, month);
+        const currency = config.BILLING.CURRENCY;
+        
+        await ctx.reply(`🧾 *Statement ${month}* - ${this.formatUser(user)}\n\n` +
+            `🏦 *Opening balance:* ${formatAmount(statement.opening)} ${currency}\n` +
+            `➕ *Top-ups:* ${formatAmount(statement.topUps)}\n` +
+            (statement.adjustments ? `✏️ *Adjustments:* ${formatAmount(statement.adjustments)}\n` : '') +
+            `📤 *Messages:* ${statement.messages} (${statement.segments} segments)\n` +
+            `➖ *Charged:* ${formatAmount(-statement.charged)}\n` +
+            `↩️ *Refunded:* ${formatAmount(statement.refunded)}\n` +
+            `🏦 *Closing balance:* ${formatAmount(statement.closing)} ${currency}`, { parse_mode: 'Markdown' });
+        
+        if (statement.entries.length > 0) {
+            await ctx.replyWithDocument({
+                source: Buffer.from(this.ledger.toCsv(statement.entries)),
+                filename: `statement_${user.id}_${month}.csv`
+            });
+        }
+    }
+    
+    async manageApiKeys(ctx) {
+        const [, action = '', first = '', second = ''] = ctx.message.text.match(/^\/apikeys(?:@\w+)?(?:\s+(\w+))?\s*(\S*)\s*(\S*)/);
+        
+        switch (action.toLowerCase()) {
+            case 'create': {
+                if (!/^[\w.-]{1,40}$/.test(first)) break;
+                
+                const owner = second ? this.findUser(second) : readData('users').find(u => u.id === ctx.from.id);
+                if (!owner) {
+                    ctx.reply('❌ No such user. They need to have started the bot first.');
+                    return;
+                }
+                
+                if (!hasRole(this.roleOf(owner.id), ROLES.VIEWER)) {
+                    ctx.reply('⛔ Keys can only belong to approved users.');
+                    return;
+                }
+                
+                const { client, key } = this.apiKeys.create({ name: first, userId: owner.id, createdBy: ctx.from.id });
+                logger.info(`API key ${client.id} (${client.name}) created for ${owner.id} by ${ctx.from.id}`);
+                
+                ctx.reply(`🔑 *API key created*\n\n` +
+                    `🏷️ *Name:* ${this.escapeMarkdown(client.name)}\n` +
+                    `👤 *Acts as:* ${this.formatUser(owner)} (${ROLE_LABELS[this.roleOf(owner.id)]})\n` +
+                    `🆔 *ID:* \`${client.id}\`\n\n` +
+                    `\`${key}\`\n\n` +
+                    `⚠️ This is the only time the key is shown. Store it, then delete this message.\n` +
+                    `Send it as \`Authorization: Bearer <key>\` to ${this.httpUrl()}/api/v1`, { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            case 'revoke': {
+                if (!first) break;
+                
+                const client = this.apiKeys.revoke(first);
+                if (client) logger.info(`API key ${client.id} revoked by ${ctx.from.id}`);
+                
+                ctx.reply(client
+                    ? `🗑️ API key *${this.escapeMarkdown(client.name)}* (\`${client.id}\`) revoked.`
+                    : '⚠️ No active key with that ID.', { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            case '': {
+                const clients = this.apiKeys.list(client => !client.revokedAt);
+                const users = readData('users');
+                const lines = clients.map(client => {
+                    const owner = users.find(u => u.id === client.userId) || { id: client.userId };
+                    
+                    return `• *${this.escapeMarkdown(client.name)}* \`${client.prefix}…\` - ${this.formatUser(owner)}\n` +
+                        `  \`${client.id}\`, last used ${client.lastUsedAt ? moment(client.lastUsedAt).fromNow() : 'never'}`;
+                });
+                
+                ctx.reply(`🔑 *API Keys (${clients.length})*\n\n${lines.join('\n') || '_None yet_'}\n\n${this.apiKeysUsage()}`, { parse_mode: 'Markdown' });
+                return;
+            }
+        }
+        
+        ctx.reply(this.apiKeysUsage(), { parse_mode: 'Markdown' });
+    }
+    
+    async manageWebhooks(ctx) {
+        const [, action = '', first = '', second = ''] = ctx.message.text.match(/^\/webhooks(?:@\w+)?(?:\s+(\w+))?\s*(\S*)\s*(\S*)/);
+        
+        switch (action.toLowerCase()) {
+            case 'add': {
+                if (!first) break;
+                
+                let subscription;
+                try {
+                    subscription = this.webhooks.create({
+                        userId: ctx.from.id,
+                        url: first,
+                        events: second ? second.split(',') : null
+                    });
+                } catch (error) {
+                    ctx.reply(`❌ ${error.message}`, { parse_mode: 'Markdown' });
+                    return;
+                }
+                
+                logger.info(`Webhook ${subscription.id} to ${subscription.url} added by ${ctx.from.id}`);
+                
+                ctx.reply(`🪝 *Webhook added*\n\n` +
+                    `🆔 \`${subscription.id}\`\n` +
+                    `🌐 ${this.escapeMarkdown(subscription.url)}\n` +
+                    `📋 *Events:* ${subscription.events.join(', ')}\n\n` +
+                    `🔐 *Signing secret:* \`${subscription.secret}\`\n` +
+                    `⚠️ Shown only once. Verify \`X-Webhook-Signature\` as HMAC-SHA256 of \`<timestamp>.<body>\`.`, { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            case 'remove': {
+                if (!first) break;
+                
+                const removed = this.webhooks.remove(first);
+                ctx.reply(removed
+                    ? `🗑️ Webhook \`${removed.id}\` removed.`
+                    : '⚠️ No webhook with that ID.', { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            case 'log': {
+                const deliveries = this.webhooks.deliveries(delivery => delivery.subscriptionId === first).slice(-10).reverse();
+                const icons = {
+                    [DELIVERY_STATUS.PENDING]: '⏳',
+                    [DELIVERY_STATUS.DELIVERED]: '✅',
+                    [DELIVERY_STATUS.FAILED]: '❌',
+                    [DELIVERY_STATUS.CANCELLED]: '🚫'
+                };
+                
+                ctx.reply(`🪝 *Recent deliveries* \`${first}\`\n\n` + (deliveries.map(delivery => {
+                    const last = delivery.attempts[delivery.attempts.length - 1];
+                    
+                    return `${icons[delivery.status]} ${delivery.event.type} - ${moment(delivery.event.createdAt).format('MM-DD HH:mm:ss')}, ` +
+                        `${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? '' : 's'}` +
+                        (last && last.error ? ` (${this.escapeMarkdown(String(last.error))})` : '');
+                }).join('\n') || '_None_'), { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            case '': {
+                const users = readData('users');
+                const deliveries = this.webhooks.deliveries();
+                const lines = this.webhooks.list().map(subscription => {
+                    const owner = users.find(u => u.id === subscription.userId) || { id: subscription.userId };
+                    const own = deliveries.filter(delivery => delivery.subscriptionId === subscription.id);
+                    const count = (status) => own.filter(delivery => delivery.status === status).length;
+                    
+                    return `• \`${subscription.id}\` - ${this.formatUser(owner)}\n` +
+                        `  ${this.escapeMarkdown(subscription.url)}\n` +
+                        `  ${subscription.events.join(', ')}\n` +
+                        `  ✅ ${count(DELIVERY_STATUS.DELIVERED)} · ⏳ ${count(DELIVERY_STATUS.PENDING)} · ❌ ${count(DELIVERY_STATUS.FAILED)}`;
+                });
+                
+                ctx.reply(`🪝 *Webhooks (${lines.length})*\n\n${lines.join('\n\n') || '_None yet_'}\n\n${this.webhooksUsage()}`, { parse_mode: 'Markdown' });
+                return;
+            }
+        }
+        
+        ctx.reply(this.webhooksUsage(), { parse_mode: 'Markdown' });
+    }
+    
+    webhooksUsage() {
+        return `\`/webhooks add <url> [event,event]\` - events: ${WEBHOOK_EVENTS.join(', ')} (default: all)\n` +
+            `\`/webhooks remove <id>\`\n` +
+            `\`/webhooks log <id>\` - recent deliveries`;
+    }
+    
+    apiKeysUsage() {
+        return `\`/apikeys create <name> [id|@user]\` - new key acting as that user (default: you)\n` +
+            `\`/apikeys revoke <key id>\``;
+    }
+    
+    // Telegram announcement to every approved user
+    async initiateBroadcast(ctx) {
+        const text = ctx.message.text.replace(/^\/broadcast(?:@\w+)?\s*/, '').trim();
+        
+        if (!text) {
+            ctx.reply('📢 *Broadcast*\n\nSends a Telegram message to every approved user:\n`/broadcast The gateway will be down at 22:00 UTC.`', {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+        
+        const recipients = readData('users')
+            .filter(u => u.id !== ctx.from.id && hasRole(this.roleOf(u.id), ROLES.VIEWER));
+        let sent = 0;
+        
+        for (const user of recipients) {
+            try {
+                await this.bot.telegram.sendMessage(user.id, `📢 *Announcement*\n\n${this.escapeMarkdown(text)}`, { parse_mode: 'Markdown' });
+                sent++;
+            } catch (error) {
+                logger.warn(`Broadcast to ${user.id} failed: ${error.message}`);
+            }
+        }
+        
+        logger.info(`Broadcast by ${ctx.from.id} reached ${sent}/${recipients.length} users`);
+        ctx.reply(`📢 *Broadcast sent* to ${sent} of ${recipients.length} users.`, { parse_mode: 'Markdown' });
+    }
+    
+    // Gateway state and how many transports can send right now
+    formatSystemHealth(stats) {
+        const icons = { OPERATIONAL: '✅', BOOTING: '⏳', EMERGENCY: '🚨' };
+        const healthy = stats.transports.filter(transport => transport.health.healthy).length;
+        const total = stats.transports.length;
+        
+        const transmission = total === 0 ? '❌ NO TRANSPORTS CONFIGURED'
+            : healthy === 0 ? `❌ DOWN (0/${total} transports healthy)`
+            : healthy < total ? `⚠️ DEGRADED (${healthy}/${total} transports healthy)`
+            : `✅ READY (${total}/${total} transports healthy)`;
+        
+        return `⚡ *System:* ${icons[stats.status] || '❔'} ${stats.status}\n` +
+            `📡 *Transmission:* ${transmission}`;
+    }
+    
+    async showSystemStatus(ctx) {
+        const stats = this.collectStats();
+        const hours = Math.floor(stats.uptime / 3600);
+        const minutes = Math.floor((stats.uptime % 3600) / 60);
+        const seconds = Math.floor(stats.uptime % 60);
+        
+        const { queue, totals } = stats;
+        const oldest = queue.depth + queue.inFlight > 0
+            ? moment.duration(queue.oldestAge).humanize()
+            : '-';
+        
+        const status = `📊 *System Status - Unlimited SMS Gateway*\n\n` +
+            `${this.formatSystemHealth(stats)}\n\n` +
+            `📈 *Real-time Statistics:*\n` +
+            `• 📤 Total SMS Sent: ${totals.totalSMS.toLocaleString()}\n` +
+            `• ✅ Successful: ${totals.successful.toLocaleString()}\n` +
+            `• ❌ Failed: ${totals.failed.toLocaleString()}\n` +
+            `• 👥 Active Users: ${stats.activeUsers}\n` +
+            `• 📨 Queue Depth: ${queue.depth}\n` +
+            `• 🚚 In Flight: ${queue.inFlight}\n` +
+            `• ⏳ Oldest Queued: ${oldest}\n\n` +
+            `📡 *Transports:*\n${this.formatTransportLines(stats.transports)}\n\n` +
+            `💾 *System Info:*\n` +
+            `• ⏱️ Uptime: ${hours}h ${minutes}m ${seconds}s\n` +
+            `• 🧠 Memory: ${(stats.memory / 1024 / 1024).toFixed(2)} MB\n` +
+            `• 📁 Database: ${this.countDatabaseEntries()} entries\n\n` +
+            `📏 *Your Quota:*\n${this.formatQuotaLines(ctx.from.id)}\n\n` +
+            `💰 *Your Credit:*\n${this.formatBalance(ctx.from.id)}\n\n` +
+            `🚀 *Unlimited Features Active:*\n` +
+            `• 🌍 No country restrictions\n` +
+            `• 📏 Fair-use quotas and pacing\n` +
+            `• 📨 Bulk SMS enabled\n` +
+            `• ⏰ Scheduled SMS enabled`;
+        
+        ctx.reply(status, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('🔄 Refresh', 'refresh_status')],
+                [Markup.button.callback('📊 Detailed Stats', 'detailed_stats')],
+                [Markup.button.callback('🚀 Send SMS', 'send_sms')]
+            ])
+        });
+    }
+    
+    formatTransportLines(transports) {
+        if (transports.length === 0) return '• None configured';
+        
+        return transports.map(({ name, health, throughput }) => {
+            const details = [this.escapeMarkdown(health.status)];
+            
+            if (health.signal) details.push(`📶 ${health.signal.dbm ?? '?'} dBm`);
+            if (health.operator) details.push(this.escapeMarkdown(health.operator));
+            
+            if (throughput) {
+                details.push(`${throughput.perMinute.toFixed(1)}/min`);
+                if (throughput.successRate !== null) details.push(`${Math.round(throughput.successRate * 100)}% ok`);
+            }
+            
+            return `• ${health.healthy ? '🟢' : '🔴'} ${this.escapeMarkdown(name)}: ${details.join(' · ')}`;
+        }).join('\n');
+    }
+    
+    async sendDashboardLink(ctx) {
+        if (!config.FEATURES.DASHBOARD || !this.httpServer) {
+            ctx.reply('⚠️ The dashboard is not running.');
+            return;
+        }
+        
+        const token = this.dashboard.createLoginToken(ctx.from.id);
+        const minutes = Math.round(config.DASHBOARD.LOGIN_TTL / 60000);
+        
+        // Plain text: a PUBLIC_URL may contain characters Markdown would eat
+        ctx.reply(`📺 Live dashboard\n\n` +
+            `${this.httpUrl()}${config.DASHBOARD.PATH}/login?token=${token}\n\n` +
+            `The link signs you in once and expires in ${minutes} minutes. Don't share it.`,
+            { disable_web_page_preview: true });
+    }
+    
+    async showHelp(ctx) {
+        const help = `🆘 *Help - Unlimited SMS Gateway*\n\n` +
+            `*Quick Start:*\n` +
+            `1. Use /send or click "Send SMS"\n` +
+            `2. Enter phone number (international format)\n` +
+            `3. Type your message\n` +
+            `4. Confirm and send\n\n` +
+            `*Unlimited Features:*\n` +
+            `📱 *Single SMS:* Send to any number, any country\n` +
+            `📨 *Bulk SMS:* Send to unlimited numbers at once\n` +
+            `⏰ *Scheduled SMS:* Schedule for future delivery\n` +
+            `🌍 *Global Coverage:* All countries supported\n` +
+            `⚡ *Instant Delivery:* No delays\n` +
+            `🔒 *Quantum Security:* Military-grade encryption\n\n` +
+            `*Commands:*\n` +
+            `/start - Start the bot\n` +
+            `/send - Send single SMS\n` +
+            `/bulk - Send bulk SMS\n` +
+            `/schedule - Schedule SMS\n` +
+            `/scheduled - List, edit, pause or cancel scheduled SMS\n` +
+            `/timezone - Set your timezone for schedules\n` +
+            `/templates - View SMS templates\n` +
+            `/template - Create, rename or delete templates\n` +
+            `/contacts - Contact book and groups\n` +
+            `/thread - Conversation history with a number\n` +
+            `/suppression - Opt-out list (admins)\n` +
+            `/users - Approve users and manage roles (admins)\n` +
+            `/broadcast - Message every user (admins)\n` +
+            `/quota - Your sending quota\n` +
+            `/balance - Your credit balance\n` +
+            `/statement - Monthly credit statement\n` +
+            `/topup - Top up a user's balance (admins)\n` +
+            `/apikeys - HTTP API keys (admins)\n` +
+            `/webhooks - Event webhooks (admins)\n` +
+            `/dashboard - Live web dashboard (admins)\n` +
+            `/status - System status\n` +
+            `/help - This help message\n\n` +
+            `*Phone Number Format:*\n` +
+            `• Must start with +\n` +
+            `• Include country code\n` +
+            `• Examples:\n` +
+            `  - Pakistan: +923001234567\n` +
+            `  - USA: +12345678900\n` +
+            `  - UAE: +971501234567\n\n` +
+            `*Message Limits:*\n` +
+            `• Maximum length: 1000 characters\n` +
+            `• Supports Unicode and emojis\n` +
+            `• Auto-split for long messages\n\n` +
+            `*Incoming SMS:*\n` +
+            `• Forwarded to whoever last messaged the number\n` +
+            `• Reply to the forwarded message to answer by SMS\n\n` +
+            `⚠️ *Important:*\n` +
+            `• Use responsibly\n` +
+            `• No spam allowed\n` +
+            `• Respect local laws\n\n` +
+            `🚀 *Enjoy unlimited SMS sending!*`;
+        
+        ctx.reply(help, { parse_mode: 'Markdown' });
+    }
+    
+    async showSettings(ctx) {
+        const settings = `⚙️ *System Settings*\n\n` +
+            `*Current Configuration:*\n` +
+            `• 📱 Unlimited Mode: ✅ ENABLED\n` +
+            `• ⚡ Rate Limits: ${config.SMS_SETTINGS.NO_RATE_LIMIT ? '❌ DISABLED' : '✅ ENABLED'}\n` +
+            `• 🌍 Country Restrictions: ❌ DISABLED\n` +
+            `• 🧠 AI Optimization: ✅ MAXIMUM\n` +
+            `• 🔒 Encryption: QUANTUM_512\n\n` +
+            `*Transports:*\n` +
+            `${this.transports.list().map(t => `• ${t.name} (${t.type}, priority ${t.priority}): ${t.health().status}`).join('\n') || '• None configured'}\n\n` +
+            `*Adjust Settings:*`;
+        
+        ctx.reply(settings, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [
+                    Markup.button.callback('🔧 Transmission', 'transmission_settings'),
+                    Markup.button.callback('🔒 Security', 'security_settings')
+                ],
+                [
+                    Markup.button.callback('🤖 AI Settings', 'ai_settings'),
+                    Markup.button.callback('📊 Logs', 'log_settings')
+                ],
+                [Markup.button.callback('💾 Backup', 'backup_settings')]
+            ])
+        });
+    }
+    
+    isAdmin(userId) {
+        return this.roleOf(userId) === ROLES.ADMIN;
+    }
+    
+    formatRoutingTable() {
+        const lines = this.routingTable.list().map(entry =>
+            `• \`+${entry.prefix || '*'}\` ${entry.country}: ` +
+            entry.routes.map(route => `${route.transport} (p${route.priority}, ${route.cost})`).join(' → ')
+        );
+        
+        return `🧭 *Routing Table*\n\n` +
+            `${lines.join('\n') || '• No routes loaded'}\n\n` +
+            `📁 *File:* \`${config.DIRECTORIES.DATA}/routes.json\`\n` +
+            `🕒 *Loaded:* ${this.routingTable.loadedAt ? moment(this.routingTable.loadedAt).format('YYYY-MM-DD HH:mm:ss') : 'never'}`;
+    }
+    
+    async showRoutingTable(ctx) {
+        if (!this.isAdmin(ctx.from.id)) {
+            ctx.reply('⛔ This command is for administrators only.');
+            return;
+        }
+        
+        ctx.reply(this.formatRoutingTable(), {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback('🔄 Reload', 'routes_reload')]
+            ])
+        });
+    }
+    
+    async reloadRoutingTable(ctx) {
+        if (!this.isAdmin(ctx.from.id)) {
+            ctx.reply('⛔ This command is for administrators only.');
+            return;
+        }
+        
+        try {
+            const count = this.routingTable.load();
+            logger.info(`Routing table reloaded by ${ctx.from.id}: ${count} prefixes`);
+            
+            ctx.editMessageText(`✅ *Routing table reloaded*\n\n${this.formatRoutingTable()}`, {
+                parse_mode: 'Markdown',
+                ...Markup.inlineKeyboard([
+                    [Markup.button.callback('🔄 Reload', 'routes_reload')]
+                ])
+            });
+        } catch (error) {
+            // The previous table stays active
+            ctx.reply(`❌ *Reload failed, previous table kept*\n\n\`${error.message}\``, {
+                parse_mode: 'Markdown'
+            });
+        }
+    }
+    
+    async showDeadLetters(ctx) {
+        if (!this.isAdmin(ctx.from.id)) {
+            ctx.reply('⛔ This command is for administrators only.');
+            return;
+        }
+        
+        const letters = readData('dead_letters');
+        const latest = letters.slice(-10).reverse();
+        
+        if (latest.length === 0) {
+            ctx.reply('🗃️ *Dead-letter queue is empty.*', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const lines = latest.map((letter, index) =>
+            `*${index + 1}.* \`${letter.phoneNumber}\` - ${letter.permanent ? 'permanent' : `${letter.attempts} attempts`}\n` +
+            `   ❌ ${letter.error}\n` +
+            `   🕒 ${moment(letter.failedAt).format('YYYY-MM-DD HH:mm')}`
+        );
+        
+        ctx.reply(`🗃️ *Dead-Letter Queue* (${letters.length} total, latest ${latest.length})\n\n${lines.join('\n\n')}`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([
+                latest.slice(0, 5).map((letter, index) => Markup.button.callback(`🔁 ${index + 1}`, `dlq_requeue_${letter.id}`)),
+                latest.slice(5).map((letter, index) => Markup.button.callback(`🔁 ${index + 6}`, `dlq_requeue_${letter.id}`)),
+                [Markup.button.callback('🔁 Requeue All', 'dlq_requeue_all')]
+            ].filter(row => row.length > 0))
+        });
+    }
+    
+    async requeueDeadLetters(ctx, id) {
+        if (!this.isAdmin(ctx.from.id)) {
+            ctx.reply('⛔ This command is for administrators only.');
+            return;
+        }
+        
+        // Take the entries out of the store, then give them a fresh set of attempts
+        const requeued = updateData('dead_letters', (letters) => {
+            const taken = id === 'all' ? letters.slice() : letters.filter(letter => letter.id === id);
+            const remaining = letters.filter(letter => !taken.includes(letter));
+            
+            letters.splice(0, letters.length, ...remaining);
+            return taken;
+        });
+        
+        // The failure was refunded, so the sender pays again; an admin's call, so no balance check
+        requeued.forEach(letter => this.enqueueTransmission({
+            phoneNumber: letter.phoneNumber,
+            message: letter.message,
+            userId: letter.userId,
+            bulk: letter.bulk,
+            chargeId: letter.userId ? this.chargeMessages(letter.userId, [letter], letter.id, { allowOverdraft: true })[0].id : null
+        }));
+        
+        logger.info(`Admin ${ctx.from.id} requeued ${requeued.length} dead letters`);
+        
+        ctx.reply(requeued.length > 0
+            ? `🔁 *Requeued ${requeued.length} message${requeued.length === 1 ? '' : 's'}.*`
+            : '⚠️ *Nothing to requeue - the entry is no longer in the dead-letter queue.*', {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    templateKeyboard(templates) {
+        const buttons = templates.slice(0, 20).map(template =>
+            Markup.button.callback(`${template.shared ? '🌍' : '📝'} ${template.name}`, `template_use_${template.id}`));
+        const rows = [];
+        
+        for (let i = 0; i < buttons.length; i += 2) {
+            rows.push(buttons.slice(i, i + 2));
+        }
+        
+        rows.push([Markup.button.callback('➕ New Template', 'template_new')]);
+        return Markup.inlineKeyboard(rows);
+    }
+    
+    formatTemplate(template) {
+        const text = template.text.replace(/`/g, "'");
+        return `• *${template.name}*\n\`${text.substring(0, 120)}${text.length > 120 ? '...' : ''}\``;
+    }
+    
+    templateUsage() {
+        return `➕ *Manage templates*\n\n` +
+            `\`/template new name | text\` - create\n` +
+            `\`/template rename name | new-name\` - rename\n` +
+            `\`/template delete name\` - delete\n` +
+            `\`/template shared name | text\` - shared template (admins)\n\n` +
+            `Names use lowercase letters, digits and hyphens. ` +
+            `Put \`{{placeholders}}\` in the text to fill them in when sending.`;
+    }
+    
+    async showTemplates(ctx) {
+        const templates = this.templates.available(ctx.from.id);
+        const own = templates.filter(template => !template.shared);
+        const shared = templates.filter(template => template.shared);
+        
+        const message = `📝 *SMS Templates*\n\n` +
+            `*Yours:*\n${own.length ? own.map(t => this.formatTemplate(t)).join('\n') : '_None yet_'}\n\n` +
+            `*Shared:*\n${shared.length ? shared.map(t => this.formatTemplate(t)).join('\n') : '_None_'}\n\n` +
+            `Tap a template to send it.\n\n` +
+            this.templateUsage();
+        
+        ctx.reply(message, {
+            parse_mode: 'Markdown',
+            ...this.templateKeyboard(templates)
+        });
+    }
+    
+    async showQuickTemplates(ctx) {
+        const templates = this.templates.available(ctx.from.id);
+        
+        ctx.reply(templates.length ? `📝 *Quick SMS Templates*\n\n*Select a template:*` : `📭 *No templates yet.*\n\n${this.templateUsage()}`, {
+            parse_mode: 'Markdown',
+            ...this.templateKeyboard(templates)
+        });
+    }
+    
+    async manageTemplate(ctx) {
+        const userId = ctx.from.id;
+        const [, action = '', args] = ctx.message.text.match(/^\/template(?:@\w+)?(?:\s+(\w+))?\s*([\s\S]*)$/);
+        
+        // "name | value" or the value on the next line
+        const separator = args.search(/[|\n]/);
+        const name = (separator === -1 ? args : args.substring(0, separator)).trim();
+        const value = separator === -1 ? '' : args.substring(separator + 1).trim();
+        
+        try {
+            switch(action.toLowerCase()) {
+                case 'new':
+                case 'shared': {
+                    const shared = action.toLowerCase() === 'shared';
+                    
+                    if (shared && !this.isAdmin(userId)) {
+                        ctx.reply('⛔ Only administrators can create shared templates.');
+                        return;
+                    }
+                    
+                    if (!name || !value) break;
+                    
+                    const validation = this.validateMessage(value);
+                    if (!validation.valid) {
+                        ctx.reply(validation.message);
+                        return;
+                    }
+                    
+                    const template = this.templates.create(userId, name, value, shared);
+                    const fields = placeholders(template.text);
+                    
+                    ctx.reply(`✅ *Template saved:* ${template.name}${shared ? ' (shared)' : ''}\n\n` +
+                        (fields.length ? `🧩 *Placeholders:* ${fields.map(field => `\`${field}\``).join(', ')}` : '🧩 No placeholders'), {
+                        parse_mode: 'Markdown'
+                    });
+                    return;
+                }
+                
+                case 'rename':
+                case 'delete': {
+                    if (!name || (action.toLowerCase() === 'rename' && !value)) break;
+                    
+                    const template = this.templates.find(userId, name);
+                    
+                    if (!template) {
+                        ctx.reply(`❌ No template named \`${name.replace(/`/g, '')}\`. See /templates`, { parse_mode: 'Markdown' });
+                        return;
+                    }
+                    
+                    if (template.shared && !this.isAdmin(userId)) {
+                        ctx.reply('⛔ Shared templates can only be changed by administrators.');
+                        return;
+                    }
+                    
+                    if (action.toLowerCase() === 'delete') {
+                        this.templates.remove(template.id);
+                        ctx.reply(`🗑️ Template *${template.name}* deleted.`, { parse_mode: 'Markdown' });
+                    } else {
+                        const renamed = this.templates.rename(template.id, value);
+                        ctx.reply(`✅ Template *${template.name}* renamed to *${renamed.name}*.`, { parse_mode: 'Markdown' });
+                    }
+                    return;
+                }
+            }
+        } catch (error) {
+            ctx.reply(`❌ ${error.message}`);
+            return;
+        }
+        
+        ctx.reply(this.templateUsage(), { parse_mode: 'Markdown' });
+    }
+    
+    async useTemplate(ctx, key) {
+        const userId = ctx.from.id;
+        const template = this.templates.available(userId).find(t => t.id === key) || this.templates.find(userId, key);
+        
+        if (!template) {
+            ctx.editMessageText('⚠️ This template no longer exists. See /templates');
+            return;
+        }
+        
+        let session = this.userSessions.get(userId);
+        
+        // Outside the send flow the template starts one; the number comes first
+        if (!session || !['awaiting_number', 'awaiting_message'].includes(session.step)) {
+            session = { step: 'awaiting_number', mode: 'SINGLE', data: {}, timestamp: Date.now() };
+            this.userSessions.set(userId, session);
+        }
+        
+        if (session.step === 'awaiting_number') {
+            session.data.templateId = template.id;
+            ctx.editMessageText(`📝 *Template:* ${template.name}\n\n📱 Now send the phone number (international format):`, {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+        
+        await this.applyTemplate(ctx, session, template);
+    }
+    
+    // Ask for each placeholder in turn, then continue as if the filled text had been typed
+    async applyTemplate(ctx, session, template) {
+        const fields = placeholders(template.text);
+        
+        if (fields.length === 0) {
+            await this.processMessage(ctx, template.text, session);
+            return;
+        }
+        
+        session.step = 'awaiting_template_values';
+        session.data.template = { name: template.name, text: template.text, fields, values: {} };
+        
+        this.askTemplateValue(ctx, session.data.template);
+    }
+    
+    askTemplateValue(ctx, template) {
+        const index = Object.keys(template.values).length;
+        const text = template.text.replace(/`/g, "'");
+        
+        ctx.reply(`📝 *Template:* ${template.name}\n\`${text}\`\n\n` +
+            `✏️ Send the value for \`{{${template.fields[index]}}}\` (${index + 1}/${template.fields.length}):`, {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    async processTemplateValue(ctx, text, session) {
+        const template = session.data.template;
+        
+        template.values[template.fields[Object.keys(template.values).length]] = text.trim();
+        
+        if (Object.keys(template.values).length < template.fields.length) {
+            this.askTemplateValue(ctx, template);
+            return;
+        }
+        
+        delete session.data.template;
+        session.step = 'awaiting_message';
+        
+        await this.processMessage(ctx, fillTemplate(template.text, template.values), session);
+    }
+    
+    // ========== CONTACTS & GROUPS ==========
+    
+    escapeMarkdown(text) {
+        return String(text).replace(/([_*`[])/g, '\\$1');
+    }
+    
+    contactUsage() {
+        return `👥 *Manage contacts*\n\n` +
+            `\`/contact add Name | +923001234567 | tag1 tag2\`\n` +
+            `\`/contact tag Name | tag1 tag2\` - replace tags\n` +
+            `\`/contact delete Name\`\n` +
+            `\`/contact import\` - then send a .csv (name, phone, tags) or .vcf\n` +
+            `\`/group create name | tag1 tag2\` - contacts with any of the tags\n` +
+            `\`/group delete name\`\n\n` +
+            `A .vcf file sent at any time is imported too.`;
+    }
+    
+    async showThread(ctx) {
+        const argument = ctx.message.text.replace(/^\/thread(?:@\w+)?\s*/, '').trim();
+        
+        if (!argument) {
+            ctx.reply('💬 *Conversation threads*\n\nShow everything sent to and received from a number:\n' +
+                '`/thread +923001234567`\n`/thread Ali Khan` (a contact name)', { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const contact = this.contacts.find(ctx.from.id, argument);
+        const phoneNumber = contact ? contact.phoneNumber : normalizeNumber(argument);
+        
+        if (!/^\+\d{6,15}$/.test(phoneNumber)) {
+            ctx.reply('❌ Give a phone number in international format or the name of one of your contacts.');
+            return;
+        }
+        
+        this.renderThread(ctx, phoneNumber);
+    }
+    
+    // Admins see every message; users see their own transmissions and what was received from
+    // numbers they messaged or that was forwarded to them
+    threadFor(userId, phoneNumber) {
+        const admin = this.isAdmin(userId);
+        const logs = readData('sms_logs').filter(entry => admin || entry.userId === userId);
+        
+        return buildThread(phoneNumber, logs, this.visibleInbound(userId));
+    }
+    
+    // Received messages a user may read: from numbers they have messaged, or forwarded to them
+    visibleInbound(userId) {
+        if (this.isAdmin(userId)) return this.inbox.list();
+        
+        const numbers = new Set(readData('sms_logs').filter(entry => entry.userId === userId).map(entry => entry.phoneNumber));
+        
+        return this.inbox.list(message => numbers.has(message.phoneNumber) || message.forwards.some(f => f.chatId === userId));
+    }
+    
+    openTransmissionThread(ctx, transmissionId) {
+        const userId = ctx.from.id;
+        const entry = readData('sms_logs').find(e => e.transmissionId === transmissionId);
+        
+        if (!entry || (entry.userId !== userId && !this.isAdmin(userId))) {
+            ctx.reply('❌ Transmission not found. Older entries are removed from the log.');
+            return;
+        }
+        
+        this.renderThread(ctx, entry.phoneNumber, null, transmissionId);
+    }
+    
+    // page null: the page holding `highlightId`, or the newest one
+    renderThread(ctx, phoneNumber, page = null, highlightId = null, edit = false) {
+        const userId = ctx.from.id;
+        const thread = this.threadFor(userId, phoneNumber);
+        
+        if (thread.length === 0) {
+            ctx.reply(`💬 No messages with \`${phoneNumber}\` yet.`, { parse_mode: 'Markdown' });
+            return;
+        }
+        
+        const pages = Math.ceil(thread.length / THREAD_PAGE_SIZE);
+        const current = Math.min(page ?? threadPage(thread, highlightId), pages - 1);
+        const timeZone = this.getUserTimezone(userId);
+        const contact = this.contacts.find(userId, phoneNumber);
+        
+        const statusLabels = {
+            [STATUS.DELIVERED]: '✅ Delivered',
+            [STATUS.SENT]: '📨 Sent',
+            [STATUS.FAILED]: '❌ Failed',
+            [STATUS.EXPIRED]: '⌛ Expired'
+        };
+        
+        const lines = thread.slice(current * THREAD_PAGE_SIZE, (current + 1) * THREAD_PAGE_SIZE).map(entry => {
+            const label = entry.direction === 'IN'
+                ? `📥 *${formatInTimeZone(entry.at, timeZone)}* · received via ${entry.via}`
+                : `📤 *${formatInTimeZone(entry.at, timeZone)}* · ${statusLabels[entry.status] || entry.status}`;
+            const text = entry.text === null
+                ? '_(text not logged)_'
+                : this.escapeMarkdown(entry.text.length > 300 ? `${entry.text.substring(0, 300)}…` : entry.text);
+            
+            return `${entry.id === highlightId ? '👉 ' : ''}${label}${entry.parts > 1 ? ` · ${entry.parts} parts` : ''}\n${text}`;
+        });
+        
+        const digits = phoneNumber.substring(1);
+        const navigation = [];
+        if (current > 0) navigation.push(Markup.button.callback('◀️ Older', `thread_${digits}_${current - 1}`));
+        navigation.push(Markup.button.callback('🔄 Refresh', `thread_${digits}_${current}`));
+        if (current < pages - 1) navigation.push(Markup.button.callback('Newer ▶️', `thread_${digits}_${current + 1}`));
+        
+        const text = `💬 *Thread with* \`${phoneNumber}\`${contact ? ` (${this.escapeMarkdown(contact.name)})` : ''}\n` +
+            `📄 Page ${current + 1}/${pages} · ${thread.length} message${thread.length === 1 ? '' : 's'}\n\n` +
+            lines.join('\n\n');
+        const extra = { parse_mode: 'Markdown', ...Markup.inlineKeyboard([navigation]) };
+        
+        // Refreshing an unchanged page makes Telegram reject the edit
+        if (edit) {
+            ctx.editMessageText(text, extra).catch(() => {});
+        } else {
+            ctx.reply(text, extra);
+        }
+    }
+    
+    async showContacts(ctx) {
+        const userId = ctx.from.id;
+        const contacts = this.contacts.list(userId);
+        const groups = this.contacts.groups(userId);
+        
+        const contactLines = contacts.slice(0, 30).map(contact =>
+            `• ${this.escapeMarkdown(contact.name)} - \`${contact.phoneNumber}\`${contact.tags.length ? ` ${contact.tags.map(tag => `#${tag}`).join(' ')}` : ''}`);
+        
+        if (contacts.length > 30) {
+            contactLines.push(`• ...and ${contacts.length - 30} more`);
+        }
+        
+        const groupLines = groups.map(group =>
+            `• *${group.name}* (${this.contacts.members(userId, group).length}) - ${group.tags.map(tag => `#${tag}`).join(' ')}`);
+        
+        ctx.reply(`👥 *Contacts (${contacts.length})*\n${contactLines.length ? contactLines.join('\n') : '_None yet_'}\n\n` +
+            `📂 *Groups (${groups.length})*\n${groupLines.length ? groupLines.join('\n') : '_None yet_'}\n\n` +
+            this.contactUsage(), {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    async manageContact(ctx) {
+        const userId = ctx.from.id;
+        const [, action = '', args] = ctx.message.text.match(/^\/contact(?:@\w+)?(?:\s+(\w+))?\s*([\s\S]*)$/);
+        const [key = '', ...rest] = args.split('|').map(part => part.trim());
+        
+        switch(action.toLowerCase()) {
+            case 'add': {
+                const [phoneNumber = '', tags = ''] = rest;
+                const validation = this.validatePhoneNumber(normalizeNumber(phoneNumber));
+                
+                if (!key || !validation.valid) {
+                    ctx.reply(`❌ ${key ? validation.message : 'A name is required.'}\n\n\`/contact add Name | +923001234567 | tags\``, {
+                        parse_mode: 'Markdown'
+                    });
+                    return;
+                }
+                
+                const { added } = this.contacts.import(userId, [{ name: key, phoneNumber: normalizeNumber(phoneNumber), tags: [tags] }]);
+                ctx.reply(`✅ Contact *${this.escapeMarkdown(key)}* ${added ? 'added' : 'updated'}.`, { parse_mode: 'Markdown' });
+                return;
+            }
+            
+            case 'tag':
+            case 'delete': {
+                const contact = key && this.contacts.find(userId, key);
+                
+                if (!contact) {
+                    ctx.reply('❌ No such contact. See /contacts');
+                    return;
+                }
+                
+                if (action.toLowerCase() === 'delete') {
+                    this.contacts.remove(userId, contact.id);
+                    ctx.reply(`🗑️ Contact *${this.escapeMarkdown(contact.name)}* deleted.`, { parse_mode: 'Markdown' });
+                } else {
+                    const updated = this.contacts.setTags(userId, contact.id, [rest[0] || '']);
+                    ctx.reply(`🏷️ *${this.escapeMarkdown(updated.name)}*: ${updated.tags.map(tag => `#${tag}`).join(' ') || 'no tags'}`, {
+                        parse_mode: 'Markdown'
+                    });
+                }
+                return;
+            }
+            
+            case 'import':
+                this.userSessions.set(userId, {
+                    step: 'awaiting_contacts_file',
+                    mode: 'CONTACTS',
+                    data: {},
+                    timestamp: Date.now()
+                });
+                ctx.reply('📥 Send a .csv (name, phone, tags) or .vcf file with your contacts.');
+                return;
         }
+        
+        ctx.reply(this.contactUsage(), { parse_mode: 'Markdown' });
     }
     
-    async optimizeTransmission(phoneNumber, message) {
-        // AI-based transmission optimization
-        const optimization = {
-            phoneNumber,
-            country: this.detectCountry(phoneNumber),
-            messageLength: message.length,
-            parts: this.splitMessage(message).length,
-            encoding: this.detectEncoding(message),
-            priority: this.calculatePriority(phoneNumber, message),
-            bestRoute: this.calculateBestRoute(phoneNumber),
-            transmissionWindow: this.calculateTransmissionWindow(),
-            successProbability: this.calculateSuccessProbability(phoneNumber)
-        };
+    async manageGroup(ctx) {
+        const userId = ctx.from.id;
+        const [, action = '', args] = ctx.message.text.match(/^\/group(?:@\w+)?(?:\s+(\w+))?\s*([\s\S]*)$/);
+        const [name = '', tags = ''] = args.split('|').map(part => part.trim());
         
-        return optimization;
+        if (action.toLowerCase() === 'create' && name) {
+            try {
+                const group = this.contacts.saveGroup(userId, name, [tags]);
+                const members = this.contacts.members(userId, group).length;
+                
+                ctx.reply(`✅ Group *${group.name}* saved: ${group.tags.map(tag => `#${tag}`).join(' ')}\n👥 ${members} contact${members === 1 ? '' : 's'}`, {
+                    parse_mode: 'Markdown'
+                });
+            } catch (error) {
+                ctx.reply(`❌ ${error.message}`);
+            }
+            return;
+        }
+        
+        if (action.toLowerCase() === 'delete' && name) {
+            const group = this.contacts.getGroup(userId, name);
+            
+            if (group) this.contacts.removeGroup(userId, group.id);
+            ctx.reply(group ? `🗑️ Group *${group.name}* deleted. Its contacts are kept.` : '❌ No such group. See /contacts', {
+                parse_mode: 'Markdown'
+            });
+            return;
+        }
+        
+        ctx.reply(this.contactUsage(), { parse_mode: 'Markdown' });
     }
     
-    selectBestTransmissionMethod(optimization) {
-        // Select best method based on AI optimization
-        const methods = config.TRANSMISSION_METHODS;
-        const scores = methods.map(method => ({
-            method,
-            score: this.scoreTransmissionMethod(method, optimization)
-        }));
+    async importContacts(ctx, entries) {
+        const userId = ctx.from.id;
+        const invalid = [];
+        
+        const valid = entries.filter(entry => {
+            if (this.validatePhoneNumber(entry.phoneNumber).valid) return true;
+            
+            invalid.push({ ...entry, reason: 'invalid number' });
+            return false;
+        });
         
-        // Select method with highest score
-        return scores.reduce((best, current) => 
-            current.score > best.score ? current : best
-        ).method;
+        if (this.userSessions.get(userId)?.step === 'awaiting_contacts_file') {
+            this.userSessions.delete(userId);
+        }
+        
+        const { added, updated } = this.contacts.import(userId, valid);
+        logger.info(`Contacts imported by ${userId}: ${added} added, ${updated} updated, ${invalid.length} invalid`);
+        
+        ctx.reply(`✅ *Contacts imported*\n\n` +
+            `➕ *Added:* ${added}\n` +
+            `♻️ *Updated:* ${updated}\n` +
+            `❌ *Invalid:* ${invalid.length}\n` +
+            `${invalid.length > 0 ? `\n${this.formatInvalidEntries(invalid)}\n` : ''}` +
+            `\nSee /contacts`, {
+            parse_mode: 'Markdown'
+        });
     }
     
-    scoreTransmissionMethod(method, optimization) {
-        // Score transmission method
-        let score = 0.5; // Base score
+    async showContactPicker(ctx) {
+        const session = this.userSessions.get(ctx.from.id);
         
-        switch(method) {
-            case 'QUANTUM_TUNNELING':
-                score += 0.3;
-                if (optimization.country === 'PAKISTAN') score += 0.1;
-                break;
-            case 'VIRTUAL_GSM_SIMULATION':
-                score += 0.25;
-                if (optimization.messageLength > 160) score += 0.15;
-                break;
-            case 'AI_OPTIMIZED_ROUTING':
-                score += 0.2;
-                if (optimization.priority > 1) score += 0.2;
-                break;
-            case 'DIRECT_SOCKET_CONNECTION':
-                score += 0.15;
-                break;
-            case 'WAVE_FUNCTION_TRANSMISSION':
-                score += 0.4; // Highest base score
-                break;
+        if (!session || session.step !== 'awaiting_number') {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        const contacts = this.contacts.list(ctx.from.id);
+        
+        if (contacts.length === 0) {
+            ctx.editMessageText('📭 No contacts yet. Add some with /contact, or type the number:');
+            return;
+        }
+        
+        const buttons = contacts.slice(0, 30).map(contact =>
+            Markup.button.callback(`👤 ${contact.name.substring(0, 24)}`, `contact_pick_${contact.id}`));
+        const rows = [];
+        
+        for (let i = 0; i < buttons.length; i += 2) {
+            rows.push(buttons.slice(i, i + 2));
         }
         
-        // Add random factor for AI learning
-        score += (Math.random() * 0.2 - 0.1);
+        rows.push([Markup.button.callback('❌ Cancel', 'cancel')]);
         
-        return Math.min(1, Math.max(0, score));
+        ctx.editMessageText('👥 *Pick a contact* (or type a name or number):', {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard(rows)
+        });
     }
     
-    applyQuantumEncryption(message) {
-        // Apply quantum-level encryption
-        const encryptionId = `ENC_${Date.now()}`;
+    async pickContact(ctx, id) {
+        const session = this.userSessions.get(ctx.from.id);
+        const contact = this.contacts.get(ctx.from.id, id);
         
-        return {
-            encryptedId: encryptionId,
-            algorithm: 'QUANTUM_SHA512',
-            keySize: 512,
-            timestamp: Date.now(),
-            dataHash: this.calculateHash(message)
-        };
+        if (!session || session.step !== 'awaiting_number' || !contact) {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        ctx.editMessageText(`👤 *${this.escapeMarkdown(contact.name)}*`, { parse_mode: 'Markdown' });
+        await this.processPhoneNumber(ctx, contact.phoneNumber, session);
     }
     
-    async transmitSMS(transmissionData) {
-        // Simulated transmission with various methods
-        console.log(`🚀 Transmitting via ${transmissionData.method}...`);
+    async showGroupPicker(ctx) {
+        const userId = ctx.from.id;
+        const session = this.userSessions.get(userId);
+        
+        if (!session || session.step !== 'awaiting_bulk_numbers') {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
         
-        // Simulate transmission time based on method
-        const transmissionTime = this.getTransmissionTime(transmissionData.method);
-        await new Promise(resolve => setTimeout(resolve, transmissionTime));
+        const contacts = this.contacts.list(userId);
         
-        // Generate transmission result
-        const result = {
-            success: true,
-            route: this.generateRoute(transmissionData.phoneNumber),
-            network: this.simulateNetwork(transmissionData.phoneNumber),
-            signalStrength: Math.floor(Math.random() * 100),
-            deliveryTime: Date.now() + transmissionTime,
-            transmissionMethod: transmissionData.method,
-            quantumEntanglement: Math.random() > 0.7 ? 'ESTABLISHED' : 'PARTIAL'
-        };
+        if (contacts.length === 0) {
+            ctx.editMessageText('📭 No contacts yet. Import some with /contact import, or send numbers:');
+            return;
+        }
         
-        console.log(`✅ Transmission completed via ${transmissionData.method}`);
+        const rows = this.contacts.groups(userId).map(group => [
+            Markup.button.callback(`📂 ${group.name} (${this.contacts.members(userId, group).length})`, `group_pick_${group.id}`)
+        ]);
         
-        return result;
-    }
-    
-    getTransmissionTime(method) {
-        // Get transmission time based on method
-        const times = {
-            'QUANTUM_TUNNELING': 800,
-            'VIRTUAL_GSM_SIMULATION': 1200,
-            'AI_OPTIMIZED_ROUTING': 600,
-            'DIRECT_SOCKET_CONNECTION': 1000,
-            'WAVE_FUNCTION_TRANSMISSION': 400
-        };
+        rows.push([Markup.button.callback(`👥 All contacts (${contacts.length})`, 'group_pick_all')]);
+        rows.push([Markup.button.callback('❌ Cancel', 'cancel')]);
         
-        return times[method] || 1000;
+        ctx.editMessageText('📂 *Pick a group to send to:*', {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard(rows)
+        });
     }
     
-    generateRoute(phoneNumber) {
-        // Generate transmission route
-        const routes = [
-            'QUANTUM_HUB_1 → SATELLITE_NET → GROUND_STATION → TARGET',
-            'VIRTUAL_GSM_NETWORK → AI_ROUTER → DESTINATION',
-            'DIRECT_WAVE → QUANTUM_RELAY → FINAL_NODE',
-            'AI_OPTIMIZED_PATH → MULTI_HOP → ENDPOINT'
-        ];
+    async pickGroup(ctx, id) {
+        const userId = ctx.from.id;
+        const session = this.userSessions.get(userId);
+        const group = id === 'all' ? null : this.contacts.getGroup(userId, id);
+        
+        if (!session || session.step !== 'awaiting_bulk_numbers' || (id !== 'all' && !group)) {
+            ctx.editMessageText('❌ Session expired. Please start again.');
+            return;
+        }
+        
+        const members = group ? this.contacts.members(userId, group) : this.contacts.list(userId);
         
-        return routes[Math.floor(Math.random() * routes.length)];
+        ctx.editMessageText(`📂 *${group ? group.name : 'All contacts'}*: ${members.length} contact${members.length === 1 ? '' : 's'}`, {
+            parse_mode: 'Markdown'
+        });
+        
+        // Contact fields are available to mail merge like CSV columns
+        await this.loadBulkRecipients(ctx, members.map((contact, index) => ({
+            phoneNumber: contact.phoneNumber,
+            message: null,
+            fields: { name: contact.name, phone: contact.phoneNumber, tags: contact.tags.join(' ') },
+            line: index + 1
+        })), session);
     }
     
-    simulateNetwork(phoneNumber) {
-        // Simulate network based on country
-        const networks = {
-            '+92': 'PAKISTAN_QUANTUM_NET',
-            '+1': 'USA_GLOBAL_NET',
-            '+44': 'UK_EURO_NET',
-            '+971': 'UAE_MIDEAST_NET',
-            '+966': 'SAUDI_ARAB_NET'
-        };
+    countDatabaseEntries() {
+        // Count entries in all database files
+        let total = 0;
+        const dbFiles = ['users', 'sms_logs', 'templates', 'scheduled', 'dead_letters', 'contacts', 'groups', 'suppression', 'inbox', 'usage', 'api_keys', 'webhooks', 'webhook_deliveries'];
         
-        for (const [prefix, network] of Object.entries(networks)) {
-            if (phoneNumber.startsWith(prefix)) {
-                return network;
+        dbFiles.forEach(file => {
+            const filePath = path.join(config.DIRECTORIES.DATA, `${file}.json`);
+            if (fs.existsSync(filePath)) {
+                try {
+                    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                    total += data.length;
+                } catch (e) {
+                    // Ignore errors
+                }
             }
-        }
+        });
         
-        return 'GLOBAL_AI_NETWORK';
+        return total + this.ledger.load().length;
     }
     
-    validatePhoneNumber(phoneNumber) {
-        const phoneRegex = /^\+[1-9]\d{10,14}$/;
+    async startTransmissionEngine() {
+        console.log('🚀 Starting transmission engine...');
         
-        if (!phoneRegex.test(phoneNumber)) {
-            return {
-                valid: false,
-                message: '❌ Invalid phone number format. Please use international format.\nExample: +923001234567',
-                country: 'UNKNOWN'
-            };
+        // Load and start the configured transports
+        this.transports.on('error', (transport, error) => logger.error(`Transport ${transport.name} error:`, error));
+        this.transports.on('ready', (transport, health) => console.log(`📶 Transport ${transport.name} ready (${health.status})`));
+        this.transports.on('disconnected', (transport) => console.log(`📴 Transport ${transport.name} disconnected`));
+        this.transports.on('reconnecting', (transport, delay) => console.log(`🔄 Transport ${transport.name} reconnecting in ${delay}ms`));
+        this.transports.on('throttled', (transport, delay) => logger.warn(`Transport ${transport.name} throttled, pausing submits for ${delay}ms`));
+        this.transports.on('unsolicited', (transport, line) => logger.info(`${transport.name}: ${line}`));
+        this.transports.on('delivery_report', (transport, report) => this.handleDeliveryReport(transport, report));
+        this.transports.on('inbound_sms', (transport, message) => this.handleInboundSms(transport, message));
+        this.inbox.on('message', (message) => this.handleInboundMessage(message));
+        
+        await this.transports.load(config.TRANSPORTS);
+        await this.transports.startAll();
+        
+        // Resume queued transmissions left over from the last run, then start the workers
+        const resumed = this.queue.open();
+        if (resumed > 0) {
+            console.log(`📨 Resuming ${resumed} queued transmissions`);
         }
         
-        // Detect country
-        const country = this.detectCountry(phoneNumber);
+        this.queue.on('expired', (item) => logger.warn(`Queue lease expired for ${item.id} on ${item.transport}, handing it out again`));
+        this.queue.on('retrying', (item, outcome, delay) => {
+            if (outcome.deferred) return;
+            logger.warn(`Queued transmission ${item.id} attempt ${item.attempts} failed (${outcome.error || outcome.message}), retrying in ${delay}ms`);
+        });
+        this.queue.on('completed', (item, result) => this.finishQueuedTransmission(item, result));
+        this.queue.on('failed', (item, error) => {
+            logger.error(`Queued transmission ${item.id} failed:`, error);
+            this.finishQueuedTransmission(item, {
+                success: false,
+                error: error.message,
+                errorCode: error.code ?? null,
+                permanent: error.permanent === true
+            });
+        });
         
-        return {
-            valid: true,
-            message: '✅ Phone number accepted',
-            country: country
-        };
+        this.queue.start({
+            assign: (item) => this.resolveRouting(item.routing, {
+                phoneNumber: item.phoneNumber,
+                bulk: item.bulk,
+                ...item.analysis
+            }, item.partial),
+            transports: () => this.transports.list().map(transport => transport.name),
+            concurrency: (name) => this.transports.get(name)?.concurrency || 1,
+            handle: (item, decision) => this.processQueuedTransmission(item, decision),
+            retry: (item, outcome) => {
+                if (outcome.success) return null;
+                return outcome.deferred ? outcome.retryAfter : nextRetryDelay(item.attempts, outcome);
+            }
+        });
+        
+        // Fire scheduled SMS into the queue, catching up on jobs missed while down
+        this.scheduler.on('fired', (job, late, occurrence) => console.log(`⏰ Scheduled SMS ${job.id}${occurrence ? ` #${occurrence}` : ''} queued${late > 60000 ? ` (${Math.round(late / 60000)} min late)` : ''}`));
+        this.scheduler.on('expired', (job, late) => this.notifyScheduleOutcome(job,
+            `⌛ *Scheduled SMS expired*\n\n📱 *To:* \`${job.phoneNumber}\`\n🆔 *Schedule:* \`${job.id}\`\n\n` +
+            `It was due ${moment.duration(late).humanize()} ago while the gateway was offline.`));
+        this.scheduler.on('skipped', (job, late) => this.notifyScheduleOutcome(job,
+            `⌛ *Recurring SMS skipped*\n\n📱 *To:* \`${job.phoneNumber}\`\n🆔 *Schedule:* \`${job.id}\`\n\n` +
+            `The run due ${moment.duration(late).humanize()} ago was missed while the gateway was offline; it continues with the next one.`));
+        this.scheduler.on('completed', (job) => this.notifyScheduleOutcome(job,
+            `🏁 *Recurring SMS finished*\n\n📱 *To:* \`${job.phoneNumber}\`\n🆔 *Schedule:* \`${job.id}\`\n🔢 *Runs:* ${job.occurrences || 0}`));
+        this.scheduler.on('failed', (job, error) => this.notifyScheduleOutcome(job,
+            `🚫 *Scheduled SMS not sent*\n\n📱 *To:* \`${job.phoneNumber}\`\n🆔 *Schedule:* \`${job.id}\`\n\n❌ ${error.message}`));
+        this.scheduler.on('error', (error, job) => logger.error(`Scheduled SMS ${job.id} could not be queued:`, error));
+        this.scheduler.start((job, occurrence) => this.fireSchedule(job, occurrence));
+        
+        console.log('✅ Transmission engine started');
     }
     
-    detectCountry(phoneNumber) {
-        const countryCodes = {
-            '+92': 'PAKISTAN',
-            '+1': 'USA',
-            '+44': 'UK',
-            '+971': 'UAE',
-            '+966': 'SAUDI_ARABIA',
-            '+91': 'INDIA',
-            '+86': 'CHINA'
-        };
+    enqueueTransmission(transmission, availableAt = Date.now()) {
+        return this.enqueueTransmissions([transmission], availableAt)[0];
+    }
+    
+    // A whole campaign goes into the queue journal with one fsync
+    enqueueTransmissions(transmissions, availableAt = Date.now()) {
+        // Analysis is stored with the item so routing it on every poll stays cheap
+        const items = this.queue.enqueueMany(transmissions.map(({ phoneNumber, message, ...options }) => ({
+            phoneNumber,
+            message,
+            userId: null,
+            bulk: false,
+            ...options,
+            analysis: analyzeMessage(message, config.SMS_SETTINGS.CONCAT_REFERENCE_BITS)
+        })), availableAt);
         
-        for (const [code, country] of Object.entries(countryCodes)) {
-            if (phoneNumber.startsWith(code)) {
-                return country;
-            }
-        }
+        items.forEach(item => this.publishMessageEvent('message.queued', {
+            id: item.id,
+            userId: item.userId,
+            phoneNumber: item.phoneNumber,
+            status: STATUS.PENDING,
+            parts: item.analysis.parts,
+            campaignId: item.campaignId ?? null,
+            scheduleId: item.scheduleId ?? null
+        }));
         
-        return 'INTERNATIONAL';
+        return items;
     }
     
-    validateMessage(message) {
-        if (!message || message.trim().length === 0) {
+    // Quota and credit for messages sent through the HTTP API; throws QuotaExceededError or
+    // InsufficientCreditError before anything is queued. Bulk messages are paced like /bulk.
+    queueMessages(userId, messages, { bulk = false, reference = null } = {}) {
+        const windows = bulk ? ['day', 'month'] : QUOTA_WINDOWS;
+        
+        const violation = this.quotas.check(userId, messages.length, windows);
+        if (violation) throw new QuotaExceededError(violation);
+        
+        const charges = this.chargeMessages(userId, messages, reference);
+        this.quotas.consume(userId, messages.length, windows);
+        
+        const items = this.enqueueTransmissions(messages.map(({ phoneNumber, message }, index) => ({
+            phoneNumber,
+            message,
+            userId,
+            bulk,
+            chargeId: charges[index].id
+        })));
+        
+        return items.map((item, index) => ({ item, charge: charges[index] }));
+    }
+    
+    // Where a message stands, by queue ID or transmission ID; null when unknown or someone else's
+    transmissionStatus(id, userId) {
+        const admin = this.isAdmin(userId);
+        const visible = (owner) => admin || owner === userId;
+        
+        const item = this.queue.get(id);
+        if (item && visible(item.userId)) {
             return {
-                valid: false,
-                message: '❌ Message cannot be empty'
+                id: item.id,
+                to: item.phoneNumber,
+                status: item.state === QUEUE_STATES.IN_FLIGHT ? STATUS.PROCESSING : item.attempts > 0 ? STATUS.RETRYING : STATUS.PENDING,
+                attempts: item.attempts,
+                nextAttemptAt: new Date(item.visibleAt).toISOString(),
+                lastError: item.lastError ?? null
             };
         }
         
-        if (message.length > config.SMS_SETTINGS.MAX_MESSAGE_LENGTH) {
+        // A message that was retried has a log entry per attempt; the newest one counts
+        const entry = readData('sms_logs').filter(e => e.transmissionId === id || e.queueId === id).pop();
+        if (entry && visible(entry.userId)) {
             return {
-                valid: false,
-                message: `❌ Message too long (max ${config.SMS_SETTINGS.MAX_MESSAGE_LENGTH} characters)`
+                id: entry.queueId || entry.transmissionId,
+                transmissionId: entry.transmissionId,
+                to: entry.phoneNumber,
+                status: entry.status,
+                method: entry.method,
+                parts: entry.parts,
+                sentAt: entry.timestamp,
+                statusUpdatedAt: entry.statusUpdatedAt ?? null
             };
         }
         
-        return {
-            valid: true,
-            message: '✅ Message accepted'
-        };
-    }
-    
-    splitMessage(message) {
-        // Split message into parts for multi-part SMS
-        const maxLength = 160;
-        const parts = [];
-        
-        for (let i = 0; i < message.length; i += maxLength) {
-            parts.push(message.substring(i, i + maxLength));
+        const letter = readData('dead_letters').find(l => l.id === id);
+        if (letter && visible(letter.userId)) {
+            return {
+                id: letter.id,
+                to: letter.phoneNumber,
+                status: STATUS.FAILED,
+                attempts: letter.attempts,
+                error: letter.error,
+                errorCode: letter.errorCode,
+                failedAt: letter.failedAt
+            };
         }
         
-        return parts;
+        return null;
     }
     
-    detectEncoding(message) {
-        // Detect message encoding
-        if (/[^\u0000-\u00FF]/.test(message)) {
-            return 'UNICODE';
-        } else if (/[^\u0000-\u007F]/.test(message)) {
-            return 'GSM_EXTENDED';
-        } else {
-            return 'GSM_7BIT';
+    async processQueuedTransmission(item, decision) {
+        // Bulk messages go out no faster than their owner's per-minute quota. The message is
+        // counted up front so concurrent sends see it, and given back if it never went out;
+        // the rest of a partly sent one was counted with its first segments.
+        const paced = item.bulk && item.userId && !item.partial;
+        const consumedAt = new Date();
+        
+        if (paced) {
+            const violation = this.quotas.check(item.userId, 1, ['minute'], consumedAt);
+            if (violation) {
+                return {
+                    success: false,
+                    deferred: true,
+                    retryAfter: Math.max(1000, violation.resetAt - Date.now()),
+                    error: 'Per-minute quota reached'
+                };
+            }
+            this.quotas.consume(item.userId, 1, ['minute'], consumedAt);
         }
-    }
-    
-    calculatePriority(phoneNumber, message) {
-        // Calculate transmission priority
-        let priority = 1;
         
-        // Country priority
-        const countryPriority = {
-            'PAKISTAN': 1.2,
-            'USA': 1.1,
-            'UAE': 1.0,
-            'SAUDI_ARABIA': 1.0,
-            'INTERNATIONAL': 0.9
-        };
+        const result = await this.processSMSTransmission(
+            item.phoneNumber,
+            item.message,
+            item.userId,
+            decision,
+            { optOutNotice: item.optOutNotice, resume: item.partial }
+        );
         
-        const country = this.detectCountry(phoneNumber);
-        priority *= countryPriority[country] || 1.0;
+        if (paced && !result.success && !result.partial) {
+            this.quotas.release(item.userId, 1, ['minute'], consumedAt);
+        }
         
-        // Message urgency
-        const urgentWords = ['urgent', 'emergency', 'asap', 'immediately'];
-        const lowerMessage = message.toLowerCase();
+        if (result.deferred) return result;
         
-        urgentWords.forEach(word => {
-            if (lowerMessage.includes(word)) {
-                priority *= 1.5;
-            }
+        // Each run of a recurring schedule gets its own transmission, linked back to the schedule
+        this.logTransmission({
+            ...result,
+            queueId: item.id,
+            scheduleId: item.scheduleId ?? null,
+            occurrence: item.occurrence ?? null,
+            chargeId: item.chargeId ?? null
         });
         
-        return Math.min(3, priority);
+        return result;
     }
     
-    calculateBestRoute(phoneNumber) {
-        // Calculate best transmission route
-        const routes = {
-            'PAKISTAN': 'QUANTUM_PAKISTAN_HUB',
-            'USA': 'SATELLITE_US_NET',
-            'UAE': 'MIDDLE_EAST_HUB',
-            'SAUDI_ARABIA': 'ARABIAN_NETWORK',
-            'INTERNATIONAL': 'GLOBAL_AI_ROUTING'
-        };
+    finishQueuedTransmission(item, result) {
+        // Final outcome: accepted by a transport, failed permanently, or out of attempts
+        this.systemStats.totalSMS++;
         
-        const country = this.detectCountry(phoneNumber);
-        return routes[country] || 'DEFAULT_AI_ROUTE';
+        if (result.success) {
+            this.systemStats.successful++;
+        } else {
+            this.systemStats.failed++;
+            this.refundCharge(item.chargeId, result.error);
+            if (!result.suppressed) this.deadLetter(item, result);
+            
+            this.publishMessageEvent('message.failed', {
+                id: item.id,
+                transmissionId: result.transmissionId ?? null,
+                userId: item.userId,
+                phoneNumber: item.phoneNumber,
+                status: STATUS.FAILED,
+                error: result.error,
+                errorCode: result.errorCode ?? null
+            });
+        }
+        
+        if (item.campaignId) {
+            this.updateCampaignProgress(item.campaignId, result);
+        }
+        
+        if (item.scheduleId) {
+            this.completeSchedule(item, result);
+        }
+        
+        if (item.inboxId) {
+            this.finishInboundReply(item, result);
+        }
+        
+        if (item.notify && item.userId) {
+            const text = result.success
+                ? `✅ *Retry successful!*\n\n📱 *To:* \`${item.phoneNumber}\`\n🆔 *Transmission ID:* \`${result.transmissionId}\`\n🔁 *Attempt:* ${item.attempts}`
+                : `❌ *Retry failed*\n\n📱 *To:* \`${item.phoneNumber}\`\n❌ *Error:* ${result.error}\n🔁 *Attempts:* ${item.attempts}\n\n` +
+                    (result.suppressed ? '🚫 *The recipient has opted out.*' : '🗃️ *Moved to the dead-letter queue.*');
+            
+            this.bot.telegram.sendMessage(item.userId, text, { parse_mode: 'Markdown' })
+                .catch(error => logger.error('Retry notification failed:', error));
+        }
     }
     
-    calculateTransmissionWindow() {
-        // Calculate best transmission window
-        const now = new Date();
-        const hour = now.getHours();
+    fireSchedule(job, occurrence = null) {
+        // A fixed queue item ID makes firing idempotent if we crash before the job is marked queued
+        const id = occurrence ? `SCHEDULE_${job.id}_${occurrence}` : `SCHEDULE_${job.id}`;
         
-        if (hour >= 1 && hour <= 5) {
-            return 'OPTIMAL_NIGHT_WINDOW';
-        } else if (hour >= 13 && hour <= 17) {
-            return 'PEAK_AVOIDANCE_WINDOW';
-        } else {
-            return 'STANDARD_WINDOW';
+        if (this.queue.get(id)) return this.queue.get(id);
+        
+        // These fail the job (or this occurrence) without queuing anything
+        if (this.suppression.has(job.phoneNumber)) {
+            throw new SuppressedError(job.phoneNumber);
         }
+        
+        const violation = this.quotas.check(job.userId, 1);
+        if (violation) throw new QuotaExceededError(violation);
+        
+        const [charge] = this.chargeMessages(job.userId, [job], job.id);
+        this.quotas.consume(job.userId, 1);
+        
+        return this.enqueueTransmission({
+            id,
+            phoneNumber: job.phoneNumber,
+            message: job.message,
+            userId: job.userId,
+            chargeId: charge.id,
+            scheduleId: job.id,
+            occurrence
+        });
     }
     
-    calculateSuccessProbability(phoneNumber) {
-        // Calculate transmission success probability
-        let probability = 0.85; // Base probability
+    completeSchedule(item, result) {
+        if (item.occurrence) {
+            this.completeOccurrence(item, result);
+            return;
+        }
         
-        // Country-based probability
-        const countryProbabilities = {
-            'PAKISTAN': 0.95,
-            'USA': 0.90,
-            'UAE': 0.92,
-            'SAUDI_ARABIA': 0.91,
-            'INTERNATIONAL': 0.80
-        };
+        const job = this.scheduler.update(item.scheduleId, {
+            status: result.success ? SCHEDULE_STATUS.SENT : SCHEDULE_STATUS.FAILED,
+            transmissionId: result.transmissionId || null,
+            error: result.success ? null : result.error
+        });
+        
+        if (!job) return;
+        
+        this.notifyScheduleOutcome(job, result.success
+            ? `⏰ *Scheduled SMS sent!*\n\n📱 *To:* \`${job.phoneNumber}\`\n🆔 *Transmission ID:* \`${result.transmissionId}\``
+            : `❌ *Scheduled SMS failed*\n\n📱 *To:* \`${job.phoneNumber}\`\n❌ *Error:* ${result.error}\n\n🗃️ *Moved to the dead-letter queue.*`);
+    }
+    
+    // A recurring job keeps its status; only the latest run is recorded on it
+    completeOccurrence(item, result) {
+        const job = this.scheduler.update(item.scheduleId, {
+            lastRun: {
+                occurrence: item.occurrence,
+                transmissionId: result.transmissionId || null,
+                success: result.success,
+                error: result.success ? null : result.error,
+                at: new Date().toISOString()
+            }
+        });
         
-        const country = this.detectCountry(phoneNumber);
-        probability *= countryProbabilities[country] || 0.85;
+        if (!job) return;
         
-        // Add AI optimization factor
-        probability += 0.1; // AI adds 10% improvement
+        this.notifyScheduleOutcome(job, result.success
+            ? `🔁 *Recurring SMS sent!* (run ${item.occurrence})\n\n📱 *To:* \`${job.phoneNumber}\`\n🆔 *Transmission ID:* \`${result.transmissionId}\``
+            : `❌ *Recurring SMS failed* (run ${item.occurrence})\n\n📱 *To:* \`${job.phoneNumber}\`\n❌ *Error:* ${result.error}\n\n🗃️ *Moved to the dead-letter queue.*`);
+    }
+    
+    notifyScheduleOutcome(job, text) {
+        if (!job.userId) return;
         
-        return Math.min(0.99, probability);
+        this.bot.telegram.sendMessage(job.userId, text, { parse_mode: 'Markdown' })
+            .catch(error => logger.error('Schedule notification failed:', error));
     }
     
-    calculateHash(data) {
-        // Simple hash calculation
-        let hash = 0;
-        for (let i = 0; i < data.length; i++) {
-            const char = data.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
-        }
-        return hash.toString(36);
+    handleInboundSms(transport, message) {
+        const part = message.concat ? ` (part ${message.concat.sequence}/${message.concat.total})` : '';
+        logger.info(`Inbound SMS from ${message.from} via ${transport.name}${part}`);
+        
+        // Multipart messages come back from the inbox as one 'message' once complete
+        this.inbox.receive(transport.name, message);
     }
     
-    async retryTransmission(smsData) {
-        // Retry failed transmission
-        console.log(`🔄 Retrying transmission: ${smsData.phoneNumber}`);
+    async handleInboundMessage(message) {
+        const keyword = this.handleOptOutKeyword(message);
+        const chatId = this.inboundChatFor(message.phoneNumber);
+        
+        this.publishInboundEvent(message, keyword);
+        
+        if (!chatId) {
+            logger.warn(`Inbound SMS ${message.id} stored; no Telegram chat to forward it to`);
+            return;
+        }
         
         try {
-            const result = await this.processSMSTransmission(
-                smsData.phoneNumber,
-                smsData.message
-            );
+            const sent = await this.bot.telegram.sendMessage(chatId, this.formatInboundMessage(message, keyword), {
+                parse_mode: 'Markdown'
+            });
+            this.inbox.addForward(message.id, chatId, sent.message_id);
+        } catch (error) {
+            logger.error(`Forwarding inbound SMS ${message.id} failed:`, error);
+        }
+    }
+    
+    // The Telegram user who last sent to this number, else the configured chat or first admin
+    inboundChatFor(phoneNumber) {
+        if (phoneNumber) {
+            const logs = readData('sms_logs');
             
-            if (result.success) {
-                this.systemStats.successful++;
-                this.systemStats.failed--;
+            for (let i = logs.length - 1; i >= 0; i--) {
+                if (logs[i].userId && logs[i].phoneNumber === phoneNumber && hasRole(this.roleOf(logs[i].userId), ROLES.OPERATOR)) {
+                    return logs[i].userId;
+                }
             }
-            
-            return result;
-        } catch (error) {
-            logger.error('Retry failed:', error);
-            throw error;
         }
+        
+        return config.INBOUND.FORWARD_CHAT_ID || config.ADMIN_IDS[0] || null;
     }
     
-    logTransmission(result) {
-        // Log transmission to file
-        const logEntry = {
-            ...result,
-            timestamp: new Date().toISOString(),
-            systemStats: { ...this.systemStats }
-        };
+    formatInboundMessage(message, keyword = null) {
+        const parts = message.parts > 1
+            ? `🧩 *Parts:* ${message.parts}${message.missingParts ? ` (${message.missingParts} missing)` : ''}\n`
+            : '';
         
-        // Save to transmission log
-        const logPath = path.join(config.DIRECTORIES.LOGS, `transmission_${result.transmissionId}.json`);
-        fs.writeFileSync(logPath, JSON.stringify(logEntry, null, 2));
+        return `📥 *New SMS*\n\n` +
+            `📱 *From:* \`${message.phoneNumber || this.escapeMarkdown(message.from)}\`\n` +
+            `📡 *Via:* ${message.transport}\n` +
+            parts +
+            `🕒 *Received:* ${moment(message.receivedAt).format('YYYY-MM-DD HH:mm')}\n\n` +
+            `${this.escapeMarkdown(message.text)}\n\n` +
+            (keyword ? `🚫 _Opt-out keyword: the number is now ${keyword === OPT_OUT_ACTIONS.STOP ? 'suppressed' : 'resubscribed'}._\n` : '') +
+            (message.phoneNumber ? '↩️ _Reply to this message to answer by SMS._' : '⛔ _Alphanumeric sender, replies are not possible._');
+    }
+    
+    // Sends a reply to a forwarded inbound SMS; returns false when the message isn't one
+    async replyToInbound(ctx, replyTo) {
+        const inbound = this.inbox.findByForward(ctx.chat.id, replyTo.message_id);
+        if (!inbound) return false;
         
-        // Add to main log
-        const mainLogPath = path.join(config.DIRECTORIES.DATA, 'sms_logs.json');
-        let logs = [];
+        const text = ctx.message.text;
         
-        if (fs.existsSync(mainLogPath)) {
-            logs = JSON.parse(fs.readFileSync(mainLogPath, 'utf8'));
+        if (!inbound.phoneNumber) {
+            ctx.reply('⛔ This SMS came from an alphanumeric sender and cannot be answered.');
+            return true;
         }
         
-        logs.push({
-            transmissionId: result.transmissionId,
-            phoneNumber: result.phoneNumber,
-            success: result.success,
-            timestamp: new Date().toISOString(),
-            method: result.method
-        });
-        
-        // Keep only last 10,000 entries
-        if (logs.length > 10000) {
-            logs = logs.slice(-10000);
+        const validation = this.validateMessage(text);
+        if (!validation.valid) {
+            ctx.reply(validation.message);
+            return true;
         }
         
-        fs.writeFileSync(mainLogPath, JSON.stringify(logs, null, 2));
-    }
-    
-    async registerUser(userData) {
-        // Register user in database
-        const usersPath = path.join(config.DIRECTORIES.DATA, 'users.json');
-        let users = [];
-        
-        if (fs.existsSync(usersPath)) {
-            users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
+        if (this.suppression.has(inbound.phoneNumber)) {
+            ctx.reply(`🚫 \`${inbound.phoneNumber}\` has opted out; the reply was not sent.`, { parse_mode: 'Markdown' });
+            return true;
         }
         
-        // Check if user already exists
-        const existingUser = users.find(u => u.id === userData.id);
+        const violation = this.quotas.check(ctx.from.id, 1);
+        if (violation) {
+            ctx.reply(this.formatQuotaRefusal(ctx.from.id, violation), { parse_mode: 'Markdown' });
+            return true;
+        }
         
-        if (!existingUser) {
-            const newUser = {
-                id: userData.id,
-                username: userData.username,
-                firstName: userData.first_name,
-                lastName: userData.last_name,
-                language: userData.language_code,
-                isBot: userData.is_bot,
-                joinedAt: new Date().toISOString(),
-                totalSMS: 0,
-                lastActive: new Date().toISOString()
-            };
-            
-            users.push(newUser);
-            fs.writeFileSync(usersPath, JSON.stringify(users, null, 2));
+        let charge;
+        try {
+            [charge] = this.chargeMessages(ctx.from.id, [{ phoneNumber: inbound.phoneNumber, message: text }], inbound.id);
+        } catch (error) {
+            if (!(error instanceof InsufficientCreditError)) throw error;
             
-            console.log(`👤 New user registered: ${userData.id}`);
-        } else {
-            // Update last active
-            existingUser.lastActive = new Date().toISOString();
-            fs.writeFileSync(usersPath, JSON.stringify(users, null, 2));
+            ctx.reply(this.formatCreditRefusal(ctx.from.id, error), { parse_mode: 'Markdown' });
+            return true;
         }
-    }
-    
-    async showSystemStatus(ctx) {
-        const uptime = process.uptime();
-        const hours = Math.floor(uptime / 3600);
-        const minutes = Math.floor((uptime % 3600) / 60);
-        const seconds = Math.floor(uptime % 60);
+        this.quotas.consume(ctx.from.id, 1);
         
-        const status = `📊 *System Status - Unlimited SMS Gateway*\n\n` +
-            `⚡ *System:* ✅ FULLY OPERATIONAL\n` +
-            `🤖 *Bot Status:* ✅ RUNNING\n` +
-            `🧠 *AI Engine:* ✅ ACTIVE\n` +
-            `📡 *Transmission:* ✅ READY\n` +
-            `🔒 *Security:* ✅ QUANTUM ENCRYPTED\n\n` +
-            `📈 *Real-time Statistics:*\n` +
-            `• 📤 Total SMS Sent: ${this.systemStats.totalSMS.toLocaleString()}\n` +
-            `• ✅ Successful: ${this.systemStats.successful.toLocaleString()}\n` +
-            `• ❌ Failed: ${this.systemStats.failed.toLocaleString()}\n` +
-            `• 👥 Active Users: ${this.userSessions.size}\n` +
-            `• 📨 Queue Size: ${this.transmissionQueue.length}\n\n` +
-            `💾 *System Info:*\n` +
-            `• ⏱️ Uptime: ${hours}h ${minutes}m ${seconds}s\n` +
-            `• 🧠 Memory: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)} MB\n` +
-            `• 📁 Database: ${this.countDatabaseEntries()} entries\n\n` +
-            `🚀 *Unlimited Features Active:*\n` +
-            `• 🌍 No country restrictions\n` +
-            `• ⚡ No rate limits\n` +
-            `• 📨 Bulk SMS enabled\n` +
-            `• ⏰ Scheduled SMS enabled`;
+        const item = this.enqueueTransmission({
+            phoneNumber: inbound.phoneNumber,
+            message: text,
+            userId: ctx.from.id,
+            chargeId: charge.id,
+            inboxId: inbound.id,
+            replyChat: { chatId: ctx.chat.id, messageId: ctx.message.message_id }
+        });
         
-        ctx.reply(status, {
+        ctx.reply(`↩️ *Reply queued* to \`${inbound.phoneNumber}\`\n🆔 *Queue ID:* \`${item.id}\``, {
             parse_mode: 'Markdown',
-            ...Markup.inlineKeyboard([
-                [Markup.button.callback('🔄 Refresh', 'refresh_status')],
-                [Markup.button.callback('📊 Detailed Stats', 'detailed_stats')],
-                [Markup.button.callback('🚀 Send SMS', 'send_sms')]
-            ])
+            reply_to_message_id: ctx.message.message_id
         });
+        
+        return true;
     }
     
-    async showHelp(ctx) {
-        const help = `🆘 *Help - Unlimited SMS Gateway*\n\n` +
-            `*Quick Start:*\n` +
-            `1. Use /send or click "Send SMS"\n` +
-            `2. Enter phone number (international format)\n` +
-            `3. Type your message\n` +
-            `4. Confirm and send\n\n` +
-            `*Unlimited Features:*\n` +
-            `📱 *Single SMS:* Send to any number, any country\n` +
-            `📨 *Bulk SMS:* Send to unlimited numbers at once\n` +
-            `⏰ *Scheduled SMS:* Schedule for future delivery\n` +
-            `🌍 *Global Coverage:* All countries supported\n` +
-            `⚡ *Instant Delivery:* No delays\n` +
-            `🔒 *Quantum Security:* Military-grade encryption\n\n` +
-            `*Commands:*\n` +
-            `/start - Start the bot\n` +
-            `/send - Send single SMS\n` +
-            `/bulk - Send bulk SMS\n` +
-            `/schedule - Schedule SMS\n` +
-            `/templates - View SMS templates\n` +
-            `/status - System status\n` +
-            `/help - This help message\n\n` +
-            `*Phone Number Format:*\n` +
-            `• Must start with +\n` +
-            `• Include country code\n` +
-            `• Examples:\n` +
-            `  - Pakistan: +923001234567\n` +
-            `  - USA: +12345678900\n` +
-            `  - UAE: +971501234567\n\n` +
-            `*Message Limits:*\n` +
-            `• Maximum length: 1000 characters\n` +
-            `• Supports Unicode and emojis\n` +
-            `• Auto-split for long messages\n\n` +
-            `⚠️ *Important:*\n` +
-            `• Use responsibly\n` +
-            `• No spam allowed\n` +
-            `• Respect local laws\n\n` +
-            `🚀 *Enjoy unlimited SMS sending!*`;
+    finishInboundReply(item, result) {
+        this.inbox.addReply(item.inboxId, {
+            transmissionId: result.transmissionId,
+            userId: item.userId,
+            text: item.message,
+            success: result.success
+        });
         
-        ctx.reply(help, { parse_mode: 'Markdown' });
+        const text = result.success
+            ? `✅ *Reply sent* to \`${item.phoneNumber}\`\n🆔 *Transmission ID:* \`${result.transmissionId}\``
+            : `❌ *Reply to \`${item.phoneNumber}\` failed*\n\n${this.escapeMarkdown(result.error || 'Unknown error')}`;
+        
+        this.bot.telegram.sendMessage(item.replyChat.chatId, text, {
+            parse_mode: 'Markdown',
+            reply_to_message_id: item.replyChat.messageId
+        }).catch(error => logger.error('Reply notification failed:', error));
     }
     
-    async showSettings(ctx) {
-        const settings = `⚙️ *System Settings*\n\n` +
-            `*Current Configuration:*\n` +
-            `• 📱 Unlimited Mode: ✅ ENABLED\n` +
-            `• ⚡ Rate Limits: ❌ DISABLED\n` +
-            `• 🌍 Country Restrictions: ❌ DISABLED\n` +
-            `• 🧠 AI Optimization: ✅ MAXIMUM\n` +
-            `• 🔒 Encryption: QUANTUM_512\n\n` +
-            `*Transmission Methods:*\n` +
-            `${config.TRANSMISSION_METHODS.map(m => `• ${m}`).join('\n')}\n\n` +
-            `*Adjust Settings:*`;
+    // STOP/START keywords update the suppression list; returns the action, or null for other messages
+    handleOptOutKeyword(message) {
+        if (!message.phoneNumber) return null;
         
-        ctx.reply(settings, {
-            parse_mode: 'Markdown',
-            ...Markup.inlineKeyboard([
-                [
-                    Markup.button.callback('🔧 Transmission', 'transmission_settings'),
-                    Markup.button.callback('🔒 Security', 'security_settings')
-                ],
-                [
-                    Markup.button.callback('🤖 AI Settings', 'ai_settings'),
-                    Markup.button.callback('📊 Logs', 'log_settings')
-                ],
-                [Markup.button.callback('💾 Backup', 'backup_settings')]
-            ])
+        const action = matchOptOutKeyword(message.text, {
+            stopKeywords: config.OPT_OUT.STOP_KEYWORDS,
+            startKeywords: config.OPT_OUT.START_KEYWORDS
         });
+        
+        if (!action) return null;
+        
+        const changed = action === OPT_OUT_ACTIONS.STOP
+            ? this.suppression.add(message.phoneNumber, { reason: 'STOP', keyword: message.text.trim(), source: message.transport })
+            : this.suppression.remove(message.phoneNumber);
+        
+        logger.info(`Opt-out keyword ${action} from ${message.phoneNumber}${changed ? '' : ' (no change)'}`);
+        
+        const reply = action === OPT_OUT_ACTIONS.STOP ? config.OPT_OUT.STOP_REPLY : config.OPT_OUT.START_REPLY;
+        if (reply && changed) {
+            this.enqueueTransmission({
+                phoneNumber: message.phoneNumber,
+                message: reply,
+                optOutNotice: true
+            });
+        }
+        
+        return action;
     }
     
-    async showQuickTemplates(ctx) {
-        const templates = `📝 *Quick SMS Templates*\n\n` +
-            `*Select a template:*\n\n` +
-            `1. *Urgent*\n` +
-            `\`URGENT: Please contact me immediately.\`\n\n` +
-            `2. *Meeting Reminder*\n` +
-            `\`Reminder: Meeting today at 3 PM. Don't forget!\`\n\n` +
-            `3. *Payment Notification*\n` +
-            `\`Payment received. Thank you for your business.\`\n\n` +
-            `4. *Delivery Update*\n` +
-            `\`Your delivery is out for delivery today.\`\n\n` +
-            `5. *Custom Template*\n` +
-            `Create your own template.`;
-        
-        ctx.reply(templates, {
-            parse_mode: 'Markdown',
-            ...Markup.inlineKeyboard([
-                [
-                    Markup.button.callback('1️⃣ Urgent', 'template_urgent'),
-                    Markup.button.callback('2️⃣ Meeting', 'template_meeting')
-                ],
-                [
-                    Markup.button.callback('3️⃣ Payment', 'template_payment'),
-                    Markup.button.callback('4️⃣ Delivery', 'template_delivery')
-                ],
-                [Markup.button.callback('5️⃣ Custom', 'template_custom')]
-            ])
-        });
+    // Replies and returns true when the number is on the suppression list
+    replyIfSuppressed(ctx, phoneNumber) {
+        const entry = this.suppression.get(phoneNumber);
+        if (!entry) return false;
+        
+        ctx.reply(`🚫 *This number has opted out*\n\n` +
+            `📱 \`${entry.phoneNumber}\`\n` +
+            `📋 *Reason:* ${entry.reason}${entry.keyword ? ` (${this.escapeMarkdown(entry.keyword)})` : ''}\n` +
+            `📅 *Since:* ${moment(entry.addedAt).format('YYYY-MM-DD HH:mm')}\n\n` +
+            `Please send another number:`, { parse_mode: 'Markdown' });
+        
+        return true;
     }
     
-    countDatabaseEntries() {
-        // Count entries in all database files
-        let total = 0;
-        const dbFiles = ['users', 'sms_logs', 'templates', 'scheduled'];
+    async manageSuppression(ctx) {
+        const userId = ctx.from.id;
         
-        dbFiles.forEach(file => {
-            const filePath = path.join(config.DIRECTORIES.DATA, `${file}.json`);
-            if (fs.existsSync(filePath)) {
-                try {
-                    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                    total += data.length;
-                } catch (e) {
-                    // Ignore errors
-                }
+        if (!this.isAdmin(userId)) {
+            ctx.reply('⛔ This command is for administrators only.');
+            return;
+        }
+        
+        const [, action = '', argument = ''] = ctx.message.text.match(/^\/suppression(?:@\w+)?(?:\s+(\w+))?\s*(.*)$/s);
+        const phoneNumber = normalizeNumber(argument);
+        
+        switch(action.toLowerCase()) {
+            case 'add':
+                if (!this.validatePhoneNumber(phoneNumber).valid) break;
+                
+                ctx.reply(this.suppression.add(phoneNumber, { reason: 'MANUAL', addedBy: userId })
+                    ? `🚫 \`${phoneNumber}\` added to the suppression list.`
+                    : `ℹ️ \`${phoneNumber}\` is already suppressed.`, { parse_mode: 'Markdown' });
+                return;
+            
+            case 'remove':
+                if (!phoneNumber) break;
+                
+                ctx.reply(this.suppression.remove(phoneNumber)
+                    ? `✅ \`${phoneNumber}\` removed from the suppression list.`
+                    : `ℹ️ \`${phoneNumber}\` is not suppressed.`, { parse_mode: 'Markdown' });
+                return;
+            
+            case 'export':
+                await ctx.replyWithDocument({
+                    source: Buffer.from(this.suppression.toCsv()),
+                    filename: `suppression_${moment().format('YYYYMMDD_HHmmss')}.csv`
+                });
+                return;
+            
+            case 'import':
+                this.userSessions.set(userId, {
+                    step: 'awaiting_suppression_file',
+                    mode: 'SUPPRESSION',
+                    data: {},
+                    timestamp: Date.now()
+                });
+                ctx.reply('📥 Send a .csv or .txt file with one number per line (the first number-like column is used).');
+                return;
+            
+            case '': {
+                const entries = this.suppression.list();
+                const lines = entries.slice(0, 10).map(entry =>
+                    `• \`${entry.phoneNumber}\` - ${entry.reason} ${moment(entry.addedAt).format('YYYY-MM-DD')}`);
+                
+                ctx.reply(`🚫 *Suppression List (${entries.length})*\n\n` +
+                    `${lines.length ? lines.join('\n') : '_Empty_'}${entries.length > 10 ? `\n• ...and ${entries.length - 10} more` : ''}\n\n` +
+                    `*Keywords:* ${config.OPT_OUT.STOP_KEYWORDS.slice(0, 6).join(', ')}... / ${config.OPT_OUT.START_KEYWORDS.slice(0, 4).join(', ')}...\n\n` +
+                    this.suppressionUsage(), { parse_mode: 'Markdown' });
+                return;
             }
-        });
+        }
         
-        return total;
+        ctx.reply(this.suppressionUsage(), { parse_mode: 'Markdown' });
     }
     
-    async startTransmissionEngine() {
-        console.log('🚀 Starting transmission engine...');
+    suppressionUsage() {
+        return `\`/suppression add +923001234567\`\n` +
+            `\`/suppression remove +923001234567\`\n` +
+            `\`/suppression export\` - CSV of the whole list\n` +
+            `\`/suppression import\` - then send a .csv or .txt`;
+    }
+    
+    async importSuppression(ctx, phoneNumbers) {
+        this.userSessions.delete(ctx.from.id);
         
-        // Process queued transmissions
-        setInterval(() => {
-            this.processTransmissionQueue();
-        }, 1000); // Process every second
+        const { added, skipped } = this.suppression.import(phoneNumbers, { reason: 'IMPORT', addedBy: ctx.from.id });
+        logger.info(`Suppression list import by ${ctx.from.id}: ${added} added, ${skipped} skipped`);
         
-        console.log('✅ Transmission engine started');
+        ctx.reply(`✅ *Suppression list imported*\n\n🚫 *Added:* ${added}\n♻️ *Already listed or unreadable:* ${skipped}`, {
+            parse_mode: 'Markdown'
+        });
+    }
+    
+    deadLetter(item, result) {
+        updateData('dead_letters', (letters) => {
+            letters.push({
+                id: item.id || uuidv4(),
+                phoneNumber: item.phoneNumber,
+                message: item.message,
+                userId: item.userId ?? null,
+                bulk: item.bulk || false,
+                attempts: item.attempts,
+                error: result.error,
+                errorCode: result.errorCode ?? null,
+                permanent: result.permanent === true,
+                transport: item.transport || null,
+                failedAt: new Date().toISOString()
+            });
+        });
+        
+        logger.warn(`Dead-lettered transmission to ${item.phoneNumber} after ${item.attempts} attempts: ${result.error}`);
     }
     
-    async processTransmissionQueue() {
-        if (this.transmissionQueue.length === 0) return;
+    // The API (/api/v1) and the dashboard share one HTTP server on API.HOST:API.PORT
+    async startHttpServer() {
+        if (this.httpServer || !(config.FEATURES.API_MODE || config.FEATURES.DASHBOARD)) return;
         
-        // Process up to 10 transmissions at once
-        const batch = this.transmissionQueue.splice(0, 10);
+        const app = express();
+        app.disable('x-powered-by');
         
-        for (const transmission of batch) {
-            try {
-                await this.processSMSTransmission(
-                    transmission.phoneNumber,
-                    transmission.message
-                );
-            } catch (error) {
-                logger.error('Queue processing error:', error);
+        if (config.FEATURES.API_MODE) {
+            app.use('/api/v1', createApiRouter(this, this.apiKeys, logger));
+        }
+        
+        if (config.FEATURES.DASHBOARD) {
+            app.use(config.DASHBOARD.PATH, this.dashboard.router());
+        }
+        
+        // The bot keeps running if the port is taken; the API and dashboard just stay off
+        try {
+            const server = http.createServer(app);
+            
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(config.API.PORT, config.API.HOST, resolve);
+            });
+            
+            if (config.FEATURES.DASHBOARD) {
+                this.dashboard.attach(server, config.DASHBOARD.PATH);
             }
+            
+            this.httpServer = server;
+            
+            if (config.FEATURES.API_MODE) console.log(`🌐 HTTP API listening on ${this.httpUrl()}/api/v1`);
+            if (config.FEATURES.DASHBOARD) console.log(`📺 Dashboard at ${this.httpUrl()}${config.DASHBOARD.PATH} (sign in with /dashboard)`);
+        } catch (error) {
+            logger.error('HTTP server failed to start:', error);
         }
     }
     
+    // Base URL for links to the HTTP server; PUBLIC_URL when it sits behind a proxy
+    httpUrl() {
+        return (config.API.PUBLIC_URL || `http://${config.API.HOST}:${config.API.PORT}`).replace(/\/+$/, '');
+    }
+    
+    // Snapshot shared by /status and the dashboard
+    collectStats() {
+        const throughput = this.throughput.snapshot();
+        const { totalSMS, successful, failed } = this.systemStats;
+        
+        return {
+            status: this.systemStatus,
+            uptime: process.uptime(),
+            memory: process.memoryUsage().heapUsed,
+            activeUsers: this.userSessions.size,
+            totals: {
+                totalSMS,
+                successful,
+                failed,
+                successRate: totalSMS > 0 ? successful / totalSMS : null
+            },
+            queue: this.queue.stats(),
+            transports: this.transports.list().map(transport => ({
+                name: transport.name,
+                type: transport.type,
+                health: transport.health(),
+                throughput: throughput[transport.name] || null
+            })),
+            collectedAt: new Date().toISOString()
+        };
+    }
+    
     startMonitoring() {
         // System monitoring
         setInterval(() => {
             this.cleanupOldSessions();
+            this.destinationThrottle.prune();
             this.backupSystem();
             this.checkSystemHealth();
         }, 60000); // Every minute
@@ -1266,7 +4623,7 @@ class UnlimitedSMSGateway {
         }
         
         // Backup data files
-        const dataFiles = ['users', 'sms_logs', 'templates', 'scheduled'];
+        const dataFiles = ['users', 'sms_logs', 'templates', 'scheduled', 'dead_letters', 'contacts', 'groups', 'suppression', 'inbox', 'usage', 'api_keys', 'webhooks', 'webhook_deliveries'];
         
         dataFiles.forEach(file => {
             const source = path.join(config.DIRECTORIES.DATA, `${file}.json`);
@@ -1277,6 +4634,10 @@ class UnlimitedSMSGateway {
             }
         });
         
+        if (fs.existsSync(this.ledger.file)) {
+            fs.copyFileSync(this.ledger.file, path.join(backupDir, path.basename(this.ledger.file)));
+        }
+        
         console.log('💾 System backup completed');
     }
     
@@ -1286,7 +4647,7 @@ class UnlimitedSMSGateway {
             memory: process.memoryUsage(),
             uptime: process.uptime(),
             sessions: this.userSessions.size,
-            queue: this.transmissionQueue.length,
+            queue: this.queue.stats(),
             timestamp: Date.now()
         };
         
@@ -1360,22 +4721,15 @@ class UnlimitedSMSGateway {
             this.initialize();
         }, 10000);
     }
-    
-    selectTransmissionMethod(data) {
-        // Select transmission method for preview
-        const methods = config.TRANSMISSION_METHODS;
-        return methods[Math.floor(Math.random() * methods.length)];
-    }
 }
 
 // ========== MAIN EXECUTION ==========
 try {
     const smsGateway = new UnlimitedSMSGateway();
-    
-    // Export for testing
-    export { UnlimitedSMSGateway };
-    
 } catch (error) {
     console.error('❌ Failed to start SMS Gateway:', error);
     process.exit(1);
 }
+
+// Export for testing
+export { UnlimitedSMSGateway };
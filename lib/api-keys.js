@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { readData, updateData } from './store.js';
+
+// HTTP API clients in data/api_keys.json. Each key belongs to a Telegram user whose role, quota
+// and balance apply to everything sent with it. Only a SHA-256 hash of the key is stored; the
+// key itself is shown once, when it is created.
+
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+export class ApiKeyStore {
+    constructor(name = 'api_keys') {
+        this.name = name;
+    }
+    
+    list(filter = () => true) {
+        return readData(this.name).filter(filter);
+    }
+    
+    get(id) {
+        return this.list(client => client.id === id)[0] || null;
+    }
+    
+    // Returns the stored client and the key, which can't be recovered later
+    create({ name, userId, createdBy = null }) {
+        const key = `sgw_${crypto.randomBytes(24).toString('hex')}`;
+        const client = {
+            id: `KEY_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            name,
+            userId,
+            prefix: key.substring(0, 10),
+            hash: hashApiKey(key),
+            createdBy,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+        
+        updateData(this.name, (clients) => {
+            clients.push(client);
+        });
+        
+        return { client, key };
+    }
+    
+    // The active client a key belongs to, or null
+    authenticate(key) {
+        if (typeof key !== 'string' || !key) return null;
+        
+        const hash = hashApiKey(key);
+        const client = this.list(c => c.hash === hash && !c.revokedAt)[0];
+        if (!client) return null;
+        
+        // Recorded at most once a minute so busy clients don't rewrite the file on every request
+        if (!client.lastUsedAt || Date.now() - Date.parse(client.lastUsedAt) > 60000) {
+            this.update(client.id, { lastUsedAt: new Date().toISOString() });
+        }
+        
+        return client;
+    }
+    
+    update(id, changes) {
+        return updateData(this.name, (clients) => {
+            const client = clients.find(c => c.id === id);
+            if (!client) return null;
+            
+            Object.assign(client, changes);
+            return client;
+        });
+    }
+    
+    revoke(id) {
+        const client = this.get(id);
+        if (!client || client.revokedAt) return null;
+        
+        return this.update(id, { revokedAt: new Date().toISOString() });
+    }
+}
@@ -0,0 +1,327 @@
+import express from 'express';
+import { config, STATUS, ERROR_CODES } from '../config.js';
+import { normalizeNumber } from './bulk.js';
+import { ROLES, hasRole } from './roles.js';
+import { SuppressedError } from './suppression.js';
+import { QuotaExceededError } from './limits.js';
+import { InsufficientCreditError } from './ledger.js';
+import { validateSubscription } from './webhooks.js';
+
+// JSON over HTTP for services that send without going through Telegram (FEATURES.API_MODE).
+// Requests carry `Authorization: Bearer <key>` or `X-API-Key: <key>`. Failures are answered with
+// { error: { code, message } }, code being one of ERROR_CODES and, for invalid input, message
+// the same text the bot replies with.
+
+export class ApiError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Bot messages open with an emoji, which has no place in JSON
+function plainMessage(text) {
+    return text.replace(/^[^\p{L}\p{N}]+/u, '');
+}
+
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    
+    if (error instanceof SuppressedError) {
+        return new ApiError(422, ERROR_CODES.OPTED_OUT, error.message);
+    }
+    
+    if (error instanceof QuotaExceededError) {
+        return new ApiError(429, ERROR_CODES.QUOTA_EXCEEDED, error.message, {
+            window: error.violation.window,
+            resetAt: error.violation.resetAt
+        });
+    }
+    
+    if (error instanceof InsufficientCreditError) {
+        return new ApiError(402, ERROR_CODES.INSUFFICIENT_CREDIT, error.message, {
+            balance: error.balance,
+            required: error.required
+        });
+    }
+    
+    // Errors raised by express.json()
+    if (error.type === 'entity.parse.failed') {
+        return new ApiError(400, ERROR_CODES.INVALID_REQUEST, 'Request body is not valid JSON');
+    }
+    
+    if (error.type === 'entity.too.large') {
+        return new ApiError(413, ERROR_CODES.INVALID_REQUEST, 'Request body is too large');
+    }
+    
+    return new ApiError(500, ERROR_CODES.SYSTEM_ERROR, 'Internal error');
+}
+
+// { to, message } checked the way the bot checks typed input
+function validateEntry(gateway, entry) {
+    const phoneNumber = normalizeNumber(entry?.to ?? '');
+    const message = typeof entry?.message === 'string' ? entry.message : '';
+    
+    const phone = gateway.validatePhoneNumber(phoneNumber);
+    if (!phone.valid) {
+        throw new ApiError(400, ERROR_CODES.INVALID_PHONE, plainMessage(phone.message));
+    }
+    
+    const text = gateway.validateMessage(message);
+    if (!text.valid) {
+        throw new ApiError(400, ERROR_CODES.INVALID_MESSAGE, plainMessage(text.message));
+    }
+    
+    if (gateway.suppression.has(phoneNumber)) {
+        throw new SuppressedError(phoneNumber);
+    }
+    
+    return { phoneNumber, message };
+}
+
+function queuedMessage({ item, charge }) {
+    return {
+        id: item.id,
+        to: item.phoneNumber,
+        status: STATUS.PENDING,
+        encoding: item.analysis.encoding,
+        parts: item.analysis.parts,
+        cost: -charge.amount
+    };
+}
+
+function scheduledJob(job) {
+    return {
+        id: job.id,
+        to: job.phoneNumber,
+        message: job.message,
+        status: job.status,
+        runAt: job.runAt,
+        timeZone: job.timeZone,
+        recurrence: job.recurrence ? job.recurrence.description : null,
+        occurrences: job.occurrences ?? null,
+        transmissionId: job.transmissionId ?? null,
+        error: job.error ?? null,
+        createdAt: job.createdAt
+    };
+}
+
+function inboundMessage(message) {
+    return {
+        id: message.id,
+        from: message.phoneNumber || message.from,
+        to: message.to,
+        text: message.text,
+        parts: message.parts,
+        missingParts: message.missingParts,
+        transport: message.transport,
+        receivedAt: message.receivedAt
+    };
+}
+
+function webhookSubscription(subscription) {
+    return {
+        id: subscription.id,
+        url: subscription.url,
+        events: subscription.events,
+        createdAt: subscription.createdAt
+    };
+}
+
+function webhookDelivery(delivery) {
+    return {
+        id: delivery.id,
+        eventId: delivery.event.id,
+        type: delivery.event.type,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.nextAttemptAt,
+        createdAt: delivery.event.createdAt
+    };
+}
+
+// Mounted at /api/v1. The gateway supplies validation, queueing and the stores; keys is an ApiKeyStore
+export function createApiRouter(gateway, keys, logger) {
+    const v1 = express.Router();
+    
+    v1.use(express.json({ limit: '1mb' }));
+    
+    // Each client acts as the user its key belongs to, with that user's role
+    const authorize = (role) => (req, res, next) => {
+        const key = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1] || req.get('x-api-key');
+        const client = keys.authenticate(key);
+        
+        if (!client) {
+            next(new ApiError(401, ERROR_CODES.UNAUTHORIZED, 'Missing or invalid API key'));
+        } else if (!hasRole(gateway.roleOf(client.userId), role)) {
+            next(new ApiError(403, ERROR_CODES.FORBIDDEN, `This key's owner needs the ${role} role`));
+        } else if (gateway.systemStatus !== 'OPERATIONAL') {
+            next(new ApiError(503, ERROR_CODES.RECOVERY_IN_PROGRESS, 'The gateway is starting or recovering; try again shortly'));
+        } else {
+            req.client = client;
+            next();
+        }
+    };
+    
+    v1.get('/health', (req, res) => {
+        res.json({ status: gateway.systemStatus });
+    });
+    
+    v1.post('/messages', authorize(ROLES.OPERATOR), (req, res) => {
+        const entry = validateEntry(gateway, req.body);
+        const [queued] = gateway.queueMessages(req.client.userId, [entry], { reference: req.client.id });
+        
+        res.status(202).json(queuedMessage(queued));
+    });
+    
+    // Invalid entries are reported per index and the rest are queued
+    v1.post('/messages/bulk', authorize(ROLES.OPERATOR), (req, res) => {
+        const entries = req.body?.messages;
+        
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, '`messages` must be a non-empty array of { to, message }');
+        }
+        
+        if (entries.length > config.API.MAX_BULK_MESSAGES) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, `At most ${config.API.MAX_BULK_MESSAGES} messages per request`);
+        }
+        
+        const valid = [];
+        const rejected = [];
+        
+        entries.forEach((entry, index) => {
+            try {
+                valid.push({ index, ...validateEntry(gateway, entry) });
+            } catch (error) {
+                const apiError = toApiError(error);
+                rejected.push({ index, to: entry?.to ?? null, code: apiError.code, error: apiError.message });
+            }
+        });
+        
+        if (valid.length === 0) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, 'No valid messages', { rejected });
+        }
+        
+        const queued = gateway.queueMessages(req.client.userId, valid, { bulk: true, reference: req.client.id });
+        
+        res.status(202).json({
+            accepted: queued.map((entry, i) => ({ index: valid[i].index, ...queuedMessage(entry) })),
+            rejected
+        });
+    });
+    
+    // Takes the ID returned when the message was queued or a transmission ID
+    v1.get('/messages/:id', authorize(ROLES.VIEWER), (req, res) => {
+        const status = gateway.transmissionStatus(req.params.id, req.client.userId);
+        if (!status) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'No such message; older entries are removed from the log');
+        }
+        
+        res.json(status);
+    });
+    
+    v1.get('/scheduled', authorize(ROLES.VIEWER), (req, res) => {
+        const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+        const jobs = gateway.scheduler.list(job => job.userId === req.client.userId && (!status || job.status === status));
+        
+        res.json({ scheduled: jobs.map(scheduledJob) });
+    });
+    
+    v1.delete('/scheduled/:id', authorize(ROLES.OPERATOR), (req, res) => {
+        const job = gateway.scheduler.get(req.params.id);
+        
+        if (!job || job.userId !== req.client.userId) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'No such scheduled message');
+        }
+        
+        const cancelled = gateway.scheduler.cancel(job.id);
+        if (!cancelled) {
+            throw new ApiError(409, ERROR_CODES.INVALID_REQUEST, `The scheduled message is ${job.status} and can no longer be cancelled`);
+        }
+        
+        res.json(scheduledJob(cancelled));
+    });
+    
+    // Oldest first after `since`; without it, the latest `limit` messages
+    v1.get('/inbox', authorize(ROLES.VIEWER), (req, res) => {
+        const since = req.query.since ? Date.parse(req.query.since) : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        
+        if (Number.isNaN(since)) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, '`since` must be an ISO 8601 time');
+        }
+        
+        const messages = gateway.visibleInbound(req.client.userId)
+            .filter(message => since === null || Date.parse(message.receivedAt) > since);
+        
+        res.json({ messages: (since === null ? messages.slice(-limit) : messages.slice(0, limit)).map(inboundMessage) });
+    });
+    
+    v1.get('/webhooks', authorize(ROLES.VIEWER), (req, res) => {
+        const subscriptions = gateway.webhooks.list(subscription => subscription.userId === req.client.userId);
+        
+        res.json({ webhooks: subscriptions.map(webhookSubscription) });
+    });
+    
+    // The secret is only returned here; one is generated when the body has none
+    v1.post('/webhooks', authorize(ROLES.OPERATOR), (req, res) => {
+        const { url, events, secret } = req.body || {};
+        
+        if (secret != null && (typeof secret !== 'string' || secret.length < 16)) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, '`secret` must be a string of at least 16 characters');
+        }
+        
+        try {
+            validateSubscription({ url, events });
+        } catch (error) {
+            throw new ApiError(400, ERROR_CODES.INVALID_REQUEST, error.message);
+        }
+        
+        const subscription = gateway.webhooks.create({ userId: req.client.userId, url, events, secret });
+        
+        res.status(201).json({ ...webhookSubscription(subscription), secret: subscription.secret });
+    });
+    
+    v1.delete('/webhooks/:id', authorize(ROLES.OPERATOR), (req, res) => {
+        const subscription = gateway.webhooks.get(req.params.id);
+        
+        if (!subscription || subscription.userId !== req.client.userId) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'No such webhook');
+        }
+        
+        gateway.webhooks.remove(subscription.id);
+        res.json(webhookSubscription(subscription));
+    });
+    
+    // Newest first
+    v1.get('/webhooks/:id/deliveries', authorize(ROLES.VIEWER), (req, res) => {
+        const subscription = gateway.webhooks.get(req.params.id);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        
+        if (!subscription || subscription.userId !== req.client.userId) {
+            throw new ApiError(404, ERROR_CODES.NOT_FOUND, 'No such webhook');
+        }
+        
+        const deliveries = gateway.webhooks.deliveries(delivery => delivery.subscriptionId === subscription.id);
+        
+        res.json({ deliveries: deliveries.slice(-limit).reverse().map(webhookDelivery) });
+    });
+    
+    v1.use((req, res, next) => {
+        next(new ApiError(404, ERROR_CODES.NOT_FOUND, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+    });
+    
+    v1.use((error, req, res, next) => {
+        const apiError = toApiError(error);
+        if (apiError.status >= 500) logger.error('API request failed:', error);
+        
+        res.status(apiError.status).json({
+            error: { code: apiError.code, message: apiError.message, ...(apiError.details || {}) }
+        });
+    });
+    
+    return v1;
+}
@@ -0,0 +1,218 @@
+import { placeholders, fillTemplate } from './templates.js';
+
+// Bulk recipient lists: "number|message" lines, bare number lines, or CSV documents
+
+// Strip the usual phone number punctuation and turn a 00 international prefix into '+'
+export function normalizeNumber(value) {
+    const number = String(value).trim().replace(/[\s\-().]/g, '');
+    return number.startsWith('00') ? `+${number.substring(2)}` : number;
+}
+
+// A CSV document's records as { raw, line }, line being where the record starts. A line break
+// inside a quoted field belongs to the field, so one record may span several lines.
+export function splitCsvRecords(text) {
+    const records = [];
+    let quoted = false;
+    let start = 0;
+    let line = 1;
+    let startLine = 1;
+    
+    for (let i = 0; i <= text.length; i++) {
+        const char = text[i];
+        
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (i === text.length || (char === '\n' && !quoted)) {
+            records.push({ raw: text.substring(start, i).replace(/\r(?=\n|$)/g, ''), line: startLine });
+            start = i + 1;
+            startLine = line + 1;
+        }
+        
+        if (char === '\n') line++;
+    }
+    
+    return records;
+}
+
+// A CSV document's delimiter: semicolons, as spreadsheets export them where the comma is the
+// decimal separator, when the first record has more of them outside quotes than commas
+export function detectDelimiter(text) {
+    const first = splitCsvRecords(text).find(({ raw }) => raw.trim())?.raw || '';
+    const counts = { ',': 0, ';': 0 };
+    let quoted = false;
+    
+    for (const char of first) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && char in counts) {
+            counts[char]++;
+        }
+    }
+    
+    return counts[';'] > counts[','] ? ';' : ',';
+}
+
+// One CSV record, honouring double-quoted fields with embedded delimiters and "" escapes.
+// With a limit the last field takes the rest of the record, delimiters and all.
+export function parseCsvLine(line, delimiter = ',', limit = Infinity) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter && fields.length < limit - 1) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    fields.push(field);
+    return fields.map(value => value.trim());
+}
+
+// Entries of { phoneNumber, message, line }; message is null for bare numbers
+export function parseBulkText(text) {
+    return text.split(/\r?\n/)
+        .map((raw, index) => ({ raw: raw.trim(), line: index + 1 }))
+        .filter(({ raw }) => raw.length > 0)
+        .map(({ raw, line }) => {
+            const separator = raw.indexOf('|');
+            
+            if (separator === -1) {
+                return { phoneNumber: normalizeNumber(raw), message: null, line };
+            }
+            
+            const message = raw.substring(separator + 1).trim();
+            
+            return {
+                phoneNumber: normalizeNumber(raw.substring(0, separator)),
+                message: message || null,
+                line
+            };
+        });
+}
+
+// Header cell as a placeholder name: "Due Date" → due_date
+export function columnKey(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// CSV with an optional header row; the phone column is named phone/number/mobile/to,
+// the message column message/text/sms, otherwise the first two columns are used.
+// With a header every entry also carries its row as `fields`, keyed by columnKey, for mail merge.
+export function parseBulkCsv(text) {
+    const delimiter = detectDelimiter(text);
+    const rows = splitCsvRecords(text)
+        .map(({ raw, line }) => ({ raw, fields: parseCsvLine(raw, delimiter), line }))
+        .filter(({ fields }) => fields.some(Boolean));
+    
+    if (rows.length === 0) return [];
+    
+    let phoneColumn = 0;
+    let messageColumn = 1;
+    let columns = null;
+    
+    const header = rows[0].fields.map(field => field.toLowerCase());
+    if (!/\d/.test(header[0])) {
+        const phoneIndex = header.findIndex(field => ['phone', 'number', 'mobile', 'to', 'phonenumber'].includes(field));
+        const messageIndex = header.findIndex(field => ['message', 'text', 'sms', 'body'].includes(field));
+        
+        // A header without a message column means the message is sent separately
+        if (phoneIndex !== -1) phoneColumn = phoneIndex;
+        messageColumn = messageIndex;
+        columns = rows[0].fields.map(columnKey);
+        rows.shift();
+    }
+    
+    // An unquoted delimiter in a message spills it into extra fields. As the last column it
+    // takes the rest of the row; anywhere else such a row is reported rather than cut short.
+    const width = columns ? columns.length : 2;
+    const messageLast = messageColumn === width - 1;
+    
+    return rows.map(({ raw, line }) => {
+        const fields = parseCsvLine(raw, delimiter, messageLast ? width : Infinity);
+        
+        return {
+            phoneNumber: normalizeNumber(fields[phoneColumn] || ''),
+            message: fields[messageColumn] || null,
+            fields: columns && Object.fromEntries(columns.map((column, index) => [column, fields[index] || ''])),
+            error: fields.length > width ? `${fields.length} columns, the header has ${width}` : null,
+            line
+        };
+    });
+}
+
+// Fill each recipient's {{column}} placeholders from its CSV row. Rows lacking a value for
+// any placeholder are returned as missing instead of being sent with gaps.
+export function mergeRecipients(recipients) {
+    const merged = [];
+    const missing = [];
+    
+    for (const recipient of recipients) {
+        const names = placeholders(recipient.message);
+        
+        if (names.length === 0) {
+            merged.push(recipient);
+            continue;
+        }
+        
+        const values = Object.fromEntries(names.map(name => [name, recipient.fields?.[columnKey(name)] || '']));
+        const absent = names.filter(name => !values[name]);
+        
+        if (absent.length > 0) {
+            missing.push({ ...recipient, reason: `missing ${absent.join(', ')}` });
+            continue;
+        }
+        
+        merged.push({ ...recipient, template: recipient.message, message: fillTemplate(recipient.message, values) });
+    }
+    
+    return { merged, missing };
+}
+
+// Validate and dedupe by number, keeping the first occurrence
+export function buildRecipientList(entries, validateNumber) {
+    const valid = [];
+    const invalid = [];
+    const seen = new Set();
+    let duplicates = 0;
+    
+    for (const entry of entries) {
+        if (entry.error) {
+            invalid.push({ ...entry, reason: entry.error });
+            continue;
+        }
+        
+        const validation = validateNumber(entry.phoneNumber);
+        
+        if (!validation.valid) {
+            invalid.push({ ...entry, reason: 'invalid number' });
+            continue;
+        }
+        
+        if (seen.has(entry.phoneNumber)) {
+            duplicates++;
+            continue;
+        }
+        
+        seen.add(entry.phoneNumber);
+        valid.push({ ...entry, country: validation.country });
+    }
+    
+    return { valid, invalid, duplicates };
+}
@@ -0,0 +1,236 @@
+import { readData, updateData } from './store.js';
+import { normalizeNumber, splitCsvRecords, parseCsvLine, detectDelimiter, columnKey } from './bulk.js';
+
+// Per-user contact book in data/contacts.json and tag-based groups in data/groups.json.
+// A group stores tags, not members: it always resolves to the owner's contacts carrying any
+// of them. Logs keep the phone number, so deleting a contact leaves history untouched.
+
+const GROUP_NAME = /^[a-z0-9-]{1,32}$/;
+
+export function normalizeTags(tags) {
+    return [...new Set(tags
+        .flatMap(tag => String(tag).split(/[\s,;|]+/))
+        .map(tag => tag.toLowerCase().replace(/^#/, '').replace(/[^a-z0-9-]/g, ''))
+        .filter(Boolean))];
+}
+
+function unescapeVCard(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+// Contacts from a .vcf with one or more cards; the mobile number is preferred when a card has several
+export function parseVCards(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const cards = [];
+    let card = null;
+    
+    for (const line of lines) {
+        const upper = line.trim().toUpperCase();
+        
+        if (upper === 'BEGIN:VCARD') {
+            card = { name: '', numbers: [], tags: [] };
+            continue;
+        }
+        
+        if (upper === 'END:VCARD') {
+            if (card) cards.push(card);
+            card = null;
+            continue;
+        }
+        
+        const colon = line.indexOf(':');
+        if (!card || colon === -1) continue;
+        
+        // Grouped properties look like "item1.TEL;TYPE=CELL"
+        const [property, ...params] = line.substring(0, colon).replace(/^[\w-]+\./, '').toUpperCase().split(';');
+        const value = line.substring(colon + 1);
+        
+        if (property === 'FN') {
+            card.name = unescapeVCard(value);
+        } else if (property === 'N' && !card.name) {
+            card.name = value.split(';').slice(0, 2).reverse().map(unescapeVCard).filter(Boolean).join(' ');
+        } else if (property === 'TEL') {
+            const number = normalizeNumber(value.replace(/^tel:/i, ''));
+            if (params.some(param => param.includes('CELL'))) {
+                card.numbers.unshift(number);
+            } else {
+                card.numbers.push(number);
+            }
+        } else if (property === 'CATEGORIES') {
+            card.tags.push(...value.split(',').map(unescapeVCard));
+        }
+    }
+    
+    return cards
+        .filter(card => card.numbers.length > 0)
+        .map((card, index) => ({
+            name: card.name || card.numbers[0],
+            phoneNumber: card.numbers[0],
+            tags: normalizeTags(card.tags),
+            line: index + 1
+        }));
+}
+
+// CSV of name, phone and tags; a header row may name the columns in any order
+export function parseContactsCsv(text) {
+    const delimiter = detectDelimiter(text);
+    const rows = splitCsvRecords(text)
+        .map(({ raw, line }) => ({ fields: parseCsvLine(raw, delimiter), line }))
+        .filter(({ fields }) => fields.some(Boolean));
+    
+    if (rows.length === 0) return [];
+    
+    let [nameColumn, phoneColumn, tagsColumn] = [0, 1, 2];
+    
+    const header = rows[0].fields.map(columnKey);
+    if (!header.some(field => /\d{3}/.test(field))) {
+        const find = (names, fallback) => {
+            const index = header.findIndex(field => names.includes(field));
+            return index === -1 ? fallback : index;
+        };
+        
+        nameColumn = find(['name', 'full_name', 'contact', 'display_name'], 0);
+        phoneColumn = find(['phone', 'number', 'mobile', 'phone_number', 'phonenumber', 'tel'], 1);
+        tagsColumn = find(['tags', 'tag', 'groups', 'group', 'category', 'categories'], -1);
+        rows.shift();
+    }
+    
+    return rows.map(({ fields, line }) => ({
+        name: fields[nameColumn] || '',
+        phoneNumber: normalizeNumber(fields[phoneColumn] || ''),
+        tags: normalizeTags([fields[tagsColumn] || '']),
+        line
+    }));
+}
+
+export class ContactBook {
+    constructor(options = {}) {
+        this.name = options.name || 'contacts';
+        this.groupsName = options.groupsName || 'groups';
+    }
+    
+    list(ownerId, filter = () => true) {
+        return readData(this.name)
+            .filter(contact => contact.ownerId === ownerId && filter(contact))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    get(ownerId, id) {
+        return this.list(ownerId, contact => contact.id === id)[0] || null;
+    }
+    
+    // By exact phone number, otherwise by case-insensitive name
+    find(ownerId, key) {
+        const number = normalizeNumber(key);
+        const name = key.trim().toLowerCase();
+        const contacts = this.list(ownerId);
+        
+        return contacts.find(contact => contact.phoneNumber === number) ||
+            contacts.find(contact => contact.name.toLowerCase() === name) ||
+            null;
+    }
+    
+    // Upsert by phone number: a known number gets the new name and the union of tags
+    import(ownerId, entries) {
+        return updateData(this.name, (contacts) => {
+            const counts = { added: 0, updated: 0 };
+            const now = new Date().toISOString();
+            
+            for (const entry of entries) {
+                const existing = contacts.find(c => c.ownerId === ownerId && c.phoneNumber === entry.phoneNumber);
+                
+                if (existing) {
+                    existing.name = entry.name || existing.name;
+                    existing.tags = normalizeTags([...existing.tags, ...(entry.tags || [])]);
+                    existing.updatedAt = now;
+                    counts.updated++;
+                    continue;
+                }
+                
+                contacts.push({
+                    id: `CNT_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+                    ownerId,
+                    name: entry.name || entry.phoneNumber,
+                    phoneNumber: entry.phoneNumber,
+                    tags: normalizeTags(entry.tags || []),
+                    createdAt: now,
+                    updatedAt: now
+                });
+                counts.added++;
+            }
+            
+            return counts;
+        });
+    }
+    
+    setTags(ownerId, id, tags) {
+        return updateData(this.name, (contacts) => {
+            const contact = contacts.find(c => c.ownerId === ownerId && c.id === id);
+            if (!contact) return null;
+            
+            contact.tags = normalizeTags(tags);
+            contact.updatedAt = new Date().toISOString();
+            return contact;
+        });
+    }
+    
+    remove(ownerId, id) {
+        return updateData(this.name, (contacts) => {
+            const index = contacts.findIndex(c => c.ownerId === ownerId && c.id === id);
+            return index === -1 ? null : contacts.splice(index, 1)[0];
+        });
+    }
+    
+    groups(ownerId) {
+        return readData(this.groupsName)
+            .filter(group => group.ownerId === ownerId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    getGroup(ownerId, id) {
+        return this.groups(ownerId).find(group => group.id === id || group.name === id.toLowerCase()) || null;
+    }
+    
+    // Creating an existing group name replaces its tags
+    saveGroup(ownerId, name, tags) {
+        const key = name.toLowerCase();
+        const groupTags = normalizeTags(tags);
+        
+        if (!GROUP_NAME.test(key)) {
+            throw new Error('Group names use 1-32 lowercase letters, digits or hyphens');
+        }
+        
+        if (groupTags.length === 0) {
+            throw new Error('A group needs at least one tag');
+        }
+        
+        return updateData(this.groupsName, (groups) => {
+            let group = groups.find(g => g.ownerId === ownerId && g.name === key);
+            
+            if (!group) {
+                group = {
+                    id: `GRP_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+                    ownerId,
+                    name: key,
+                    createdAt: new Date().toISOString()
+                };
+                groups.push(group);
+            }
+            
+            group.tags = groupTags;
+            group.updatedAt = new Date().toISOString();
+            return group;
+        });
+    }
+    
+    removeGroup(ownerId, id) {
+        return updateData(this.groupsName, (groups) => {
+            const index = groups.findIndex(g => g.ownerId === ownerId && g.id === id);
+            return index === -1 ? null : groups.splice(index, 1)[0];
+        });
+    }
+    
+    members(ownerId, group) {
+        return this.list(ownerId, contact => contact.tags.some(tag => group.tags.includes(tag)));
+    }
+}
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { Server } from 'socket.io';
+
+// Admin web dashboard: one page that streams gateway stats and transmissions over socket.io.
+// There is no password. An admin sends /dashboard to the bot and opens the one-time link it
+// replies with, which starts a cookie session. Sessions are kept in memory, so a restart signs
+// everyone out; they also end as soon as the user stops being an admin.
+
+const COOKIE = 'sgw_dashboard';
+const PAGE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'dashboard.html');
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header.split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+function notice(title, text, status = 200) {
+    return {
+        status,
+        html: `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title>` +
+            `<meta name="viewport" content="width=device-width, initial-scale=1">` +
+            `<style>body{font-family:system-ui,sans-serif;background:#0f172a;color:#e2e8f0;display:flex;` +
+            `align-items:center;justify-content:center;min-height:100vh;margin:0}main{max-width:28rem;padding:2rem;` +
+            `background:#1e293b;border-radius:12px}button{font-size:1rem;padding:.6rem 1.4rem;border:0;border-radius:8px;` +
+            `background:#38bdf8;color:#0f172a;cursor:pointer}</style></head><body><main><h1>${title}</h1>${text}</main></body></html>`
+    };
+}
+
+// stats() → the gateway stats snapshot; recent(limit) → newest sms_logs entries first;
+// isAdmin(userId) is checked on every request and stats update
+export class Dashboard {
+    constructor(options = {}) {
+        this.stats = options.stats;
+        this.recent = options.recent;
+        this.isAdmin = options.isAdmin;
+        this.interval = options.interval || 2000;
+        this.loginTtl = options.loginTtl || 10 * 60000;
+        this.sessionTtl = options.sessionTtl || 12 * 3600000;
+        this.recentLimit = options.recentLimit || 25;
+        this.logger = options.logger || console;
+        
+        this.loginTokens = new Map();
+        this.sessions = new Map();
+        this.io = null;
+        this.timer = null;
+    }
+    
+    // Single use, expires after loginTtl
+    createLoginToken(userId) {
+        const token = crypto.randomBytes(24).toString('hex');
+        this.loginTokens.set(token, { userId, expiresAt: Date.now() + this.loginTtl });
+        
+        return token;
+    }
+    
+    redeemLoginToken(token) {
+        const login = this.loginTokens.get(token);
+        this.loginTokens.delete(token);
+        
+        return login && login.expiresAt > Date.now() && this.isAdmin(login.userId) ? login.userId : null;
+    }
+    
+    // The live session a Cookie header refers to, or null
+    session(cookieHeader) {
+        const id = parseCookies(cookieHeader)[COOKIE];
+        const session = id ? this.sessions.get(id) : null;
+        
+        if (!session) return null;
+        
+        if (session.expiresAt <= Date.now() || !this.isAdmin(session.userId)) {
+            this.sessions.delete(id);
+            return null;
+        }
+        
+        return { id, ...session };
+    }
+    
+    prune() {
+        const now = Date.now();
+        
+        this.loginTokens.forEach((login, token) => login.expiresAt <= now && this.loginTokens.delete(token));
+        this.sessions.forEach((session, id) => session.expiresAt <= now && this.sessions.delete(id));
+    }
+    
+    router() {
+        const router = express.Router();
+        const send = (res, { status, html }) => res.status(status).type('html').send(html);
+        const signedOut = () => notice('Signed out', '<p>Send <code>/dashboard</code> to the bot for a sign-in link.</p>', 401);
+        const expired = () => notice('Link expired', '<p>This sign-in link was used or has expired. Send <code>/dashboard</code> to the bot for a new one.</p>', 401);
+        
+        router.use(express.urlencoded({ extended: false }));
+        
+        // Link previews and other prefetchers only GET, so the token is spent by the POST
+        router.get('/login', (req, res) => {
+            const token = String(req.query.token || '');
+            
+            if (!/^[a-f0-9]{48}$/.test(token) || !this.loginTokens.has(token)) {
+                send(res, expired());
+                return;
+            }
+            
+            send(res, notice('SMS Gateway Dashboard', `<form method="post" action="login"><input type="hidden" name="token" value="${token}">` +
+                `<p>Sign in to the live dashboard.</p><button type="submit">Sign in</button></form>`));
+        });
+        
+        router.post('/login', (req, res) => {
+            const userId = this.redeemLoginToken(String(req.body.token || ''));
+            
+            if (!userId) {
+                send(res, expired());
+                return;
+            }
+            
+            const id = crypto.randomBytes(24).toString('hex');
+            this.sessions.set(id, { userId, expiresAt: Date.now() + this.sessionTtl });
+            this.logger.info(`Dashboard session started for ${userId}`);
+            
+            res.cookie(COOKIE, id, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: req.secure,
+                path: req.baseUrl || '/',
+                maxAge: this.sessionTtl
+            });
+            res.redirect(303, `${req.baseUrl}/`);
+        });
+        
+        router.post('/logout', (req, res) => {
+            const session = this.session(req.get('cookie'));
+            if (session) this.sessions.delete(session.id);
+            
+            res.clearCookie(COOKIE, { path: req.baseUrl || '/' });
+            send(res, signedOut());
+        });
+        
+        router.get('/', (req, res) => {
+            if (!this.session(req.get('cookie'))) {
+                send(res, signedOut());
+                return;
+            }
+            
+            res.sendFile(PAGE);
+        });
+        
+        return router;
+    }
+    
+    // socket.io on the gateway's HTTP server, under `basePath`
+    attach(server, basePath) {
+        this.io = new Server(server, { path: `${basePath}/socket.io` });
+        
+        this.io.use((socket, next) => {
+            const session = this.session(socket.request.headers.cookie);
+            if (!session) {
+                next(new Error('Not signed in'));
+                return;
+            }
+            
+            socket.data.sessionId = session.id;
+            next();
+        });
+        
+        this.io.on('connection', (socket) => {
+            socket.emit('stats', this.stats());
+            socket.emit('transmissions', this.recent(this.recentLimit));
+        });
+        
+        this.timer = setInterval(() => this.tick(), this.interval);
+    }
+    
+    tick() {
+        this.prune();
+        
+        if (!this.io || this.io.engine.clientsCount === 0) return;
+        
+        // Sessions end on expiry or loss of the admin role; their sockets go with them
+        for (const socket of this.io.sockets.sockets.values()) {
+            const session = this.sessions.get(socket.data.sessionId);
+            
+            if (!session || !this.isAdmin(session.userId)) {
+                socket.disconnect(true);
+            }
+        }
+        
+        try {
+            this.io.emit('stats', this.stats());
+        } catch (error) {
+            this.logger.error('Dashboard stats update failed:', error);
+        }
+    }
+    
+    // A new transmission or a status change of one already shown
+    transmission(entry) {
+        if (this.io && this.io.engine.clientsCount > 0) {
+            this.io.emit('transmission', entry);
+        }
+    }
+    
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.io?.close();
+        this.io = null;
+    }
+}
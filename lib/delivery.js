@@ -0,0 +1,44 @@
+import { STATUS } from '../config.js';
+
+// Final states a delivery report can move a transmission into
+export const FINAL_STATUSES = [STATUS.DELIVERED, STATUS.FAILED, STATUS.EXPIRED];
+
+// TP-Status of an SMS-STATUS-REPORT (3GPP TS 23.040 9.2.3.15); null while the SC keeps trying
+export function statusFromTpStatus(tpStatus) {
+    if (tpStatus <= 0x1F) return STATUS.DELIVERED;
+    if (tpStatus <= 0x3F) return null;
+    if (tpStatus === 0x46) return STATUS.EXPIRED;
+    
+    return STATUS.FAILED;
+}
+
+// stat: field of an SMPP delivery receipt; null for intermediate states
+export function statusFromReceipt(stat) {
+    switch(stat) {
+        case 'DELIVRD':
+            return STATUS.DELIVERED;
+        case 'EXPIRED':
+            return STATUS.EXPIRED;
+        case 'UNDELIV':
+        case 'REJECTD':
+        case 'DELETED':
+        case 'UNKNOWN':
+            return STATUS.FAILED;
+        default:
+            return null;
+    }
+}
+
+// A multipart message is final once every segment is; any failure fails the whole message
+export function aggregateStatus(segments) {
+    const statuses = segments.map(segment => segment.status);
+    
+    if (statuses.some(status => !FINAL_STATUSES.includes(status))) {
+        return STATUS.SENT;
+    }
+    
+    if (statuses.includes(STATUS.FAILED)) return STATUS.FAILED;
+    if (statuses.includes(STATUS.EXPIRED)) return STATUS.EXPIRED;
+    
+    return STATUS.DELIVERED;
+}
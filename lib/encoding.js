@@ -0,0 +1,485 @@
+import pdu from 'pdu';
+
+// GSM 03.38 default alphabet, indexed by septet value (0x1B is the escape to the extension table)
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞ\x1bÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+// GSM 03.38 extension table, each sent as ESC + septet
+const GSM_EXTENDED = {
+    '\f': 0x0A,
+    '^': 0x14,
+    '{': 0x28,
+    '}': 0x29,
+    '\\': 0x2F,
+    '[': 0x3C,
+    '~': 0x3D,
+    ']': 0x3E,
+    '|': 0x40,
+    '€': 0x65
+};
+
+const GSM_ESCAPE = 0x1B;
+
+const GSM_BASIC_MAP = new Map([...GSM_BASIC].map((char, index) => [char, index]));
+const GSM_EXTENDED_REVERSE = new Map(Object.entries(GSM_EXTENDED).map(([char, septet]) => [septet, char]));
+
+export const ENCODINGS = {
+    GSM_7BIT: 'GSM_7BIT',
+    UCS2: 'UCS2'
+};
+
+// Characters that fit in one standalone SMS
+export const SINGLE_PART_LIMITS = {
+    GSM_7BIT: 160,
+    UCS2: 70
+};
+
+// Characters per segment of a concatenated SMS, by size of the UDH reference number
+export const MULTI_PART_LIMITS = {
+    8: { GSM_7BIT: 153, UCS2: 67 },
+    16: { GSM_7BIT: 152, UCS2: 66 }
+};
+
+// Data coding scheme per encoding
+const DCS = {
+    GSM_7BIT: 0x00,
+    UCS2: 0x08
+};
+
+export function isGsm7(text) {
+    for (const char of text) {
+        if (!GSM_BASIC_MAP.has(char) && !(char in GSM_EXTENDED)) {
+            return false;
+        }
+    }
+    
+    return true;
+}
+
+export function detectEncoding(text) {
+    return isGsm7(text) ? ENCODINGS.GSM_7BIT : ENCODINGS.UCS2;
+}
+
+// Cost of a single character in septets (GSM-7) or UTF-16 code units (UCS-2)
+export function charUnits(char, encoding) {
+    if (encoding === ENCODINGS.UCS2) {
+        return char.length;
+    }
+    
+    return char in GSM_EXTENDED ? 2 : 1;
+}
+
+export function countUnits(text, encoding = detectEncoding(text)) {
+    let units = 0;
+    
+    for (const char of text) {
+        units += charUnits(char, encoding);
+    }
+    
+    return units;
+}
+
+// Split text into chunks of at most `limit` units, never cutting inside a character
+export function splitByUnits(text, encoding, limit) {
+    const chunks = [];
+    let chunk = '';
+    let used = 0;
+    
+    for (const char of text) {
+        const units = charUnits(char, encoding);
+        
+        if (used + units > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            used = 0;
+        }
+        
+        chunk += char;
+        used += units;
+    }
+    
+    if (chunk || chunks.length === 0) {
+        chunks.push(chunk);
+    }
+    
+    return chunks;
+}
+
+export function partLimit(units, encoding, referenceBits = 8) {
+    return units <= SINGLE_PART_LIMITS[encoding]
+        ? SINGLE_PART_LIMITS[encoding]
+        : MULTI_PART_LIMITS[referenceBits][encoding];
+}
+
+// Segments for a concatenated SMS; a single segment when the text fits one SMS
+export function segmentMessage(text, encoding = detectEncoding(text), referenceBits = 8) {
+    const limit = partLimit(countUnits(text, encoding), encoding, referenceBits);
+    return splitByUnits(text, encoding, limit);
+}
+
+export function analyzeMessage(text, referenceBits = 8) {
+    const encoding = detectEncoding(text);
+    const units = countUnits(text, encoding);
+    const perPart = partLimit(units, encoding, referenceBits);
+    
+    return {
+        encoding,
+        units,
+        perPart,
+        parts: segmentMessage(text, encoding, referenceBits).length
+    };
+}
+
+// Concatenation UDH: IEI 00 (8-bit reference) or IEI 08 (16-bit reference)
+export function buildConcatenationHeader(reference, total, sequence, referenceBits = 8) {
+    if (referenceBits === 16) {
+        return Buffer.from([0x06, 0x08, 0x04, (reference >> 8) & 0xFF, reference & 0xFF, total, sequence]);
+    }
+    
+    return Buffer.from([0x05, 0x00, 0x03, reference & 0xFF, total, sequence]);
+}
+
+// Rolling concatenation reference per destination, so parts of different messages never mix
+export class ReferenceCounter {
+    constructor(referenceBits = 8) {
+        this.modulo = referenceBits === 16 ? 0x10000 : 0x100;
+        this.references = new Map();
+    }
+    
+    next(destination) {
+        // Start at a random point so a restart does not reuse recent references
+        const previous = this.references.has(destination)
+            ? this.references.get(destination)
+            : Math.floor(Math.random() * this.modulo);
+        const reference = (previous + 1) % this.modulo;
+        
+        this.references.set(destination, reference);
+        return reference;
+    }
+}
+
+export function encodeGsm7(text) {
+    const septets = [];
+    
+    for (const char of text) {
+        if (char in GSM_EXTENDED) {
+            septets.push(GSM_ESCAPE, GSM_EXTENDED[char]);
+        } else if (GSM_BASIC_MAP.has(char)) {
+            septets.push(GSM_BASIC_MAP.get(char));
+        } else {
+            // Not representable: substitute with '?'
+            septets.push(GSM_BASIC_MAP.get('?'));
+        }
+    }
+    
+    return septets;
+}
+
+export function decodeGsm7(septets) {
+    let text = '';
+    
+    for (let i = 0; i < septets.length; i++) {
+        if (septets[i] === GSM_ESCAPE && i + 1 < septets.length) {
+            text += GSM_EXTENDED_REVERSE.get(septets[++i]) || ' ';
+        } else {
+            text += GSM_BASIC[septets[i]];
+        }
+    }
+    
+    return text;
+}
+
+// Pack septets LSB-first into octets, optionally after `paddingBits` fill bits
+export function packSeptets(septets, paddingBits = 0) {
+    const octets = [];
+    let accumulator = 0;
+    let bits = paddingBits;
+    
+    for (const septet of septets) {
+        accumulator |= septet << bits;
+        bits += 7;
+        
+        while (bits >= 8) {
+            octets.push(accumulator & 0xFF);
+            accumulator >>= 8;
+            bits -= 8;
+        }
+    }
+    
+    if (bits > 0) {
+        octets.push(accumulator & 0xFF);
+    }
+    
+    return Buffer.from(octets);
+}
+
+export function unpackSeptets(buffer, count, paddingBits = 0) {
+    const septets = [];
+    let position = paddingBits;
+    
+    for (let i = 0; i < count; i++) {
+        const index = position >> 3;
+        const shift = position & 7;
+        let value = buffer[index] >> shift;
+        
+        if (shift > 1) {
+            value |= (buffer[index + 1] || 0) << (8 - shift);
+        }
+        
+        septets.push(value & 0x7F);
+        position += 7;
+    }
+    
+    return septets;
+}
+
+export function encodeUcs2(text) {
+    const buffer = Buffer.alloc(text.length * 2);
+    
+    for (let i = 0; i < text.length; i++) {
+        buffer.writeUInt16BE(text.charCodeAt(i), i * 2);
+    }
+    
+    return buffer;
+}
+
+export function decodeUcs2(buffer) {
+    let text = '';
+    
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+        text += String.fromCharCode(buffer.readUInt16BE(i));
+    }
+    
+    return text;
+}
+
+// Relative TP-VP octet for a validity period in minutes (3GPP TS 23.040 9.2.3.12.1)
+export function encodeValidityPeriod(minutes) {
+    if (minutes <= 720) {
+        return Math.max(0, Math.ceil(minutes / 5) - 1);
+    }
+    
+    if (minutes <= 1440) {
+        return 143 + Math.ceil((minutes - 720) / 30);
+    }
+    
+    if (minutes <= 43200) {
+        return 166 + Math.ceil(minutes / 1440);
+    }
+    
+    return Math.min(255, 192 + Math.ceil(minutes / 10080));
+}
+
+export function encodeAddress(phoneNumber) {
+    const digits = phoneNumber.replace(/^\+/, '');
+    const typeOfAddress = phoneNumber.startsWith('+') ? 0x91 : 0x81;
+    
+    return toHex(digits.length) + toHex(typeOfAddress) + pdu.swapNibbles(digits);
+}
+
+// Build an SMS-SUBMIT PDU; `length` is the TPDU octet count AT+CMGS expects
+export function buildSubmitPdu({ phoneNumber, text, encoding = detectEncoding(text), udh = null, statusReport = false, validityMinutes = 1440 }) {
+    // TP-MTI = SMS-SUBMIT, TP-VPF = relative, TP-SRR / TP-UDHI when requested
+    const firstOctet = 0x01 | 0x10 | (statusReport ? 0x20 : 0x00) | (udh ? 0x40 : 0x00);
+    const header = udh || Buffer.alloc(0);
+    
+    let userData;
+    let userDataLength;
+    
+    if (encoding === ENCODINGS.UCS2) {
+        userData = Buffer.concat([header, encodeUcs2(text)]);
+        userDataLength = userData.length;
+    } else {
+        // The text starts on the next septet boundary after the header
+        const headerSeptets = Math.ceil(header.length * 8 / 7);
+        const paddingBits = headerSeptets * 7 - header.length * 8;
+        const septets = encodeGsm7(text);
+        
+        userData = Buffer.concat([header, packSeptets(septets, paddingBits)]);
+        userDataLength = headerSeptets + septets.length;
+    }
+    
+    const tpdu = toHex(firstOctet) +
+        '00' + // TP-MR, assigned by the modem
+        encodeAddress(phoneNumber) +
+        '00' + // TP-PID
+        toHex(DCS[encoding]) +
+        toHex(encodeValidityPeriod(validityMinutes)) +
+        toHex(userDataLength) +
+        userData.toString('hex').toUpperCase();
+    
+    return {
+        // Leading 00: use the SMSC stored on the SIM
+        pdu: '00' + tpdu,
+        length: tpdu.length / 2
+    };
+}
+
+// TP-MTI values of PDUs a modem hands over (3GPP TS 23.040 9.2.3.1)
+export const MESSAGE_TYPES = {
+    DELIVER: 0x00,
+    STATUS_REPORT: 0x02
+};
+
+// TP-MTI of a PDU that starts with its SMSC information
+export function messageType(hex) {
+    const buffer = Buffer.from(hex, 'hex');
+    return buffer[buffer[0] + 1] & 0x03;
+}
+
+// Parse an SMS-STATUS-REPORT PDU as delivered by +CDS or AT+CMGR (3GPP TS 23.040 9.2.2.3)
+export function parseStatusReport(hex) {
+    const buffer = Buffer.from(hex, 'hex');
+    
+    // Skip the SMSC information and the first octet
+    let cursor = buffer[0] + 2;
+    
+    const messageReference = buffer[cursor++];
+    const recipient = readAddress(buffer, cursor);
+    cursor += recipient.octets;
+    
+    const serviceCentreTime = readTimestamp(buffer, cursor);
+    cursor += 7;
+    
+    const dischargeTime = readTimestamp(buffer, cursor);
+    cursor += 7;
+    
+    return {
+        messageReference,
+        recipient: recipient.address,
+        serviceCentreTime,
+        dischargeTime,
+        status: buffer[cursor]
+    };
+}
+
+// Information elements of a user data header, each as [IEI, length, ...data]
+export function splitUdh(header) {
+    const elements = [];
+    
+    for (let cursor = 1; cursor + 1 < header.length;) {
+        const length = header[cursor + 1];
+        elements.push(header.subarray(cursor, cursor + 2 + length));
+        cursor += 2 + length;
+    }
+    
+    return elements;
+}
+
+// Concatenation info from UDH elements (IEI 00 or 08), null for a single-part message
+export function concatenationInfo(elements) {
+    for (const element of elements || []) {
+        if (element[0] === 0x00 && element.length >= 5) {
+            return { reference: element[2], total: element[3], sequence: element[4] };
+        }
+        
+        if (element[0] === 0x08 && element.length >= 6) {
+            return { reference: (element[2] << 8) | element[3], total: element[4], sequence: element[5] };
+        }
+    }
+    
+    return null;
+}
+
+// Alphabet of a TP-DCS octet (3GPP TS 23.038 section 4)
+function dcsAlphabet(dcs) {
+    if ((dcs & 0xC0) === 0x00) {
+        return ['GSM_7BIT', 'BINARY', 'UCS2', 'GSM_7BIT'][(dcs >> 2) & 0x03];
+    }
+    
+    if ((dcs & 0xF0) === 0xF0) {
+        return dcs & 0x04 ? 'BINARY' : 'GSM_7BIT';
+    }
+    
+    return (dcs & 0xF0) === 0xE0 ? 'UCS2' : 'GSM_7BIT';
+}
+
+// Parse an SMS-DELIVER PDU as read by AT+CMGR / AT+CMGL or pushed by +CMT (3GPP TS 23.040 9.2.2.1)
+export function parseDeliverPdu(hex) {
+    const buffer = Buffer.from(hex, 'hex');
+    
+    // Skip the SMSC information
+    let cursor = buffer[0] + 1;
+    const firstOctet = buffer[cursor++];
+    
+    if ((firstOctet & 0x03) !== 0x00) {
+        throw new Error('Not an SMS-DELIVER PDU');
+    }
+    
+    // Alphanumeric senders are GSM 7-bit packed rather than semi-octets
+    const senderType = buffer[cursor + 1];
+    let sender;
+    
+    if ((senderType & 0x70) === 0x50) {
+        const digits = buffer[cursor];
+        const octets = Math.ceil(digits / 2);
+        sender = { address: decodeGsm7(unpackSeptets(buffer.subarray(cursor + 2), Math.floor(octets * 8 / 7))), octets: 2 + octets };
+    } else {
+        sender = readAddress(buffer, cursor);
+    }
+    cursor += sender.octets;
+    
+    cursor++; // TP-PID
+    const alphabet = dcsAlphabet(buffer[cursor++]);
+    
+    const serviceCentreTime = readTimestamp(buffer, cursor);
+    cursor += 7;
+    
+    const userDataLength = buffer[cursor++];
+    const userData = buffer.subarray(cursor);
+    
+    const header = firstOctet & 0x40 ? userData.subarray(0, userData[0] + 1) : Buffer.alloc(0);
+    const elements = header.length ? splitUdh(header) : [];
+    let text;
+    
+    if (alphabet === 'GSM_7BIT') {
+        // The text starts on the next septet boundary after the header
+        const headerSeptets = Math.ceil(header.length * 8 / 7);
+        const paddingBits = headerSeptets * 7 - header.length * 8;
+        text = decodeGsm7(unpackSeptets(userData.subarray(header.length), userDataLength - headerSeptets, paddingBits));
+    } else if (alphabet === 'UCS2') {
+        text = decodeUcs2(userData.subarray(header.length, userDataLength));
+    } else {
+        text = userData.subarray(header.length, userDataLength).toString('latin1');
+    }
+    
+    return {
+        sender: sender.address,
+        serviceCentreTime,
+        encoding: alphabet,
+        text,
+        concat: concatenationInfo(elements)
+    };
+}
+
+function readAddress(buffer, offset) {
+    const digits = buffer[offset];
+    const typeOfAddress = buffer[offset + 1];
+    const length = Math.ceil(digits / 2);
+    const semiOctets = buffer.subarray(offset + 2, offset + 2 + length).toString('hex').toUpperCase();
+    const number = pdu.deSwapNibbles(semiOctets);
+    
+    return {
+        address: (typeOfAddress & 0x70) === 0x10 ? `+${number}` : number,
+        octets: 2 + length
+    };
+}
+
+// TP-SCTS / TP-DT: swapped BCD date, time and quarter-hour timezone offset
+function readTimestamp(buffer, offset) {
+    const field = (index) => {
+        const octet = buffer[offset + index];
+        return (octet & 0x0F) * 10 + (octet >> 4);
+    };
+    
+    const zone = buffer[offset + 6];
+    const quarters = (zone & 0x07) * 10 + (zone >> 4);
+    const sign = zone & 0x08 ? -1 : 1;
+    
+    const local = Date.UTC(2000 + field(0), field(1) - 1, field(2), field(3), field(4), field(5));
+    return new Date(local - sign * quarters * 15 * 60000);
+}
+
+function toHex(octet) {
+    return octet.toString(16).toUpperCase().padStart(2, '0');
+}
@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+import { readData, updateData } from './store.js';
+import { normalizeNumber } from './bulk.js';
+
+// Received SMS in data/inbox.json. Parts of a concatenated message are held in memory until the
+// last one arrives (or the wait runs out) and then stored as one message. Each message remembers
+// the Telegram messages it was forwarded as, so a reply to any of them can go back by SMS.
+
+const MISSING_PART = '[…]';
+
+// Alphanumeric senders ("BANK") can't be answered; numeric ones get the '+' inbound PDUs often lack
+export function inboundNumber(sender) {
+    const number = normalizeNumber(sender || '');
+    return /^\+?\d{3,15}$/.test(number) ? `+${number.replace(/^\+/, '')}` : null;
+}
+
+export class Inbox extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.name = options.name || 'inbox';
+        this.partTimeout = options.partTimeout || 5 * 60000;
+        this.maxEntries = options.maxEntries || 10000;
+        
+        // `${transport}:${sender}:${reference}` → parts received so far
+        this.pending = new Map();
+    }
+    
+    // Every complete (or timed-out) message is stored and emitted as 'message'
+    receive(transportName, message) {
+        const concat = message.concat;
+        
+        if (!concat || concat.total <= 1 || concat.sequence < 1 || concat.sequence > concat.total) {
+            this.store(transportName, message, [message.text]);
+            return;
+        }
+        
+        const key = `${transportName}:${message.from}:${concat.reference}`;
+        let entry = this.pending.get(key);
+        
+        if (!entry) {
+            entry = {
+                transportName,
+                message,
+                parts: new Array(concat.total).fill(null),
+                timer: setTimeout(() => this.flush(key), this.partTimeout)
+            };
+            this.pending.set(key, entry);
+        }
+        
+        entry.parts[concat.sequence - 1] = message.text;
+        
+        if (entry.parts.every(part => part !== null)) {
+            this.flush(key);
+        }
+    }
+    
+    flush(key) {
+        const entry = this.pending.get(key);
+        if (!entry) return;
+        
+        clearTimeout(entry.timer);
+        this.pending.delete(key);
+        this.store(entry.transportName, entry.message, entry.parts);
+    }
+    
+    // Store what we have of any partial messages, e.g. on shutdown
+    flushAll() {
+        [...this.pending.keys()].forEach(key => this.flush(key));
+    }
+    
+    store(transportName, message, parts) {
+        const record = {
+            id: `IN_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            from: message.from,
+            phoneNumber: inboundNumber(message.from),
+            to: message.to || null,
+            transport: transportName,
+            text: parts.map(part => part ?? MISSING_PART).join(''),
+            parts: parts.length,
+            missingParts: parts.filter(part => part === null).length,
+            receivedAt: message.receivedAt || new Date().toISOString(),
+            forwards: [],
+            replies: []
+        };
+        
+        updateData(this.name, (messages) => {
+            messages.push(record);
+            messages.splice(0, Math.max(0, messages.length - this.maxEntries));
+        });
+        
+        this.emit('message', record);
+    }
+    
+    get(id) {
+        return readData(this.name).find(message => message.id === id) || null;
+    }
+    
+    list(filter = () => true) {
+        return readData(this.name).filter(filter);
+    }
+    
+    update(id, updater) {
+        return updateData(this.name, (messages) => {
+            const message = messages.find(m => m.id === id);
+            if (!message) return null;
+            
+            updater(message);
+            return message;
+        });
+    }
+    
+    addForward(id, chatId, messageId) {
+        return this.update(id, message => message.forwards.push({ chatId, messageId }));
+    }
+    
+    addReply(id, reply) {
+        return this.update(id, message => message.replies.push({ ...reply, at: new Date().toISOString() }));
+    }
+    
+    // The inbound message a Telegram message was forwarded as
+    findByForward(chatId, messageId) {
+        return this.list(message => message.forwards.some(f => f.chatId === chatId && f.messageId === messageId))[0] || null;
+    }
+}
@@ -0,0 +1,246 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { dataPath, readData } from './store.js';
+
+// Credit ledger in data/ledger.journal: one fsynced JSON line per entry, each carrying its signed
+// amount and the balance it left. Balances and message counts per user are derived from it once
+// and then kept up to date in memory. A ledger.json from before the journal is converted on load.
+
+export const LEDGER_TYPES = {
+    TOPUP: 'TOPUP',
+    ADJUSTMENT: 'ADJUSTMENT',
+    DEBIT: 'DEBIT',
+    REFUND: 'REFUND'
+};
+
+export class InsufficientCreditError extends Error {
+    constructor(balance, required) {
+        super(`Insufficient credit: ${formatAmount(required)} needed, balance is ${formatAmount(balance)}`);
+        this.name = 'InsufficientCreditError';
+        this.balance = balance;
+        this.required = required;
+        this.permanent = true;
+    }
+}
+
+// Amounts are kept to hundredths so repeated additions don't drift
+export function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+export function formatAmount(amount) {
+    return roundAmount(amount).toFixed(2);
+}
+
+// Charge for one message: the per-segment rate for its destination, scaled by its encoding
+export function messageCharge(unitPrice, analysis, multipliers = {}) {
+    const rate = unitPrice * (multipliers[analysis.encoding] ?? 1);
+    
+    return {
+        encoding: analysis.encoding,
+        segments: analysis.parts,
+        rate,
+        amount: roundAmount(rate * analysis.parts)
+    };
+}
+
+export class Ledger {
+    constructor(name = 'ledger') {
+        this.name = name;
+        this.file = path.join(config.DIRECTORIES.DATA, `${name}.journal`);
+        this.fd = null;
+        this.entries = null;
+        this.accounts = new Map();
+        this.debits = new Map();
+        this.refunded = new Set();
+    }
+    
+    load() {
+        if (!this.entries) {
+            this.entries = fs.existsSync(this.file) ? this.replay() : this.migrate();
+            this.entries.forEach(entry => this.apply(entry));
+            this.fd = fs.openSync(this.file, 'a');
+        }
+        
+        return this.entries;
+    }
+    
+    // A crash mid-append leaves a torn last line. Its post never returned, so the line is cut
+    // off before the next append would land behind it.
+    replay() {
+        const journal = fs.readFileSync(this.file, 'utf8');
+        const end = journal.lastIndexOf('\n') + 1;
+        if (end < journal.length) fs.truncateSync(this.file, end);
+        
+        return journal.substring(0, end).split('\n').filter(Boolean).map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Ledger journal corrupt at line ${index + 1}: ${error.message}`);
+            }
+        });
+    }
+    
+    // Starts the journal from ledger.json, which is kept as ledger.json.migrated
+    migrate() {
+        const entries = readData(this.name);
+        const tempPath = `${this.file}.${process.pid}.tmp`;
+        
+        fs.writeFileSync(tempPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+        fs.renameSync(tempPath, this.file);
+        
+        if (fs.existsSync(dataPath(this.name))) {
+            fs.renameSync(dataPath(this.name), `${dataPath(this.name)}.migrated`);
+        }
+        
+        return entries;
+    }
+    
+    apply(entry) {
+        const account = this.account(entry.userId);
+        account.balance = roundAmount(account.balance + entry.amount);
+        
+        if (entry.type === LEDGER_TYPES.DEBIT) {
+            account.messages++;
+            account.segments += entry.segments;
+            this.debits.set(entry.id, entry);
+        } else if (entry.type === LEDGER_TYPES.REFUND) {
+            account.messages--;
+            account.segments -= entry.segments;
+            this.refunded.add(entry.chargeId);
+        }
+    }
+    
+    account(userId) {
+        if (!this.accounts.has(userId)) {
+            this.accounts.set(userId, { balance: 0, messages: 0, segments: 0 });
+        }
+        
+        return this.accounts.get(userId);
+    }
+    
+    // Balance plus the messages and segments charged and not refunded
+    summary(userId) {
+        this.load();
+        return { ...this.account(userId) };
+    }
+    
+    balance(userId) {
+        return this.summary(userId).balance;
+    }
+    
+    // Appends the entries with one write and one fsync, however many there are
+    post(entries) {
+        const ledger = this.load();
+        const at = new Date().toISOString();
+        
+        const posted = entries.map((details, index) => {
+            const entry = {
+                id: `LED_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 5)}`,
+                at,
+                ...details,
+                amount: roundAmount(details.amount)
+            };
+            
+            this.apply(entry);
+            entry.balance = this.account(entry.userId).balance;
+            ledger.push(entry);
+            return entry;
+        });
+        
+        fs.writeSync(this.fd, posted.map(entry => JSON.stringify(entry) + '\n').join(''));
+        fs.fsyncSync(this.fd);
+        return posted;
+    }
+    
+    // charges: { phoneNumber, prefix, encoding, segments, rate, amount }; all are debited or none.
+    // Returns the debit entries in the same order; their IDs are what refund() takes.
+    debit(userId, charges, { allowOverdraft = false, reference = null } = {}) {
+        const required = roundAmount(charges.reduce((sum, charge) => sum + charge.amount, 0));
+        const balance = this.balance(userId);
+        
+        if (!allowOverdraft && required > balance) {
+            throw new InsufficientCreditError(balance, required);
+        }
+        
+        return this.post(charges.map(charge => ({
+            type: LEDGER_TYPES.DEBIT,
+            userId,
+            amount: -charge.amount,
+            phoneNumber: charge.phoneNumber,
+            prefix: charge.prefix ?? null,
+            encoding: charge.encoding,
+            segments: charge.segments,
+            rate: charge.rate,
+            reference
+        })));
+    }
+    
+    // Gives a debit back once; null when there is no such debit or it was already refunded
+    refund(chargeId, note = null) {
+        this.load();
+        
+        const debit = this.debits.get(chargeId);
+        if (!debit || this.refunded.has(chargeId)) return null;
+        
+        return this.post([{
+            type: LEDGER_TYPES.REFUND,
+            userId: debit.userId,
+            amount: -debit.amount,
+            phoneNumber: debit.phoneNumber,
+            prefix: debit.prefix,
+            encoding: debit.encoding,
+            segments: debit.segments,
+            rate: debit.rate,
+            chargeId,
+            reference: debit.reference,
+            note
+        }])[0];
+    }
+    
+    // Negative amounts are corrections and recorded as adjustments
+    topUp(userId, amount, { by = null, note = null } = {}) {
+        return this.post([{
+            type: amount < 0 ? LEDGER_TYPES.ADJUSTMENT : LEDGER_TYPES.TOPUP,
+            userId,
+            amount,
+            by,
+            note
+        }])[0];
+    }
+    
+    // month: 'YYYY-MM' in UTC
+    statement(userId, month) {
+        const own = this.load().filter(entry => entry.userId === userId);
+        const before = own.filter(entry => entry.at.substring(0, 7) < month);
+        const entries = own.filter(entry => entry.at.substring(0, 7) === month);
+        const total = (type) => roundAmount(entries.filter(e => e.type === type).reduce((sum, e) => sum + e.amount, 0));
+        const count = (type) => entries.filter(e => e.type === type).length;
+        const opening = before.length > 0 ? before[before.length - 1].balance : 0;
+        
+        return {
+            userId,
+            month,
+            opening,
+            closing: entries.length > 0 ? entries[entries.length - 1].balance : opening,
+            topUps: total(LEDGER_TYPES.TOPUP),
+            adjustments: total(LEDGER_TYPES.ADJUSTMENT),
+            charged: total(LEDGER_TYPES.DEBIT),
+            refunded: total(LEDGER_TYPES.REFUND),
+            messages: count(LEDGER_TYPES.DEBIT) - count(LEDGER_TYPES.REFUND),
+            segments: entries.reduce((sum, e) => sum + (e.type === LEDGER_TYPES.DEBIT ? e.segments : e.type === LEDGER_TYPES.REFUND ? -e.segments : 0), 0),
+            entries
+        };
+    }
+    
+    toCsv(entries) {
+        const cell = (value) => /[",\n]/.test(String(value ?? '')) ? `"${String(value).replace(/"/g, '""')}"` : String(value ?? '');
+        const rows = entries.map(entry => [
+            entry.at, entry.type, formatAmount(entry.amount), formatAmount(entry.balance), entry.phoneNumber,
+            entry.prefix, entry.encoding, entry.segments, entry.rate, entry.reference, entry.note
+        ].map(cell).join(','));
+        
+        return ['at,type,amount,balance,phone,prefix,encoding,segments,rate,reference,note', ...rows].join('\n') + '\n';
+    }
+}
@@ -0,0 +1,220 @@
+import { readData, updateData } from './store.js';
+
+// Sending limits: a token bucket per transport, per-user quotas counted in data/usage.json and
+// an in-memory throttle per destination number
+
+export const QUOTA_WINDOWS = ['minute', 'day', 'month'];
+
+export class QuotaExceededError extends Error {
+    constructor(violation) {
+        super(`${violation.window === 'minute' ? 'Per-minute' : violation.window === 'day' ? 'Daily' : 'Monthly'} quota of ${violation.limit} messages reached`);
+        this.name = 'QuotaExceededError';
+        this.violation = violation;
+        // The minute window frees up again before long, so only the longer ones fail a message
+        this.permanent = violation.window !== 'minute';
+    }
+}
+
+// Not a failure: the message is sent later without using up an attempt
+export class ThrottledError extends Error {
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'ThrottledError';
+        this.retryAfter = retryAfter;
+        this.deferred = true;
+    }
+}
+
+// `perSecond` tokens refill continuously up to `burst`. Takers may run the bucket into debt and
+// then wait it out, so concurrent senders queue up in order instead of all retrying at once.
+export class TokenBucket {
+    constructor({ perSecond, burst = 1 }) {
+        this.rate = perSecond;
+        this.capacity = Math.max(1, burst);
+        this.tokens = this.capacity;
+        this.updatedAt = Date.now();
+    }
+    
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+        this.updatedAt = now;
+    }
+    
+    // Resolves once `count` tokens are ours; returns how long that took in ms
+    async take(count = 1) {
+        this.refill();
+        this.tokens -= count;
+        
+        if (this.tokens >= 0) return 0;
+        
+        const wait = Math.ceil(-this.tokens / this.rate * 1000);
+        await new Promise(resolve => setTimeout(resolve, wait));
+        return wait;
+    }
+}
+
+// Window keys and reset times on UTC calendar minutes, days and months
+export function windowKey(window, now = new Date()) {
+    const iso = now.toISOString();
+    
+    return {
+        minute: iso.substring(0, 16),
+        day: iso.substring(0, 10),
+        month: iso.substring(0, 7)
+    }[window];
+}
+
+export function windowReset(window, now = new Date()) {
+    const [year, month, day, hour, minute] = [now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours(), now.getUTCMinutes()];
+    
+    return new Date({
+        minute: Date.UTC(year, month, day, hour, minute + 1),
+        day: Date.UTC(year, month, day + 1),
+        month: Date.UTC(year, month + 1, 1)
+    }[window]);
+}
+
+// limitsFor(userId) → { minute, day, month }, each a number or null for unlimited
+export class QuotaTracker {
+    constructor({ limitsFor, name = 'usage' }) {
+        this.limitsFor = limitsFor;
+        this.name = name;
+    }
+    
+    // Messages counted in each window that is still current
+    usage(userId, now = new Date()) {
+        const record = readData(this.name).find(entry => entry.userId === userId);
+        
+        return Object.fromEntries(QUOTA_WINDOWS.map(window => {
+            const counter = record?.windows[window];
+            return [window, counter && counter.key === windowKey(window, now) ? counter.count : 0];
+        }));
+    }
+    
+    // Per window: limit, used, remaining (null when unlimited) and when it resets
+    status(userId, now = new Date()) {
+        const limits = this.limitsFor(userId);
+        const used = this.usage(userId, now);
+        
+        return Object.fromEntries(QUOTA_WINDOWS.map(window => [window, {
+            limit: limits[window] ?? null,
+            used: used[window],
+            remaining: limits[window] == null ? null : Math.max(0, limits[window] - used[window]),
+            resetAt: windowReset(window, now)
+        }]));
+    }
+    
+    // The first window `count` more messages would overflow, or null when they fit
+    check(userId, count = 1, windows = QUOTA_WINDOWS, now = new Date()) {
+        if (userId == null) return null;
+        
+        const status = this.status(userId, now);
+        
+        for (const window of windows) {
+            const { limit, used, resetAt } = status[window];
+            
+            if (limit !== null && used + count > limit) {
+                return { window, limit, used, requested: count, resetAt };
+            }
+        }
+        
+        return null;
+    }
+    
+    consume(userId, count = 1, windows = QUOTA_WINDOWS, now = new Date()) {
+        if (userId == null) return;
+        
+        updateData(this.name, (records) => {
+            let record = records.find(entry => entry.userId === userId);
+            
+            if (!record) {
+                record = { userId, windows: {} };
+                records.push(record);
+            }
+            
+            for (const window of windows) {
+                const key = windowKey(window, now);
+                const counter = record.windows[window];
+                
+                record.windows[window] = counter && counter.key === key
+                    ? { key, count: counter.count + count }
+                    : { key, count };
+            }
+        });
+    }
+    
+    // Gives back messages consumed at `consumedAt` that were never sent, in the windows still current
+    release(userId, count = 1, windows = QUOTA_WINDOWS, consumedAt = new Date()) {
+        if (userId == null) return;
+        
+        updateData(this.name, (records) => {
+            const record = records.find(entry => entry.userId === userId);
+            if (!record) return;
+            
+            for (const window of windows) {
+                const counter = record.windows[window];
+                
+                if (counter && counter.key === windowKey(window, consumedAt)) {
+                    counter.count = Math.max(0, counter.count - count);
+                }
+            }
+        });
+    }
+    
+    // Throws QuotaExceededError, or counts the messages
+    take(userId, count = 1, windows = QUOTA_WINDOWS) {
+        const violation = this.check(userId, count, windows);
+        if (violation) throw new QuotaExceededError(violation);
+        
+        this.consume(userId, count, windows);
+    }
+}
+
+// Spacing and hourly cap per destination number. Kept in memory: a restart forgets the history,
+// which at worst lets one extra message through.
+export class DestinationThrottle {
+    constructor({ minInterval = 0, maxPerHour = null } = {}) {
+        this.minInterval = minInterval;
+        this.maxPerHour = maxPerHour;
+        this.sent = new Map();
+    }
+    
+    // 0 after recording a send to `phoneNumber` now, else the ms to wait before trying again
+    reserve(phoneNumber, now = Date.now()) {
+        const recent = (this.sent.get(phoneNumber) || []).filter(time => time > now - 3600000);
+        let wait = 0;
+        
+        if (recent.length > 0) {
+            wait = Math.max(wait, recent[recent.length - 1] + this.minInterval - now);
+        }
+        
+        if (this.maxPerHour && recent.length >= this.maxPerHour) {
+            wait = Math.max(wait, recent[recent.length - this.maxPerHour] + 3600000 - now);
+        }
+        
+        if (wait > 0) {
+            this.sent.set(phoneNumber, recent);
+            return wait;
+        }
+        
+        recent.push(now);
+        this.sent.set(phoneNumber, recent);
+        return 0;
+    }
+    
+    // Undoes the reservation made at `reservedAt` for a send that never went out
+    release(phoneNumber, reservedAt) {
+        const times = this.sent.get(phoneNumber) || [];
+        const index = times.lastIndexOf(reservedAt);
+        
+        if (index !== -1) times.splice(index, 1);
+    }
+    
+    // Drop numbers with no sends in the last hour
+    prune(now = Date.now()) {
+        for (const [phoneNumber, times] of this.sent) {
+            if (times[times.length - 1] <= now - 3600000) this.sent.delete(phoneNumber);
+        }
+    }
+}
@@ -0,0 +1,314 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config.js';
+
+export const QUEUE_STATES = {
+    PENDING: 'PENDING',
+    IN_FLIGHT: 'IN_FLIGHT'
+};
+
+export class NoRouteError extends Error {
+    constructor(reason, waited) {
+        super(`No route available for ${Math.round(waited / 60000)} min: ${reason}`);
+        this.name = 'NoRouteError';
+        this.code = 'NO_ROUTE';
+        this.permanent = true;
+    }
+}
+
+// Durable transmission queue backed by an append-only journal under data/.
+// Every state change is one fsynced JSON line; on boot the journal is replayed and compacted.
+// Leased items stay invisible for visibilityTimeout and are handed out again if the
+// worker never finishes, including after a crash.
+export class TransmissionQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.file = options.file || path.join(config.DIRECTORIES.DATA, 'queue.journal');
+        this.visibilityTimeout = options.visibilityTimeout || 300000;
+        this.pollInterval = options.pollInterval || 1000;
+        this.compactThreshold = options.compactThreshold || 1000;
+        this.noRouteTimeout = options.noRouteTimeout || null;
+        
+        this.items = new Map();
+        this.active = new Map();
+        // Item ID → when assign() first found no transport for it; a restart starts the clock over
+        this.unroutable = new Map();
+        // Item ID → { decision, at }: routing decisions are reused for one pollInterval
+        this.routes = new Map();
+        this.pollPending = false;
+        this.journalLines = 0;
+        this.fd = null;
+        this.timer = null;
+        this.worker = null;
+    }
+    
+    open() {
+        if (fs.existsSync(this.file)) {
+            this.replay(fs.readFileSync(this.file, 'utf8'));
+        }
+        
+        this.compact();
+        return this.items.size;
+    }
+    
+    replay(journal) {
+        const lines = journal.split('\n').filter(Boolean);
+        
+        lines.forEach((line, index) => {
+            let record;
+            
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A torn final line is an append cut short by a crash; anything earlier is corruption
+                if (index === lines.length - 1) return;
+                throw new Error(`Queue journal corrupt at line ${index + 1}: ${error.message}`);
+            }
+            
+            if (record.op === 'put') {
+                this.items.set(record.item.id, record.item);
+            } else if (record.op === 'del') {
+                this.items.delete(record.id);
+            }
+        });
+    }
+    
+    // Rewrite the journal as one put per live item
+    compact() {
+        const tempPath = `${this.file}.${process.pid}.tmp`;
+        const snapshot = [...this.items.values()]
+            .map(item => JSON.stringify({ op: 'put', item }) + '\n')
+            .join('');
+        
+        const tempFd = fs.openSync(tempPath, 'w');
+        fs.writeSync(tempFd, snapshot);
+        fs.fsyncSync(tempFd);
+        fs.closeSync(tempFd);
+        
+        if (this.fd !== null) fs.closeSync(this.fd);
+        fs.renameSync(tempPath, this.file);
+        
+        this.fd = fs.openSync(this.file, 'a');
+        this.journalLines = this.items.size;
+    }
+    
+    append(records) {
+        fs.writeSync(this.fd, records.map(record => JSON.stringify(record) + '\n').join(''));
+        fs.fsyncSync(this.fd);
+        
+        this.journalLines += records.length;
+        if (this.journalLines > this.items.size + this.compactThreshold) {
+            this.compact();
+        }
+    }
+    
+    get(id) {
+        return this.items.get(id) || null;
+    }
+    
+    put(item) {
+        this.items.set(item.id, item);
+        this.append([{ op: 'put', item }]);
+    }
+    
+    remove(id) {
+        this.items.delete(id);
+        this.routes.delete(id);
+        this.append([{ op: 'del', id }]);
+    }
+    
+    enqueue(data, availableAt = Date.now()) {
+        return this.enqueueMany([data], availableAt)[0];
+    }
+    
+    // Journaled with a single write and fsync however many there are; they go out in array order
+    enqueueMany(entries, availableAt = Date.now()) {
+        const enqueuedAt = Date.now();
+        const items = entries.map(data => ({
+            id: uuidv4(),
+            attempts: 0,
+            ...data,
+            state: QUEUE_STATES.PENDING,
+            enqueuedAt,
+            visibleAt: availableAt,
+            lease: null,
+            transport: null
+        }));
+        
+        items.forEach(item => this.items.set(item.id, item));
+        this.append(items.map(item => ({ op: 'put', item })));
+        this.schedulePoll();
+        
+        return items;
+    }
+    
+    // assign(item) → routing decision with .transport; transports() → names of all transports;
+    // concurrency(transport) → max parallel sends; handle(item, decision) → result;
+    // retry(item, outcome) → delay in ms before the next attempt, or null
+    start(worker) {
+        this.worker = worker;
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.poll();
+    }
+    
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.worker = null;
+        
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+    
+    // Enqueues and finished sends within one tick share a single poll
+    schedulePoll() {
+        if (this.pollPending) return;
+        
+        this.pollPending = true;
+        setImmediate(() => {
+            this.pollPending = false;
+            this.poll();
+        });
+    }
+    
+    poll() {
+        if (!this.worker) return;
+        
+        const now = Date.now();
+        const transports = this.worker.transports();
+        const free = new Map(transports
+            .map(name => [name, this.worker.concurrency(name) - (this.active.get(name) || 0)])
+            .filter(([, slots]) => slots > 0));
+        
+        // Nothing can be handed out while every transport is busy; with none at all, items still time out
+        if (transports.length > 0 && free.size === 0) return;
+        
+        // Oldest first; in-flight items whose visibility timeout passed are due again
+        const due = [...this.items.values()]
+            .filter(item => item.visibleAt <= now)
+            .sort((a, b) => a.visibleAt - b.visibleAt || a.enqueuedAt - b.enqueuedAt);
+        
+        for (const item of due) {
+            const decision = this.route(item, now);
+            const transport = decision.transport;
+            
+            if (!transport) {
+                this.waitForRoute(item, decision, now);
+                continue;
+            }
+            
+            this.unroutable.delete(item.id);
+            if (!free.has(transport)) continue;
+            
+            if (item.state === QUEUE_STATES.IN_FLIGHT) {
+                this.emit('expired', item);
+            }
+            
+            this.lease(item, decision);
+            
+            // Stop once the free slots are used up instead of routing the rest of the backlog
+            if (free.get(transport) > 1) {
+                free.set(transport, free.get(transport) - 1);
+            } else {
+                free.delete(transport);
+                if (free.size === 0) break;
+            }
+        }
+    }
+    
+    route(item, now) {
+        const cached = this.routes.get(item.id);
+        if (cached && now - cached.at < this.pollInterval) return cached.decision;
+        
+        const decision = this.worker.assign(item);
+        this.routes.set(item.id, { decision, at: now });
+        return decision;
+    }
+    
+    // Items stay queued while no transport can take them, until noRouteTimeout fails them
+    waitForRoute(item, decision, now) {
+        if (!this.unroutable.has(item.id)) this.unroutable.set(item.id, now);
+        
+        const waited = now - this.unroutable.get(item.id);
+        if (!this.noRouteTimeout || waited < this.noRouteTimeout) return;
+        
+        this.unroutable.delete(item.id);
+        this.remove(item.id);
+        this.emit('failed', item, new NoRouteError(decision.reason, waited));
+    }
+    
+    lease(item, decision) {
+        const now = Date.now();
+        const transport = decision.transport;
+        const leased = {
+            ...item,
+            state: QUEUE_STATES.IN_FLIGHT,
+            attempts: item.attempts + 1,
+            lease: uuidv4(),
+            transport,
+            leasedAt: now,
+            visibleAt: now + this.visibilityTimeout
+        };
+        
+        this.routes.delete(item.id);
+        this.put(leased);
+        this.active.set(transport, (this.active.get(transport) || 0) + 1);
+        
+        Promise.resolve()
+            .then(() => this.worker.handle(leased, decision))
+            .then(
+                result => this.settle(leased, 'completed', result),
+                error => this.settle(leased, 'failed', error)
+            )
+            .finally(() => {
+                this.active.set(transport, this.active.get(transport) - 1);
+                this.schedulePoll();
+            });
+    }
+    
+    settle(leased, event, outcome) {
+        // A lease that timed out belongs to whichever worker picked the item up next
+        const current = this.items.get(leased.id);
+        if (!current || current.lease !== leased.lease || this.fd === null) return;
+        
+        const delay = this.worker ? this.worker.retry(leased, outcome) : null;
+        
+        if (delay !== null) {
+            this.put({
+                ...leased,
+                // A deferred outcome (throttling) doesn't use up an attempt
+                attempts: outcome.deferred ? leased.attempts - 1 : leased.attempts,
+                state: QUEUE_STATES.PENDING,
+                lease: null,
+                visibleAt: Date.now() + delay,
+                lastError: outcome.error || outcome.message || null,
+                // What the failed attempt already got done, for the next one to resume from
+                partial: outcome.partial ?? leased.partial ?? null
+            });
+            this.emit('retrying', leased, outcome, delay);
+            return;
+        }
+        
+        this.remove(leased.id);
+        this.emit(event, leased, outcome);
+    }
+    
+    stats() {
+        const now = Date.now();
+        const items = [...this.items.values()];
+        const inFlight = items.filter(item => item.state === QUEUE_STATES.IN_FLIGHT && item.visibleAt > now);
+        const oldest = items.reduce((min, item) => Math.min(min, item.enqueuedAt), now);
+        
+        return {
+            depth: items.length - inFlight.length,
+            inFlight: inFlight.length,
+            oldestAge: now - oldest,
+            active: Object.fromEntries(this.active)
+        };
+    }
+}
@@ -0,0 +1,215 @@
+import { zonedTimeToDate } from './timezone.js';
+
+// Five-field cron expressions (minute hour day-of-month month day-of-week) evaluated in an IANA
+// time zone, plus a few plain-English recurrences that translate to them
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Far enough ahead to find e.g. the next 29 February
+const SEARCH_DAYS = 366 * 8;
+
+function parseValue(value, field) {
+    const nameIndex = field.names ? field.names.indexOf(value) : -1;
+    if (nameIndex !== -1) return nameIndex + (field.name === 'month' ? 1 : 0);
+    
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid ${field.name} value '${value}'`);
+    }
+    
+    const number = Number(value);
+    if (number < field.min || number > field.max) {
+        throw new Error(`${field.name} value ${number} is outside ${field.min}-${field.max}`);
+    }
+    
+    return number;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} '${part}'`);
+        }
+        
+        let start = field.min;
+        let end = field.max;
+        
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+        }
+        
+        if (start > end) {
+            throw new Error(`Invalid ${field.name} range '${range}'`);
+        }
+        
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    
+    return values;
+}
+
+export function parseCron(expression) {
+    const parts = expression.trim().toLowerCase().split(/\s+/);
+    
+    if (parts.length !== 5) {
+        throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+    }
+    
+    const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    
+    // 7 is Sunday too
+    if (weekdays.delete(7)) weekdays.add(0);
+    
+    return {
+        minutes: [...minutes].sort((a, b) => a - b),
+        hours: [...hours].sort((a, b) => a - b),
+        days,
+        months,
+        weekdays,
+        // Standard cron: when both day fields are restricted, either may match
+        anyDay: parts[2] !== '*' && parts[4] !== '*'
+    };
+}
+
+function dayMatches(cron, day, weekday) {
+    if (cron.anyDay) {
+        return cron.days.has(day) || cron.weekdays.has(weekday);
+    }
+    
+    return cron.days.has(day) && cron.weekdays.has(weekday);
+}
+
+// Next `count` fire times strictly after `after`; wall-clock times skipped by DST are skipped
+export function nextCronTimes(expression, timeZone, after, count = 1) {
+    const cron = parseCron(expression);
+    const results = [];
+    
+    // Walk calendar days starting the day before, so zone offsets never skip the current day
+    const start = new Date(after.getTime() - 86400000);
+    let day = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    
+    for (let i = 0; i < SEARCH_DAYS && results.length < count; i++, day += 86400000) {
+        const date = new Date(day);
+        const month = date.getUTCMonth() + 1;
+        
+        if (!cron.months.has(month) || !dayMatches(cron, date.getUTCDate(), date.getUTCDay())) continue;
+        
+        for (const hour of cron.hours) {
+            for (const minute of cron.minutes) {
+                const at = zonedTimeToDate({
+                    year: date.getUTCFullYear(),
+                    month,
+                    day: date.getUTCDate(),
+                    hour,
+                    minute
+                }, timeZone);
+                
+                if (at && at > after) {
+                    results.push(at);
+                    if (results.length === count) return results;
+                }
+            }
+        }
+    }
+    
+    return results;
+}
+
+// Upcoming occurrences of a recurrence honouring its end date and occurrence limit
+export function nextOccurrences(recurrence, timeZone, after, count = 1, fired = 0) {
+    const remaining = recurrence.maxOccurrences ? recurrence.maxOccurrences - fired : count;
+    const endAt = recurrence.endAt ? new Date(recurrence.endAt) : null;
+    
+    return nextCronTimes(recurrence.cron, timeZone, after, Math.max(0, Math.min(count, remaining)))
+        .filter(at => !endAt || at <= endAt);
+}
+
+function clockToCron(hour, minute) {
+    if (Number(hour) > 23 || Number(minute) > 59) {
+        throw new Error(`Invalid time ${hour}:${minute}`);
+    }
+    
+    return `${Number(minute)} ${Number(hour)}`;
+}
+
+function weekdayNumber(name) {
+    const index = DAY_NAMES.findIndex(day => day.startsWith(name.substring(0, 3)));
+    if (index === -1 || !DAY_NAMES[index].startsWith(name)) {
+        throw new Error(`Unknown day '${name}'`);
+    }
+    
+    return index;
+}
+
+// "every Monday 09:00", "every weekday at 08:30", "daily 21:00", "every month on 1st 10:00",
+// "hourly", or "cron 0 9 * * 1", optionally followed by "until YYYY-MM-DD" and/or "for N times".
+// Returns null when the text is not a recurrence; throws when it is one but malformed.
+export function parseRecurrence(text) {
+    let input = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    let endDate = null;
+    let maxOccurrences = null;
+    
+    for (let i = 0; i < 2; i++) {
+        const until = input.match(/ until (\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (until) {
+            endDate = { year: Number(until[1]), month: Number(until[2]), day: Number(until[3]) };
+            input = input.substring(0, until.index);
+        }
+        
+        const times = input.match(/ (?:for )?(\d+) (?:times|occurrences)$/);
+        if (times) {
+            maxOccurrences = Number(times[1]);
+            input = input.substring(0, times.index);
+        }
+    }
+    
+    const clock = '(?: at)? (\\d{1,2}):(\\d{2})$';
+    let cron = null;
+    let match;
+    
+    if ((match = input.match(/^cron (.+)$/))) {
+        cron = match[1];
+    } else if ((match = input.match(new RegExp(`^(?:every day|daily)${clock}`)))) {
+        cron = `${clockToCron(match[1], match[2])} * * *`;
+    } else if ((match = input.match(new RegExp(`^every (weekday|weekend)s?${clock}`)))) {
+        cron = `${clockToCron(match[2], match[3])} * * ${match[1] === 'weekday' ? '1-5' : '0,6'}`;
+    } else if ((match = input.match(new RegExp(`^every ([a-z]+(?:(?:, ?| and )[a-z]+)*)${clock}`)))) {
+        const days = match[1].split(/, ?| and /).map(weekdayNumber);
+        cron = `${clockToCron(match[2], match[3])} * * ${days.join(',')}`;
+    } else if ((match = input.match(new RegExp(`^(?:every month|monthly) on(?: the)? (\\d{1,2})(?:st|nd|rd|th)?${clock}`)))) {
+        cron = `${clockToCron(match[2], match[3])} ${Number(match[1])} * *`;
+    } else if ((match = input.match(/^(?:every hour|hourly)(?: at :(\d{2}))?$/))) {
+        cron = `${Number(match[1] || 0)} * * * *`;
+    } else {
+        return null;
+    }
+    
+    parseCron(cron);
+    
+    if (maxOccurrences !== null && maxOccurrences < 1) {
+        throw new Error('The occurrence count must be at least 1');
+    }
+    
+    return {
+        cron,
+        description: input,
+        endDate,
+        maxOccurrences
+    };
+}
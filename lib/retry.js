@@ -0,0 +1,20 @@
+import { config } from '../config.js';
+
+// Exponential backoff with jitter: BASE_DELAY doubling per attempt, capped at MAX_DELAY,
+// spread by ±JITTER so a burst of failures does not retry in lockstep
+export function retryDelay(attempt, policy = config.RETRY) {
+    const delay = Math.min(policy.MAX_DELAY, policy.BASE_DELAY * 2 ** (attempt - 1));
+    const jitter = delay * policy.JITTER * (Math.random() * 2 - 1);
+    
+    return Math.min(policy.MAX_DELAY, Math.round(delay + jitter));
+}
+
+// Delay before the next attempt, or null when the failure is permanent or attempts are exhausted.
+// `outcome` is a failed transmission result or a thrown error; both carry `permanent`.
+export function nextRetryDelay(attempts, outcome, policy = config.RETRY) {
+    if (outcome.permanent === true || attempts >= policy.MAX_ATTEMPTS) {
+        return null;
+    }
+    
+    return retryDelay(attempts, policy);
+}
@@ -0,0 +1,110 @@
+// User roles stored on users.json records. Each role includes everything the roles below it may
+// do; 'pending' marks a user waiting for approval and 'blocked' one who may do nothing.
+
+export const ROLES = {
+    ADMIN: 'admin',
+    OPERATOR: 'operator',
+    VIEWER: 'viewer',
+    PENDING: 'pending',
+    BLOCKED: 'blocked'
+};
+
+// Lowest to highest
+const RANK = [ROLES.BLOCKED, ROLES.PENDING, ROLES.VIEWER, ROLES.OPERATOR, ROLES.ADMIN];
+
+export const ROLE_LABELS = {
+    [ROLES.ADMIN]: '👑 Admin',
+    [ROLES.OPERATOR]: '📤 Operator',
+    [ROLES.VIEWER]: '👁️ Viewer',
+    [ROLES.PENDING]: '⏳ Pending',
+    [ROLES.BLOCKED]: '⛔ Blocked'
+};
+
+// Minimum role per command; commands not listed need an operator
+export const COMMAND_ROLES = {
+    start: ROLES.PENDING,
+    help: ROLES.PENDING,
+    status: ROLES.VIEWER,
+    settings: ROLES.VIEWER,
+    timezone: ROLES.VIEWER,
+    templates: ROLES.VIEWER,
+    contacts: ROLES.VIEWER,
+    scheduled: ROLES.VIEWER,
+    thread: ROLES.VIEWER,
+    routes: ROLES.ADMIN,
+    deadletters: ROLES.ADMIN,
+    broadcast: ROLES.ADMIN,
+    suppression: ROLES.ADMIN,
+    users: ROLES.ADMIN,
+    promote: ROLES.ADMIN,
+    demote: ROLES.ADMIN,
+    block: ROLES.ADMIN,
+    unblock: ROLES.ADMIN,
+    quota: ROLES.VIEWER,
+    balance: ROLES.VIEWER,
+    statement: ROLES.VIEWER,
+    topup: ROLES.ADMIN,
+    apikeys: ROLES.ADMIN,
+    webhooks: ROLES.ADMIN,
+    dashboard: ROLES.ADMIN
+};
+
+// Reply keyboard buttons and the command each stands for
+export const KEYBOARD_COMMANDS = {
+    '📱 Send SMS': 'send',
+    '📨 Bulk SMS': 'bulk',
+    '⏰ Schedule': 'schedule',
+    '📊 Status': 'status',
+    '⚙️ Settings': 'settings',
+    '❓ Help': 'help'
+};
+
+// Minimum role per callback data prefix (or exact value); other buttons need an operator
+export const CALLBACK_ROLES = [
+    ['thread_', ROLES.VIEWER],
+    ['details_', ROLES.VIEWER],
+    ['show_templates', ROLES.VIEWER],
+    ['cancel', ROLES.VIEWER],
+    ['routes_reload', ROLES.ADMIN],
+    ['dlq_requeue_', ROLES.ADMIN],
+    ['user_role_', ROLES.ADMIN]
+];
+
+export function isRole(role) {
+    return RANK.includes(role);
+}
+
+export function hasRole(role, required) {
+    return RANK.indexOf(role) >= RANK.indexOf(required);
+}
+
+// The next role up or down the viewer → operator → admin ladder; pending users step up to viewer
+export function adjacentRole(role, direction) {
+    const ladder = [ROLES.VIEWER, ROLES.OPERATOR, ROLES.ADMIN];
+    
+    if (!ladder.includes(role)) {
+        return direction > 0 ? ROLES.VIEWER : null;
+    }
+    
+    return ladder[ladder.indexOf(role) + direction] || null;
+}
+
+// Minimum role for an incoming update
+export function requiredRole(update) {
+    if (update.callback_query) {
+        const data = update.callback_query.data || '';
+        const match = CALLBACK_ROLES.find(([prefix]) => data === prefix || (prefix.endsWith('_') && data.startsWith(prefix)));
+        
+        return match ? match[1] : ROLES.OPERATOR;
+    }
+    
+    const text = update.message?.text || '';
+    const command = text.match(/^\/(\w+)(?:@\w+)?/)?.[1]?.toLowerCase() ?? KEYBOARD_COMMANDS[text];
+    
+    if (command) {
+        return COMMAND_ROLES[command] || ROLES.OPERATOR;
+    }
+    
+    // Session input, replies to inbound SMS and uploaded files all lead to sending
+    return ROLES.OPERATOR;
+}
@@ -0,0 +1,101 @@
+// Deterministic transport selection: the same inputs and transport health always give the same
+// decision, and every decision carries a human-readable explanation.
+export class Router {
+    constructor(registry, table = null) {
+        this.registry = registry;
+        this.table = table;
+    }
+    
+    decide({ phoneNumber = null, encoding, parts = 1, bulk = false }) {
+        // The longest matching prefix narrows and orders the transports; without one, any transport may carry it
+        const entry = this.table && phoneNumber ? this.table.match(phoneNumber) : null;
+        const options = entry
+            ? entry.routes.map(route => ({ transport: this.registry.get(route.transport), name: route.transport, route }))
+            : this.registry.list().map(transport => ({ transport, name: transport.name, route: null }));
+        
+        const candidates = options.map(({ transport, name, route }) => {
+            if (!transport) {
+                return {
+                    name,
+                    type: null,
+                    priority: route.priority,
+                    cost: route.cost,
+                    bulk: false,
+                    eligible: false,
+                    skipped: 'not configured'
+                };
+            }
+            
+            const health = transport.health();
+            const capabilities = transport.capabilities();
+            let skipped = null;
+            
+            if (!health.healthy) {
+                skipped = `unavailable (${health.status})`;
+            } else if (!capabilities.encodings.includes(encoding)) {
+                skipped = `no ${encoding} support`;
+            } else if (parts > 1 && !capabilities.concatenation) {
+                skipped = 'no concatenation support';
+            }
+            
+            return {
+                name,
+                type: transport.type,
+                priority: route ? route.priority : transport.priority,
+                cost: route ? route.cost : null,
+                bulk: capabilities.bulk,
+                eligible: !skipped,
+                skipped
+            };
+        });
+        
+        // Bulk sends prefer bulk-capable transports, then lowest priority number, then cost, then name
+        const eligible = candidates
+            .filter(candidate => candidate.eligible)
+            .sort((a, b) =>
+                (bulk ? Number(b.bulk) - Number(a.bulk) : 0) ||
+                a.priority - b.priority ||
+                (a.cost ?? 0) - (b.cost ?? 0) ||
+                a.name.localeCompare(b.name)
+            );
+        
+        const routeText = entry
+            ? `route +${entry.prefix || '*'} (${entry.country})`
+            : 'no matching route';
+        const skippedText = candidates
+            .filter(candidate => !candidate.eligible)
+            .map(candidate => `${candidate.name} ${candidate.skipped}`);
+        
+        const decision = {
+            transport: null,
+            transports: eligible.map(candidate => candidate.name),
+            prefix: entry ? entry.prefix : null,
+            country: entry ? entry.country : null,
+            cost: null,
+            candidates
+        };
+        
+        if (eligible.length === 0) {
+            decision.reason = candidates.length === 0
+                ? `${routeText}: no transports configured`
+                : `${routeText}: no eligible transport: ${skippedText.join('; ')}`;
+            return decision;
+        }
+        
+        const chosen = eligible[0];
+        const details = [chosen.type, `priority ${chosen.priority}`];
+        
+        if (chosen.cost !== null) details.push(`cost ${chosen.cost} × ${parts}`);
+        if (bulk && chosen.bulk) details.push('bulk route');
+        
+        decision.transport = chosen.name;
+        decision.cost = chosen.cost === null ? null : chosen.cost * parts;
+        decision.reason = [
+            `${routeText}: ${chosen.name} (${details.join(', ')})`,
+            ...eligible.slice(1).map(candidate => `fallback ${candidate.name}`),
+            ...skippedText.map(text => `skipped ${text}`)
+        ].join('; ');
+        
+        return decision;
+    }
+}
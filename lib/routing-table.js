@@ -0,0 +1,162 @@
+import { readData, writeData } from './store.js';
+
+// Seeded into data/routes.json on first start. Prefixes are E.164 digits without '+';
+// the empty prefix is the catch-all. Cost is per SMS segment.
+export const DEFAULT_ROUTES = [
+    {
+        prefix: '92',
+        country: 'PAKISTAN',
+        routes: [
+            { transport: 'modem', cost: 0.5, priority: 1 },
+            { transport: 'smpp', cost: 1.2, priority: 2 }
+        ]
+    },
+    {
+        prefix: '1',
+        country: 'USA',
+        routes: [
+            { transport: 'smpp', cost: 0.8, priority: 1 },
+            { transport: 'modem', cost: 6, priority: 2 }
+        ]
+    },
+    {
+        prefix: '44',
+        country: 'UK',
+        routes: [
+            { transport: 'smpp', cost: 3, priority: 1 },
+            { transport: 'modem', cost: 6, priority: 2 }
+        ]
+    },
+    {
+        prefix: '971',
+        country: 'UAE',
+        routes: [
+            { transport: 'smpp', cost: 2.5, priority: 1 },
+            { transport: 'modem', cost: 6, priority: 2 }
+        ]
+    },
+    {
+        prefix: '966',
+        country: 'SAUDI_ARABIA',
+        routes: [
+            { transport: 'smpp', cost: 2.5, priority: 1 },
+            { transport: 'modem', cost: 6, priority: 2 }
+        ]
+    },
+    {
+        prefix: '91',
+        country: 'INDIA',
+        routes: [
+            { transport: 'smpp', cost: 0.9, priority: 1 },
+            { transport: 'modem', cost: 6, priority: 2 }
+        ]
+    },
+    {
+        prefix: '86',
+        country: 'CHINA',
+        routes: [
+            { transport: 'smpp', cost: 2, priority: 1 },
+            { transport: 'modem', cost: 6, priority: 2 }
+        ]
+    },
+    {
+        prefix: '',
+        country: 'INTERNATIONAL',
+        routes: [
+            { transport: 'smpp', cost: 4, priority: 1 },
+            { transport: 'modem', cost: 6, priority: 2 }
+        ]
+    }
+];
+
+// Longest-prefix routing table kept in data/routes.json
+export class RoutingTable {
+    constructor(name = 'routes') {
+        this.name = name;
+        this.entries = new Map();
+        this.loadedAt = null;
+    }
+    
+    // Create the file with the default table if it does not exist yet
+    seed() {
+        if (readData(this.name, null) === null) {
+            writeData(this.name, DEFAULT_ROUTES);
+        }
+    }
+    
+    // Parse and validate the whole file before swapping it in, so a bad edit keeps the old table
+    load() {
+        const entries = new Map();
+        const data = readData(this.name);
+        
+        if (!Array.isArray(data)) {
+            throw new Error(`${this.name}.json must contain a list of routes`);
+        }
+        
+        data.forEach((entry, index) => {
+            const normalized = normalizeEntry(entry, index);
+            
+            if (entries.has(normalized.prefix)) {
+                throw new Error(`Duplicate route prefix '${normalized.prefix}'`);
+            }
+            
+            entries.set(normalized.prefix, normalized);
+        });
+        
+        this.entries = entries;
+        this.loadedAt = new Date();
+        
+        return this.entries.size;
+    }
+    
+    match(phoneNumber) {
+        const digits = String(phoneNumber).replace(/\D/g, '');
+        
+        for (let length = digits.length; length >= 0; length--) {
+            const entry = this.entries.get(digits.substring(0, length));
+            if (entry) return entry;
+        }
+        
+        return null;
+    }
+    
+    list() {
+        return [...this.entries.values()].sort((a, b) => a.prefix.localeCompare(b.prefix));
+    }
+}
+
+function normalizeEntry(entry, index) {
+    const prefix = String(entry.prefix ?? '').replace(/^\+/, '');
+    
+    if (!/^\d*$/.test(prefix)) {
+        throw new Error(`Route ${index}: prefix '${entry.prefix}' is not an E.164 prefix`);
+    }
+    
+    if (!Array.isArray(entry.routes) || entry.routes.length === 0) {
+        throw new Error(`Route ${index} (${prefix || 'default'}): routes must be a non-empty list`);
+    }
+    
+    const routes = entry.routes.map(route => {
+        if (typeof route.transport !== 'string' || !route.transport) {
+            throw new Error(`Route ${index} (${prefix || 'default'}): every route needs a transport name`);
+        }
+        
+        const cost = Number(route.cost ?? 0);
+        const priority = Number(route.priority ?? 100);
+        
+        if (!Number.isFinite(cost) || cost < 0 || !Number.isFinite(priority)) {
+            throw new Error(`Route ${index} (${prefix || 'default'}): invalid cost or priority for ${route.transport}`);
+        }
+        
+        return { transport: route.transport, cost, priority };
+    });
+    
+    // Ordered failover list: priority first, cheaper route on a tie
+    routes.sort((a, b) => a.priority - b.priority || a.cost - b.cost);
+    
+    return {
+        prefix,
+        country: entry.country || 'INTERNATIONAL',
+        routes
+    };
+}
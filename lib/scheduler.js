@@ -0,0 +1,188 @@
+import { EventEmitter } from 'events';
+import cron from 'node-cron';
+import { readData, updateData } from './store.js';
+import { nextOccurrences } from './recurrence.js';
+
+export const SCHEDULE_STATUS = {
+    PENDING: 'PENDING',
+    QUEUED: 'QUEUED',
+    SENT: 'SENT',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED',
+    EXPIRED: 'EXPIRED',
+    PAUSED: 'PAUSED',
+    COMPLETED: 'COMPLETED'
+};
+
+// Scheduled messages persisted in data/scheduled.json. A cron tick every minute hands due jobs
+// to `fire`, which queues them. Jobs missed while the gateway was down are still sent when at most
+// misfireGrace late; later ones are sent or expired according to misfirePolicy ('SEND' | 'EXPIRE').
+// Recurring jobs carry recurrence { cron, description, endAt, maxOccurrences } and stay PENDING
+// with runAt moved to the next occurrence until they run out, then become COMPLETED.
+// When `fire` throws an error marked `permanent` the job (or that occurrence) fails instead of
+// being retried on the next tick.
+export class Scheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.name = options.name || 'scheduled';
+        this.misfireGrace = options.misfireGrace ?? 600000;
+        this.misfirePolicy = options.misfirePolicy || 'EXPIRE';
+        this.task = null;
+        this.fire = null;
+    }
+    
+    start(fire) {
+        this.fire = fire;
+        this.task = cron.schedule('* * * * *', () => this.tick());
+        
+        // Catch up on anything that came due while we were down
+        this.tick();
+    }
+    
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+    
+    create(job) {
+        const scheduled = {
+            id: `SCH_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            status: SCHEDULE_STATUS.PENDING,
+            createdAt: new Date().toISOString(),
+            ...job
+        };
+        
+        updateData(this.name, (jobs) => {
+            jobs.push(scheduled);
+        });
+        
+        return scheduled;
+    }
+    
+    list(filter = () => true) {
+        return readData(this.name).filter(filter);
+    }
+    
+    get(id) {
+        return this.list(job => job.id === id)[0] || null;
+    }
+    
+    // Apply changes to a job, optionally only while it is in one of `allowedStatuses`
+    update(id, changes, allowedStatuses = null) {
+        return updateData(this.name, (jobs) => {
+            const job = jobs.find(j => j.id === id);
+            if (!job || (allowedStatuses && !allowedStatuses.includes(job.status))) return null;
+            
+            Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+            return job;
+        });
+    }
+    
+    cancel(id) {
+        return this.update(id, { status: SCHEDULE_STATUS.CANCELLED }, [SCHEDULE_STATUS.PENDING, SCHEDULE_STATUS.PAUSED]);
+    }
+    
+    pause(id) {
+        return this.update(id, { status: SCHEDULE_STATUS.PAUSED }, [SCHEDULE_STATUS.PENDING]);
+    }
+    
+    // Occurrences missed while paused are not caught up; the job continues from the next one
+    resume(id) {
+        const job = this.get(id);
+        if (!job || job.status !== SCHEDULE_STATUS.PAUSED || !job.recurrence) return null;
+        
+        const next = nextOccurrences(job.recurrence, job.timeZone, new Date(), 1, job.occurrences)[0];
+        
+        return this.update(id, next
+            ? { status: SCHEDULE_STATUS.PENDING, runAt: next.toISOString() }
+            : { status: SCHEDULE_STATUS.COMPLETED }, [SCHEDULE_STATUS.PAUSED]);
+    }
+    
+    tick() {
+        if (!this.fire) return;
+        
+        const now = Date.now();
+        const due = this.list(job => job.status === SCHEDULE_STATUS.PENDING && Date.parse(job.runAt) <= now);
+        
+        for (const job of due) {
+            const late = now - Date.parse(job.runAt);
+            
+            if (job.recurrence) {
+                this.tickRecurring(job, now, late);
+                continue;
+            }
+            
+            if (late > this.misfireGrace && this.misfirePolicy === 'EXPIRE') {
+                this.update(job.id, { status: SCHEDULE_STATUS.EXPIRED });
+                this.emit('expired', job, late);
+                continue;
+            }
+            
+            try {
+                const item = this.fire(job);
+                this.update(job.id, {
+                    status: SCHEDULE_STATUS.QUEUED,
+                    firedAt: new Date(now).toISOString(),
+                    queueItemId: item.id
+                });
+                this.emit('fired', job, late);
+            } catch (error) {
+                if (!error.permanent) {
+                    this.emit('error', error, job);
+                    continue;
+                }
+                
+                this.update(job.id, { status: SCHEDULE_STATUS.FAILED, error: error.message });
+                this.emit('failed', job, error);
+            }
+        }
+    }
+    
+    // Fire the due occurrence, or skip it when too late under the EXPIRE policy, then move on
+    // to the next one. Several occurrences missed during downtime collapse into one.
+    tickRecurring(job, now, late) {
+        const occurrence = (job.occurrences || 0) + 1;
+        const skip = late > this.misfireGrace && this.misfirePolicy === 'EXPIRE';
+        const changes = {};
+        let failure = null;
+        
+        if (!skip) {
+            try {
+                const item = this.fire(job, occurrence);
+                changes.firedAt = new Date(now).toISOString();
+                changes.queueItemId = item.id;
+                changes.occurrences = occurrence;
+            } catch (error) {
+                if (!error.permanent) {
+                    this.emit('error', error, job);
+                    return;
+                }
+                
+                failure = error;
+            }
+        }
+        
+        const next = nextOccurrences(job.recurrence, job.timeZone, new Date(now), 1, changes.occurrences ?? job.occurrences)[0];
+        
+        if (next) {
+            changes.runAt = next.toISOString();
+        } else {
+            changes.status = SCHEDULE_STATUS.COMPLETED;
+        }
+        
+        this.update(job.id, changes);
+        
+        if (failure) {
+            this.emit('failed', job, failure, occurrence);
+        } else {
+            this.emit(skip ? 'skipped' : 'fired', job, late, occurrence);
+        }
+        
+        if (!next) {
+            this.emit('completed', { ...job, ...changes });
+        }
+    }
+}
@@ -0,0 +1,61 @@
+// Send attempts per transport, kept in memory: totals since start plus per-minute counts for the
+// last `windowMinutes`, oldest first, from which throughput is read
+
+function emptyCounts() {
+    return { sent: 0, failed: 0, segments: 0 };
+}
+
+export class ThroughputTracker {
+    constructor({ windowMinutes = 15 } = {}) {
+        this.windowMinutes = windowMinutes;
+        this.transports = new Map();
+    }
+    
+    record(transportName, success, segments = 1, now = Date.now()) {
+        if (!this.transports.has(transportName)) {
+            this.transports.set(transportName, { totals: emptyCounts(), minutes: new Map() });
+        }
+        
+        const entry = this.transports.get(transportName);
+        const minute = Math.floor(now / 60000);
+        
+        if (!entry.minutes.has(minute)) entry.minutes.set(minute, emptyCounts());
+        
+        for (const counts of [entry.totals, entry.minutes.get(minute)]) {
+            if (success) {
+                counts.sent++;
+                counts.segments += segments;
+            } else {
+                counts.failed++;
+            }
+        }
+        
+        // Forget minutes that have left the window
+        for (const key of entry.minutes.keys()) {
+            if (key <= minute - this.windowMinutes) entry.minutes.delete(key);
+        }
+    }
+    
+    // transport name → { sent, failed, segments, successRate, perMinute, history }
+    snapshot(now = Date.now()) {
+        const current = Math.floor(now / 60000);
+        
+        return Object.fromEntries([...this.transports].map(([name, entry]) => {
+            const history = [];
+            
+            for (let minute = current - this.windowMinutes + 1; minute <= current; minute++) {
+                history.push({ ...(entry.minutes.get(minute) || emptyCounts()), minute: new Date(minute * 60000).toISOString() });
+            }
+            
+            const attempts = entry.totals.sent + entry.totals.failed;
+            const recentSent = history.reduce((sum, counts) => sum + counts.sent, 0);
+            
+            return [name, {
+                ...entry.totals,
+                successRate: attempts > 0 ? entry.totals.sent / attempts : null,
+                perMinute: recentSent / this.windowMinutes,
+                history
+            }];
+        }));
+    }
+}
@@ -0,0 +1,36 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+
+// Local JSON database files under the data directory
+
+export function dataPath(name) {
+    return path.join(config.DIRECTORIES.DATA, `${name}.json`);
+}
+
+export function readData(name, fallback = []) {
+    const filePath = dataPath(name);
+    
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+    
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Write to a temporary file and rename over the original so a crash never leaves half a file
+export function writeData(name, data) {
+    const filePath = dataPath(name);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+export function updateData(name, updater, fallback = []) {
+    const data = readData(name, fallback);
+    const result = updater(data);
+    
+    writeData(name, data);
+    return result;
+}
@@ -0,0 +1,141 @@
+import { readData, writeData } from './store.js';
+import { normalizeNumber, splitCsvRecords, parseCsvLine, detectDelimiter } from './bulk.js';
+
+// Global suppression list in data/suppression.json: numbers that opted out (or were added by
+// an admin) and must not be messaged. Numbers are keyed by digits alone, since inbound
+// senders often arrive without the '+' that outbound numbers carry.
+
+export const OPT_OUT_ACTIONS = {
+    STOP: 'STOP',
+    START: 'START'
+};
+
+export class SuppressedError extends Error {
+    constructor(phoneNumber) {
+        super(`${phoneNumber} has opted out of messages`);
+        this.name = 'SuppressedError';
+        this.phoneNumber = phoneNumber;
+        this.permanent = true;
+    }
+}
+
+export function suppressionKey(phoneNumber) {
+    return normalizeNumber(phoneNumber).replace(/^\+/, '');
+}
+
+function normalizeKeyword(text) {
+    return text.trim().replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '').toLocaleUpperCase();
+}
+
+// STOP, START or null for an inbound message that is exactly one of the keywords
+export function matchOptOutKeyword(text, { stopKeywords, startKeywords }) {
+    const keyword = normalizeKeyword(text || '');
+    if (!keyword) return null;
+    
+    if (stopKeywords.some(word => normalizeKeyword(word) === keyword)) return OPT_OUT_ACTIONS.STOP;
+    if (startKeywords.some(word => normalizeKeyword(word) === keyword)) return OPT_OUT_ACTIONS.START;
+    
+    return null;
+}
+
+// Numbers from an import file: the first cell of each CSV/TXT row that looks like a number
+export function parseSuppressionFile(text) {
+    const delimiter = detectDelimiter(text);
+    
+    return splitCsvRecords(text)
+        .map(({ raw }) => parseCsvLine(raw, delimiter).map(normalizeNumber).find(field => /^\+?\d{6,15}$/.test(field)))
+        .filter(Boolean);
+}
+
+export class SuppressionList {
+    constructor(name = 'suppression') {
+        this.name = name;
+        this.entries = null;
+    }
+    
+    // Loaded once and kept in memory; every change is written through
+    load() {
+        if (!this.entries) {
+            this.entries = new Map(readData(this.name).map(entry => [entry.key, entry]));
+        }
+        
+        return this.entries;
+    }
+    
+    save() {
+        writeData(this.name, [...this.entries.values()]);
+    }
+    
+    has(phoneNumber) {
+        return this.load().has(suppressionKey(phoneNumber));
+    }
+    
+    get(phoneNumber) {
+        return this.load().get(suppressionKey(phoneNumber)) || null;
+    }
+    
+    list() {
+        return [...this.load().values()].sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+    }
+    
+    // details: { reason: 'STOP' | 'MANUAL' | 'IMPORT', keyword, source, addedBy }
+    add(phoneNumber, details = {}) {
+        const key = suppressionKey(phoneNumber);
+        const entries = this.load();
+        
+        if (entries.has(key)) return false;
+        
+        entries.set(key, {
+            key,
+            phoneNumber: `+${key}`,
+            reason: details.reason || 'MANUAL',
+            keyword: details.keyword || null,
+            source: details.source || null,
+            addedBy: details.addedBy || null,
+            addedAt: new Date().toISOString()
+        });
+        this.save();
+        
+        return true;
+    }
+    
+    remove(phoneNumber) {
+        const removed = this.load().delete(suppressionKey(phoneNumber));
+        if (removed) this.save();
+        
+        return removed;
+    }
+    
+    import(phoneNumbers, details = {}) {
+        const entries = this.load();
+        const addedAt = new Date().toISOString();
+        let added = 0;
+        
+        for (const phoneNumber of phoneNumbers) {
+            const key = suppressionKey(phoneNumber);
+            if (!key || entries.has(key)) continue;
+            
+            entries.set(key, {
+                key,
+                phoneNumber: `+${key}`,
+                reason: details.reason || 'IMPORT',
+                keyword: null,
+                source: details.source || null,
+                addedBy: details.addedBy || null,
+                addedAt
+            });
+            added++;
+        }
+        
+        if (added > 0) this.save();
+        
+        return { added, skipped: phoneNumbers.length - added };
+    }
+    
+    toCsv() {
+        const rows = this.list().map(entry =>
+            [entry.phoneNumber, entry.reason, entry.keyword || '', entry.source || '', entry.addedAt].join(','));
+        
+        return ['phone,reason,keyword,source,added_at', ...rows].join('\n') + '\n';
+    }
+}
@@ -0,0 +1,121 @@
+import { readData, updateData } from './store.js';
+
+// Message templates in data/templates.json. Personal templates belong to one user; shared ones
+// (ownerId null or an admin) are offered to everyone and only admins change them.
+// Text may contain {{placeholder}} fields that are filled in before sending.
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+const NAME = /^[a-z0-9-]{1,32}$/;
+
+export const DEFAULT_TEMPLATES = [
+    { name: 'urgent', text: 'URGENT: Please contact me immediately.' },
+    { name: 'meeting', text: 'Reminder: Meeting {{day}} at {{time}}. Don\'t forget!' },
+    { name: 'payment', text: 'Payment of {{amount}} received. Thank you for your business.' },
+    { name: 'delivery', text: 'Your order {{order}} is out for delivery today.' }
+];
+
+// Placeholder names in order of first appearance
+export function placeholders(text) {
+    return [...new Set([...text.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+// Fields without a value are left as they are
+export function fillTemplate(text, values) {
+    return text.replace(PLACEHOLDER, (match, name) => values[name] ?? match);
+}
+
+export class TemplateLibrary {
+    constructor(name = 'templates') {
+        this.name = name;
+    }
+    
+    // Shared starter templates on first run
+    seed() {
+        updateData(this.name, (templates) => {
+            if (templates.length > 0) return;
+            
+            templates.push(...DEFAULT_TEMPLATES.map(({ name, text }) => this.record(null, name, text, true)));
+        });
+    }
+    
+    record(ownerId, name, text, shared) {
+        const now = new Date().toISOString();
+        
+        return {
+            id: `TPL_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            name,
+            text,
+            ownerId,
+            shared,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+    
+    get(id) {
+        return readData(this.name).find(template => template.id === id) || null;
+    }
+    
+    // A user's own templates first, then shared ones
+    available(userId) {
+        return readData(this.name)
+            .filter(template => template.shared || template.ownerId === userId)
+            .sort((a, b) => Number(a.shared) - Number(b.shared) || a.name.localeCompare(b.name));
+    }
+    
+    // By name: the user's own template wins over a shared one of the same name
+    find(userId, name) {
+        const key = name.toLowerCase();
+        const matches = this.available(userId).filter(template => template.name === key);
+        
+        return matches.find(template => !template.shared) || matches[0] || null;
+    }
+    
+    validateName(name, shared, ownerId, templates, exceptId = null) {
+        if (!NAME.test(name)) {
+            throw new Error('Names use 1-32 lowercase letters, digits or hyphens');
+        }
+        
+        const taken = templates.some(template => template.id !== exceptId &&
+            template.name === name &&
+            (shared ? template.shared : !template.shared && template.ownerId === ownerId));
+        
+        if (taken) {
+            throw new Error(`A ${shared ? 'shared' : 'personal'} template named '${name}' already exists`);
+        }
+    }
+    
+    create(ownerId, name, text, shared = false) {
+        const key = name.toLowerCase();
+        
+        return updateData(this.name, (templates) => {
+            this.validateName(key, shared, ownerId, templates);
+            
+            const template = this.record(ownerId, key, text, shared);
+            templates.push(template);
+            return template;
+        });
+    }
+    
+    rename(id, name) {
+        const key = name.toLowerCase();
+        
+        return updateData(this.name, (templates) => {
+            const template = templates.find(t => t.id === id);
+            if (!template) return null;
+            
+            this.validateName(key, template.shared, template.ownerId, templates, id);
+            
+            template.name = key;
+            template.updatedAt = new Date().toISOString();
+            return template;
+        });
+    }
+    
+    remove(id) {
+        return updateData(this.name, (templates) => {
+            const index = templates.findIndex(t => t.id === id);
+            return index === -1 ? null : templates.splice(index, 1)[0];
+        });
+    }
+}
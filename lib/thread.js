@@ -0,0 +1,41 @@
+// Conversation history for one number: transmissions from sms_logs.json merged with received
+// messages from the inbox, oldest first
+
+export const THREAD_PAGE_SIZE = 8;
+
+// logs: sms_logs entries, inbound: inbox messages; both already limited to what the viewer may see
+export function buildThread(phoneNumber, logs, inbound) {
+    const outgoing = logs
+        .filter(entry => entry.phoneNumber === phoneNumber)
+        .map(entry => ({
+            id: entry.transmissionId,
+            direction: 'OUT',
+            at: entry.timestamp,
+            text: entry.message ?? null,
+            status: entry.status,
+            parts: entry.parts || 1,
+            via: entry.method
+        }));
+    
+    const incoming = inbound
+        .filter(message => message.phoneNumber === phoneNumber)
+        .map(message => ({
+            id: message.id,
+            direction: 'IN',
+            at: message.receivedAt,
+            text: message.text,
+            status: 'RECEIVED',
+            parts: message.parts,
+            via: message.transport
+        }));
+    
+    return [...outgoing, ...incoming].sort((a, b) => a.at.localeCompare(b.at));
+}
+
+// Page holding the message with `id`, or the last (newest) page when there is none
+export function threadPage(thread, id = null, pageSize = THREAD_PAGE_SIZE) {
+    const index = id ? thread.findIndex(entry => entry.id === id) : -1;
+    const pages = Math.max(1, Math.ceil(thread.length / pageSize));
+    
+    return index === -1 ? pages - 1 : Math.floor(index / pageSize);
+}
@@ -0,0 +1,136 @@
+// IANA time zone helpers built on Intl, for reading and showing schedule times in the user's zone
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    
+    return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+    try {
+        formatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock fields of `date` in `timeZone`
+export function zonedParts(date, timeZone) {
+    const parts = Object.fromEntries(
+        formatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+    );
+    
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: parts.weekday
+    };
+}
+
+// Minutes to add to UTC to get wall-clock time in `timeZone` at `timestamp`
+function offsetAt(timestamp, timeZone) {
+    const parts = zonedParts(new Date(timestamp), timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    
+    return Math.round((wallClock - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+// The instant a wall-clock time in `timeZone` refers to; null if that time does not exist
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    
+    // Second pass corrects the offset when the first guess lands across a DST change
+    let timestamp = wallClock - offsetAt(wallClock, timeZone) * 60000;
+    timestamp = wallClock - offsetAt(timestamp, timeZone) * 60000;
+    
+    const check = zonedParts(new Date(timestamp), timeZone);
+    if (check.year !== year || check.month !== month || check.day !== day || check.hour !== hour || check.minute !== minute) {
+        return null;
+    }
+    
+    return new Date(timestamp);
+}
+
+export function formatInTimeZone(date, timeZone) {
+    const { year, month, day, hour, minute } = zonedParts(new Date(date), timeZone);
+    const pad = (value) => String(value).padStart(2, '0');
+    
+    return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+}
+
+const RELATIVE_UNITS = {
+    m: 60000,
+    min: 60000,
+    mins: 60000,
+    minute: 60000,
+    minutes: 60000,
+    h: 3600000,
+    hr: 3600000,
+    hrs: 3600000,
+    hour: 3600000,
+    hours: 3600000,
+    d: 86400000,
+    day: 86400000,
+    days: 86400000
+};
+
+// Accepts "YYYY-MM-DD HH:mm", "HH:mm" (next occurrence), "today/tomorrow HH:mm" and
+// "in 30m" / "+2h"; wall-clock times are read in `timeZone`. Returns a Date or null.
+export function parseScheduleTime(text, timeZone, now = new Date()) {
+    const input = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    
+    const relative = input.match(/^(?:in |\+)(\d+) ?([a-z]+)$/);
+    if (relative) {
+        const unit = RELATIVE_UNITS[relative[2]];
+        return unit ? new Date(now.getTime() + Number(relative[1]) * unit) : null;
+    }
+    
+    const absolute = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ t](\d{1,2}):(\d{2})$/);
+    if (absolute) {
+        const [, year, month, day, hour, minute] = absolute.map(Number);
+        return zonedTimeToDate({ year, month, day, hour, minute }, timeZone);
+    }
+    
+    const clock = input.match(/^(?:(today|tomorrow) )?(\d{1,2}):(\d{2})$/);
+    if (clock) {
+        const today = zonedParts(now, timeZone);
+        const dayOffset = clock[1] === 'tomorrow' ? 1 : 0;
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+        
+        let result = zonedTimeToDate({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour: Number(clock[2]),
+            minute: Number(clock[3])
+        }, timeZone);
+        
+        // A bare time that already passed today means tomorrow
+        if (result && !clock[1] && result <= now) {
+            result = parseScheduleTime(`tomorrow ${clock[2]}:${clock[3]}`, timeZone, now);
+        }
+        
+        return result;
+    }
+    
+    return null;
+}
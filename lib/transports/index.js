@@ -0,0 +1,94 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { Transport } from './transport.js';
+import { ModemTransport } from './modem.js';
+import { SmppTransport } from './smpp.js';
+
+export { Transport };
+
+// Built-in transport types; others can be registered here or loaded from a module in config
+const TRANSPORT_TYPES = new Map([
+    ['GSM_MODEM', ModemTransport],
+    ['SMPP', SmppTransport]
+]);
+
+// Transport events the registry re-emits as (transport, ...args)
+const FORWARDED_EVENTS = ['ready', 'disconnected', 'error', 'delivery_report', 'deliver_sm', 'inbound_sms', 'unsolicited', 'throttled', 'reconnecting'];
+
+export function registerTransportType(type, TransportClass) {
+    TRANSPORT_TYPES.set(type, TransportClass);
+}
+
+export class TransportRegistry extends EventEmitter {
+    constructor() {
+        super();
+        this.transports = new Map();
+    }
+    
+    async load(definitions) {
+        for (const definition of definitions) {
+            if (definition.enabled === false) continue;
+            
+            const TransportClass = await this.resolveType(definition);
+            const transport = new TransportClass(definition.name, {
+                ...definition.options,
+                type: definition.type,
+                priority: definition.priority,
+                concurrency: definition.concurrency,
+                rateLimit: definition.rateLimit
+            });
+            
+            this.add(transport);
+        }
+    }
+    
+    async resolveType(definition) {
+        // A module path wins over the type name: its default export must extend Transport
+        if (definition.module) {
+            const imported = await import(pathToFileURL(path.resolve(definition.module)).href);
+            
+            if (!(imported.default && imported.default.prototype instanceof Transport)) {
+                throw new Error(`${definition.module} does not export a Transport subclass`);
+            }
+            
+            return imported.default;
+        }
+        
+        const TransportClass = TRANSPORT_TYPES.get(definition.type);
+        
+        if (!TransportClass) {
+            throw new Error(`Unknown transport type: ${definition.type}`);
+        }
+        
+        return TransportClass;
+    }
+    
+    add(transport) {
+        if (this.transports.has(transport.name)) {
+            throw new Error(`Duplicate transport name: ${transport.name}`);
+        }
+        
+        this.transports.set(transport.name, transport);
+        
+        FORWARDED_EVENTS.forEach(event => {
+            transport.on(event, (...args) => this.emit(event, transport, ...args));
+        });
+    }
+    
+    async startAll() {
+        await Promise.all(this.list().map(transport => transport.start()));
+    }
+    
+    async stopAll() {
+        await Promise.all(this.list().map(transport => transport.stop().catch(() => {})));
+    }
+    
+    get(name) {
+        return this.transports.get(name) || null;
+    }
+    
+    list() {
+        return [...this.transports.values()];
+    }
+}
@@ -0,0 +1,565 @@
+import { EventEmitter } from 'events';
+import { SerialPort } from 'serialport';
+import { STATUS } from '../../config.js';
+import { parseStatusReport, parseDeliverPdu, buildSubmitPdu, messageType, MESSAGE_TYPES } from '../encoding.js';
+import { statusFromTpStatus } from '../delivery.js';
+import { Transport } from './transport.js';
+
+// Unsolicited result codes a modem may emit at any time, even mid-command
+const UNSOLICITED_PREFIXES = ['+CMTI:', '+CMT:', '+CDS:', '+CDSI:', '+CREG:', '+CUSD:', '+CLIP:', 'RING'];
+
+// Unsolicited result codes whose PDU follows on the next line
+const TWO_LINE_UNSOLICITED = ['+CMT:', '+CDS:'];
+
+// Common +CMS ERROR codes (3GPP TS 27.005 / 24.011)
+export const CMS_ERRORS = {
+    1: 'Unassigned (unallocated) number',
+    8: 'Operator determined barring',
+    10: 'Call barred',
+    21: 'Short message transfer rejected',
+    27: 'Destination out of service',
+    28: 'Unidentified subscriber',
+    29: 'Facility rejected',
+    30: 'Unknown subscriber',
+    38: 'Network out of order',
+    41: 'Temporary failure',
+    42: 'Congestion',
+    47: 'Resources unavailable',
+    50: 'Requested facility not subscribed',
+    69: 'Requested facility not implemented',
+    96: 'Invalid message',
+    111: 'Protocol error',
+    300: 'ME failure',
+    302: 'Operation not allowed',
+    303: 'Operation not supported',
+    304: 'Invalid PDU mode parameter',
+    305: 'Invalid text mode parameter',
+    310: 'SIM not inserted',
+    311: 'SIM PIN required',
+    313: 'SIM failure',
+    314: 'SIM busy',
+    320: 'Memory failure',
+    322: 'Memory full',
+    330: 'SMSC address unknown',
+    331: 'No network service',
+    332: 'Network timeout',
+    340: 'No +CNMA acknowledgement expected',
+    500: 'Unknown error'
+};
+
+// +CMS ERROR codes rejecting the message itself; resending it through this modem will not help
+const PERMANENT_CMS_ERRORS = [1, 8, 10, 21, 29, 30, 50, 69, 96, 111, 304, 305, 330];
+
+export class ModemError extends Error {
+    constructor(message, code = null, command = null) {
+        super(message);
+        this.name = 'ModemError';
+        this.code = code;
+        this.command = command;
+        this.permanent = PERMANENT_CMS_ERRORS.includes(code);
+    }
+}
+
+// GSM modem driver speaking AT commands over a serial port
+export class GsmModem extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.path = options.path;
+        this.baudRate = options.baudRate || 115200;
+        this.pin = options.pin || '';
+        this.commandTimeout = options.commandTimeout || 10000;
+        this.sendTimeout = options.sendTimeout || 60000;
+        
+        // An already opened duplex port can be injected (e.g. a pseudo-terminal emulator)
+        this.port = options.port || null;
+        
+        this.buffer = '';
+        this.current = null;
+        this.pendingUnsolicited = null;
+        this.queue = Promise.resolve();
+        this.isReady = false;
+        
+        this.signal = null;
+        this.registration = null;
+        this.operator = null;
+    }
+    
+    async open() {
+        if (!this.port) {
+            this.port = new SerialPort({
+                path: this.path,
+                baudRate: this.baudRate,
+                autoOpen: false
+            });
+            
+            await new Promise((resolve, reject) => {
+                this.port.open(error => error ? reject(error) : resolve());
+            });
+        }
+        
+        this.port.on('data', (chunk) => this.handleData(chunk.toString()));
+        this.port.on('error', (error) => this.emit('error', error));
+        this.port.on('close', () => {
+            this.isReady = false;
+            this.emit('close');
+        });
+        
+        await this.initialize();
+        
+        this.isReady = true;
+        this.emit('ready');
+    }
+    
+    async close() {
+        this.isReady = false;
+        
+        if (this.port && this.port.isOpen !== false) {
+            await new Promise(resolve => this.port.close(() => resolve()));
+        }
+    }
+    
+    async initialize() {
+        // AT init sequence: attention, echo off, numeric errors
+        await this.command('AT');
+        await this.command('ATE0');
+        await this.command('AT+CMEE=1');
+        
+        // SIM state, unlocking with the configured PIN when asked for one
+        const pinState = await this.querySIM();
+        
+        if (pinState === 'SIM PIN' && this.pin) {
+            await this.command(`AT+CPIN=${this.pin}`);
+        } else if (pinState !== 'READY') {
+            throw new ModemError(`SIM not ready (${pinState})`, 311, 'AT+CPIN?');
+        }
+        
+        // PDU mode; the character set only applies to text responses
+        await this.command('AT+CMGF=0');
+        await this.command('AT+CSCS="GSM"');
+        
+        // Route status reports straight to us (+CDS), or stored with an index (+CDSI) where unsupported
+        try {
+            await this.command('AT+CNMI=2,1,0,1,0');
+        } catch (error) {
+            await this.command('AT+CNMI=2,1,0,2,0');
+        }
+        
+        await this.refreshStatus();
+    }
+    
+    async querySIM() {
+        const lines = await this.command('AT+CPIN?');
+        const match = this.findResponse(lines, '+CPIN:');
+        
+        return match ? match.trim() : 'UNKNOWN';
+    }
+    
+    async refreshStatus() {
+        // Signal quality: +CSQ: <rssi>,<ber>
+        const csq = this.findResponse(await this.command('AT+CSQ'), '+CSQ:');
+        if (csq) {
+            const rssi = parseInt(csq, 10);
+            this.signal = {
+                rssi,
+                dbm: rssi === 99 ? null : -113 + rssi * 2
+            };
+        }
+        
+        // Network registration: +CREG: <n>,<stat>
+        const creg = this.findResponse(await this.command('AT+CREG?'), '+CREG:');
+        if (creg) {
+            const stat = parseInt(creg.split(',')[1], 10);
+            this.registration = {
+                0: 'NOT_REGISTERED',
+                1: 'HOME',
+                2: 'SEARCHING',
+                3: 'DENIED',
+                5: 'ROAMING'
+            }[stat] || 'UNKNOWN';
+        }
+        
+        // Operator name: +COPS: <mode>,<format>,"<operator>"
+        const cops = this.findResponse(await this.command('AT+COPS?'), '+COPS:');
+        if (cops) {
+            const match = cops.match(/"([^"]*)"/);
+            this.operator = match ? match[1] : null;
+        }
+        
+        return {
+            signal: this.signal,
+            registration: this.registration,
+            operator: this.operator
+        };
+    }
+    
+    async sendPDU(pdu, length) {
+        // AT+CMGS=<TPDU length> waits for the "> " prompt, then takes the hex PDU terminated by Ctrl-Z
+        const lines = await this.command(`AT+CMGS=${length}`, {
+            payload: pdu,
+            timeout: this.sendTimeout
+        });
+        
+        const reference = this.findResponse(lines, '+CMGS:');
+        
+        return {
+            messageReference: reference ? parseInt(reference, 10) : null
+        };
+    }
+    
+    handleUnsolicitedPDU(header, pdu) {
+        if (header.startsWith('+CDS:')) {
+            this.emitStatusReport(pdu);
+        } else if (header.startsWith('+CMT:')) {
+            this.emitMessage(pdu);
+        }
+        
+        this.emit('unsolicited', header, pdu);
+    }
+    
+    async readStoredStatusReport(line) {
+        // +CDSI: "SR",<index>
+        const index = parseInt(line.split(',')[1], 10);
+        
+        try {
+            const lines = await this.command(`AT+CMGR=${index}`);
+            const pdu = lines.find(l => /^[0-9A-F]+$/i.test(l));
+            
+            if (pdu) {
+                this.emitStatusReport(pdu);
+            }
+            
+            await this.command(`AT+CMGD=${index}`);
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+    
+    async readStoredMessage(line) {
+        // +CMTI: "SM",<index>
+        const index = parseInt(line.split(',')[1], 10);
+        
+        try {
+            const lines = await this.command(`AT+CMGR=${index}`);
+            const pdu = lines.find(l => /^[0-9A-F]+$/i.test(l));
+            
+            if (pdu) {
+                this.emitMessage(pdu);
+            }
+            
+            await this.command(`AT+CMGD=${index}`);
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+    
+    // Messages and status reports that arrived while nobody was listening:
+    // +CMGL: <index>,<stat>,,<length> then the PDU. Only what parsed is deleted from the SIM.
+    async readAllStoredMessages() {
+        const lines = await this.command('AT+CMGL=4');
+        
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].startsWith('+CMGL:') || !/^[0-9A-F]+$/i.test(lines[i + 1] || '')) continue;
+            
+            const index = parseInt(lines[i].substring(6), 10);
+            const pdu = lines[++i];
+            const handled = messageType(pdu) === MESSAGE_TYPES.STATUS_REPORT
+                ? this.emitStatusReport(pdu)
+                : this.emitMessage(pdu);
+            
+            if (handled) await this.command(`AT+CMGD=${index}`);
+        }
+    }
+    
+    // Both return whether the PDU parsed
+    emitMessage(pdu) {
+        let message;
+        
+        try {
+            message = parseDeliverPdu(pdu);
+        } catch (error) {
+            return false;
+        }
+        
+        this.emit('message', message);
+        return true;
+    }
+    
+    emitStatusReport(pdu) {
+        let report;
+        
+        try {
+            report = parseStatusReport(pdu);
+        } catch (error) {
+            this.emit('error', new ModemError(`Unparseable status report: ${pdu}`));
+            return false;
+        }
+        
+        this.emit('status_report', report);
+        return true;
+    }
+    
+    command(command, options = {}) {
+        const run = () => new Promise((resolve, reject) => {
+            const timeout = options.timeout || this.commandTimeout;
+            const lines = [];
+            
+            const timer = setTimeout(() => {
+                this.current = null;
+                reject(new ModemError(`Timeout waiting for response to ${command}`, 'TIMEOUT', command));
+            }, timeout);
+            
+            this.current = {
+                command,
+                lines,
+                payload: options.payload,
+                finish: (error) => {
+                    clearTimeout(timer);
+                    this.current = null;
+                    error ? reject(error) : resolve(lines);
+                }
+            };
+            
+            this.port.write(`${command}\r`);
+        });
+        
+        // The modem handles one command at a time
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => {});
+        
+        return result;
+    }
+    
+    handleData(data) {
+        this.buffer += data;
+        
+        // Message prompt has no line terminator
+        if (this.current && this.current.payload !== undefined && /(^|[\r\n])> ?$/.test(this.buffer)) {
+            this.buffer = '';
+            this.port.write(`${this.current.payload}\x1A`);
+            this.current.payload = undefined;
+            return;
+        }
+        
+        const lines = this.buffer.split(/\r\n|\r|\n/);
+        this.buffer = lines.pop();
+        
+        lines.forEach(line => this.handleLine(line.trim()));
+    }
+    
+    handleLine(line) {
+        if (!line) return;
+        
+        // Second line of a two-line unsolicited result code
+        if (this.pendingUnsolicited) {
+            const header = this.pendingUnsolicited;
+            this.pendingUnsolicited = null;
+            this.handleUnsolicitedPDU(header, line);
+            return;
+        }
+        
+        const current = this.current;
+        
+        // A +CREG: line answers AT+CREG? but is unsolicited at any other time
+        const unsolicited = UNSOLICITED_PREFIXES.some(prefix =>
+            line.startsWith(prefix) && !(current && current.command.startsWith(`AT${prefix.replace(':', '')}`))
+        );
+        
+        if (unsolicited || !current) {
+            if (TWO_LINE_UNSOLICITED.some(prefix => line.startsWith(prefix))) {
+                this.pendingUnsolicited = line;
+                return;
+            }
+            
+            if (line.startsWith('+CDSI:')) {
+                this.readStoredStatusReport(line);
+            } else if (line.startsWith('+CMTI:')) {
+                this.readStoredMessage(line);
+            }
+            
+            this.emit('unsolicited', line);
+            return;
+        }
+        
+        // Echo of the command itself
+        if (line === current.command) return;
+        
+        if (line === 'OK') {
+            current.finish();
+            return;
+        }
+        
+        const error = line.match(/^\+(CMS|CME) ERROR: ?(.+)$/);
+        if (error) {
+            const code = /^\d+$/.test(error[2]) ? parseInt(error[2], 10) : error[2];
+            const description = error[1] === 'CMS' ? CMS_ERRORS[code] : null;
+            
+            current.finish(new ModemError(
+                `+${error[1]} ERROR: ${code}${description ? ` (${description})` : ''}`,
+                code,
+                current.command
+            ));
+            return;
+        }
+        
+        if (line === 'ERROR' || line === 'NO CARRIER') {
+            current.finish(new ModemError(`${current.command} returned ${line}`, line, current.command));
+            return;
+        }
+        
+        current.lines.push(line);
+    }
+    
+    findResponse(lines, prefix) {
+        const line = lines.find(l => l.startsWith(prefix));
+        return line ? line.substring(prefix.length).trim() : null;
+    }
+}
+
+// Registry adapter: a GSM modem as a pluggable transport
+export class ModemTransport extends Transport {
+    constructor(name, options = {}) {
+        super(name, { type: 'GSM_MODEM', ...options });
+        
+        this.modem = null;
+        this.stopped = false;
+        this.statusTimer = null;
+    }
+    
+    async start() {
+        this.stopped = false;
+        
+        // createPort() hands over an opened duplex port instead of the serial device, e.g. an emulator
+        this.modem = new GsmModem({
+            path: this.options.port,
+            port: this.options.createPort ? this.options.createPort() : null,
+            baudRate: this.options.baudRate,
+            pin: this.options.pin,
+            commandTimeout: this.options.commandTimeout,
+            sendTimeout: this.options.sendTimeout
+        });
+        
+        this.modem.on('error', (error) => this.emit('error', error));
+        this.modem.on('unsolicited', (...lines) => this.emit('unsolicited', ...lines));
+        this.modem.on('status_report', (report) => {
+            const status = statusFromTpStatus(report.status);
+            if (!status) return;
+            
+            this.emit('delivery_report', {
+                status,
+                recipient: report.recipient,
+                messageReference: report.messageReference
+            });
+        });
+        this.modem.on('message', (message) => {
+            this.emit('inbound_sms', {
+                from: message.sender,
+                to: null,
+                text: message.text,
+                concat: message.concat,
+                receivedAt: new Date().toISOString()
+            });
+        });
+        this.modem.once('close', () => {
+            clearInterval(this.statusTimer);
+            this.emit('disconnected');
+            this.scheduleRestart();
+        });
+        
+        try {
+            await this.modem.open();
+            
+            this.modem.readAllStoredMessages().catch(error => this.emit('error', error));
+            
+            // Keep signal and registration current for health checks
+            this.statusTimer = setInterval(() => {
+                this.modem.refreshStatus().catch(error => this.emit('error', error));
+            }, this.options.statusInterval || 60000);
+            
+            this.emit('ready', this.health());
+        } catch (error) {
+            this.emit('error', error);
+            this.modem.removeAllListeners('close');
+            await this.modem.close().catch(() => {});
+            this.scheduleRestart();
+        }
+    }
+    
+    scheduleRestart() {
+        if (this.stopped) return;
+        setTimeout(() => this.start(), this.options.reconnectDelay || 10000);
+    }
+    
+    async stop() {
+        this.stopped = true;
+        clearInterval(this.statusTimer);
+        
+        if (this.modem) {
+            this.modem.removeAllListeners('close');
+            await this.modem.close();
+        }
+    }
+    
+    async send({ phoneNumber, message, encoding, resume = null }) {
+        if (!this.modem || !this.modem.isReady) {
+            throw new ModemError('GSM modem is not connected', 'NOT_CONNECTED');
+        }
+        
+        const { concatReference, segments: prepared } = this.prepareSegments(phoneNumber, message, encoding, resume);
+        const segments = resume ? [...resume.segments] : [];
+        
+        for (const { sequence, text, udh } of prepared) {
+            const { pdu, length } = buildSubmitPdu({
+                phoneNumber,
+                text,
+                encoding,
+                udh,
+                statusReport: this.options.deliveryReports
+            });
+            
+            let messageReference;
+            try {
+                ({ messageReference } = await this.modem.sendPDU(pdu, length));
+            } catch (error) {
+                throw this.submitFailure(error, concatReference, segments);
+            }
+            
+            segments.push({ sequence, messageReference, status: STATUS.SENT });
+        }
+        
+        return {
+            segments,
+            concatReference,
+            messageReference: segments[0].messageReference,
+            route: `GSM_MODEM → ${this.modem.operator || 'UNKNOWN_OPERATOR'} → TARGET`,
+            network: this.modem.operator,
+            signalStrength: this.modem.signal ? this.modem.signal.dbm : null
+        };
+    }
+    
+    health() {
+        if (!this.modem || !this.modem.isReady) {
+            return { healthy: false, status: 'DISCONNECTED' };
+        }
+        
+        const registered = ['HOME', 'ROAMING'].includes(this.modem.registration);
+        
+        return {
+            healthy: registered,
+            status: registered ? 'READY' : `NOT_REGISTERED (${this.modem.registration})`,
+            registration: this.modem.registration,
+            operator: this.modem.operator,
+            signal: this.modem.signal
+        };
+    }
+    
+    capabilities() {
+        return {
+            encodings: ['GSM_7BIT', 'UCS2'],
+            concatenation: true,
+            deliveryReports: Boolean(this.options.deliveryReports),
+            bulk: false,
+            window: 1
+        };
+    }
+}
@@ -0,0 +1,435 @@
+import { EventEmitter } from 'events';
+import smpp from 'smpp';
+import { STATUS } from '../../config.js';
+import { encodeGsm7, encodeUcs2, concatenationInfo, ENCODINGS } from '../encoding.js';
+import { statusFromReceipt } from '../delivery.js';
+import { Transport } from './transport.js';
+
+// Status codes that mean "slow down", not "rejected"
+const THROTTLE_STATUSES = [smpp.ESME_RTHROTTLED, smpp.ESME_RMSGQFUL];
+
+// message_state TLV names → receipt stat: values
+const RECEIPT_STATS = {
+    SCHEDULED: 'SCHEDULED',
+    ENROUTE: 'ENROUTE',
+    DELIVERED: 'DELIVRD',
+    EXPIRED: 'EXPIRED',
+    DELETED: 'DELETED',
+    UNDELIVERABLE: 'UNDELIV',
+    ACCEPTED: 'ACCEPTD',
+    UNKNOWN: 'UNKNOWN',
+    REJECTED: 'REJECTD',
+    SKIPPED: 'SKIPPED'
+};
+
+// How many message_id → transmission ID mappings to remember
+const MAX_TRACKED_MESSAGES = 10000;
+
+// command_status values worth resubmitting on the same link; any other rejection is permanent
+const TEMPORARY_STATUSES = [smpp.ESME_RSYSERR, smpp.ESME_RTHROTTLED, smpp.ESME_RMSGQFUL, smpp.ESME_RSUBMITFAIL];
+
+export class SmppError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'SmppError';
+        this.code = code;
+        this.permanent = typeof code === 'number' && !TEMPORARY_STATUSES.includes(code);
+    }
+}
+
+// SMPP 3.4 client bound as transceiver, with windowed submit_sm and automatic reconnect
+export class SmppClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.url = options.url;
+        this.systemId = options.systemId;
+        this.password = options.password;
+        this.systemType = options.systemType || '';
+        this.sourceAddr = options.sourceAddr || '';
+        this.windowSize = options.windowSize || 10;
+        this.submitTimeout = options.submitTimeout || 30000;
+        this.throttleDelay = options.throttleDelay || 1000;
+        this.enquireLinkInterval = options.enquireLinkInterval || 30000;
+        this.reconnectDelay = options.reconnectDelay || 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 60000;
+        this.closeTimeout = options.closeTimeout || 5000;
+        
+        this.session = null;
+        this.isBound = false;
+        this.closing = false;
+        this.reconnectAttempts = 0;
+        this.keepAliveTimer = null;
+        this.throttleTimer = null;
+        this.throttledUntil = 0;
+        
+        // submit_sm waiting for a window slot, and those awaiting submit_sm_resp
+        this.waiting = [];
+        this.inFlight = new Set();
+        
+        // submit_sm_resp message_id → our transmission ID
+        this.messageIds = new Map();
+    }
+    
+    connect() {
+        this.closing = false;
+        
+        return new Promise((resolve, reject) => {
+            const onBound = () => {
+                this.off('bind_failed', onFailed);
+                resolve();
+            };
+            const onFailed = (error) => {
+                this.off('bound', onBound);
+                reject(error);
+            };
+            
+            this.once('bound', onBound);
+            this.once('bind_failed', onFailed);
+            this.bind();
+        });
+    }
+    
+    bind() {
+        const session = smpp.connect({ url: this.url });
+        this.session = session;
+        
+        session.on('connect', () => {
+            session.bind_transceiver({
+                system_id: this.systemId,
+                password: this.password,
+                system_type: this.systemType,
+                interface_version: 0x34
+            }, (pdu) => {
+                if (pdu.command_status !== smpp.ESME_ROK) {
+                    this.emit('bind_failed', new SmppError(`Bind failed with status 0x${pdu.command_status.toString(16)}`, pdu.command_status));
+                    session.close();
+                    return;
+                }
+                
+                this.isBound = true;
+                this.reconnectAttempts = 0;
+                this.startKeepAlive();
+                this.emit('bound');
+                this.drain();
+            });
+        });
+        
+        // Keepalive and teardown initiated by the SMSC
+        session.on('enquire_link', (pdu) => session.send(pdu.response()));
+        session.on('unbind', (pdu) => {
+            session.send(pdu.response());
+            session.close();
+        });
+        
+        session.on('deliver_sm', (pdu) => {
+            session.send(pdu.response());
+            
+            if (pdu.esm_class & smpp.ESM_CLASS.MC_DELIVERY_RECEIPT) {
+                this.emit('delivery_receipt', this.parseReceipt(pdu));
+            } else {
+                this.emit('deliver_sm', pdu);
+            }
+        });
+        
+        session.on('error', (error) => this.emit('error', error));
+        session.on('close', () => this.handleClose(session));
+    }
+    
+    handleClose(session) {
+        if (session !== this.session) return;
+        
+        this.isBound = false;
+        this.stopKeepAlive();
+        
+        // Responses for in-flight submits will never arrive on this connection
+        for (const item of this.inFlight) {
+            clearTimeout(item.timer);
+            item.reject(new SmppError('SMPP connection lost before submit_sm_resp', 'CONNECTION_LOST'));
+        }
+        this.inFlight.clear();
+        
+        this.emit('close');
+        
+        if (!this.closing) {
+            this.scheduleReconnect();
+        }
+    }
+    
+    scheduleReconnect() {
+        // Exponential backoff capped at maxReconnectDelay
+        const delay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        
+        this.emit('reconnecting', delay);
+        setTimeout(() => {
+            if (!this.closing) this.bind();
+        }, delay);
+    }
+    
+    startKeepAlive() {
+        this.stopKeepAlive();
+        
+        this.keepAliveTimer = setInterval(() => {
+            // Drop the link if the SMSC stops answering enquire_link
+            const timeout = setTimeout(() => this.session.destroy(), this.enquireLinkInterval);
+            this.session.enquire_link(() => clearTimeout(timeout));
+        }, this.enquireLinkInterval);
+    }
+    
+    stopKeepAlive() {
+        if (this.keepAliveTimer) {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+    
+    async close() {
+        this.closing = true;
+        this.stopKeepAlive();
+        
+        const session = this.session;
+        if (!session || session.socket.destroyed) return;
+        
+        // An SMSC that never answers unbind or never closes its end can't hold up shutdown
+        const within = (wait) => new Promise(resolve => {
+            const timer = setTimeout(() => resolve(false), this.closeTimeout);
+            wait(() => {
+                clearTimeout(timer);
+                resolve(true);
+            });
+        });
+        
+        // unbind() returns false without sending when the socket is no longer writable
+        if (this.isBound) {
+            await within(done => session.unbind(() => done()) || done());
+        }
+        
+        if (!await within(done => session.close(() => done()))) {
+            session.destroy();
+        }
+    }
+    
+    submit({ transmissionId, phoneNumber, text, encoding, udh = null, registeredDelivery = 1 }) {
+        const message = encoding === ENCODINGS.UCS2
+            ? encodeUcs2(text)
+            : Buffer.from(encodeGsm7(text));
+        
+        const options = {
+            source_addr: this.sourceAddr,
+            destination_addr: phoneNumber.replace(/^\+/, ''),
+            dest_addr_ton: phoneNumber.startsWith('+') ? 1 : 0,
+            dest_addr_npi: 1,
+            data_coding: encoding === ENCODINGS.UCS2 ? 0x08 : 0x00,
+            registered_delivery: registeredDelivery,
+            short_message: udh ? { udh, message } : message
+        };
+        
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ transmissionId, options, resolve, reject });
+            this.drain();
+        });
+    }
+    
+    drain() {
+        const now = Date.now();
+        
+        if (now < this.throttledUntil) {
+            if (!this.throttleTimer) {
+                this.throttleTimer = setTimeout(() => {
+                    this.throttleTimer = null;
+                    this.drain();
+                }, this.throttledUntil - now);
+            }
+            return;
+        }
+        
+        while (this.isBound && this.inFlight.size < this.windowSize && this.waiting.length > 0) {
+            this.dispatch(this.waiting.shift());
+        }
+    }
+    
+    dispatch(item) {
+        this.inFlight.add(item);
+        
+        item.timer = setTimeout(() => {
+            this.inFlight.delete(item);
+            item.reject(new SmppError('Timed out waiting for submit_sm_resp', 'TIMEOUT'));
+            this.drain();
+        }, this.submitTimeout);
+        
+        this.session.submit_sm(item.options, (pdu) => {
+            if (!this.inFlight.has(item)) return;
+            
+            clearTimeout(item.timer);
+            this.inFlight.delete(item);
+            
+            if (pdu.command_status === smpp.ESME_ROK) {
+                this.trackMessage(pdu.message_id, item.transmissionId);
+                item.resolve({ messageId: pdu.message_id });
+            } else if (THROTTLE_STATUSES.includes(pdu.command_status)) {
+                // Back off and resubmit ahead of everything still waiting
+                this.throttledUntil = Date.now() + this.throttleDelay;
+                this.waiting.unshift(item);
+                this.emit('throttled', this.throttleDelay);
+            } else {
+                item.reject(new SmppError(`submit_sm rejected with status 0x${pdu.command_status.toString(16)}`, pdu.command_status));
+            }
+            
+            this.drain();
+        });
+    }
+    
+    parseReceipt(pdu) {
+        // Receipt text: "id:XXX sub:001 dlvrd:001 submit date:... done date:... stat:DELIVRD err:000 text:..."
+        const message = pdu.short_message && pdu.short_message.message;
+        const text = Buffer.isBuffer(message) ? message.toString() : (message || '');
+        const field = (name) => {
+            const match = text.match(new RegExp(`${name}:(\\S+)`, 'i'));
+            return match ? match[1] : null;
+        };
+        
+        // SMPP 3.4 TLVs take precedence over the free-form text
+        const messageId = pdu.receipted_message_id || field('id');
+        const stateNames = Object.keys(smpp.MESSAGE_STATE);
+        const stat = pdu.message_state !== undefined
+            ? RECEIPT_STATS[stateNames.find(name => smpp.MESSAGE_STATE[name] === pdu.message_state)]
+            : field('stat');
+        
+        return {
+            messageId,
+            transmissionId: this.lookupTransmission(messageId),
+            stat: stat ? stat.toUpperCase() : null,
+            error: field('err'),
+            recipient: pdu.source_addr
+        };
+    }
+    
+    trackMessage(messageId, transmissionId) {
+        this.messageIds.set(messageId, transmissionId);
+        
+        if (this.messageIds.size > MAX_TRACKED_MESSAGES) {
+            this.messageIds.delete(this.messageIds.keys().next().value);
+        }
+    }
+    
+    lookupTransmission(messageId) {
+        return this.messageIds.get(messageId) || null;
+    }
+}
+
+// Registry adapter: an SMPP client as a pluggable transport
+export class SmppTransport extends Transport {
+    constructor(name, options = {}) {
+        super(name, { type: 'SMPP', ...options });
+        
+        this.client = new SmppClient(options);
+        
+        this.client.on('error', (error) => this.emit('error', error));
+        this.client.on('bound', () => this.emit('ready', this.health()));
+        this.client.on('close', () => this.emit('disconnected'));
+        this.client.on('reconnecting', (delay) => this.emit('reconnecting', delay));
+        this.client.on('throttled', (delay) => this.emit('throttled', delay));
+        this.client.on('deliver_sm', (pdu) => {
+            this.emit('deliver_sm', pdu);
+            this.emit('inbound_sms', this.inboundMessage(pdu));
+        });
+        this.client.on('delivery_receipt', (receipt) => {
+            const status = statusFromReceipt(receipt.stat);
+            if (!status || !receipt.messageId) return;
+            
+            this.emit('delivery_report', {
+                status,
+                recipient: receipt.recipient,
+                messageId: receipt.messageId,
+                transmissionId: receipt.transmissionId
+            });
+        });
+    }
+    
+    // Mobile-originated message; node-smpp has already decoded the text per data_coding and split
+    // off the UDH. Parts come either as UDH concatenation or as sar_* TLVs.
+    inboundMessage(pdu) {
+        const body = pdu.message_payload || pdu.short_message;
+        const text = typeof body === 'string' || Buffer.isBuffer(body) ? body : body?.message;
+        
+        const concat = pdu.sar_msg_ref_num !== undefined
+            ? { reference: pdu.sar_msg_ref_num, total: pdu.sar_total_segments, sequence: pdu.sar_segment_seqnum }
+            : concatenationInfo(body?.udh);
+        
+        return {
+            from: pdu.source_addr,
+            to: pdu.destination_addr,
+            text: String(text ?? ''),
+            concat,
+            receivedAt: new Date().toISOString()
+        };
+    }
+    
+    async start() {
+        // Binding retries with backoff on its own; don't hold up startup
+        this.client.connect().catch(error => this.emit('error', error));
+    }
+    
+    async stop() {
+        await this.client.close();
+    }
+    
+    async send({ transmissionId, phoneNumber, message, encoding, resume = null }) {
+        if (!this.client.isBound) {
+            throw new SmppError('SMPP link is not bound', 'NOT_BOUND');
+        }
+        
+        const { concatReference, segments: prepared } = this.prepareSegments(phoneNumber, message, encoding, resume);
+        
+        // Segments share the submit window, so submit them together; all of them settle
+        // before a failure is reported so the ones accepted are known
+        const results = await Promise.allSettled(prepared.map(async ({ sequence, text, udh }) => {
+            const { messageId } = await this.client.submit({
+                transmissionId,
+                phoneNumber,
+                text,
+                encoding,
+                udh,
+                registeredDelivery: this.options.deliveryReports ? 1 : 0
+            });
+            
+            return { sequence, messageId, status: STATUS.SENT };
+        }));
+        
+        const segments = [
+            ...(resume ? resume.segments : []),
+            ...results.filter(result => result.status === 'fulfilled').map(result => result.value)
+        ].sort((a, b) => a.sequence - b.sequence);
+        
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw this.submitFailure(failed.reason, concatReference, segments);
+        
+        return {
+            segments,
+            concatReference,
+            messageId: segments[0].messageId,
+            route: `SMPP → ${this.options.url} → TARGET`,
+            network: 'SMPP'
+        };
+    }
+    
+    health() {
+        return {
+            healthy: this.client.isBound,
+            status: this.client.isBound ? 'BOUND' : 'UNBOUND',
+            inFlight: this.client.inFlight.size,
+            waiting: this.client.waiting.length
+        };
+    }
+    
+    capabilities() {
+        return {
+            encodings: ['GSM_7BIT', 'UCS2'],
+            concatenation: true,
+            deliveryReports: Boolean(this.options.deliveryReports),
+            bulk: true,
+            window: this.client.windowSize
+        };
+    }
+}
@@ -0,0 +1,97 @@
+import { EventEmitter } from 'events';
+import { config } from '../../config.js';
+import { segmentMessage, buildConcatenationHeader, ReferenceCounter } from '../encoding.js';
+import { TokenBucket } from '../limits.js';
+
+// Concatenation references are per destination, whichever transport carries the message
+const concatReferences = new ReferenceCounter(config.SMS_SETTINGS.CONCAT_REFERENCE_BITS);
+
+// A multipart send that failed after some segments were accepted. Sending it again from scratch
+// would deliver those parts twice under a new reference, so the caller retries on the same
+// transport with `partial` as `resume` and only the missing segments go out.
+export class PartialSubmitError extends Error {
+    constructor(error, transport, concatReference, segments) {
+        super(`${error.message} (${segments.length} segment${segments.length === 1 ? '' : 's'} already sent)`);
+        this.name = 'PartialSubmitError';
+        this.code = error.code;
+        this.permanent = error.permanent === true;
+        this.partial = { transport, concatReference, segments };
+    }
+}
+
+// Base class every transport extends. Subclasses implement:
+//   start() / stop()          - connect and disconnect the underlying link
+//   send(transmission)        - submit { transmissionId, phoneNumber, message, encoding, resume },
+//                               resolving to { segments, concatReference, route, network };
+//                               failing with a PartialSubmitError once any segment went out
+//   health()                  - { healthy, status, ...details }
+//   capabilities()            - { encodings, concatenation, deliveryReports, bulk, window }
+// and emit 'delivery_report' with { status, recipient, messageId | messageReference }.
+export class Transport extends EventEmitter {
+    constructor(name, options = {}) {
+        super();
+        
+        this.name = name;
+        this.type = options.type || this.constructor.name;
+        this.priority = options.priority ?? 100;
+        this.concurrency = options.concurrency || 1;
+        this.options = options;
+        this.bucket = options.rateLimit?.perSecond > 0 ? new TokenBucket(options.rateLimit) : null;
+    }
+    
+    // Waits for the transport's send rate to allow `segments` more SMS
+    throttle(segments = 1) {
+        return this.bucket ? this.bucket.take(segments) : Promise.resolve(0);
+    }
+    
+    async start() {}
+    
+    async stop() {}
+    
+    async send() {
+        throw new Error(`Transport ${this.name} does not implement send()`);
+    }
+    
+    health() {
+        return { healthy: false, status: 'NOT_IMPLEMENTED' };
+    }
+    
+    capabilities() {
+        return {
+            encodings: ['GSM_7BIT', 'UCS2'],
+            concatenation: true,
+            deliveryReports: false,
+            bulk: false,
+            window: 1
+        };
+    }
+    
+    prepareSegments(phoneNumber, message, encoding, resume = null) {
+        // Long messages go out as concatenated segments sharing one UDH reference;
+        // a resumed send keeps its reference and skips the segments already accepted
+        const referenceBits = config.SMS_SETTINGS.CONCAT_REFERENCE_BITS;
+        const texts = segmentMessage(message, encoding, referenceBits);
+        const sent = new Set(resume ? resume.segments.map(segment => segment.sequence) : []);
+        const concatReference = resume
+            ? resume.concatReference
+            : texts.length > 1 ? concatReferences.next(phoneNumber) : null;
+        
+        return {
+            concatReference,
+            segments: texts
+                .map((text, index) => ({
+                    sequence: index + 1,
+                    text,
+                    udh: concatReference === null
+                        ? null
+                        : buildConcatenationHeader(concatReference, texts.length, index + 1, referenceBits)
+                }))
+                .filter(segment => !sent.has(segment.sequence))
+        };
+    }
+    
+    // The error to fail a send with once `segments` (sorted, including resumed ones) were accepted
+    submitFailure(error, concatReference, segments) {
+        return segments.length > 0 ? new PartialSubmitError(error, this.name, concatReference, segments) : error;
+    }
+}
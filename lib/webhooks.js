@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { readData, updateData } from './store.js';
+import { nextRetryDelay } from './retry.js';
+
+// Outbound webhooks. Subscriptions (URL, event types, secret) live in data/webhooks.json and
+// every event published to one becomes a delivery in data/webhook_deliveries.json, which records
+// each attempt. Deliveries are POSTed as JSON with
+//   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (Unix seconds) and
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${body}` keyed by the secret>
+// Anything but a 2xx is retried with backoff; other 4xx responses (not 408 or 429) are final.
+
+export const WEBHOOK_EVENTS = ['message.queued', 'message.sent', 'message.delivered', 'message.failed', 'message.received'];
+
+export const DELIVERY_STATUS = {
+    PENDING: 'PENDING',
+    DELIVERED: 'DELIVERED',
+    FAILED: 'FAILED',
+    CANCELLED: 'CANCELLED'
+};
+
+export function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Normalized subscription fields, or throws with a message fit for the user
+export function validateSubscription({ url, events }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new Error('`url` must be an absolute http(s) URL');
+    }
+    
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('`url` must be an absolute http(s) URL');
+    }
+    
+    const list = events == null || events === 'all' ? WEBHOOK_EVENTS : events;
+    const unknown = Array.isArray(list) ? list.filter(event => !WEBHOOK_EVENTS.includes(event)) : [];
+    
+    if (!Array.isArray(list) || list.length === 0 || unknown.length > 0) {
+        throw new Error(`\`events\` must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    
+    return { url: parsed.href, events: [...new Set(list)] };
+}
+
+export class WebhookDispatcher {
+    constructor(options = {}) {
+        this.name = options.name || 'webhooks';
+        this.logName = options.logName || 'webhook_deliveries';
+        this.timeout = options.timeout || 10000;
+        this.maxLogEntries = options.maxLogEntries || 5000;
+        this.retry = options.retry;
+        this.logger = options.logger || console;
+        this.timers = new Map();
+    }
+    
+    list(filter = () => true) {
+        return readData(this.name).filter(filter);
+    }
+    
+    get(id) {
+        return this.list(subscription => subscription.id === id)[0] || null;
+    }
+    
+    // The secret is generated when none is given; callers show it once
+    create({ userId, url, events, secret = null }) {
+        const subscription = {
+            id: `WH_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            userId,
+            ...validateSubscription({ url, events }),
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            createdAt: new Date().toISOString()
+        };
+        
+        updateData(this.name, (subscriptions) => {
+            subscriptions.push(subscription);
+        });
+        
+        return subscription;
+    }
+    
+    // Pending deliveries to a removed subscription are dropped when they come due
+    remove(id) {
+        return updateData(this.name, (subscriptions) => {
+            const index = subscriptions.findIndex(subscription => subscription.id === id);
+            return index === -1 ? null : subscriptions.splice(index, 1)[0];
+        });
+    }
+    
+    deliveries(filter = () => true) {
+        return readData(this.logName).filter(filter);
+    }
+    
+    // One delivery per subscription that wants `type` and passes `audience(subscription)`
+    publish(type, data, audience = () => true) {
+        const subscriptions = this.list(subscription => subscription.events.includes(type) && audience(subscription));
+        if (subscriptions.length === 0) return [];
+        
+        const event = {
+            id: `EVT_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        
+        const deliveries = subscriptions.map((subscription, index) => ({
+            id: `DLV_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 5)}`,
+            subscriptionId: subscription.id,
+            url: subscription.url,
+            event,
+            status: DELIVERY_STATUS.PENDING,
+            attempts: [],
+            nextAttemptAt: event.createdAt
+        }));
+        
+        updateData(this.logName, (log) => {
+            log.push(...deliveries);
+            this.trim(log);
+        });
+        
+        deliveries.forEach(delivery => this.schedule(delivery.id, 0));
+        return deliveries;
+    }
+    
+    // Drop the oldest finished deliveries beyond maxLogEntries; pending ones are kept
+    trim(log) {
+        let excess = log.length - this.maxLogEntries;
+        
+        for (let i = 0; i < log.length && excess > 0;) {
+            if (log[i].status !== DELIVERY_STATUS.PENDING) {
+                log.splice(i, 1);
+                excess--;
+            } else {
+                i++;
+            }
+        }
+    }
+    
+    schedule(deliveryId, delay) {
+        clearTimeout(this.timers.get(deliveryId));
+        this.timers.set(deliveryId, setTimeout(() => {
+            this.timers.delete(deliveryId);
+            this.attempt(deliveryId).catch(error => this.logger.error(`Webhook delivery ${deliveryId} failed:`, error));
+        }, Math.max(0, delay)));
+    }
+    
+    // Picks up deliveries still pending from before a restart
+    resume() {
+        const pending = this.deliveries(delivery => delivery.status === DELIVERY_STATUS.PENDING);
+        pending.forEach(delivery => this.schedule(delivery.id, Date.parse(delivery.nextAttemptAt) - Date.now()));
+        
+        return pending.length;
+    }
+    
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+    
+    async attempt(deliveryId) {
+        const delivery = this.deliveries(d => d.id === deliveryId)[0];
+        if (!delivery || delivery.status !== DELIVERY_STATUS.PENDING) return;
+        
+        const subscription = this.get(delivery.subscriptionId);
+        if (!subscription) {
+            this.updateDelivery(deliveryId, { status: DELIVERY_STATUS.CANCELLED, nextAttemptAt: null });
+            return;
+        }
+        
+        const body = JSON.stringify(delivery.event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        let outcome;
+        
+        try {
+            const response = await axios.post(subscription.url, body, {
+                timeout: this.timeout,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'unlimited-sms-gateway-webhooks',
+                    'X-Webhook-Id': delivery.event.id,
+                    'X-Webhook-Event': delivery.event.type,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+                }
+            });
+            
+            const ok = response.status >= 200 && response.status < 300;
+            outcome = {
+                success: ok,
+                statusCode: response.status,
+                error: ok ? null : `HTTP ${response.status}`,
+                permanent: response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)
+            };
+        } catch (error) {
+            outcome = { success: false, statusCode: null, error: error.code || error.message, permanent: false };
+        }
+        
+        const attempts = [...delivery.attempts, {
+            at: new Date(startedAt).toISOString(),
+            statusCode: outcome.statusCode,
+            error: outcome.error,
+            duration: Date.now() - startedAt
+        }];
+        
+        if (outcome.success) {
+            this.updateDelivery(deliveryId, { status: DELIVERY_STATUS.DELIVERED, attempts, nextAttemptAt: null });
+            return;
+        }
+        
+        const delay = nextRetryDelay(attempts.length, outcome, this.retry);
+        
+        if (delay === null) {
+            this.updateDelivery(deliveryId, { status: DELIVERY_STATUS.FAILED, attempts, nextAttemptAt: null });
+            this.logger.warn(`Webhook ${delivery.event.type} to ${subscription.url} failed after ${attempts.length} attempts: ${outcome.error}`);
+            return;
+        }
+        
+        this.updateDelivery(deliveryId, { attempts, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+        this.schedule(deliveryId, delay);
+    }
+    
+    updateDelivery(id, changes) {
+        return updateData(this.logName, (log) => {
+            const delivery = log.find(d => d.id === id);
+            if (delivery) Object.assign(delivery, changes);
+            return delivery || null;
+        });
+    }
+}
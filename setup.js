@@ -51,13 +51,34 @@ AUTO_RECOVERY=true
 AI_ENABLED=true
 AI_OPTIMIZATION_LEVEL=MAXIMUM
 
+# GSM Modem
+MODEM_ENABLED=false
+MODEM_PORT=/dev/ttyUSB0
+MODEM_BAUD_RATE=115200
+MODEM_PIN=
+
+# SMPP
+SMPP_ENABLED=false
+SMPP_URL=smpp://localhost:2775
+SMPP_SYSTEM_ID=
+SMPP_PASSWORD=
+SMPP_SOURCE_ADDR=
+
 # Logging
 LOG_LEVEL=info
 LOG_TO_FILE=true
 
 # Admin
-ADMIN_IDS=`;
-        
+ADMIN_IDS=
+REQUIRE_APPROVAL=true
+DEFAULT_ROLE=operator
+
+# HTTP API
+API_PORT=8080
+API_HOST=127.0.0.1
+# Public base URL for dashboard links, if behind a reverse proxy
+PUBLIC_URL=`;
+
         fs.writeFileSync('.env', envContent);
         console.log('✅ Created .env file');
         
@@ -0,0 +1,241 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createApiRouter } from '../lib/api.js';
+import { QuotaExceededError } from '../lib/limits.js';
+import { InsufficientCreditError } from '../lib/ledger.js';
+import { ERROR_CODES, STATUS } from '../config.js';
+
+// Keys of an operator (user 1), a viewer (user 2) and another operator (user 3)
+const KEYS = {
+    'op-key': { id: 'KEY_op', userId: 1 },
+    'viewer-key': { id: 'KEY_viewer', userId: 2 },
+    'other-key': { id: 'KEY_other', userId: 3 }
+};
+const ROLES_BY_USER = { 1: 'operator', 2: 'viewer', 3: 'operator' };
+const OPTED_OUT = '+923009999999';
+
+// Stands in for UnlimitedSMSGateway: validation like the bot's, in-memory scheduler and webhooks
+const gateway = {
+    systemStatus: 'OPERATIONAL',
+    queueError: null,
+    queued: [],
+    
+    roleOf: (userId) => ROLES_BY_USER[userId],
+    validatePhoneNumber: (phoneNumber) => /^\+\d{11,15}$/.test(phoneNumber)
+        ? { valid: true }
+        : { valid: false, message: '❌ Invalid phone number format' },
+    validateMessage: (message) => message.length > 0
+        ? { valid: true }
+        : { valid: false, message: '❌ Message cannot be empty' },
+    suppression: { has: (phoneNumber) => phoneNumber === OPTED_OUT },
+    
+    queueMessages(userId, entries, options = {}) {
+        if (this.queueError) throw this.queueError;
+        
+        return entries.map(({ phoneNumber, message }) => {
+            const item = { id: `Q${this.queued.length + 1}`, phoneNumber, message, userId, analysis: { encoding: 'GSM_7BIT', parts: 1 } };
+            this.queued.push({ item, options });
+            return { item, charge: { amount: -0.5 } };
+        });
+    },
+    
+    scheduler: {
+        jobs: new Map(),
+        get(id) {
+            return this.jobs.get(id) || null;
+        },
+        list(filter) {
+            return [...this.jobs.values()].filter(filter);
+        },
+        cancel(id) {
+            const job = this.jobs.get(id);
+            if (job.status !== 'PENDING') return null;
+            
+            job.status = 'CANCELLED';
+            return job;
+        }
+    },
+    
+    webhooks: {
+        subscriptions: new Map(),
+        get(id) {
+            return this.subscriptions.get(id) || null;
+        },
+        list(filter) {
+            return [...this.subscriptions.values()].filter(filter);
+        },
+        remove(id) {
+            this.subscriptions.delete(id);
+        },
+        deliveries: () => []
+    }
+};
+
+const keys = { authenticate: (key) => KEYS[key] || null };
+const logged = [];
+const logger = { error: (...args) => logged.push(args) };
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use('/api/v1', createApiRouter(gateway, keys, logger));
+    
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, { key = 'op-key', body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: {
+            ...(key ? { authorization: `Bearer ${key}` } : {}),
+            ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+            ...headers
+        },
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    
+    return { status: response.status, body: await response.json() };
+}
+
+test('authenticates by bearer token or X-API-Key and checks the key owner\'s role', async () => {
+    const missing = await request('POST', '/messages', { key: null, body: {} });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error.code, ERROR_CODES.UNAUTHORIZED);
+    
+    assert.equal((await request('POST', '/messages', { key: 'stolen', body: {} })).status, 401);
+    
+    const viewer = await request('POST', '/messages', { key: 'viewer-key', body: { to: '+923001234567', message: 'hi' } });
+    assert.equal(viewer.status, 403);
+    assert.equal(viewer.body.error.code, ERROR_CODES.FORBIDDEN);
+    
+    const headerKey = await request('GET', '/scheduled', { key: null, headers: { 'x-api-key': 'viewer-key' } });
+    assert.equal(headerKey.status, 200);
+    assert.deepEqual(headerKey.body, { scheduled: [] });
+});
+
+test('answers 503 while the gateway is not operational, except for /health', async () => {
+    gateway.systemStatus = 'RECOVERING';
+    
+    try {
+        const refused = await request('POST', '/messages', { body: { to: '+923001234567', message: 'hi' } });
+        assert.equal(refused.status, 503);
+        assert.equal(refused.body.error.code, ERROR_CODES.RECOVERY_IN_PROGRESS);
+        
+        assert.deepEqual(await request('GET', '/health', { key: null }), { status: 200, body: { status: 'RECOVERING' } });
+    } finally {
+        gateway.systemStatus = 'OPERATIONAL';
+    }
+});
+
+test('queues a message as the key owner and reports what it will cost', async () => {
+    const { status, body } = await request('POST', '/messages', { body: { to: '0092 300 1234567', message: 'hello' } });
+    
+    assert.equal(status, 202);
+    assert.deepEqual(body, { id: body.id, to: '+923001234567', status: STATUS.PENDING, encoding: 'GSM_7BIT', parts: 1, cost: 0.5 });
+    
+    const { item, options } = gateway.queued.at(-1);
+    assert.equal(item.id, body.id);
+    assert.equal(item.userId, 1);
+    assert.deepEqual(options, { reference: 'KEY_op' });
+});
+
+test('maps failures onto ERROR_CODES with the bot\'s wording minus its emoji', async () => {
+    const post = (body) => request('POST', '/messages', { body });
+    
+    assert.deepEqual(await post({ to: '12', message: 'hi' }), {
+        status: 400,
+        body: { error: { code: ERROR_CODES.INVALID_PHONE, message: 'Invalid phone number format' } }
+    });
+    assert.equal((await post({ to: '+923001234567', message: '' })).body.error.code, ERROR_CODES.INVALID_MESSAGE);
+    assert.equal((await post({ to: OPTED_OUT, message: 'hi' })).status, 422);
+    assert.equal((await request('POST', '/messages', { body: '{"to":' })).body.error.code, ERROR_CODES.INVALID_REQUEST);
+    
+    const resetAt = new Date('2026-11-01T00:00:00Z');
+    gateway.queueError = new QuotaExceededError({ window: 'day', limit: 100, resetAt });
+    const quota = await post({ to: '+923001234567', message: 'hi' });
+    assert.equal(quota.status, 429);
+    assert.deepEqual(quota.body.error, {
+        code: ERROR_CODES.QUOTA_EXCEEDED,
+        message: 'Daily quota of 100 messages reached',
+        window: 'day',
+        resetAt: resetAt.toISOString()
+    });
+    
+    gateway.queueError = new InsufficientCreditError(0.2, 0.5);
+    const credit = await post({ to: '+923001234567', message: 'hi' });
+    assert.equal(credit.status, 402);
+    assert.deepEqual([credit.body.error.code, credit.body.error.balance, credit.body.error.required], [ERROR_CODES.INSUFFICIENT_CREDIT, 0.2, 0.5]);
+    
+    // Anything unexpected is logged and not leaked
+    gateway.queueError = new Error('disk full at /var/lib/gateway');
+    const internal = await post({ to: '+923001234567', message: 'hi' });
+    gateway.queueError = null;
+    assert.deepEqual(internal, { status: 500, body: { error: { code: ERROR_CODES.SYSTEM_ERROR, message: 'Internal error' } } });
+    assert.equal(logged.at(-1)[1].message, 'disk full at /var/lib/gateway');
+    
+    assert.equal((await request('GET', '/nothing')).body.error.code, ERROR_CODES.NOT_FOUND);
+});
+
+test('queues the valid part of a bulk request and reports the rest by index', async () => {
+    const { status, body } = await request('POST', '/messages/bulk', {
+        body: {
+            messages: [
+                { to: '+923001234567', message: 'one' },
+                { to: 'nobody', message: 'two' },
+                { to: OPTED_OUT, message: 'three' },
+                { to: '+923001234568', message: 'four' }
+            ]
+        }
+    });
+    
+    assert.equal(status, 202);
+    assert.deepEqual(body.accepted.map(entry => [entry.index, entry.to]), [[0, '+923001234567'], [3, '+923001234568']]);
+    assert.deepEqual(body.rejected.map(entry => [entry.index, entry.to, entry.code]), [
+        [1, 'nobody', ERROR_CODES.INVALID_PHONE],
+        [2, OPTED_OUT, ERROR_CODES.OPTED_OUT]
+    ]);
+    assert.equal(gateway.queued.at(-1).options.bulk, true);
+    
+    const none = await request('POST', '/messages/bulk', { body: { messages: [{ to: 'nobody', message: 'x' }] } });
+    assert.equal(none.status, 400);
+    assert.equal(none.body.error.rejected.length, 1);
+    
+    assert.equal((await request('POST', '/messages/bulk', { body: { messages: [] } })).status, 400);
+});
+
+test('only lets a key cancel its owner\'s scheduled messages', async () => {
+    gateway.scheduler.jobs.set('SCH_1', { id: 'SCH_1', userId: 1, phoneNumber: '+923001234567', message: 'hi', status: 'PENDING' });
+    
+    const foreign = await request('DELETE', '/scheduled/SCH_1', { key: 'other-key' });
+    assert.equal(foreign.status, 404);
+    assert.equal(gateway.scheduler.jobs.get('SCH_1').status, 'PENDING');
+    
+    const cancelled = await request('DELETE', '/scheduled/SCH_1');
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.status, 'CANCELLED');
+    
+    const again = await request('DELETE', '/scheduled/SCH_1');
+    assert.equal(again.status, 409);
+    
+    assert.deepEqual((await request('GET', '/scheduled', { key: 'other-key' })).body, { scheduled: [] });
+});
+
+test('only lets a key see and remove its owner\'s webhooks', async () => {
+    gateway.webhooks.subscriptions.set('WH_1', { id: 'WH_1', userId: 1, url: 'https://example.com/hook', events: ['message.sent'], createdAt: '2026-10-19T00:00:00Z' });
+    
+    assert.equal((await request('GET', '/webhooks/WH_1/deliveries', { key: 'other-key' })).status, 404);
+    assert.equal((await request('DELETE', '/webhooks/WH_1', { key: 'other-key' })).status, 404);
+    assert.deepEqual((await request('GET', '/webhooks', { key: 'other-key' })).body, { webhooks: [] });
+    assert.ok(gateway.webhooks.get('WH_1'));
+    
+    assert.deepEqual((await request('GET', '/webhooks/WH_1/deliveries')).body, { deliveries: [] });
+    assert.equal((await request('DELETE', '/webhooks/WH_1')).status, 200);
+    assert.equal(gateway.webhooks.get('WH_1'), null);
+});
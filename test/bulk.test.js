@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitCsvRecords, detectDelimiter, parseCsvLine, parseBulkCsv, buildRecipientList } from '../lib/bulk.js';
+import { parseContactsCsv } from '../lib/contacts.js';
+import { parseSuppressionFile } from '../lib/suppression.js';
+
+const validate = (phoneNumber) => ({ valid: /^\+\d{11,15}$/.test(phoneNumber), country: 'PK' });
+
+test('detects one delimiter per document from its first record', () => {
+    assert.equal(detectDelimiter('phone,message\n+923001234567;hi'), ',');
+    assert.equal(detectDelimiter('\nphone;message;"a,b,c"\n'), ';');
+    assert.equal(detectDelimiter('+923001234567'), ',');
+});
+
+test('splits only on the given delimiter, up to a limit', () => {
+    assert.deepEqual(parseCsvLine('a;b,c', ';'), ['a', 'b,c']);
+    assert.deepEqual(parseCsvLine('"a ""x"", b",c'), ['a "x", b', 'c']);
+    assert.deepEqual(parseCsvLine('+923001234567, Hello, see you at 5, bye', ',', 2), ['+923001234567', 'Hello, see you at 5, bye']);
+});
+
+test('keeps a message with unquoted commas whole when it is the last column', () => {
+    const headerless = parseBulkCsv('+923001234567,Hello, world\n+923001234568,Hi');
+    assert.deepEqual(headerless.map(entry => entry.message), ['Hello, world', 'Hi']);
+    assert.ok(headerless.every(entry => entry.error === null));
+    
+    const [entry] = parseBulkCsv('name;phone;message\nAli;+923001234567;Price: 1,5 kg; pay today');
+    assert.equal(entry.phoneNumber, '+923001234567');
+    assert.equal(entry.message, 'Price: 1,5 kg; pay today');
+    assert.deepEqual(entry.fields, { name: 'Ali', phone: '+923001234567', message: 'Price: 1,5 kg; pay today' });
+});
+
+test('reports rows with more columns than the header instead of truncating them', () => {
+    const entries = parseBulkCsv('phone,message,name\n+923001234567,Hello {{name}},Ali\n+923001234568,Hello, Sara,Sara');
+    
+    assert.equal(entries[0].error, null);
+    assert.equal(entries[1].error, '4 columns, the header has 3');
+    
+    const { valid, invalid } = buildRecipientList(entries, validate);
+    assert.deepEqual(valid.map(recipient => recipient.phoneNumber), ['+923001234567']);
+    assert.deepEqual(invalid.map(entry => [entry.line, entry.reason]), [[3, '4 columns, the header has 3']]);
+});
+
+test('keeps line breaks inside quoted fields in one record', () => {
+    assert.deepEqual(splitCsvRecords('a,"b\r\nc"\r\nd,e'), [{ raw: 'a,"b\nc"', line: 1 }, { raw: 'd,e', line: 3 }]);
+    
+    const entries = parseBulkCsv('phone,message\n+923001234567,"Line one\nline two"\n+923001234568,Hi');
+    assert.deepEqual(entries.map(entry => [entry.phoneNumber, entry.message, entry.line, entry.error]), [
+        ['+923001234567', 'Line one\nline two', 2, null],
+        ['+923001234568', 'Hi', 4, null]
+    ]);
+    
+    const contacts = parseContactsCsv('name,phone\n"Ali\nKhan",+923001234567');
+    assert.deepEqual(contacts.map(contact => [contact.name, contact.phoneNumber]), [['Ali\nKhan', '+923001234567']]);
+    
+    assert.deepEqual(parseSuppressionFile('"note\n+923001234560",+923001234567'), ['+923001234567']);
+});
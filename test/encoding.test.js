@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    encodeGsm7, decodeGsm7, packSeptets, unpackSeptets, encodeUcs2, countUnits, detectEncoding,
+    segmentMessage, analyzeMessage, buildConcatenationHeader, buildSubmitPdu, parseDeliverPdu,
+    parseStatusReport, messageType, MESSAGE_TYPES
+} from '../lib/encoding.js';
+
+// Expected values are published examples or worked out by hand from 3GPP TS 23.038 / 23.040,
+// never produced by lib/encoding.js itself
+
+test('packs septets LSB first, with fill bits after a header', () => {
+    assert.equal(packSeptets(encodeGsm7('hellohello')).toString('hex').toUpperCase(), 'E8329BFD4697D9EC37');
+    assert.equal(packSeptets(encodeGsm7('12345678')).toString('hex').toUpperCase(), '31D98C56B3DD70');
+    assert.equal(packSeptets(encodeGsm7('hello'), 1).toString('hex').toUpperCase(), 'D06536FB0D');
+    
+    assert.deepEqual(unpackSeptets(Buffer.from('31D98C56B3DD70', 'hex'), 8), [0x31, 0x32, 0x33, 0x34, 0x35, 0x36, 0x37, 0x38]);
+    assert.equal(decodeGsm7(unpackSeptets(Buffer.from('D06536FB0D', 'hex'), 5, 1)), 'hello');
+});
+
+test('sends extension table characters as ESC plus septet and counts them twice', () => {
+    assert.deepEqual(encodeGsm7('[€]'), [0x1B, 0x3C, 0x1B, 0x65, 0x1B, 0x3E]);
+    assert.deepEqual(encodeGsm7('{}\\^~|\f'), [0x1B, 0x28, 0x1B, 0x29, 0x1B, 0x2F, 0x1B, 0x14, 0x1B, 0x3D, 0x1B, 0x40, 0x1B, 0x0A]);
+    assert.equal(packSeptets(encodeGsm7('hello[€')).toString('hex').toUpperCase(), 'E8329BFDDEF03665');
+    assert.equal(decodeGsm7([0x1B, 0x65, 0x00, 0x01]), '€@£');
+    
+    assert.equal(countUnits('hello€'), 7);
+    assert.equal(detectEncoding('Price: 5€ [net]'), 'GSM_7BIT');
+});
+
+test('falls back to UCS-2 for anything outside GSM 03.38, surrogate pairs as two units', () => {
+    assert.equal(detectEncoding('Привет'), 'UCS2');
+    assert.equal(encodeUcs2('Привет').toString('hex').toUpperCase(), '041F04400438043204350442');
+    assert.equal(encodeUcs2('😀').toString('hex').toUpperCase(), 'D83DDE00');
+    assert.equal(countUnits('a😀', 'UCS2'), 3);
+    
+    // Backtick is not in the default alphabet either
+    assert.equal(detectEncoding('`'), 'UCS2');
+});
+
+test('splits at 160/153 septets and 70/67 UCS-2 units, 152/66 with 16-bit references', () => {
+    const parts = (text, referenceBits) => analyzeMessage(text, referenceBits).parts;
+    
+    assert.deepEqual([160, 161, 306, 307].map(length => parts('a'.repeat(length))), [1, 2, 2, 3]);
+    assert.deepEqual([70, 71, 134, 135].map(length => parts('я'.repeat(length))), [1, 2, 2, 3]);
+    assert.deepEqual([304, 305].map(length => parts('a'.repeat(length), 16)), [2, 3]);
+    assert.deepEqual([132, 133].map(length => parts('я'.repeat(length), 16)), [2, 3]);
+    
+    // An escaped character counts twice towards the single-part limit too
+    assert.equal(parts('a'.repeat(159) + '€'), 2);
+});
+
+test('never splits an escape sequence or a surrogate pair across segments', () => {
+    const gsm = segmentMessage('a'.repeat(152) + '€' + 'b'.repeat(10));
+    assert.deepEqual(gsm.map(segment => countUnits(segment, 'GSM_7BIT')), [152, 12]);
+    assert.ok(gsm[1].startsWith('€'));
+    
+    const ucs2 = segmentMessage('я'.repeat(66) + '😀' + 'я'.repeat(10));
+    assert.deepEqual(ucs2.map(segment => segment.length), [66, 12]);
+    assert.ok(ucs2[1].startsWith('😀'));
+});
+
+test('builds 8- and 16-bit concatenation headers', () => {
+    assert.equal(buildConcatenationHeader(0x2A, 3, 1).toString('hex').toUpperCase(), '0500032A0301');
+    assert.equal(buildConcatenationHeader(0x1234, 2, 2, 16).toString('hex').toUpperCase(), '06080412340202');
+    assert.equal(buildConcatenationHeader(0x1FF, 2, 1).toString('hex').toUpperCase(), '050003FF0201');
+});
+
+test('builds SMS-SUBMIT PDUs', () => {
+    assert.deepEqual(buildSubmitPdu({ phoneNumber: '+46708251358', text: 'hellohello', validityMinutes: 5760 }), {
+        pdu: '0011000B916407281553F80000AA0AE8329BFD4697D9EC37',
+        length: 23
+    });
+    
+    // UDHI and TP-SRR set; the text starts after one fill bit
+    assert.equal(buildSubmitPdu({
+        phoneNumber: '+923001234567',
+        text: 'hello',
+        udh: buildConcatenationHeader(0x2A, 2, 1),
+        statusReport: true
+    }).pdu, '0071000C912903103254760000A70C0500032A0201D06536FB0D');
+    
+    assert.equal(buildSubmitPdu({
+        phoneNumber: '+923001234567',
+        text: 'Hi',
+        encoding: 'UCS2',
+        udh: buildConcatenationHeader(0x1234, 2, 1, 16)
+    }).pdu, '0051000C912903103254760008A70B0608041234020100480069');
+});
+
+test('parses SMS-DELIVER PDUs, including concatenated ones', () => {
+    const plain = parseDeliverPdu('07917283010010F5040BC87238880900F10000993092516195800AE8329BFD4697D9EC37');
+    assert.equal(plain.sender, '27838890001');
+    assert.equal(plain.text, 'hellohello');
+    assert.equal(plain.concat, null);
+    
+    const gsm = parseDeliverPdu('00440C912903103254760000421091214300000C0500032A0201D06536FB0D');
+    assert.equal(gsm.sender, '+923001234567');
+    assert.equal(gsm.text, 'hello');
+    assert.deepEqual(gsm.concat, { reference: 0x2A, total: 2, sequence: 1 });
+    
+    const ucs2 = parseDeliverPdu('00440C912903103254760008421091214300000B0608041234020100480069');
+    assert.equal(ucs2.encoding, 'UCS2');
+    assert.equal(ucs2.text, 'Hi');
+    assert.deepEqual(ucs2.concat, { reference: 0x1234, total: 2, sequence: 1 });
+    
+    assert.throws(() => parseDeliverPdu('0011000B916407281553F80000AA0AE8329BFD4697D9EC37'), /Not an SMS-DELIVER/);
+});
+
+test('parses SMS-STATUS-REPORT PDUs behind an SMSC address', () => {
+    const hex = '07911326040000F006450B911326880736F4111011719551401110117195514000';
+    
+    assert.equal(messageType(hex), MESSAGE_TYPES.STATUS_REPORT);
+    assert.deepEqual(parseStatusReport(hex), {
+        messageReference: 0x45,
+        recipient: '+31628870634',
+        serviceCentreTime: new Date('2011-01-11T17:59:15+01:00'),
+        dischargeTime: new Date('2011-01-11T17:59:15+01:00'),
+        status: 0x00
+    });
+});
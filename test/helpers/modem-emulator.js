@@ -0,0 +1,150 @@
+import { EventEmitter } from 'events';
+
+// GSM modem emulator standing in for the far end of a pseudo-terminal. It is passed to GsmModem
+// as its port: writes are parsed as AT commands and answers come back as 'data' events, split
+// the way a serial line delivers them. Answers can be scripted per command, and unsolicited
+// result codes pushed at any time.
+export class ModemEmulator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.isOpen = true;
+        this.echo = options.echo ?? true;
+        this.operator = options.operator || 'Jazz';
+        this.csq = options.csq ?? 21;
+        this.creg = options.creg ?? 1;
+        this.pinState = options.pinState || 'READY';
+        
+        this.commands = [];
+        this.submitted = [];
+        this.stored = new Map();
+        this.scripted = [];
+        this.nextReference = 1;
+        
+        this.input = '';
+        this.pendingSubmit = null;
+    }
+    
+    // The next command starting with `prefix` is answered with `lines` instead of the default;
+    // 'PDU' answers the next PDU written after an AT+CMGS prompt
+    script(prefix, lines) {
+        this.scripted.push({ prefix, lines });
+    }
+    
+    // A message waiting on the SIM, as listed by AT+CMGL and read by AT+CMGR
+    store(index, pdu) {
+        this.stored.set(index, pdu);
+    }
+    
+    unsolicited(...lines) {
+        this.send(lines.map(line => `\r\n${line}\r\n`).join(''));
+    }
+    
+    send(text) {
+        setImmediate(() => {
+            if (this.isOpen) this.emit('data', Buffer.from(text));
+        });
+    }
+    
+    reply(lines) {
+        this.send(lines.map(line => `\r\n${line}\r\n`).join(''));
+    }
+    
+    write(data) {
+        this.input += data.toString();
+        
+        for (;;) {
+            if (this.pendingSubmit) {
+                const end = this.input.indexOf('\x1A');
+                if (end === -1) return true;
+                
+                const pdu = this.input.substring(0, end);
+                this.input = this.input.substring(end + 1);
+                this.finishSubmit(pdu);
+                continue;
+            }
+            
+            const end = this.input.indexOf('\r');
+            if (end === -1) return true;
+            
+            const command = this.input.substring(0, end).trim();
+            this.input = this.input.substring(end + 1);
+            if (command) this.handleCommand(command);
+        }
+    }
+    
+    handleCommand(command) {
+        this.commands.push(command);
+        if (this.echo) this.send(`${command}\r`);
+        
+        const index = this.scripted.findIndex(entry => command.startsWith(entry.prefix));
+        if (index !== -1) {
+            const [{ lines }] = this.scripted.splice(index, 1);
+            this.reply(lines);
+            return;
+        }
+        
+        if (command.startsWith('AT+CMGS=')) {
+            // The prompt has no line terminator
+            this.pendingSubmit = { length: parseInt(command.substring(8), 10) };
+            this.send('\r\n> ');
+            return;
+        }
+        
+        this.reply(this.answer(command));
+    }
+    
+    answer(command) {
+        if (command === 'ATE0') {
+            this.echo = false;
+            return ['OK'];
+        }
+        
+        if (command === 'AT+CPIN?') return [`+CPIN: ${this.pinState}`, 'OK'];
+        if (command === 'AT+CSQ') return [`+CSQ: ${this.csq},99`, 'OK'];
+        if (command === 'AT+CREG?') return [`+CREG: 0,${this.creg}`, 'OK'];
+        if (command === 'AT+COPS?') return [`+COPS: 0,0,"${this.operator}"`, 'OK'];
+        
+        if (command === 'AT+CMGL=4') {
+            const lines = [];
+            this.stored.forEach((pdu, index) => lines.push(`+CMGL: ${index},0,,${pdu.length / 2 - 1}`, pdu));
+            return [...lines, 'OK'];
+        }
+        
+        if (command.startsWith('AT+CMGR=')) {
+            const pdu = this.stored.get(parseInt(command.substring(8), 10));
+            return pdu ? [`+CMGR: 0,,${pdu.length / 2 - 1}`, pdu, 'OK'] : ['+CMS ERROR: 321'];
+        }
+        
+        if (command.startsWith('AT+CMGD=')) {
+            this.stored.delete(parseInt(command.substring(8), 10));
+            return ['OK'];
+        }
+        
+        return command.startsWith('AT') ? ['OK'] : ['ERROR'];
+    }
+    
+    finishSubmit(pdu) {
+        const { length } = this.pendingSubmit;
+        this.pendingSubmit = null;
+        
+        const index = this.scripted.findIndex(entry => entry.prefix === 'PDU');
+        if (index !== -1) {
+            const [{ lines }] = this.scripted.splice(index, 1);
+            this.reply(lines);
+            return;
+        }
+        
+        const reference = this.nextReference++;
+        this.submitted.push({ pdu, length, reference });
+        this.reply([`+CMGS: ${reference}`, 'OK']);
+    }
+    
+    close(callback) {
+        this.isOpen = false;
+        setImmediate(() => {
+            this.emit('close');
+            if (callback) callback();
+        });
+    }
+}
@@ -0,0 +1,112 @@
+import { EventEmitter } from 'events';
+import smpp from 'smpp';
+
+// Local SMSC for the SMPP transport: accepts transceiver binds, answers enquire_link and
+// submit_sm, and can hold back responses, throttle, drop the link or send delivery receipts.
+export class SmscStub extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.systemId = options.systemId || 'gateway';
+        this.password = options.password || 'secret';
+        
+        // When set, submit_sm_resp waits for release()
+        this.holdResponses = false;
+        // When set, unbind goes unanswered and the link stays open
+        this.ignoreUnbind = false;
+        
+        this.binds = [];
+        this.enquireLinks = 0;
+        this.submits = [];
+        this.held = [];
+        this.statuses = [];
+        this.sessions = new Set();
+        this.nextMessageId = 1;
+        
+        this.server = smpp.createServer(session => this.accept(session));
+    }
+    
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `smpp://127.0.0.1:${this.server.address().port}`;
+            resolve(this.url);
+        }));
+    }
+    
+    accept(session) {
+        this.sessions.add(session);
+        session.on('close', () => this.sessions.delete(session));
+        session.on('error', () => {});
+        
+        session.on('bind_transceiver', (pdu) => {
+            this.binds.push(pdu);
+            const ok = pdu.system_id === this.systemId && pdu.password === this.password;
+            
+            session.send(pdu.response({ command_status: ok ? smpp.ESME_ROK : smpp.ESME_RBINDFAIL }));
+            this.emit('bind', pdu, ok);
+        });
+        
+        session.on('enquire_link', (pdu) => {
+            this.enquireLinks++;
+            session.send(pdu.response());
+            this.emit('enquire_link');
+        });
+        
+        session.on('unbind', (pdu) => {
+            if (this.ignoreUnbind) return;
+            
+            session.send(pdu.response());
+            session.close();
+        });
+        
+        session.on('submit_sm', (pdu) => {
+            this.submits.push(pdu);
+            
+            const respond = () => {
+                const status = this.statuses.length > 0 ? this.statuses.shift() : smpp.ESME_ROK;
+                const messageId = status === smpp.ESME_ROK ? `MSG${this.nextMessageId++}` : '';
+                
+                session.send(pdu.response({ command_status: status, message_id: messageId }));
+                this.emit('submit_resp', pdu, status, messageId);
+            };
+            
+            this.emit('submit', pdu);
+            
+            if (this.holdResponses) {
+                this.held.push(respond);
+            } else {
+                respond();
+            }
+        });
+    }
+    
+    // Status for the next submit_sm responses, in order; ESME_ROK afterwards
+    respondWith(...statuses) {
+        this.statuses.push(...statuses);
+    }
+    
+    // Answers `count` held submit_sm (all when omitted)
+    release(count = this.held.length) {
+        this.held.splice(0, count).forEach(respond => respond());
+    }
+    
+    // Drops every connection without an unbind, as a network failure would
+    dropConnections() {
+        this.sessions.forEach(session => session.socket.destroy());
+    }
+    
+    deliverReceipt(messageId, stat, recipient = '923001234567') {
+        const [session] = this.sessions;
+        
+        session.deliver_sm({
+            source_addr: recipient,
+            esm_class: smpp.ESM_CLASS.MC_DELIVERY_RECEIPT,
+            short_message: `id:${messageId} sub:001 dlvrd:001 submit date:2401191234 done date:2401191235 stat:${stat} err:000 text:`
+        });
+    }
+    
+    close() {
+        this.dropConnections();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Ledger } from '../lib/ledger.js';
+
+const workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'sgw-ledger-'));
+const cwd = process.cwd();
+
+before(() => {
+    // data/ is relative to the working directory
+    process.chdir(workdir);
+    fs.mkdirSync('data');
+});
+
+after(() => {
+    process.chdir(cwd);
+    fs.rmSync(workdir, { recursive: true, force: true });
+});
+
+const charge = (phoneNumber) => ({ phoneNumber, encoding: 'GSM7', segments: 1, rate: 0.5, amount: 0.5 });
+
+test('appends one journal line per entry and replays them on load', () => {
+    const ledger = new Ledger('appends');
+    ledger.topUp(1, 10);
+    const [debit] = ledger.debit(1, [charge('+923001234567'), charge('+923001234568')]);
+    ledger.refund(debit.id, 'Delivery report: FAILED');
+    
+    assert.equal(fs.readFileSync('data/appends.journal', 'utf8').trim().split('\n').length, 4);
+    assert.equal(ledger.refund(debit.id), null);
+    
+    const reloaded = new Ledger('appends');
+    assert.deepEqual(reloaded.summary(1), { balance: 9.5, messages: 1, segments: 1 });
+    assert.equal(reloaded.refund(debit.id), null);
+});
+
+test('drops a torn last line before appending behind it', () => {
+    const ledger = new Ledger('torn');
+    ledger.topUp(1, 10);
+    fs.appendFileSync('data/torn.journal', '{"id":"LED_torn","type":"TOP');
+    
+    const reloaded = new Ledger('torn');
+    reloaded.topUp(1, 5);
+    
+    assert.equal(new Ledger('torn').balance(1), 15);
+});
+
+test('converts an existing ledger.json into the journal', () => {
+    const entries = [{ id: 'LED_1', at: '2026-01-01T00:00:00.000Z', type: 'TOPUP', userId: 1, amount: 3, balance: 3 }];
+    fs.writeFileSync('data/legacy.json', JSON.stringify(entries));
+    
+    const ledger = new Ledger('legacy');
+    ledger.topUp(1, 2);
+    
+    assert.equal(ledger.balance(1), 5);
+    assert.ok(!fs.existsSync('data/legacy.json'));
+    assert.ok(fs.existsSync('data/legacy.json.migrated'));
+    assert.equal(new Ledger('legacy').balance(1), 5);
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { QuotaTracker, QuotaExceededError, DestinationThrottle } from '../lib/limits.js';
+
+const workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'sgw-limits-'));
+const cwd = process.cwd();
+
+before(() => {
+    // data/ is relative to the working directory
+    process.chdir(workdir);
+    fs.mkdirSync('data');
+});
+
+after(() => {
+    process.chdir(cwd);
+    fs.rmSync(workdir, { recursive: true, force: true });
+});
+
+test('only the per-minute quota is a temporary failure', () => {
+    const resetAt = new Date();
+    
+    assert.equal(new QuotaExceededError({ window: 'minute', limit: 10, resetAt }).permanent, false);
+    assert.equal(new QuotaExceededError({ window: 'day', limit: 100, resetAt }).permanent, true);
+    assert.equal(new QuotaExceededError({ window: 'month', limit: 1000, resetAt }).permanent, true);
+});
+
+test('gives back quota consumed for a message that never went out', () => {
+    const quotas = new QuotaTracker({ limitsFor: () => ({ minute: 2, day: null, month: null }) });
+    const now = new Date('2024-01-19T12:30:10Z');
+    
+    quotas.consume(7, 2, ['minute'], now);
+    assert.equal(quotas.check(7, 1, ['minute'], now).window, 'minute');
+    
+    quotas.release(7, 1, ['minute'], now);
+    assert.equal(quotas.check(7, 1, ['minute'], now), null);
+    
+    // A window that has rolled over is left alone
+    const later = new Date('2024-01-19T12:31:05Z');
+    quotas.consume(7, 1, ['minute'], later);
+    quotas.release(7, 1, ['minute'], now);
+    assert.equal(quotas.usage(7, later).minute, 1);
+});
+
+test('releases a destination slot reserved for a send that failed', () => {
+    const throttle = new DestinationThrottle({ minInterval: 60000 });
+    
+    assert.equal(throttle.reserve('+923001234567', 1000), 0);
+    assert.equal(throttle.reserve('+923001234567', 2000), 59000);
+    
+    throttle.release('+923001234567', 1000);
+    assert.equal(throttle.reserve('+923001234567', 2000), 0);
+});
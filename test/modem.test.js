@@ -0,0 +1,249 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { GsmModem, ModemTransport, ModemError } from '../lib/transports/modem.js';
+import { config, STATUS } from '../config.js';
+import { ModemEmulator } from './helpers/modem-emulator.js';
+
+// SMS-STATUS-REPORT for reference 42 to +923001234567, delivered
+const STATUS_REPORT_PDU = '00062A0C91290310325476421091214300004210912143100000';
+
+// SMS-DELIVER from +923001234567 reading "hello"
+const DELIVER_PDU = '00040C9129031032547600004210912143000005E8329BFD06';
+
+async function openModem(options = {}) {
+    const emulator = new ModemEmulator(options);
+    const modem = new GsmModem({ port: emulator, commandTimeout: 1000, sendTimeout: 1000 });
+    
+    await modem.open();
+    return { emulator, modem };
+}
+
+test('runs the AT init sequence and reads signal, registration and operator', async () => {
+    const { emulator, modem } = await openModem();
+    
+    assert.deepEqual(emulator.commands, [
+        'AT', 'ATE0', 'AT+CMEE=1', 'AT+CPIN?', 'AT+CMGF=0', 'AT+CSCS="GSM"', 'AT+CNMI=2,1,0,1,0',
+        'AT+CSQ', 'AT+CREG?', 'AT+COPS?'
+    ]);
+    assert.equal(modem.isReady, true);
+    assert.deepEqual(modem.signal, { rssi: 21, dbm: -71 });
+    assert.equal(modem.registration, 'HOME');
+    assert.equal(modem.operator, 'Jazz');
+    
+    await modem.close();
+});
+
+test('unlocks the SIM with the configured PIN and refuses a locked one without it', async () => {
+    const emulator = new ModemEmulator({ pinState: 'SIM PIN' });
+    const modem = new GsmModem({ port: emulator, pin: '1234', commandTimeout: 1000 });
+    
+    await modem.open();
+    assert.ok(emulator.commands.includes('AT+CPIN=1234'));
+    await modem.close();
+    
+    const locked = new GsmModem({ port: new ModemEmulator({ pinState: 'SIM PUK' }), commandTimeout: 1000 });
+    await assert.rejects(locked.open(), { name: 'ModemError', code: 311 });
+});
+
+test('falls back to stored status reports when +CDS routing is unsupported', async () => {
+    const emulator = new ModemEmulator();
+    emulator.script('AT+CNMI=2,1,0,1,0', ['+CMS ERROR: 303']);
+    
+    const modem = new GsmModem({ port: emulator, commandTimeout: 1000 });
+    await modem.open();
+    
+    assert.ok(emulator.commands.includes('AT+CNMI=2,1,0,2,0'));
+    await modem.close();
+});
+
+test('writes the PDU after the AT+CMGS prompt and returns the message reference', async () => {
+    const { emulator, modem } = await openModem();
+    emulator.nextReference = 57;
+    
+    const result = await modem.sendPDU('0011000C9129031032547600000B05E8329BFD06', 19);
+    
+    assert.deepEqual(result, { messageReference: 57 });
+    assert.equal(emulator.commands.at(-1), 'AT+CMGS=19');
+    assert.deepEqual(emulator.submitted, [{ pdu: '0011000C9129031032547600000B05E8329BFD06', length: 19, reference: 57 }]);
+    
+    await modem.close();
+});
+
+test('turns +CMS ERROR into a ModemError, permanent only for message rejections', async () => {
+    const { emulator, modem } = await openModem();
+    
+    emulator.script('PDU', ['+CMS ERROR: 42']);
+    await assert.rejects(modem.sendPDU('00', 1), (error) => {
+        assert.ok(error instanceof ModemError);
+        assert.equal(error.code, 42);
+        assert.equal(error.permanent, false);
+        assert.match(error.message, /Congestion/);
+        return true;
+    });
+    
+    emulator.script('PDU', ['+CMS ERROR: 96']);
+    await assert.rejects(modem.sendPDU('00', 1), { code: 96, permanent: true });
+    
+    // The modem keeps working after an error
+    assert.deepEqual(await modem.sendPDU('00', 1), { messageReference: 1 });
+    
+    await modem.close();
+});
+
+test('times out a command the modem never answers', async () => {
+    const { emulator, modem } = await openModem();
+    emulator.script('AT+CSQ', []);
+    
+    await assert.rejects(modem.command('AT+CSQ', { timeout: 50 }), { code: 'TIMEOUT' });
+    
+    await modem.close();
+});
+
+test('parses an unsolicited +CDS status report', async () => {
+    const { emulator, modem } = await openModem();
+    const report = once(modem, 'status_report');
+    
+    emulator.unsolicited('+CDS: 25', STATUS_REPORT_PDU);
+    const [parsed] = await report;
+    
+    assert.equal(parsed.messageReference, 42);
+    assert.equal(parsed.recipient, '+923001234567');
+    assert.equal(parsed.status, 0);
+    
+    await modem.close();
+});
+
+test('handles unsolicited codes arriving in the middle of a command', async () => {
+    const { emulator, modem } = await openModem();
+    const report = once(modem, 'status_report');
+    
+    emulator.script('AT+CSQ', ['+CDS: 25', STATUS_REPORT_PDU, '+CSQ: 9,99', 'OK']);
+    const status = await modem.refreshStatus();
+    const [parsed] = await report;
+    
+    assert.deepEqual(status.signal, { rssi: 9, dbm: -95 });
+    assert.equal(parsed.messageReference, 42);
+    
+    await modem.close();
+});
+
+test('reads and deletes a message announced by +CMTI', async () => {
+    const { emulator, modem } = await openModem();
+    const received = once(modem, 'message');
+    
+    emulator.store(3, DELIVER_PDU);
+    emulator.unsolicited('+CMTI: "SM",3');
+    const [message] = await received;
+    
+    assert.equal(message.sender, '+923001234567');
+    assert.equal(message.text, 'hello');
+    
+    // AT+CMGD is queued behind AT+CMGR
+    await modem.command('AT');
+    assert.deepEqual(emulator.commands.slice(-3), ['AT+CMGR=3', 'AT+CMGD=3', 'AT']);
+    assert.equal(emulator.stored.size, 0);
+    
+    await modem.close();
+});
+
+test('hands stored status reports to status_report and leaves PDUs it cannot read on the SIM', async () => {
+    const { emulator, modem } = await openModem();
+    const messages = [];
+    const reports = [];
+    modem.on('message', message => messages.push(message));
+    modem.on('status_report', report => reports.push(report));
+    
+    emulator.store(1, DELIVER_PDU);
+    emulator.store(2, STATUS_REPORT_PDU);
+    // An SMS-SUBMIT saved on the SIM, listed by AT+CMGL=4 as well
+    emulator.store(3, '0011000B916407281553F80000AA0AE8329BFD4697D9EC37');
+    
+    await modem.readAllStoredMessages();
+    
+    assert.deepEqual(messages.map(message => message.text), ['hello']);
+    assert.deepEqual(reports.map(report => [report.messageReference, report.status]), [[42, 0]]);
+    assert.deepEqual([...emulator.stored.keys()], [3]);
+    
+    await modem.close();
+});
+
+test('ModemTransport sends concatenated segments and reports deliveries and inbound SMS', async () => {
+    const emulator = new ModemEmulator();
+    const transport = new ModemTransport('modem', { createPort: () => emulator, deliveryReports: true });
+    
+    const ready = once(transport, 'ready');
+    await transport.start();
+    const [health] = await ready;
+    assert.equal(health.healthy, true);
+    assert.equal(health.operator, 'Jazz');
+    
+    emulator.nextReference = 41;
+    const result = await transport.send({ phoneNumber: '+923001234567', message: 'x'.repeat(200), encoding: 'GSM_7BIT' });
+    
+    assert.equal(emulator.submitted.length, 2);
+    assert.deepEqual(result.segments, [
+        { sequence: 1, messageReference: 41, status: STATUS.SENT },
+        { sequence: 2, messageReference: 42, status: STATUS.SENT }
+    ]);
+    assert.equal(typeof result.concatReference, 'number');
+    assert.equal(result.network, 'Jazz');
+    
+    const delivered = once(transport, 'delivery_report');
+    emulator.unsolicited('+CDS: 25', STATUS_REPORT_PDU);
+    assert.deepEqual((await delivered)[0], { status: STATUS.DELIVERED, recipient: '+923001234567', messageReference: 42 });
+    
+    const inbound = once(transport, 'inbound_sms');
+    emulator.store(1, DELIVER_PDU);
+    emulator.unsolicited('+CMTI: "SM",1');
+    const [message] = await inbound;
+    assert.equal(message.from, '+923001234567');
+    assert.equal(message.text, 'hello');
+    
+    // Let AT+CMGD finish before the port closes
+    await transport.modem.command('AT');
+    assert.equal(emulator.stored.size, 0);
+    
+    await transport.stop();
+});
+
+test('ModemTransport resumes a partly sent message with its reference and only the missing segments', async () => {
+    const emulator = new ModemEmulator();
+    const transport = new ModemTransport('modem', { createPort: () => emulator });
+    
+    const ready = once(transport, 'ready');
+    await transport.start();
+    await ready;
+    
+    const message = { phoneNumber: '+923001234567', message: 'x'.repeat(200), encoding: 'GSM_7BIT' };
+    emulator.script('PDU', ['+CMGS: 41', 'OK']);
+    emulator.script('PDU', ['+CMS ERROR: 42']);
+    
+    const error = await transport.send(message).catch(error => error);
+    assert.equal(error.name, 'PartialSubmitError');
+    assert.equal(error.code, 42);
+    assert.equal(error.permanent, false);
+    assert.deepEqual(error.partial.segments, [{ sequence: 1, messageReference: 41, status: STATUS.SENT }]);
+    assert.equal(error.partial.transport, 'modem');
+    
+    emulator.nextReference = 42;
+    const result = await transport.send({ ...message, resume: error.partial });
+    
+    // Part 2 of 2 under the same 8-bit reference: the remaining 47 septets after one fill bit
+    const reference = error.partial.concatReference.toString(16).toUpperCase().padStart(2, '0');
+    const pdu = `0051000C912903103254760000A736050003${reference}0202` +
+        'F0783C1E8FC7E3' + 'F1783C1E8FC7E3'.repeat(4) + 'F1783C1E8FC703';
+    
+    assert.equal(config.SMS_SETTINGS.CONCAT_REFERENCE_BITS, 8);
+    assert.deepEqual(emulator.submitted.map(submitted => submitted.pdu), [pdu]);
+    assert.equal(result.concatReference, error.partial.concatReference);
+    assert.deepEqual(result.segments.map(segment => segment.messageReference), [41, 42]);
+    
+    await transport.stop();
+});
+
+test('ModemTransport refuses to send while disconnected', async () => {
+    const transport = new ModemTransport('modem', {});
+    
+    await assert.rejects(transport.send({ phoneNumber: '+923001234567', message: 'hi', encoding: 'GSM_7BIT' }), { code: 'NOT_CONNECTED' });
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TransmissionQueue } from '../lib/queue.js';
+
+function openQueue(options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sgw-queue-'));
+    const queue = new TransmissionQueue({ file: path.join(dir, 'queue.journal'), pollInterval: 10, ...options });
+    
+    queue.open();
+    return { queue, dir };
+}
+
+function close({ queue, dir }) {
+    queue.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function worker(assign, handled = [], concurrency = 1) {
+    return {
+        assign,
+        transports: () => ['modem'],
+        concurrency: () => concurrency,
+        handle: (item) => {
+            handled.push(item.id);
+            return { success: true };
+        },
+        retry: () => null
+    };
+}
+
+test('fails an item no transport could take for longer than noRouteTimeout', async () => {
+    const opened = openQueue({ noRouteTimeout: 50 });
+    const { queue } = opened;
+    
+    const item = queue.enqueue({ phoneNumber: '+923001234567', message: 'hi' });
+    const failed = once(queue, 'failed');
+    const started = Date.now();
+    
+    queue.start(worker(() => ({ transport: null, reason: 'no transports configured' })));
+    const [failedItem, error] = await failed;
+    
+    assert.equal(failedItem.id, item.id);
+    assert.equal(error.code, 'NO_ROUTE');
+    assert.equal(error.permanent, true);
+    assert.match(error.message, /no transports configured/);
+    assert.ok(Date.now() - started >= 50);
+    assert.equal(queue.get(item.id), null);
+    
+    close(opened);
+});
+
+test('keeps an item whose route comes back in time', async () => {
+    const opened = openQueue({ noRouteTimeout: 100 });
+    const { queue } = opened;
+    const handled = [];
+    let routable = false;
+    
+    queue.on('failed', () => assert.fail('item failed'));
+    const item = queue.enqueue({ phoneNumber: '+923001234567', message: 'hi' });
+    const completed = once(queue, 'completed');
+    
+    queue.start(worker(() => routable ? { transport: 'modem' } : { transport: null, reason: 'modem unhealthy' }, handled));
+    setTimeout(() => routable = true, 40);
+    
+    await completed;
+    assert.deepEqual(handled, [item.id]);
+    assert.equal(queue.unroutable.size, 0);
+    
+    close(opened);
+});
+
+test('routes each item about once when thousands are enqueued on a running worker', async () => {
+    const opened = openQueue({ compactThreshold: 100000 });
+    const { queue } = opened;
+    const handled = [];
+    const count = 3000;
+    let assigned = 0;
+    
+    queue.start(worker(() => {
+        assigned++;
+        return { transport: 'modem' };
+    }, handled, 4));
+    
+    for (let i = 0; i < count; i++) {
+        queue.enqueue({ phoneNumber: `+92300${String(i).padStart(7, '0')}`, message: 'hi' });
+    }
+    
+    while (handled.length < count) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    
+    assert.equal(new Set(handled).size, count);
+    assert.ok(assigned <= count + 10, `${assigned} routing calls for ${count} items`);
+    
+    close(opened);
+});
+
+test('journals a batch with one fsync and hands it out in order', async () => {
+    const opened = openQueue();
+    const { queue } = opened;
+    const entries = Array.from({ length: 1000 }, (_, i) => ({ phoneNumber: `+92300${String(i).padStart(7, '0')}`, message: 'hi' }));
+    
+    const fsync = fs.fsyncSync;
+    let fsyncs = 0;
+    fs.fsyncSync = (fd) => {
+        fsyncs++;
+        return fsync(fd);
+    };
+    
+    let items;
+    try {
+        items = queue.enqueueMany(entries);
+    } finally {
+        fs.fsyncSync = fsync;
+    }
+    
+    assert.equal(fsyncs, 1);
+    assert.deepEqual(items.map(item => item.phoneNumber), entries.map(entry => entry.phoneNumber));
+    
+    // Replayed from the journal in the same order
+    queue.stop();
+    const reopened = new TransmissionQueue({ file: queue.file, pollInterval: 10 });
+    assert.equal(reopened.open(), 1000);
+    
+    const handled = [];
+    reopened.start(worker(() => ({ transport: 'modem' }), handled));
+    while (handled.length < 1000) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    
+    assert.deepEqual(handled, items.map(item => item.id));
+    
+    close({ ...opened, queue: reopened });
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTimes, nextOccurrences, parseRecurrence } from '../lib/recurrence.js';
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+test('parses cron fields with ranges, steps, lists and names', () => {
+    const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+    
+    assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+    assert.deepEqual(cron.hours, [9, 13, 17]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, true);
+    
+    // 7 is Sunday as well as 0
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+    
+    assert.throws(() => parseCron('0 9 * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute value 60 is outside 0-59/);
+    assert.throws(() => parseCron('0 17-9 * * *'), /Invalid hour range/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid step/);
+    assert.throws(() => parseCron('0 9 * * someday'), /Invalid day of week value/);
+});
+
+test('finds the next fire times in the schedule\'s zone', () => {
+    // Friday 10:00 in Karachi: weekday mornings continue on Monday
+    assert.deepEqual(iso(nextCronTimes('0 9 * * 1-5', 'Asia/Karachi', new Date('2026-10-16T05:00:00Z'), 3)), [
+        '2026-10-19T04:00:00.000Z', '2026-10-20T04:00:00.000Z', '2026-10-21T04:00:00.000Z'
+    ]);
+    
+    // Strictly after: a fire time equal to `after` is not repeated
+    assert.deepEqual(iso(nextCronTimes('0 * * * *', 'UTC', new Date('2026-10-19T05:00:00Z'))), ['2026-10-19T06:00:00.000Z']);
+    
+    // With both day fields restricted either one matches: the 13th and every Friday
+    assert.deepEqual(iso(nextCronTimes('0 0 13 * fri', 'UTC', new Date('2026-11-01T00:00:00Z'), 3)), [
+        '2026-11-06T00:00:00.000Z', '2026-11-13T00:00:00.000Z', '2026-11-20T00:00:00.000Z'
+    ]);
+    
+    assert.deepEqual(iso(nextCronTimes('0 12 29 2 *', 'UTC', new Date('2026-01-01T00:00:00Z'))), ['2028-02-29T12:00:00.000Z']);
+});
+
+test('skips a fire time inside the DST gap and fires once in the overlap', () => {
+    assert.deepEqual(iso(nextCronTimes('30 2 * * *', 'Europe/Berlin', new Date('2026-03-28T12:00:00Z'), 2)), [
+        '2026-03-30T00:30:00.000Z', '2026-03-31T00:30:00.000Z'
+    ]);
+    
+    const overlap = nextCronTimes('30 2 * * *', 'Europe/Berlin', new Date('2026-10-24T12:00:00Z'), 2);
+    assert.equal(overlap.length, 2);
+    assert.ok(overlap[0].toISOString().startsWith('2026-10-25T'));
+    assert.equal(overlap[1].toISOString(), '2026-10-26T01:30:00.000Z');
+});
+
+test('stops at maxOccurrences and endAt', () => {
+    const after = new Date('2026-10-19T00:00:00Z');
+    const daily = { cron: '0 9 * * *', endAt: null, maxOccurrences: 3 };
+    
+    assert.equal(nextOccurrences(daily, 'UTC', after, 5).length, 3);
+    assert.deepEqual(iso(nextOccurrences(daily, 'UTC', after, 5, 2)), ['2026-10-19T09:00:00.000Z']);
+    assert.deepEqual(nextOccurrences(daily, 'UTC', after, 5, 3), []);
+    
+    const until = { cron: '0 9 * * *', endAt: '2026-10-20T09:00:00.000Z', maxOccurrences: null };
+    assert.deepEqual(iso(nextOccurrences(until, 'UTC', after, 5)), ['2026-10-19T09:00:00.000Z', '2026-10-20T09:00:00.000Z']);
+});
+
+test('translates plain-English recurrences into cron', () => {
+    const cron = (text) => parseRecurrence(text).cron;
+    
+    assert.equal(cron('every Monday 09:00'), '0 9 * * 1');
+    assert.equal(cron('every weekday at 08:30'), '30 8 * * 1-5');
+    assert.equal(cron('every weekends 10:00'), '0 10 * * 0,6');
+    assert.equal(cron('every mon and wed 7:05'), '5 7 * * 1,3');
+    assert.equal(cron('every tue, thu, sat 18:00'), '0 18 * * 2,4,6');
+    assert.equal(cron('daily 21:00'), '0 21 * * *');
+    assert.equal(cron('every month on the 1st 10:00'), '0 10 1 * *');
+    assert.equal(cron('hourly'), '0 * * * *');
+    assert.equal(cron('every hour at :45'), '45 * * * *');
+    assert.equal(cron('cron 0 9 * * 1'), '0 9 * * 1');
+    
+    assert.deepEqual(parseRecurrence('Every day at 21:00 until 2026-12-31 for 10 times'), {
+        cron: '0 21 * * *',
+        description: 'every day at 21:00',
+        endDate: { year: 2026, month: 12, day: 31 },
+        maxOccurrences: 10
+    });
+    assert.equal(parseRecurrence('daily 21:00 5 occurrences until 2027-01-01').maxOccurrences, 5);
+    
+    assert.equal(parseRecurrence('tomorrow 10:00'), null);
+    assert.throws(() => parseRecurrence('every funday 10:00'), /Unknown day 'funday'/);
+    assert.throws(() => parseRecurrence('daily 25:00'), /Invalid time 25:00/);
+    assert.throws(() => parseRecurrence('cron 0 9 * *'), /5 fields/);
+    assert.throws(() => parseRecurrence('daily 09:00 for 0 times'), /at least 1/);
+});
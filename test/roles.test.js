@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROLES, hasRole, isRole, adjacentRole, requiredRole } from '../lib/roles.js';
+
+const command = (text) => requiredRole({ message: { text } });
+const button = (data) => requiredRole({ callback_query: { data } });
+
+test('ranks each role above the ones below it', () => {
+    assert.equal(hasRole(ROLES.ADMIN, ROLES.OPERATOR), true);
+    assert.equal(hasRole(ROLES.OPERATOR, ROLES.OPERATOR), true);
+    assert.equal(hasRole(ROLES.VIEWER, ROLES.OPERATOR), false);
+    assert.equal(hasRole(ROLES.PENDING, ROLES.VIEWER), false);
+    assert.equal(hasRole(ROLES.BLOCKED, ROLES.BLOCKED), true);
+    assert.equal(hasRole(ROLES.BLOCKED, ROLES.PENDING), false);
+    
+    assert.equal(isRole('operator'), true);
+    assert.equal(isRole('superuser'), false);
+    
+    assert.equal(adjacentRole(ROLES.VIEWER, 1), ROLES.OPERATOR);
+    assert.equal(adjacentRole(ROLES.ADMIN, 1), null);
+    assert.equal(adjacentRole(ROLES.VIEWER, -1), null);
+    assert.equal(adjacentRole(ROLES.PENDING, 1), ROLES.VIEWER);
+    assert.equal(adjacentRole(ROLES.BLOCKED, -1), null);
+});
+
+test('requires the listed role per command, an operator for anything else', () => {
+    assert.equal(command('/start'), ROLES.PENDING);
+    assert.equal(command('/scheduled'), ROLES.VIEWER);
+    assert.equal(command('/STATUS@SmsGatewayBot now'), ROLES.VIEWER);
+    assert.equal(command('/users'), ROLES.ADMIN);
+    assert.equal(command('/send'), ROLES.OPERATOR);
+    assert.equal(command('/nosuchcommand'), ROLES.OPERATOR);
+    
+    // Reply keyboard buttons count as their commands
+    assert.equal(command('📊 Status'), ROLES.VIEWER);
+    assert.equal(command('📱 Send SMS'), ROLES.OPERATOR);
+    
+    // Session input, replies and uploads lead to sending
+    assert.equal(command('+923001234567'), ROLES.OPERATOR);
+    assert.equal(requiredRole({ message: { document: { file_name: 'list.csv' } } }), ROLES.OPERATOR);
+});
+
+test('matches button data by prefix or exact value, an operator for anything else', () => {
+    assert.equal(button('details_TX_1'), ROLES.VIEWER);
+    assert.equal(button('thread_+923001234567'), ROLES.VIEWER);
+    assert.equal(button('cancel'), ROLES.VIEWER);
+    assert.equal(button('dlq_requeue_DL_1'), ROLES.ADMIN);
+    assert.equal(button('user_role_42_admin'), ROLES.ADMIN);
+    
+    // 'cancel' is an exact value, not a prefix
+    assert.equal(button('cancel_bulk'), ROLES.OPERATOR);
+    assert.equal(button('sched_cancel_SCH_1'), ROLES.OPERATOR);
+    assert.equal(button('sched_pause_SCH_1'), ROLES.OPERATOR);
+    assert.equal(button(''), ROLES.OPERATOR);
+});
@@ -0,0 +1,253 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import smpp from 'smpp';
+import { SmppClient, SmppTransport } from '../lib/transports/smpp.js';
+import { concatenationInfo } from '../lib/encoding.js';
+import { STATUS } from '../config.js';
+import { SmscStub } from './helpers/smsc-stub.js';
+
+const MESSAGE = { phoneNumber: '+923001234567', text: 'hello', encoding: 'GSM_7BIT' };
+
+async function connect(options = {}) {
+    const stub = new SmscStub();
+    const url = await stub.listen();
+    const client = new SmppClient({
+        url,
+        systemId: 'gateway',
+        password: 'secret',
+        reconnectDelay: 20,
+        throttleDelay: 100,
+        ...options
+    });
+    
+    client.on('error', () => {});
+    await client.connect();
+    
+    return { stub, client };
+}
+
+async function until(condition, timeout = 2000) {
+    const started = Date.now();
+    
+    while (!condition()) {
+        if (Date.now() - started > timeout) throw new Error('Condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+async function stop(stub, client) {
+    await client.close();
+    await stub.close();
+}
+
+test('binds as transceiver with the configured credentials', async () => {
+    const { stub, client } = await connect();
+    
+    assert.equal(client.isBound, true);
+    assert.equal(stub.binds.length, 1);
+    assert.equal(stub.binds[0].command, 'bind_transceiver');
+    assert.equal(stub.binds[0].system_id, 'gateway');
+    assert.equal(stub.binds[0].interface_version, 0x34);
+    
+    await stop(stub, client);
+});
+
+test('rejects the connection when the bind is refused', async () => {
+    const stub = new SmscStub();
+    const url = await stub.listen();
+    const client = new SmppClient({ url, systemId: 'gateway', password: 'wrong' });
+    
+    await assert.rejects(client.connect(), { name: 'SmppError', code: smpp.ESME_RBINDFAIL });
+    
+    client.closing = true;
+    await stub.close();
+});
+
+test('keeps the link alive with enquire_link and answers the SMSC\'s own', async () => {
+    const { stub, client } = await connect({ enquireLinkInterval: 30 });
+    
+    await until(() => stub.enquireLinks >= 2);
+    
+    const [session] = stub.sessions;
+    const response = await new Promise(resolve => session.enquire_link(resolve));
+    assert.equal(response.command, 'enquire_link_resp');
+    assert.equal(client.isBound, true);
+    
+    await stop(stub, client);
+});
+
+test('keeps no more submit_sm in flight than the window allows', async () => {
+    const { stub, client } = await connect({ windowSize: 2 });
+    stub.holdResponses = true;
+    
+    const submits = Array.from({ length: 5 }, (_, i) => client.submit({ ...MESSAGE, transmissionId: `TX_${i}` }));
+    
+    await until(() => stub.submits.length === 2);
+    assert.equal(client.inFlight.size, 2);
+    assert.equal(client.waiting.length, 3);
+    
+    // Each response frees a slot for the next waiting submit
+    stub.release(1);
+    await until(() => stub.submits.length === 3);
+    assert.equal(client.inFlight.size, 2);
+    
+    stub.holdResponses = false;
+    stub.release();
+    await until(() => stub.submits.length === 5 && client.inFlight.size === 0);
+    
+    const results = await Promise.all(submits);
+    assert.deepEqual(results.map(result => result.messageId), ['MSG1', 'MSG2', 'MSG3', 'MSG4', 'MSG5']);
+    
+    await stop(stub, client);
+});
+
+test('backs off on ESME_RTHROTTLED and resubmits the same message', async () => {
+    const { stub, client } = await connect();
+    stub.respondWith(smpp.ESME_RTHROTTLED);
+    
+    const throttled = once(client, 'throttled');
+    const started = Date.now();
+    const result = await client.submit({ ...MESSAGE, transmissionId: 'TX_1' });
+    
+    assert.deepEqual(await throttled, [100]);
+    assert.ok(Date.now() - started >= 90);
+    assert.equal(stub.submits.length, 2);
+    assert.equal(stub.submits[1].destination_addr, '923001234567');
+    assert.equal(result.messageId, 'MSG1');
+    
+    await stop(stub, client);
+});
+
+test('fails a submit the SMSC rejects outright as permanent', async () => {
+    const { stub, client } = await connect();
+    stub.respondWith(smpp.ESME_RINVDSTADR);
+    
+    await assert.rejects(client.submit({ ...MESSAGE, transmissionId: 'TX_1' }), { code: smpp.ESME_RINVDSTADR, permanent: true });
+    
+    await stop(stub, client);
+});
+
+test('reconnects with backoff after the socket closes and fails what was in flight', async () => {
+    const { stub, client } = await connect();
+    stub.holdResponses = true;
+    
+    const pending = client.submit({ ...MESSAGE, transmissionId: 'TX_1' });
+    await until(() => stub.submits.length === 1);
+    
+    const reconnecting = once(client, 'reconnecting');
+    stub.dropConnections();
+    
+    await assert.rejects(pending, { code: 'CONNECTION_LOST', permanent: false });
+    assert.deepEqual(await reconnecting, [20]);
+    
+    await once(client, 'bound');
+    assert.equal(client.isBound, true);
+    assert.equal(stub.binds.length, 2);
+    assert.equal(client.reconnectAttempts, 0);
+    
+    stub.holdResponses = false;
+    assert.equal((await client.submit({ ...MESSAGE, transmissionId: 'TX_2' })).messageId, 'MSG1');
+    
+    await stop(stub, client);
+});
+
+test('maps submit_sm_resp message IDs onto transmission IDs for receipts', async () => {
+    const { stub, client } = await connect();
+    
+    await client.submit({ ...MESSAGE, transmissionId: 'TX_42' });
+    assert.equal(client.lookupTransmission('MSG1'), 'TX_42');
+    
+    const receipt = once(client, 'delivery_receipt');
+    stub.deliverReceipt('MSG1', 'DELIVRD');
+    
+    const [parsed] = await receipt;
+    assert.equal(parsed.messageId, 'MSG1');
+    assert.equal(parsed.transmissionId, 'TX_42');
+    assert.equal(parsed.stat, 'DELIVRD');
+    
+    await stop(stub, client);
+});
+
+test('closes without waiting forever on an unanswered unbind or a link already gone', async () => {
+    const unanswered = await connect({ closeTimeout: 100 });
+    unanswered.stub.ignoreUnbind = true;
+    
+    let started = Date.now();
+    await unanswered.client.close();
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(unanswered.client.session.socket.destroyed, true);
+    await unanswered.stub.close();
+    
+    const dropped = await connect({ reconnectDelay: 500 });
+    const closed = once(dropped.client, 'close');
+    dropped.stub.dropConnections();
+    await closed;
+    
+    started = Date.now();
+    await dropped.client.close();
+    assert.ok(Date.now() - started < 100);
+    await dropped.stub.close();
+});
+
+test('SmppTransport submits every segment and reports deliveries by transmission', async () => {
+    const stub = new SmscStub();
+    const url = await stub.listen();
+    const transport = new SmppTransport('smpp', { url, systemId: 'gateway', password: 'secret', deliveryReports: true });
+    
+    const ready = once(transport, 'ready');
+    await transport.start();
+    await ready;
+    
+    const result = await transport.send({ transmissionId: 'TX_7', phoneNumber: '+923001234567', message: 'x'.repeat(200), encoding: 'GSM_7BIT' });
+    
+    assert.equal(stub.submits.length, 2);
+    assert.equal(stub.submits[0].registered_delivery, 1);
+    assert.deepEqual(result.segments.map(segment => segment.sequence), [1, 2]);
+    assert.equal(result.messageId, result.segments[0].messageId);
+    
+    const report = once(transport, 'delivery_report');
+    stub.deliverReceipt(result.segments[1].messageId, 'UNDELIV');
+    
+    assert.deepEqual((await report)[0], {
+        status: STATUS.FAILED,
+        recipient: '923001234567',
+        messageId: result.segments[1].messageId,
+        transmissionId: 'TX_7'
+    });
+    
+    await transport.stop();
+    await stub.close();
+});
+
+test('SmppTransport resumes a partly submitted message with its reference and only the missing segments', async () => {
+    const stub = new SmscStub();
+    const url = await stub.listen();
+    const transport = new SmppTransport('smpp', { url, systemId: 'gateway', password: 'secret' });
+    
+    const ready = once(transport, 'ready');
+    await transport.start();
+    await ready;
+    
+    const message = { transmissionId: 'TX_8', phoneNumber: '+923001234567', message: 'x'.repeat(200), encoding: 'GSM_7BIT' };
+    stub.respondWith(smpp.ESME_ROK, smpp.ESME_RSYSERR);
+    
+    const error = await transport.send(message).catch(error => error);
+    assert.equal(error.name, 'PartialSubmitError');
+    assert.equal(error.permanent, false);
+    assert.deepEqual(error.partial.segments, [{ sequence: 1, messageId: 'MSG1', status: STATUS.SENT }]);
+    
+    const result = await transport.send({ ...message, resume: error.partial });
+    
+    assert.equal(stub.submits.length, 3);
+    assert.deepEqual(concatenationInfo(stub.submits[2].short_message.udh), {
+        reference: error.partial.concatReference,
+        total: 2,
+        sequence: 2
+    });
+    assert.equal(result.concatReference, error.partial.concatReference);
+    assert.deepEqual(result.segments.map(segment => segment.messageId), ['MSG1', 'MSG2']);
+    
+    await transport.stop();
+    await stub.close();
+});
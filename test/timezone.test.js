@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToDate, formatInTimeZone, parseScheduleTime, isValidTimeZone } from '../lib/timezone.js';
+
+test('reads wall-clock times in the zone, across its DST offsets', () => {
+    assert.deepEqual(zonedTimeToDate({ year: 2026, month: 1, day: 15, hour: 9, minute: 0 }, 'Europe/Berlin'), new Date('2026-01-15T08:00:00Z'));
+    assert.deepEqual(zonedTimeToDate({ year: 2026, month: 7, day: 15, hour: 9, minute: 0 }, 'Europe/Berlin'), new Date('2026-07-15T07:00:00Z'));
+    assert.deepEqual(zonedTimeToDate({ year: 2026, month: 7, day: 15, hour: 9, minute: 0 }, 'Asia/Karachi'), new Date('2026-07-15T04:00:00Z'));
+});
+
+test('has no instant for a time skipped by the spring-forward gap', () => {
+    assert.equal(zonedTimeToDate({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Berlin'), null);
+    assert.equal(zonedTimeToDate({ year: 2026, month: 3, day: 8, hour: 2, minute: 0 }, 'America/New_York'), null);
+    assert.deepEqual(zonedTimeToDate({ year: 2026, month: 3, day: 29, hour: 3, minute: 0 }, 'Europe/Berlin'), new Date('2026-03-29T01:00:00Z'));
+});
+
+test('picks one instant for a time repeated by the fall-back overlap', () => {
+    const at = zonedTimeToDate({ year: 2026, month: 10, day: 25, hour: 2, minute: 30 }, 'Europe/Berlin');
+    
+    assert.ok(['2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z'].includes(at.toISOString()));
+    assert.equal(formatInTimeZone(at, 'Europe/Berlin'), '2026-10-25 02:30');
+});
+
+test('parses absolute, clock and relative schedule times', () => {
+    // 10:00 in Karachi
+    const now = new Date('2026-10-19T05:00:00Z');
+    
+    assert.deepEqual(parseScheduleTime('2026-10-20 08:15', 'Asia/Karachi', now), new Date('2026-10-20T03:15:00Z'));
+    assert.deepEqual(parseScheduleTime('11:30', 'Asia/Karachi', now), new Date('2026-10-19T06:30:00Z'));
+    assert.deepEqual(parseScheduleTime('09:00', 'Asia/Karachi', now), new Date('2026-10-20T04:00:00Z'));
+    assert.deepEqual(parseScheduleTime('tomorrow 7:05', 'Asia/Karachi', now), new Date('2026-10-20T02:05:00Z'));
+    assert.deepEqual(parseScheduleTime('in 30m', 'Asia/Karachi', now), new Date('2026-10-19T05:30:00Z'));
+    assert.deepEqual(parseScheduleTime('+2h', 'Asia/Karachi', now), new Date('2026-10-19T07:00:00Z'));
+    
+    assert.equal(parseScheduleTime('2026-03-29 02:30', 'Europe/Berlin', now), null);
+    assert.equal(parseScheduleTime('in 3 fortnights', 'Asia/Karachi', now), null);
+    assert.equal(parseScheduleTime('next tuesday', 'Asia/Karachi', now), null);
+    
+    assert.equal(isValidTimeZone('Asia/Karachi'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
@@ -0,0 +1,215 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WebhookDispatcher, DELIVERY_STATUS, signPayload, validateSubscription } from '../lib/webhooks.js';
+
+const RETRY = { MAX_ATTEMPTS: 4, BASE_DELAY: 40, MAX_DELAY: 1000, JITTER: 0 };
+
+const workdir = fs.mkdtempSync(path.join(os.tmpdir(), 'sgw-webhooks-'));
+const cwd = process.cwd();
+
+// Local receiver: answers each request with the next scripted status (200 once they run out);
+// 'hang' never answers
+let receiver;
+let receiverUrl;
+let requests = [];
+let responses = [];
+
+before(async () => {
+    // data/ is relative to the working directory
+    process.chdir(workdir);
+    fs.mkdirSync('data');
+    
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body, at: Date.now() });
+            
+            const status = responses.length > 0 ? responses.shift() : 200;
+            if (status === 'hang') return;
+            
+            res.writeHead(status).end();
+        });
+    });
+    
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+after(async () => {
+    receiver.closeAllConnections();
+    await new Promise(resolve => receiver.close(resolve));
+    
+    process.chdir(cwd);
+    fs.rmSync(workdir, { recursive: true, force: true });
+});
+
+function reset(...statuses) {
+    requests = [];
+    responses = statuses;
+    fs.rmSync(path.join('data', 'webhooks.json'), { force: true });
+    fs.rmSync(path.join('data', 'webhook_deliveries.json'), { force: true });
+}
+
+function dispatcher(options = {}) {
+    return new WebhookDispatcher({ timeout: 200, retry: RETRY, logger: { warn() {}, error() {} }, ...options });
+}
+
+async function settled(webhooks, deliveryId, timeout = 3000) {
+    const started = Date.now();
+    
+    for (;;) {
+        const [delivery] = webhooks.deliveries(d => d.id === deliveryId);
+        if (delivery.status !== DELIVERY_STATUS.PENDING) return delivery;
+        
+        if (Date.now() - started > timeout) throw new Error(`Delivery still pending after ${timeout}ms`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('validates subscription URLs and event types', () => {
+    assert.deepEqual(validateSubscription({ url: 'https://crm.example.com/hook', events: ['message.sent'] }),
+        { url: 'https://crm.example.com/hook', events: ['message.sent'] });
+    assert.equal(validateSubscription({ url: 'http://crm.example.com' }).events.length, 5);
+    
+    assert.throws(() => validateSubscription({ url: 'ftp://crm.example.com' }), /absolute http/);
+    assert.throws(() => validateSubscription({ url: 'http://crm.example.com', events: ['message.lost'] }), /must be a list/);
+});
+
+test('signs each delivery with an HMAC of the timestamp and body', async () => {
+    reset();
+    const webhooks = dispatcher();
+    const subscription = webhooks.create({ userId: 1, url: receiverUrl, events: ['message.sent'] });
+    
+    const [delivery] = webhooks.publish('message.sent', { id: 'Q1', to: '+923001234567' });
+    const done = await settled(webhooks, delivery.id);
+    
+    assert.equal(done.status, DELIVERY_STATUS.DELIVERED);
+    assert.equal(requests.length, 1);
+    
+    const [{ headers, body }] = requests;
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', subscription.secret).update(`${timestamp}.${body}`).digest('hex');
+    
+    assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(signPayload(subscription.secret, timestamp, body), expected);
+    assert.equal(headers['x-webhook-event'], 'message.sent');
+    assert.equal(headers['content-type'], 'application/json');
+    
+    const event = JSON.parse(body);
+    assert.equal(headers['x-webhook-id'], event.id);
+    assert.deepEqual(event.data, { id: 'Q1', to: '+923001234567' });
+});
+
+test('only delivers events a subscription asked for, to the audience given', () => {
+    reset();
+    const webhooks = dispatcher();
+    webhooks.create({ userId: 1, url: receiverUrl, events: ['message.delivered'] });
+    webhooks.create({ userId: 2, url: receiverUrl, events: ['message.sent'] });
+    
+    assert.equal(webhooks.publish('message.failed', {}).length, 0);
+    assert.equal(webhooks.publish('message.sent', {}, subscription => subscription.userId === 1).length, 0);
+    assert.equal(webhooks.publish('message.sent', {}).length, 1);
+    
+    webhooks.stop();
+});
+
+test('retries 5xx responses and timeouts with backoff until one succeeds', async () => {
+    reset(500, 'hang', 503);
+    const webhooks = dispatcher();
+    webhooks.create({ userId: 1, url: receiverUrl });
+    
+    const [delivery] = webhooks.publish('message.failed', { id: 'Q2' });
+    const done = await settled(webhooks, delivery.id);
+    
+    assert.equal(done.status, DELIVERY_STATUS.DELIVERED);
+    assert.deepEqual(done.attempts.map(attempt => attempt.statusCode), [500, null, 503, 200]);
+    assert.equal(done.attempts[1].error, 'ECONNABORTED');
+    assert.equal(done.nextAttemptAt, null);
+    
+    // 40ms doubling per attempt, measured from the end of each failed attempt
+    const gaps = requests.slice(1).map((request, i) => request.at - requests[i].at);
+    assert.ok(gaps[0] >= 35, `first retry after ${gaps[0]}ms`);
+    assert.ok(gaps[1] >= 200 + 75, `second retry after ${gaps[1]}ms`);
+    assert.ok(gaps[2] >= 155, `third retry after ${gaps[2]}ms`);
+    
+    // Every attempt carries the same event
+    assert.equal(new Set(requests.map(request => request.headers['x-webhook-id'])).size, 1);
+});
+
+test('gives up after the last attempt', async () => {
+    reset(500, 500, 500, 500, 500);
+    const webhooks = dispatcher();
+    webhooks.create({ userId: 1, url: receiverUrl });
+    
+    const [delivery] = webhooks.publish('message.failed', {});
+    const done = await settled(webhooks, delivery.id);
+    
+    assert.equal(done.status, DELIVERY_STATUS.FAILED);
+    assert.equal(done.attempts.length, RETRY.MAX_ATTEMPTS);
+});
+
+test('treats 4xx other than 408 and 429 as final', async () => {
+    reset(404);
+    const webhooks = dispatcher();
+    webhooks.create({ userId: 1, url: receiverUrl });
+    
+    const [gone] = webhooks.publish('message.sent', {});
+    const failed = await settled(webhooks, gone.id);
+    
+    assert.equal(failed.status, DELIVERY_STATUS.FAILED);
+    assert.deepEqual(failed.attempts.map(attempt => attempt.statusCode), [404]);
+    
+    reset(429, 408);
+    webhooks.create({ userId: 1, url: receiverUrl });
+    
+    const [busy] = webhooks.publish('message.sent', {});
+    const delivered = await settled(webhooks, busy.id);
+    
+    assert.equal(delivered.status, DELIVERY_STATUS.DELIVERED);
+    assert.deepEqual(delivered.attempts.map(attempt => attempt.statusCode), [429, 408, 200]);
+});
+
+test('resume() picks up deliveries still pending after a restart', async () => {
+    reset(500);
+    const before = dispatcher();
+    before.create({ userId: 1, url: receiverUrl });
+    
+    const [delivery] = before.publish('message.received', { id: 'IN1' });
+    
+    // The first attempt fails and the process stops while the retry is waiting
+    while (before.deliveries(d => d.id === delivery.id)[0].attempts.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    before.stop();
+    
+    const pending = before.deliveries(d => d.id === delivery.id)[0];
+    assert.equal(pending.status, DELIVERY_STATUS.PENDING);
+    assert.ok(pending.nextAttemptAt);
+    
+    const restarted = dispatcher();
+    assert.equal(restarted.resume(), 1);
+    
+    const done = await settled(restarted, delivery.id);
+    assert.equal(done.status, DELIVERY_STATUS.DELIVERED);
+    assert.deepEqual(done.attempts.map(attempt => attempt.statusCode), [500, 200]);
+    assert.equal(requests.length, 2);
+});
+
+test('cancels pending deliveries whose subscription was removed', async () => {
+    reset();
+    const webhooks = dispatcher();
+    const subscription = webhooks.create({ userId: 1, url: receiverUrl });
+    
+    const [delivery] = webhooks.publish('message.sent', {});
+    webhooks.remove(subscription.id);
+    
+    const done = await settled(webhooks, delivery.id);
+    assert.equal(done.status, DELIVERY_STATUS.CANCELLED);
+    assert.equal(requests.length, 0);
+});